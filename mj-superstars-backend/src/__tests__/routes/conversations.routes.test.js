@@ -0,0 +1,400 @@
+// ============================================================
+// MJ's Superstars - Conversation Routes Tests (ESM)
+// ============================================================
+
+import { jest, describe, test, expect, beforeEach, afterAll } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret-for-testing';
+process.env.JWT_EXPIRES_IN = '15m';
+
+const mockQuery = jest.fn();
+jest.unstable_mockModule('../../database/db.js', () => ({
+  query: mockQuery,
+  transaction: jest.fn(),
+  default: { query: mockQuery }
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }
+}));
+
+const mockChat = jest.fn();
+const mockChatStream = jest.fn();
+jest.unstable_mockModule('../../services/claude.js', () => ({
+  ClaudeService: {
+    chat: mockChat,
+    chatStream: mockChatStream,
+    extractPersonalization: jest.fn().mockResolvedValue([]),
+    detectCrisis: jest.fn().mockResolvedValue(null)
+  },
+  default: {}
+}));
+
+const { default: express } = await import('express');
+const { default: request } = await import('supertest');
+const conversationRoutes = await import('../../routes/conversations.js');
+const { generateAccessToken } = await import('../../middleware/auth.js');
+const { setUserOverride, clearUserOverrides } = await import('../../services/featureFlags.js');
+const { setStorage } = await import('../../services/storage/index.js');
+const { setTranscriber } = await import('../../services/transcription/index.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/conversations', conversationRoutes.default);
+app.use((err, req, res, next) => {
+  res.status(err.statusCode || 500).json({ error: err.message, code: err.code || 'SERVER_ERROR' });
+});
+
+const CONV_ID = '11111111-1111-4111-8111-111111111111';
+
+// Parse an SSE body into [{ event, data }]
+const parseEvents = (text) => text
+  .split('\n\n')
+  .filter(Boolean)
+  .map(frame => ({
+    event: frame.match(/^event: (.*)$/m)[1],
+    data: JSON.parse(frame.match(/^data: (.*)$/m)[1])
+  }));
+
+describe('Conversation Routes', () => {
+  let authToken;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authToken = generateAccessToken({ id: 'user-1', email: 'test@e.com', is_premium: false });
+  });
+
+  // Route any SQL to a canned result so tests don't depend on query order
+  const mockDatabase = ({ usage = {}, messages = [] } = {}) => {
+    mockQuery.mockImplementation(async (sql, params) => {
+      if (sql.includes('WHERE id = $1 AND conversation_id = $2')) {
+        return { rows: messages.filter(m => m.id === params[0]) };
+      }
+      if (sql.includes('INSERT INTO messages (conversation_id, user_id, role, content, id, branch_id')) {
+        return { rows: [{ id: params[4], branch_id: params[4], parent_id: params[5], role: params[2], content: params[3] }] };
+      }
+      if (sql.includes('FROM ai_usage_daily')) {
+        return { rows: [{ message_count: 0, input_tokens: 0, output_tokens: 0, ...usage }] };
+      }
+      if (sql.includes('FROM users WHERE id = $1 AND deleted_at IS NULL')) {
+        return { rows: [{ id: 'user-1', email: 'test@e.com', display_name: 'Test', is_premium: false, is_active: true }] };
+      }
+      if (sql.includes('FROM conversations WHERE id')) {
+        return { rows: [{ id: CONV_ID, user_id: 'user-1' }] };
+      }
+      if (sql.includes("VALUES ($1, $2, 'user'")) {
+        return { rows: [{ id: 'msg-user', created_at: new Date().toISOString() }] };
+      }
+      if (sql.includes("VALUES ($1, $2, 'assistant'")) {
+        return { rows: [{ id: 'msg-mj', content: 'Hey there!', intent: 'casual_chat' }] };
+      }
+      return { rows: [] };
+    });
+  };
+
+  describe('POST /api/conversations/:id/messages', () => {
+    test('returns a single JSON response by default', async () => {
+      mockDatabase();
+      mockChat.mockResolvedValueOnce({
+        content: 'Hey there!',
+        topics: [],
+        intent: 'casual_chat',
+        suggestions: ['Hype me up!'],
+        prompt_version: 'chat@1/white_mike@1',
+        usage: { input_tokens: 10, output_tokens: 3 }
+      });
+
+      const res = await request(app)
+        .post(`/api/conversations/${CONV_ID}/messages`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: 'hi' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.mj_response.id).toBe('msg-mj');
+      expect(res.body.suggestions).toEqual(['Hype me up!']);
+      expect(mockChatStream).not.toHaveBeenCalled();
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('prompt_version = COALESCE($2, prompt_version)'),
+        [CONV_ID, 'chat@1/white_mike@1']
+      );
+    });
+
+    test('records token usage for the turn', async () => {
+      mockDatabase();
+      mockChat.mockResolvedValueOnce({ content: 'Hey there!', topics: [], usage: { input_tokens: 120, output_tokens: 40 } });
+
+      await request(app)
+        .post(`/api/conversations/${CONV_ID}/messages`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: 'hi' });
+
+      const insert = mockQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO ai_usage_daily'));
+      expect(insert[1]).toEqual(['user-1', 'user-1', expect.any(String), 120, 40]);
+    });
+
+    test('rejects with QUOTA_EXCEEDED once the daily message limit is used up', async () => {
+      mockDatabase({ usage: { message_count: 10 } });
+
+      const res = await request(app)
+        .post(`/api/conversations/${CONV_ID}/messages`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: 'hi' });
+
+      expect(res.status).toBe(429);
+      expect(res.body.code).toBe('QUOTA_EXCEEDED');
+      expect(res.body.quota.limits.messages).toBe(10);
+      expect(res.body.crisis).toBeNull();
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+      expect(mockChat).not.toHaveBeenCalled();
+      expect(mockQuery.mock.calls.some(([sql]) => sql.includes("VALUES ($1, $2, 'user'"))).toBe(false);
+    });
+
+    test('still screens for crisis and returns resources when over quota', async () => {
+      mockDatabase({ usage: { message_count: 10 } });
+
+      const res = await request(app)
+        .post(`/api/conversations/${CONV_ID}/messages`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: 'I want to kill myself' });
+
+      expect(res.status).toBe(429);
+      expect(res.body.code).toBe('QUOTA_EXCEEDED');
+      expect(res.body.crisis.severity).toBe('high');
+      expect(res.body.crisis.resources.length).toBeGreaterThan(0);
+      expect(mockQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO crisis_events'))).toBe(true);
+      expect(mockChat).not.toHaveBeenCalled();
+    });
+
+    test('streams chunks over SSE when text/event-stream is requested', async () => {
+      mockDatabase();
+      mockChatStream.mockImplementationOnce(async ({ onText }) => {
+        onText('Hey ');
+        onText('there!');
+        return {
+          content: 'Hey there!',
+          topics: [],
+          intent: 'casual_chat',
+          suggestions: [],
+          aborted: false,
+          usage: { input_tokens: 10, output_tokens: 3 }
+        };
+      });
+
+      const res = await request(app)
+        .post(`/api/conversations/${CONV_ID}/messages`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Accept', 'text/event-stream')
+        .send({ content: 'hi' });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('text/event-stream');
+
+      const events = parseEvents(res.text);
+      expect(events.map(e => e.event)).toEqual(['message_saved', 'chunk', 'chunk', 'done']);
+      expect(events[1].data.text).toBe('Hey ');
+      expect(events[3].data.mj_response.id).toBe('msg-mj');
+
+      // Token usage from the stream is persisted with the assistant message
+      const insert = mockQuery.mock.calls.find(([sql]) => sql.includes("VALUES ($1, $2, 'assistant'"));
+      expect(insert[1]).toEqual(expect.arrayContaining([10, 3]));
+    });
+
+    test('does not persist an empty assistant message when aborted before any text', async () => {
+      mockDatabase();
+      mockChatStream.mockResolvedValueOnce({ content: '', topics: [], intent: 'aborted', aborted: true, usage: { input_tokens: 0, output_tokens: 0 } });
+
+      const res = await request(app)
+        .post(`/api/conversations/${CONV_ID}/messages`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Accept', 'text/event-stream')
+        .send({ content: 'hi' });
+
+      const done = parseEvents(res.text).find(e => e.event === 'done');
+      expect(done.data.aborted).toBe(true);
+      expect(done.data.mj_response).toBeNull();
+      expect(mockQuery.mock.calls.some(([sql]) => sql.includes("VALUES ($1, $2, 'assistant'"))).toBe(false);
+    });
+  });
+
+  describe('message branches', () => {
+    const USER_MSG = '22222222-2222-4222-8222-222222222222';
+    const MJ_MSG = '33333333-3333-4333-8333-333333333333';
+    const messages = [
+      { id: USER_MSG, parent_id: null, branch_id: CONV_ID, role: 'user', content: 'I cant sleep' },
+      { id: MJ_MSG, parent_id: USER_MSG, branch_id: CONV_ID, role: 'assistant', content: 'That sounds rough.' }
+    ];
+
+    test('regenerate adds an alternative reply on a new branch', async () => {
+      mockDatabase({ messages });
+      mockChat.mockResolvedValueOnce({ content: 'Want to try a wind-down routine?', topics: [], usage: { input_tokens: 10, output_tokens: 6 } });
+
+      const res = await request(app)
+        .post(`/api/conversations/${CONV_ID}/messages/${MJ_MSG}/regenerate`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(mockChat).toHaveBeenCalledWith(expect.objectContaining({ message: 'I cant sleep', history: [] }));
+
+      const [, insertParams] = mockQuery.mock.calls.find(([sql]) => sql.includes('id, branch_id, parent_id'));
+      expect(insertParams.slice(2, 6)).toEqual(['assistant', 'Want to try a wind-down routine?', res.body.branch_id, USER_MSG]);
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('SET active_branch_id'), [CONV_ID, res.body.branch_id]);
+      // The original reply is left alone
+      expect(mockQuery.mock.calls.some(([sql]) => sql.includes('UPDATE messages') || sql.includes('DELETE FROM messages'))).toBe(false);
+    });
+
+    test('only MJ replies can be regenerated and only user messages edited', async () => {
+      mockDatabase({ messages });
+
+      const regenerate = await request(app)
+        .post(`/api/conversations/${CONV_ID}/messages/${USER_MSG}/regenerate`)
+        .set('Authorization', `Bearer ${authToken}`);
+      const edit = await request(app)
+        .put(`/api/conversations/${CONV_ID}/messages/${MJ_MSG}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: 'hi' });
+
+      expect(regenerate.body.code).toBe('CANNOT_REGENERATE');
+      expect(edit.body.code).toBe('CANNOT_EDIT');
+      expect(mockChat).not.toHaveBeenCalled();
+    });
+
+    test('editing starts a branch beside the original and MJ answers the edit', async () => {
+      mockDatabase({ messages });
+      mockChat.mockResolvedValueOnce({ content: 'Hey there!', topics: [], usage: { input_tokens: 10, output_tokens: 3 } });
+
+      const res = await request(app)
+        .put(`/api/conversations/${CONV_ID}/messages/${USER_MSG}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: "I can't sleep" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user_message).toMatchObject({ role: 'user', content: "I can't sleep", parent_id: null });
+      const [, replyParams] = mockQuery.mock.calls.find(([sql]) => sql.includes("VALUES ($1, $2, 'assistant'"));
+      expect(replyParams[8]).toBe(res.body.user_message.id);
+    });
+
+    test('selecting the main line clears the active branch', async () => {
+      mockDatabase({ messages });
+
+      const res = await request(app)
+        .post(`/api/conversations/${CONV_ID}/messages/${MJ_MSG}/select`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.active_branch_id).toBeNull();
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('SET active_branch_id'), [CONV_ID, null]);
+    });
+  });
+
+  describe('voice messages', () => {
+    // Smallest thing that passes the WebM signature check
+    const WEBM = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x86, 0x81, 0x01]);
+    const objects = new Map();
+
+    beforeEach(() => {
+      objects.clear();
+      setStorage({
+        name: 'memory',
+        async put(key, body, { contentType }) { objects.set(key, { body, contentType }); },
+        async get(key) { return objects.get(key) || null; }
+      });
+      setTranscriber('local');
+      setUserOverride('user-1', 'ai_voice_input', true);
+    });
+
+    afterAll(() => {
+      setStorage(null);
+      setTranscriber(null);
+      clearUserOverrides('user-1');
+    });
+
+    const sendVoice = (body, { type = 'audio/webm;codecs=opus', query = '', hint } = {}) => {
+      const req = request(app)
+        .post(`/api/conversations/${CONV_ID}/voice${query}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Content-Type', type);
+      if (hint !== undefined) req.set('X-Transcript-Hint', encodeURIComponent(hint));
+      return req.send(body);
+    };
+
+    test('stores the audio, transcribes it and runs the transcript through chat', async () => {
+      mockDatabase();
+      mockChat.mockResolvedValueOnce({ content: 'Hey there!', topics: [], usage: { input_tokens: 10, output_tokens: 3 } });
+
+      const res = await sendVoice(WEBM, { query: '?duration=4.6', hint: 'I had a long day' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.voice).toMatchObject({ transcript: 'I had a long day', audio_duration: 5 });
+      expect(res.body.user_message).toMatchObject({ content: 'I had a long day', is_voice: true, audio_url: res.body.voice.audio_url });
+      expect(mockChat).toHaveBeenCalledWith(expect.objectContaining({ message: 'I had a long day' }));
+
+      const [, insertParams] = mockQuery.mock.calls.find(([sql]) => sql.includes("VALUES ($1, $2, 'user'"));
+      expect(insertParams).toEqual([CONV_ID, 'user-1', 'I had a long day', true, res.body.voice.audio_url, 5]);
+
+      const [key] = objects.keys();
+      expect(key).toMatch(new RegExp(`^voice/user-1/${CONV_ID}/[0-9a-f-]{36}\\.webm$`));
+
+      const audio = await request(app)
+        .get(res.body.voice.audio_url)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(audio.status).toBe(200);
+      expect(audio.headers['content-type']).toBe('audio/webm');
+      expect(Buffer.from(audio.body).equals(WEBM)).toBe(true);
+    });
+
+    test('reply=false returns the transcript without sending a message', async () => {
+      mockDatabase();
+
+      const res = await sendVoice(WEBM, { query: '?reply=false', hint: 'draft' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ transcript: 'draft', audio_duration: null });
+      expect(mockChat).not.toHaveBeenCalled();
+      expect(mockQuery.mock.calls.some(([sql]) => sql.includes("VALUES ($1, $2, 'user'"))).toBe(false);
+    });
+
+    test('takes the dictation hint from its header, never the URL', async () => {
+      mockDatabase();
+
+      const fromQuery = await sendVoice(WEBM, { query: '?reply=false&hint=secret' });
+      const unicode = await sendVoice(WEBM, { query: '?reply=false', hint: 'J’ai passé une journée difficile' });
+      const tooLong = await sendVoice(WEBM, { query: '?reply=false', hint: 'a'.repeat(2001) });
+
+      expect(fromQuery.body.transcript).not.toBe('secret');
+      expect(unicode.body.transcript).toBe('J’ai passé une journée difficile');
+      expect(tooLong.status).toBe(400);
+    });
+
+    test('refuses voice messages when only the stub transcriber is available', async () => {
+      mockDatabase();
+      const { NODE_ENV } = process.env;
+      process.env.NODE_ENV = 'production';
+      try {
+        const res = await sendVoice(WEBM, { hint: 'I had a long day' });
+
+        expect(res.status).toBe(503);
+        expect(res.body.code).toBe('TRANSCRIPTION_UNAVAILABLE');
+        expect(objects.size).toBe(0);
+        expect(mockChat).not.toHaveBeenCalled();
+      } finally {
+        process.env.NODE_ENV = NODE_ENV;
+      }
+    });
+
+    test('rejects unsupported formats, bytes that do not match the type, and users without the feature', async () => {
+      mockDatabase();
+
+      const flac = await sendVoice(WEBM, { type: 'audio/flac' });
+      const mislabeled = await sendVoice(Buffer.from('not really audio'), { type: 'audio/ogg' });
+      clearUserOverrides('user-1');
+      const disabled = await sendVoice(WEBM);
+
+      expect(flac.status).toBe(415);
+      expect(mislabeled.body.code).toBe('UNSUPPORTED_AUDIO_FORMAT');
+      expect(disabled.status).toBe(403);
+      expect(objects.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,262 @@
+// ============================================================
+// MJ's Superstars - User Routes Tests (ESM)
+// ============================================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret-for-testing';
+process.env.JWT_EXPIRES_IN = '15m';
+
+const mockQuery = jest.fn();
+jest.unstable_mockModule('../../database/db.js', () => ({
+  query: mockQuery,
+  transaction: jest.fn(),
+  default: { query: mockQuery }
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }
+}));
+
+const { default: express } = await import('express');
+const { default: request } = await import('supertest');
+const userRoutes = await import('../../routes/users.js');
+const { generateAccessToken } = await import('../../middleware/auth.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes.default);
+app.use((err, req, res, next) => {
+  res.status(err.statusCode || 500).json({ error: err.message, code: err.code || 'SERVER_ERROR' });
+});
+
+const MEMORY_ID = '22222222-2222-4222-8222-222222222222';
+
+const memory = (overrides = {}) => ({
+  id: MEMORY_ID,
+  type: 'life_context',
+  key: 'job',
+  content: 'Works as a nurse on night shifts',
+  is_pinned: false,
+  never_mention: false,
+  ...overrides
+});
+
+describe('User Memory Routes', () => {
+  let authToken;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authToken = generateAccessToken({ id: 'user-1', email: 'test@e.com', is_premium: false });
+  });
+
+  const mockDatabase = (memoryRows = [memory()]) => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1 AND deleted_at IS NULL')) {
+        return { rows: [{ id: 'user-1', email: 'test@e.com', is_premium: false, is_active: true }] };
+      }
+      if (sql.includes('FROM ai_memories') || sql.includes('UPDATE ai_memories') || sql.includes('DELETE FROM ai_memories')) {
+        return { rows: memoryRows };
+      }
+      return { rows: [] };
+    });
+  };
+
+  test('GET /me/memories groups memories by type, hidden ones included', async () => {
+    mockDatabase([
+      memory(),
+      memory({ id: 'm2', type: 'goals', content: 'Run a 10k', is_pinned: true }),
+      memory({ id: 'm3', type: 'trigger', content: 'Family dinners', never_mention: true }),
+      memory({ id: 'm4', type: 'something_new', content: 'Has a cat named Miso' })
+    ]);
+
+    const res = await request(app)
+      .get('/api/users/me/memories')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.groups.map(g => [g.type, g.label])).toEqual([
+      ['life_context', 'Your life'],
+      ['goals', 'Goals'],
+      ['trigger', 'Triggers'],
+      ['other', 'Other']
+    ]);
+    expect(res.body.groups[2].memories[0].never_mention).toBe(true);
+  });
+
+  test('PUT /me/memories/:id marks an edit as the user\'s and unpins hidden memories', async () => {
+    mockDatabase([memory({ content: 'Works days now', never_mention: true })]);
+
+    const res = await request(app)
+      .put(`/api/users/me/memories/${MEMORY_ID}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ content: 'Works days now', never_mention: true, is_pinned: true });
+
+    expect(res.status).toBe(200);
+    const [sql, params] = mockQuery.mock.calls.find(([q]) => q.includes('UPDATE ai_memories'));
+    expect(sql).toContain('user_edited_at');
+    expect(params).toEqual([MEMORY_ID, 'user-1', 'Works days now', false, true]);
+  });
+
+  test('returns 404 for a memory that is not the user\'s', async () => {
+    mockDatabase([]);
+
+    const update = await request(app)
+      .put(`/api/users/me/memories/${MEMORY_ID}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ is_pinned: true });
+    const remove = await request(app)
+      .delete(`/api/users/me/memories/${MEMORY_ID}`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(update.status).toBe(404);
+    expect(remove.status).toBe(404);
+    expect(remove.body.code).toBe('NOT_FOUND');
+  });
+
+  test('DELETE /me/memories/:id forgets the memory', async () => {
+    mockDatabase([{ id: MEMORY_ID }]);
+
+    const res = await request(app)
+      .delete(`/api/users/me/memories/${MEMORY_ID}`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(res.status).toBe(200);
+    expect(mockQuery).toHaveBeenCalledWith(
+      expect.stringContaining('DELETE FROM ai_memories'),
+      [MEMORY_ID, 'user-1']
+    );
+  });
+});
+
+describe('Communication Style Routes', () => {
+  let authToken;
+  const CONVERSATION_ID = '33333333-3333-4333-8333-333333333333';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authToken = generateAccessToken({ id: 'user-1', email: 'test@e.com', is_premium: false });
+    mockQuery.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM users WHERE id = $1 AND deleted_at IS NULL')) {
+        return { rows: [{ id: 'user-1', email: 'test@e.com', is_premium: false, is_active: true }] };
+      }
+      if (sql.includes('SELECT communication_style FROM users')) {
+        return { rows: [{ communication_style: { formality: 0.2, emoji_usage: 0.9, message_length: 'long', tone: 'playful', persona: 'calm_mentor' } }] };
+      }
+      if (sql.includes('UPDATE users SET communication_style')) {
+        return { rows: [{ communication_style: JSON.parse(params[1]) }] };
+      }
+      if (sql.includes('UPDATE conversations SET persona_id')) {
+        return { rows: params[0] === CONVERSATION_ID ? [{ id: CONVERSATION_ID, persona_id: params[2] }] : [] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  test('GET lists the personas alongside the saved choice', async () => {
+    const res = await request(app)
+      .get('/api/users/me/communication-style')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.persona).toBe('calm_mentor');
+    expect(res.body.personas.map(p => p.id)).toEqual(['white_mike', 'calm_mentor', 'straight_talk', 'gentle_listener']);
+    expect(res.body.personas[0]).toMatchObject({ version: 1, is_default: true });
+  });
+
+  test('PUT saves a persona and keeps it when only the style changes', async () => {
+    const chosen = await request(app)
+      .put('/api/users/me/communication-style')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ persona: 'straight_talk', message_length: 'short' });
+    const restyled = await request(app)
+      .put('/api/users/me/communication-style')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ formality: 0.9 });
+    const invalid = await request(app)
+      .put('/api/users/me/communication-style')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ persona: 'drill_sergeant' });
+
+    expect(chosen.body.communication_style).toMatchObject({ persona: 'straight_talk', message_length: 'short' });
+    expect(restyled.body.communication_style).toMatchObject({ persona: 'calm_mentor', formality: 0.9 });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('PUT with only a persona keeps the saved style sliders', async () => {
+    const res = await request(app)
+      .put('/api/users/me/communication-style')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ persona: 'gentle_listener' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.communication_style).toEqual({
+      formality: 0.2,
+      emoji_usage: 0.9,
+      message_length: 'long',
+      tone: 'playful',
+      persona: 'gentle_listener'
+    });
+  });
+
+  test('PUT with conversation_id sets that conversation\'s persona only', async () => {
+    const res = await request(app)
+      .put('/api/users/me/communication-style')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ persona: 'gentle_listener', conversation_id: CONVERSATION_ID });
+    const missing = await request(app)
+      .put('/api/users/me/communication-style')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ persona: null, conversation_id: '44444444-4444-4444-8444-444444444444' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.conversation).toEqual({ id: CONVERSATION_ID, persona_id: 'gentle_listener' });
+    expect(mockQuery).not.toHaveBeenCalledWith(expect.stringContaining('UPDATE users SET communication_style'), expect.anything());
+    expect(missing.status).toBe(404);
+  });
+});
+
+describe('Data Export Route', () => {
+  let authToken;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authToken = generateAccessToken({ id: 'user-1', email: 'test@e.com', is_premium: false });
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1 AND deleted_at IS NULL')) {
+        return { rows: [{ id: 'user-1', email: 'test@e.com', is_premium: false, is_active: true }] };
+      }
+      if (sql.includes('FROM assessments')) {
+        return { rows: [{ id: 'a1', instrument: 'phq9', score: 8, severity: 'mild' }] };
+      }
+      if (sql.includes('FROM assessment_schedules')) {
+        return { rows: [{ instrument: 'phq9', interval_days: 14, is_enabled: true }] };
+      }
+      if (sql.includes('FROM reports')) {
+        return { rows: [{ id: 'r1', status: 'ready', period_start: '2026-07-01', period_end: '2026-09-30', download_count: 2 }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  test('GET /me/export includes self-assessments and progress reports', async () => {
+    const res = await request(app)
+      .get('/api/users/me/export')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="mj-superstars-export-\d+\.json"$/);
+    expect(res.body.assessments).toEqual({
+      results: [{ id: 'a1', instrument: 'phq9', score: 8, severity: 'mild' }],
+      schedules: [{ instrument: 'phq9', interval_days: 14, is_enabled: true }]
+    });
+    // Report metadata only: no storage keys or download links
+    expect(res.body.reports).toEqual([
+      { id: 'r1', status: 'ready', period_start: '2026-07-01', period_end: '2026-09-30', download_count: 2 }
+    ]);
+    expect(mockQuery.mock.calls.find(([sql]) => sql.includes('FROM reports'))[0]).not.toMatch(/storage_key|SELECT \*/);
+    expect(res.body.ai_memories).toEqual([]);
+  });
+});
@@ -0,0 +1,149 @@
+// ============================================================
+// MJ's Superstars - Self-Assessment Tests (ESM)
+// ============================================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+
+const mockQuery = jest.fn();
+jest.unstable_mockModule('../../database/db.js', () => ({
+  query: mockQuery,
+  transaction: jest.fn(),
+  default: { query: mockQuery }
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }
+}));
+
+const mockEscalate = jest.fn();
+const mockFallbackSupport = jest.fn(async ({ severity }) => ({ event_id: null, severity, resources: [{ name: 'Samaritans' }] }));
+jest.unstable_mockModule('../../services/crisis.js', () => ({
+  CrisisService: { escalate: mockEscalate, fallbackSupport: mockFallbackSupport },
+  default: { escalate: mockEscalate, fallbackSupport: mockFallbackSupport }
+}));
+
+const {
+  AssessmentService,
+  describeInstrument,
+  validateAnswers,
+  scoreAnswers,
+  compareScores
+} = await import('../../services/assessments.js');
+
+const phq9 = (overrides = {}) => Array.from({ length: 9 }, (_, i) => overrides[i] ?? 0);
+
+describe('validateAnswers', () => {
+  test('accepts one scale value per question', () => {
+    expect(validateAnswers('gad7', [0, 1, 2, 3, 0, 1, 2])).toEqual([]);
+    expect(validateAnswers('who5', [5, 4, 3, 2, 1])).toEqual([]);
+  });
+
+  test('rejects the wrong count, off-scale values and unknown instruments', () => {
+    expect(validateAnswers('gad7', [0, 1])[0]).toMatch(/7 questions; got 2/);
+    expect(validateAnswers('phq9', phq9({ 3: 4 }))).toEqual(['Answer 4 must be one of 0, 1, 2, 3']);
+    expect(validateAnswers('phq9', phq9({ 0: '1' }))).toHaveLength(1);
+    expect(validateAnswers('bdi', [])[0]).toMatch(/Unknown/);
+  });
+});
+
+describe('scoreAnswers', () => {
+  test('sums PHQ-9 and GAD-7 into the standard bands', () => {
+    expect(scoreAnswers('phq9', phq9({ 0: 2, 1: 2 }))).toMatchObject({ score: 4, severity: 'minimal' });
+    expect(scoreAnswers('phq9', phq9({ 0: 3, 1: 3, 2: 3, 3: 1 }))).toMatchObject({ score: 10, severity: 'moderate' });
+    expect(scoreAnswers('phq9', Array(9).fill(3))).toMatchObject({ score: 27, max_score: 27, severity: 'severe' });
+    expect(scoreAnswers('gad7', [3, 3, 3, 3, 3, 0, 0]).severity).toBe('severe');
+    expect(scoreAnswers('gad7', [1, 1, 1, 1, 1, 0, 0]).severity_label).toBe('Mild');
+  });
+
+  test('reports WHO-5 as a percentage', () => {
+    expect(scoreAnswers('who5', [5, 5, 5, 5, 5])).toMatchObject({ raw_score: 25, score: 100, severity: 'good' });
+    expect(scoreAnswers('who5', [2, 2, 1, 1, 1])).toMatchObject({ raw_score: 7, score: 28, severity: 'low' });
+  });
+
+  test('flags any endorsement of PHQ-9 item 9, and only that item', () => {
+    expect(scoreAnswers('phq9', phq9({ 8: 1 })).flags).toEqual({ self_harm: 1 });
+    expect(scoreAnswers('phq9', Array(8).fill(3).concat(0)).flags).toEqual({});
+    expect(scoreAnswers('gad7', Array(7).fill(3)).flags).toEqual({});
+  });
+});
+
+describe('compareScores', () => {
+  test('only calls a change meaningful past the instrument threshold', () => {
+    expect(compareScores('phq9', 12, 8)).toEqual({ change: -4, meaningful: false, direction: 'stable' });
+    expect(compareScores('phq9', 12, 6)).toEqual({ change: -6, meaningful: true, direction: 'improved' });
+    expect(compareScores('who5', 40, 56).direction).toBe('improved');
+    expect(compareScores('who5', 56, 40).direction).toBe('worsened');
+    expect(compareScores('gad7', null, 5)).toBeNull();
+  });
+});
+
+test('describeInstrument keeps scoring internals off the wire', () => {
+  const described = describeInstrument('phq9');
+  expect(described).not.toHaveProperty('crisisItem');
+  expect(described.items[8]).toMatchObject({ index: 8 });
+  expect(described.bands).toHaveLength(5);
+});
+
+describe('AssessmentService.submit', () => {
+  const user = { id: 'u1', timezone: 'UTC' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  function mockStore(previousScore) {
+    mockQuery
+      .mockResolvedValueOnce({ rows: previousScore == null ? [] : [{ score: previousScore }] })
+      .mockImplementationOnce(async (sql, params) => ({
+        rows: [{ id: 'a1', instrument: params[1], score: params[4], severity: params[5] }]
+      }))
+      .mockResolvedValueOnce({ rows: [] });
+  }
+
+  test('stores the server-side score and compares it with last time', async () => {
+    mockStore(20);
+
+    const result = await AssessmentService.submit(user, 'phq9', phq9({ 0: 3, 1: 3, 2: 3, 3: 1 }));
+
+    const [, params] = mockQuery.mock.calls[1];
+    expect(params.slice(3, 6)).toEqual([10, 10, 'moderate']);
+    expect(mockQuery.mock.calls[2][0]).toMatch(/ON CONFLICT \(user_id, instrument\)/);
+    expect(result.comparison).toEqual({ change: -10, meaningful: true, direction: 'improved' });
+    expect(result.crisis).toBeNull();
+    expect(mockEscalate).not.toHaveBeenCalled();
+  });
+
+  test('escalates item 9 through the crisis pipeline and links the event', async () => {
+    mockStore();
+    mockEscalate.mockResolvedValueOnce({ event_id: 'c1', severity: 'high', resources: [] });
+    mockQuery.mockResolvedValueOnce({ rows: [] });
+
+    const region = { acceptLanguage: 'en-GB' };
+    const result = await AssessmentService.submit(user, 'phq9', phq9({ 8: 2 }), { region });
+
+    expect(mockEscalate).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'u1',
+      source: 'assessment',
+      region,
+      assessment: expect.objectContaining({ severity: 'high', trigger_phrases: ['phq9_item9'] })
+    }));
+    expect(mockQuery.mock.calls[3]).toEqual([expect.stringMatching(/SET crisis_event_id/), ['a1', 'c1']]);
+    expect(result.crisis.event_id).toBe('c1');
+  });
+
+  test('still saves the result and shows resources when escalation fails', async () => {
+    mockStore();
+    mockEscalate.mockRejectedValueOnce(new Error('db down'));
+
+    const region = { acceptLanguage: 'en-GB' };
+    const result = await AssessmentService.submit(user, 'phq9', phq9({ 8: 1 }), { region });
+
+    expect(mockEscalate.mock.calls[0][0].assessment.severity).toBe('medium');
+    expect(result.assessment.id).toBe('a1');
+    expect(mockFallbackSupport).toHaveBeenCalledWith({ severity: 'medium', region });
+    expect(result.crisis).toMatchObject({ event_id: null, severity: 'medium', resources: [{ name: 'Samaritans' }] });
+  });
+});
@@ -0,0 +1,176 @@
+// ============================================================
+// MJ's Superstars - Chat Context Service Tests (ESM)
+// ============================================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+process.env.CONTEXT_TOKEN_BUDGET = '200';
+process.env.EXTENDED_CONTEXT_TOKEN_BUDGET = '2000';
+
+const mockQuery = jest.fn();
+jest.unstable_mockModule('../../database/db.js', () => ({
+  query: mockQuery,
+  default: { query: mockQuery }
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }
+}));
+
+const mockSummarize = jest.fn();
+jest.unstable_mockModule('../../services/claude.js', () => ({
+  ClaudeService: { summarizeHistory: mockSummarize },
+  default: {}
+}));
+
+const { ChatContextService } = await import('../../services/chatContext.js');
+const featureFlags = await import('../../services/featureFlags.js');
+
+const CONV = { id: 'conv-1', summary: null, summarized_until: null };
+
+// 20 alternating turns of ~25 tokens each, oldest first
+const turns = Array.from({ length: 20 }, (_, i) => ({
+  id: `m${i}`,
+  role: i % 2 === 0 ? 'user' : 'assistant',
+  content: `message ${i} `.padEnd(100, '.'),
+  created_at: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString()
+}));
+
+// Walks `rows` newest first like getPath, stopping on the first one at
+// or before `after`
+const mockMessages = (rows) => {
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (!sql.includes('WITH RECURSIVE path')) return { rows: [] };
+    const after = params[3];
+    const walk = [];
+    for (const row of [...rows].reverse()) {
+      walk.push(row);
+      if (after && row.created_at <= after) break;
+    }
+    return { rows: walk };
+  });
+};
+const pathQueries = () => mockQuery.mock.calls.filter(([sql]) => sql.includes('WITH RECURSIVE path'));
+
+describe('ChatContextService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    featureFlags.removeOverride('longer_conversations');
+  });
+
+  test('short conversations are sent whole without summarizing', async () => {
+    mockMessages(turns.slice(0, 4));
+
+    const { history, summary } = await ChatContextService.buildConversationContext({
+      conversation: CONV, user: { id: 'u1' }, message: 'hi'
+    });
+
+    expect(history).toHaveLength(4);
+    expect(history[0]).toEqual({ role: 'user', content: turns[0].content });
+    expect(summary).toBeNull();
+    expect(mockSummarize).not.toHaveBeenCalled();
+  });
+
+  test('overflow is folded into the rolling summary', async () => {
+    mockMessages(turns);
+    mockSummarize.mockResolvedValue('They talked about work stress.');
+
+    const { history, summary } = await ChatContextService.buildConversationContext({
+      conversation: CONV, user: { id: 'u1' }, message: 'hi'
+    });
+
+    expect(summary).toBe('They talked about work stress.');
+    expect(history[0].role).toBe('user');
+    expect(history[history.length - 1].content).toBe(turns[19].content);
+
+    const { messages: folded } = mockSummarize.mock.calls[0][0];
+    expect(folded.length + history.length).toBe(turns.length);
+
+    const update = mockQuery.mock.calls.find(([sql]) => sql.startsWith('UPDATE conversations'));
+    expect(update[1]).toEqual(['conv-1', 'They talked about work stress.', folded[folded.length - 1].id]);
+  });
+
+  test('resumes after the fold when the path runs through it', async () => {
+    mockMessages(turns.slice(0, 12));
+
+    const { history, summary } = await ChatContextService.buildConversationContext({
+      conversation: { ...CONV, summary: 'Earlier notes.', summarized_until: turns[7].created_at },
+      user: { id: 'u1' },
+      message: 'hi'
+    });
+
+    expect(summary).toBe('Earlier notes.');
+    expect(history.map(m => m.content)).toEqual(turns.slice(8, 12).map(m => m.content));
+    expect(pathQueries()).toHaveLength(1);
+  });
+
+  test('an edit before the fold ignores the summary and leaves it alone', async () => {
+    // Turns 0-11, then an edit of turn 12 made after turns 0-15 were folded
+    const edited = { id: 'edit-1', role: 'user', content: 'actually, about turn 12', created_at: '2026-01-02T00:00:00.000Z' };
+    mockMessages([...turns.slice(0, 12), edited]);
+    mockSummarize.mockResolvedValue('Turns 0-5, without the old branch.');
+
+    const { history, summary } = await ChatContextService.buildConversationContext({
+      conversation: { ...CONV, summary: 'Notes about turns 0-15.', summarized_until: turns[15].created_at },
+      user: { id: 'u1' },
+      message: edited.content,
+      upTo: 'edit-1'
+    });
+
+    expect(mockSummarize.mock.calls[0][0]).toEqual({ previousSummary: null, messages: expect.any(Array) });
+    expect(mockSummarize.mock.calls[0][0].messages[0].content).toBe(turns[0].content);
+    expect(summary).toBe('Turns 0-5, without the old branch.');
+    expect(history[history.length - 1].content).toBe(edited.content);
+
+    const [, rebuild] = pathQueries();
+    expect(rebuild[1]).toEqual(['conv-1', 'edit-1', 'conv-1', null, 200]);
+    expect(mockQuery.mock.calls.some(([sql]) => sql.startsWith('UPDATE conversations'))).toBe(false);
+  });
+
+  test('keeps the previous summary when summarizing fails', async () => {
+    mockMessages(turns);
+    mockSummarize.mockResolvedValue(null);
+
+    const { history, summary } = await ChatContextService.buildConversationContext({
+      conversation: { ...CONV, summary: 'Earlier notes.' }, user: { id: 'u1' }, message: 'hi'
+    });
+
+    expect(summary).toBe('Earlier notes.');
+    expect(history.length).toBeGreaterThan(0);
+    expect(mockQuery.mock.calls.some(([sql]) => sql.startsWith('UPDATE conversations'))).toBe(false);
+  });
+
+  test('follows the selected branch, or stops early for regenerate and edit', async () => {
+    mockMessages(turns.slice(0, 4));
+
+    await ChatContextService.buildConversationContext({
+      conversation: { ...CONV, active_branch_id: 'branch-2' }, user: { id: 'u1' }, message: 'hi'
+    });
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('WITH RECURSIVE path');
+    expect(params.slice(0, 3)).toEqual(['conv-1', null, 'branch-2']);
+
+    mockQuery.mockClear();
+    const { history } = await ChatContextService.buildConversationContext({
+      conversation: CONV, user: { id: 'u1' }, message: 'hi', upTo: null
+    });
+    expect(history).toEqual([]);
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  test('premium users with longer_conversations get the extended window', async () => {
+    expect(ChatContextService.getContextBudget({ id: 'u1', is_premium: true })).toBe(200);
+
+    featureFlags.setOverride('longer_conversations', true);
+    expect(ChatContextService.getContextBudget({ id: 'u1', is_premium: true })).toBe(2000);
+
+    mockMessages(turns);
+    const { history } = await ChatContextService.buildConversationContext({
+      conversation: CONV, user: { id: 'u1', is_premium: true }, message: 'hi'
+    });
+    expect(history).toHaveLength(20);
+    expect(mockSummarize).not.toHaveBeenCalled();
+  });
+});
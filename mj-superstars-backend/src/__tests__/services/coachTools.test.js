@@ -0,0 +1,108 @@
+// ============================================================
+// MJ's Superstars - Coach Tools Service Tests (ESM)
+// ============================================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+
+const mockQuery = jest.fn();
+jest.unstable_mockModule('../../database/db.js', () => ({
+  query: mockQuery,
+  transaction: jest.fn(async (callback) => callback({ query: mockQuery })),
+  default: { query: mockQuery }
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }
+}));
+
+const { CoachToolService, COACH_TOOLS } = await import('../../services/coachTools.js');
+
+const pendingAction = (overrides = {}) => ({
+  id: 'action-1',
+  tool_name: 'create_task',
+  input: { title: 'Write the first paragraph', difficulty: 'small' },
+  status: 'pending',
+  ...overrides
+});
+
+describe('CoachToolService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('exposes a Claude tool schema for each action', () => {
+    expect(COACH_TOOLS.map(t => t.name)).toEqual([
+      'create_task', 'log_mood', 'start_coping_exercise', 'set_morning_intention'
+    ]);
+    COACH_TOOLS.forEach(tool => expect(tool.input_schema.type).toBe('object'));
+  });
+
+  test('stores valid tool calls as pending actions and drops invalid ones', async () => {
+    mockQuery.mockImplementation(async (sql, params) => ({ rows: [{ id: 'a1', tool_name: params[3], input: JSON.parse(params[5]) }] }));
+
+    const actions = await CoachToolService.proposeActions({
+      userId: 'u1',
+      conversationId: 'c1',
+      messageId: 'm1',
+      toolCalls: [
+        { id: 't1', name: 'log_mood', input: { mood_score: 2, note: 'rough morning' } },
+        { id: 't2', name: 'log_mood', input: { mood_score: 9 } },
+        { id: 't3', name: 'delete_account', input: {} }
+      ]
+    });
+
+    expect(actions).toHaveLength(1);
+    expect(actions[0].input).toEqual({ mood_score: 2, energy_level: null, anxiety_level: null, note: 'rough morning' });
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+  });
+
+  test('confirming writes the task with user edits applied', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT')) return { rows: [pendingAction()] };
+      if (sql.includes("SET status = 'confirmed'")) return { rows: [{ id: 'action-1' }] };
+      if (sql.includes('INSERT INTO tasks')) return { rows: [{ id: 'task-1', title: 'Write one sentence' }] };
+      if (sql.includes('SET result')) return { rows: [{ id: 'action-1', status: 'confirmed' }] };
+      return { rows: [] };
+    });
+
+    const action = await CoachToolService.confirmAction('u1', 'c1', 'action-1', { title: 'Write one sentence' });
+
+    expect(action.status).toBe('confirmed');
+    const insert = mockQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO tasks'));
+    expect(insert[1].slice(0, 2)).toEqual(['u1', 'Write one sentence']);
+  });
+
+  test('rejects edits that fail validation without writing anything', async () => {
+    mockQuery.mockResolvedValue({ rows: [pendingAction()] });
+
+    await expect(CoachToolService.confirmAction('u1', 'c1', 'action-1', { title: '' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_ACTION' });
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+  });
+
+  test('an already resolved action cannot be confirmed again', async () => {
+    mockQuery.mockResolvedValue({ rows: [pendingAction({ status: 'confirmed' })] });
+
+    await expect(CoachToolService.confirmAction('u1', 'c1', 'action-1'))
+      .rejects.toMatchObject({ statusCode: 409, code: 'ACTION_RESOLVED' });
+  });
+
+  test('coping exercise falls back to a built-in exercise when the user has none', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT') && sql.includes('coach_actions')) {
+        return { rows: [pendingAction({ tool_name: 'start_coping_exercise', input: { category: 'breathing' } })] };
+      }
+      if (sql.includes("SET status = 'confirmed'")) return { rows: [{ id: 'action-1' }] };
+      if (sql.includes('SET result')) return { rows: [{ id: 'action-1', result: {} }] };
+      return { rows: [] };
+    });
+
+    await CoachToolService.confirmAction('u1', 'c1', 'action-1');
+
+    const saved = mockQuery.mock.calls.find(([sql]) => sql.includes('SET result'));
+    expect(JSON.parse(saved[1][1]).tool.name).toBe('4-7-8 Breathing');
+  });
+});
@@ -0,0 +1,120 @@
+// ============================================================
+// MJ's Superstars - Conversation Search Tests (ESM)
+// Runs the service against the in-memory demo database
+// ============================================================
+
+import { jest, describe, test, expect, beforeAll } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+
+const mockDb = await import('../../database/mock-db.js');
+jest.unstable_mockModule('../../database/db.js', () => ({
+  query: mockDb.query,
+  default: { query: mockDb.query }
+}));
+
+const { ConversationSearchService, toSegments, normalizeTags } = await import('../../services/conversationSearch.js');
+const { MessageBranchService } = await import('../../services/messageBranches.js');
+
+const USER = 'user-search';
+
+const addConversation = async ({ title, initialMood, messages, tags }) => {
+  const { rows: [conv] } = await mockDb.query(
+    `INSERT INTO conversations (user_id, title, initial_mood) VALUES ($1, $2, $3)`,
+    [USER, title, initialMood]
+  );
+  for (const [role, content] of messages) {
+    await mockDb.query(
+      `INSERT INTO messages (conversation_id, user_id, role, content) VALUES ($1, $2, $3, $4)`,
+      [conv.id, USER, role, content]
+    );
+  }
+  if (tags) await ConversationSearchService.setTags(USER, conv.id, tags);
+  return conv;
+};
+
+describe('ConversationSearchService (demo database)', () => {
+  let sisterTalk;
+  let workTalk;
+
+  beforeAll(async () => {
+    sisterTalk = await addConversation({
+      title: 'Sunday check-in',
+      initialMood: 2,
+      messages: [
+        ['user', 'My sister is moving to Denver next month and I feel weirdly abandoned'],
+        ['assistant', 'That sounds like a big change. What part of the move is hardest?']
+      ],
+      tags: ['Family', ' family ', 'big changes']
+    });
+    workTalk = await addConversation({
+      title: 'Deadline stress',
+      initialMood: 4,
+      messages: [['user', 'Work is a lot but my sister called and it helped']],
+      tags: ['work']
+    });
+    await mockDb.query(
+      `INSERT INTO conversations (user_id, title, initial_mood) VALUES ($1, $2, $3)`,
+      ['someone-else', 'My sister moved too', 3]
+    );
+  });
+
+  test('finds the conversation about the move and highlights the match', async () => {
+    const { results, total } = await ConversationSearchService.search(USER, { q: "sister's move" });
+
+    expect(total).toBe(2);
+    expect(results[0].id).toBe(sisterTalk.id);
+    expect(results[0].match.role).toBe('user');
+    expect(results[0].highlights.message).toEqual(expect.arrayContaining([
+      { text: 'sister', match: true },
+      { text: 'moving', match: true }
+    ]));
+  });
+
+  test('skips messages that were edited away', async () => {
+    const conv = await addConversation({
+      title: 'Weekend plans',
+      initialMood: 3,
+      messages: [['user', 'Thinking about adopting a greyhound'], ['assistant', 'What draws you to them?']]
+    });
+    const [original] = await MessageBranchService.getPath(conv);
+    await MessageBranchService.startBranch({
+      conversationId: conv.id,
+      userId: USER,
+      parentId: original.parent_id,
+      role: 'user',
+      content: 'Thinking about adopting a beagle'
+    });
+
+    expect((await ConversationSearchService.search(USER, { q: 'greyhound' })).total).toBe(0);
+    const { results } = await ConversationSearchService.search(USER, { q: 'beagle' });
+    expect(results.map(r => r.id)).toEqual([conv.id]);
+  });
+
+  test('filters by mood and tags', async () => {
+    const lowMood = await ConversationSearchService.search(USER, { q: 'sister', moodMax: 3 });
+    const tagged = await ConversationSearchService.search(USER, { tags: ['work'] });
+
+    expect(lowMood.results.map(r => r.id)).toEqual([sisterTalk.id]);
+    expect(tagged.results.map(r => r.id)).toEqual([workTalk.id]);
+    expect(tagged.results[0].highlights).toEqual({ title: null, summary: null, message: null });
+  });
+
+  test('tags are normalized and counted', async () => {
+    expect(normalizeTags(['Family', ' family ', 'big   changes'])).toEqual(['family', 'big changes']);
+    expect(await ConversationSearchService.listTags(USER)).toEqual([
+      { tag: 'big changes', count: 1 },
+      { tag: 'family', count: 1 },
+      { tag: 'work', count: 1 }
+    ]);
+  });
+
+  test('turns highlight markers into segments', () => {
+    expect(toSegments('my ⟦sister⟧ called')).toEqual([
+      { text: 'my ', match: false },
+      { text: 'sister', match: true },
+      { text: ' called', match: false }
+    ]);
+    expect(toSegments('no matches here')).toBeNull();
+  });
+});
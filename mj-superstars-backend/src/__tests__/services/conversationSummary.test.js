@@ -0,0 +1,108 @@
+// ============================================================
+// MJ's Superstars - End-of-Session Summary Tests (ESM)
+// Runs the job against the in-memory demo database and fake coach
+// ============================================================
+
+import { jest, describe, test, expect, beforeAll } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+
+const mockDb = await import('../../database/mock-db.js');
+jest.unstable_mockModule('../../database/db.js', () => ({
+  query: mockDb.query,
+  default: { query: mockDb.query }
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }
+}));
+
+const { ConversationSummaryService, moodDelta } = await import('../../services/conversationSummary.js');
+const { SemanticMemoryService, SOURCE_TYPES } = await import('../../services/semanticMemory.js');
+
+const USER = 'user-summary';
+
+const addConversation = async (initialMood, userMessages) => {
+  const { rows: [conv] } = await mockDb.query(
+    `INSERT INTO conversations (user_id, title, initial_mood) VALUES ($1, $2, $3)`,
+    [USER, null, initialMood]
+  );
+  for (const content of userMessages) {
+    await mockDb.query(
+      `INSERT INTO messages (conversation_id, user_id, role, content) VALUES ($1, $2, $3, $4)`,
+      [conv.id, USER, 'user', content]
+    );
+    await mockDb.query(
+      `INSERT INTO messages (conversation_id, user_id, role, content) VALUES ($1, $2, $3, $4)`,
+      [conv.id, USER, 'assistant', 'That makes sense. Tell me more.']
+    );
+  }
+  return conv;
+};
+
+describe('ConversationSummaryService (demo database)', () => {
+  beforeAll(() => {
+    SemanticMemoryService.setStore('memory');
+  });
+
+  test('writes title, summary, topics and mood delta, and indexes the summary', async () => {
+    const conv = await addConversation(2, [
+      'My boss moved the deadline again and work is piling up',
+      'My sister keeps calling about mom and I have no time',
+      'Talking it through helped, I finished the report and feel proud'
+    ]);
+
+    const { conversation } = await ConversationSummaryService.process({ conversationId: conv.id, userId: USER });
+
+    expect(conversation).toMatchObject({
+      title: 'Talking through work and family',
+      topics: ['work', 'family'],
+      final_mood: 4,
+      mood_delta: 2,
+      thread_id: null
+    });
+    const indexed = await SemanticMemoryService.search(USER, 'deadlines at work', {
+      sourceTypes: [SOURCE_TYPES.CONVERSATION_SUMMARY]
+    });
+    expect(indexed.map(r => r.source_id)).toContain(conv.id);
+  });
+
+  test('links a related conversation into a thread and leaves unrelated ones alone', async () => {
+    const first = await addConversation(3, ['Another rough week at work, my manager and my dad are both on my case']);
+    await ConversationSummaryService.process({ conversationId: first.id, userId: USER });
+
+    const related = await addConversation(3, ['Work stress again and my family does not get it']);
+    const unrelated = await addConversation(3, ['I could not sleep at all, awake until 4']);
+
+    const { conversation: threaded } = await ConversationSummaryService.process({ conversationId: related.id, userId: USER });
+    const { conversation: alone } = await ConversationSummaryService.process({ conversationId: unrelated.id, userId: USER });
+
+    expect(threaded.thread_id).toBeTruthy();
+    const thread = (await mockDb.query('SELECT * FROM conversations', [USER])).rows
+      .filter(c => c.thread_id === threaded.thread_id);
+    expect(thread.length).toBeGreaterThanOrEqual(2);
+    expect(alone.thread_id).toBeNull();
+    expect(alone.topics).toEqual(['sleep']);
+  });
+
+  test('keeps a summary the user wrote and skips missing conversations', async () => {
+    const conv = await addConversation(3, ['Just checking in today']);
+    conv.summary = 'My own notes'; // the demo store hands back live rows
+
+    const { conversation } = await ConversationSummaryService.process({ conversationId: conv.id, userId: USER, keepSummary: true });
+    const missing = await ConversationSummaryService.process({ conversationId: conv.id, userId: 'someone-else' });
+
+    expect(conversation.summary).toBe('My own notes');
+    expect(missing).toEqual({ skipped: 'not_found' });
+  });
+
+  test('mood delta prefers check-in moods over detected ones', () => {
+    const messages = [{ mood_detected: 2 }, { mood_detected: null }, { mood_detected: 3 }];
+
+    expect(moodDelta({ initial_mood: null, final_mood: null }, messages)).toBe(1);
+    expect(moodDelta({ initial_mood: 1, final_mood: 5 }, messages, 3)).toBe(4);
+    expect(moodDelta({ initial_mood: 2, final_mood: null }, [], 4)).toBe(2);
+    expect(moodDelta({ initial_mood: null, final_mood: 4 }, [])).toBeNull();
+  });
+});
@@ -0,0 +1,116 @@
+// ============================================================
+// MJ's Superstars - Correlation Engine Tests (ESM)
+// ============================================================
+
+import { jest, describe, test, expect } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+
+const mockQuery = jest.fn();
+jest.unstable_mockModule('../../database/db.js', () => ({
+  query: mockQuery,
+  transaction: jest.fn(),
+  default: { query: mockQuery }
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }
+}));
+
+const { findCorrelations, sameDayFindings } = await import('../../services/correlations.js');
+const { welchTest, pairedTest, tCritical, benjaminiHochberg } = await import('../../services/stats.js');
+const { shiftDate } = await import('../../services/localDay.js');
+
+// One entry a day for `count` days, mood and tags from the day index
+function entries(count, build) {
+  return Array.from({ length: count }, (_, i) => ({
+    date: shiftDate('2026-03-01', i),
+    activities: [],
+    triggers: [],
+    ...build(i)
+  }));
+}
+
+// A little day-to-day noise so nothing is perfectly separated
+const wobble = (i) => [0, 0.5, -0.5, 0, 0.5][i % 5];
+
+describe('stats', () => {
+  test('matches the t table', () => {
+    expect(tCritical(10)).toBeCloseTo(2.228, 3);
+    expect(tCritical(1e6)).toBeCloseTo(1.96, 2);
+  });
+
+  test('compares groups and before/after pairs', () => {
+    const welch = welchTest([4, 5, 4, 5, 4, 5], [2, 3, 2, 3, 3, 2]);
+    expect(welch.difference).toBe(2);
+    expect(welch.ci_low).toBeGreaterThan(0);
+    expect(welch.p_value).toBeLessThan(0.001);
+
+    const paired = pairedTest([1, 2, 3, 4, 5].map(before => ({ before, after: before })));
+    expect(paired.mean_change).toBe(0);
+    expect(paired.p_value).toBeCloseTo(1, 5);
+  });
+
+  test('adjusts p-values for the number of tests', () => {
+    expect(benjaminiHochberg([0.01, 0.04, 0.03, 0.5])).toEqual([0.04, expect.closeTo(0.0533, 3), expect.closeTo(0.0533, 3), 0.5]);
+  });
+});
+
+describe('findCorrelations', () => {
+  test('surfaces an activity that reliably goes with better days', () => {
+    const result = findCorrelations({
+      entries: entries(40, i => (i % 3 === 0
+        ? { mood_score: 4.5 + wobble(i) / 2, activities: ['exercise'] }
+        : { mood_score: 3 + wobble(i) }))
+    });
+
+    const [exercise] = sameDayFindings(result.findings, 'activity', 'better');
+    expect(exercise).toMatchObject({ factor: 'exercise', lag_days: 0 });
+    expect(exercise.ci_low).toBeGreaterThan(0);
+    expect(exercise.q_value).toBeLessThanOrEqual(0.05);
+  });
+
+  test('ignores raw averages that do not hold up', () => {
+    // "reading" only on three good days; "walking" every other day,
+    // unrelated to mood
+    const result = findCorrelations({
+      entries: entries(30, i => ({
+        mood_score: 3 + [0, 1, -1][i % 3],
+        activities: [...([1, 7, 13].includes(i) ? ['reading'] : []), ...(i % 2 ? ['walking'] : [])]
+      }))
+    });
+
+    expect(result.tests_run).toBeGreaterThan(0);
+    expect(result.findings).toEqual([]);
+  });
+
+  test('finds next-day effects of a trigger', () => {
+    const result = findCorrelations({
+      entries: entries(45, i => ({
+        mood_score: (i - 1) % 4 === 0 ? 2 + wobble(i) / 2 : 4 + wobble(i) / 2,
+        triggers: i % 4 === 0 ? ['poor_sleep'] : []
+      }))
+    });
+
+    const lagged = result.findings.find(f => f.kind === 'trigger' && f.lag_days === 1);
+    expect(lagged).toMatchObject({ factor: 'poor_sleep', direction: 'worse' });
+  });
+
+  test('measures coping tools and task completions before vs. after', () => {
+    const lift = (n, step) => Array.from({ length: n }, (_, i) => ({ before: 2 + (i % 2), after: 2 + (i % 2) + step }));
+
+    const result = findCorrelations({
+      entries: entries(10, i => ({ mood_score: 3 + wobble(i) })),
+      copingUses: [
+        ...lift(8, 1).map(p => ({ tool_id: 't1', name: 'Box breathing', mood_before: p.before, mood_after: p.after })),
+        ...lift(8, 0).map(p => ({ tool_id: 't2', name: 'Journaling', mood_before: p.before, mood_after: p.after }))
+      ],
+      taskCompletions: lift(6, 1).map((p, i) => ({ date: shiftDate('2026-03-01', i), mood_before: p.before, mood_after: p.after, category: 'self_care' }))
+    });
+
+    expect(result.findings.find(f => f.kind === 'coping_tool')).toMatchObject({ factor: 'Box breathing', tool_id: 't1', mean_change: 1 });
+    expect(result.findings.find(f => f.factor === 'Journaling')).toBeUndefined();
+    expect(result.findings.filter(f => f.kind === 'task_completion').map(f => f.factor).sort()).toEqual(['all', 'self_care']);
+  });
+});
@@ -0,0 +1,144 @@
+// ============================================================
+// MJ's Superstars - Crisis Pipeline Tests (ESM)
+// ============================================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+
+const mockQuery = jest.fn();
+jest.unstable_mockModule('../../database/db.js', () => ({
+  query: mockQuery,
+  default: { query: mockQuery }
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }
+}));
+
+const mockDetectCrisis = jest.fn();
+jest.unstable_mockModule('../../services/claude.js', () => ({
+  ClaudeService: { detectCrisis: mockDetectCrisis },
+  default: {}
+}));
+
+const { CrisisService, screenMessage } = await import('../../services/crisis.js');
+
+const SAFETY_PLAN = {
+  user_id: 'u1',
+  reasons_for_living: ['my dog Biscuit'],
+  support_contacts: [{ name: 'Sam', phone: '555-0100', relationship: 'sister' }],
+  crisis_lines: [{ name: 'My therapist', contact: '555-0199' }]
+};
+
+const mockDb = ({ plan = null } = {}) => {
+  mockQuery.mockImplementation(async (sql) => {
+    if (sql.includes('FROM safety_plans')) return { rows: plan ? [plan] : [] };
+    if (sql.includes('INSERT INTO crisis_events')) return { rows: [{ id: 'event-1' }] };
+    return { rows: [] };
+  });
+};
+
+describe('screenMessage', () => {
+  test('scores the most severe phrase found', () => {
+    expect(screenMessage('I feel hopeless and want to die').severity).toBe('high');
+    expect(screenMessage("I'm going to kill myself tonight").severity).toBe('critical');
+    expect(screenMessage('I’ve been cutting myself again').triggers).toContain('cutting myself');
+    expect(screenMessage('This deadline is killing me lol').severity).toBe('none');
+  });
+});
+
+describe('CrisisService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('ordinary messages skip the classifier and the database', async () => {
+    const crisis = await CrisisService.evaluate({ message: 'Rough day at work', userId: 'u1', source: 'chat' });
+
+    expect(crisis).toBeNull();
+    expect(mockDetectCrisis).not.toHaveBeenCalled();
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  test('the classifier can raise severity but not lower it', async () => {
+    mockDetectCrisis.mockResolvedValueOnce({ is_crisis: true, severity: 'critical', indicators: ['plan mentioned'] });
+    expect((await CrisisService.assess('I feel hopeless')).severity).toBe('critical');
+
+    mockDetectCrisis.mockResolvedValueOnce({ is_crisis: false, severity: 'none', indicators: [] });
+    const assessment = await CrisisService.assess('I want to die');
+    expect(assessment.severity).toBe('high');
+    expect(assessment.is_crisis).toBe(true);
+  });
+
+  test('low-level signals are not escalated', async () => {
+    mockDetectCrisis.mockResolvedValue({ is_crisis: false, severity: 'low', indicators: [] });
+
+    const crisis = await CrisisService.evaluate({ message: 'I feel worthless today', userId: 'u1', source: 'chat' });
+
+    expect(crisis).toBeNull();
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  test('escalation records the event, activates the safety plan and schedules a follow-up', async () => {
+    mockDb({ plan: SAFETY_PLAN });
+    mockDetectCrisis.mockResolvedValue({ is_crisis: true, severity: 'high', indicators: [] });
+
+    const crisis = await CrisisService.evaluate({
+      message: "I don't want to live anymore",
+      userId: 'u1',
+      conversationId: 'c1',
+      messageId: 'm1',
+      source: 'chat'
+    });
+
+    expect(crisis.event_id).toBe('event-1');
+    expect(crisis.severity).toBe('high');
+    expect(crisis.safety_plan.reasons_for_living).toEqual(['my dog Biscuit']);
+    expect(crisis.resources[0].name).toBe('My therapist');
+    expect(new Date(crisis.follow_up_at).getTime()).toBeGreaterThan(Date.now());
+
+    const [, params] = mockQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO crisis_events'));
+    expect(params.slice(0, 5)).toEqual(['u1', 'c1', 'm1', 'chat', 'high']);
+    expect(JSON.parse(params[5])).toContain("don't want to live");
+    expect(params[9]).toBe(true);
+  });
+
+  test('guests get resources but no follow-up', async () => {
+    mockDb();
+    mockDetectCrisis.mockResolvedValue({ is_crisis: true, severity: 'high', indicators: [] });
+
+    const crisis = await CrisisService.evaluate({
+      message: 'thinking about suicide',
+      source: 'guest',
+      region: { timezone: 'Europe/London' }
+    });
+
+    expect(crisis.country).toBe('GB');
+    expect(crisis.resources[0].name).toBe('Samaritans');
+    expect(crisis.safety_plan).toBeNull();
+    expect(crisis.follow_up_at).toBeNull();
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes('FROM safety_plans'))).toBe(false);
+  });
+
+  test('resources are still returned when the event cannot be recorded', async () => {
+    mockQuery.mockRejectedValue(new Error('db down'));
+    mockDetectCrisis.mockResolvedValue({ is_crisis: true, severity: 'high', indicators: [] });
+
+    const crisis = await CrisisService.evaluate({ message: 'I want to end my life', userId: 'u1', source: 'socket' });
+
+    expect(crisis.event_id).toBeNull();
+    expect(crisis.resources.length).toBeGreaterThan(0);
+  });
+
+  test('fallback support comes from the built-in directory and records nothing', async () => {
+    mockQuery.mockRejectedValue(new Error('db down'));
+
+    const crisis = await CrisisService.fallbackSupport({ severity: 'high', region: { locale: 'en-GB' } });
+
+    expect(crisis).toMatchObject({ event_id: null, severity: 'high', country: 'GB', safety_plan: null, follow_up_at: null });
+    expect(crisis.resources[0].name).toBe('Samaritans');
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO crisis_events'))).toBe(false);
+  });
+});
@@ -0,0 +1,79 @@
+// ============================================================
+// MJ's Superstars - Crisis Resource Directory Tests (ESM)
+// ============================================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+
+const mockQuery = jest.fn();
+jest.unstable_mockModule('../../database/db.js', () => ({
+  query: mockQuery,
+  default: { query: mockQuery }
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }
+}));
+
+const { CrisisResourceService } = await import('../../services/crisisResources.js');
+const { DIRECTORY_VERSION } = await import('../../services/crisisDirectory.js');
+
+describe('CrisisResourceService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CrisisResourceService.clearCache();
+    mockQuery.mockResolvedValue({ rows: [] });
+  });
+
+  test('locale region wins over timezone, which wins over Accept-Language', () => {
+    expect(CrisisResourceService.resolveRegion({ locale: 'en-GB', timezone: 'America/Chicago' }))
+      .toEqual({ country: 'GB', language: 'en' });
+    expect(CrisisResourceService.resolveRegion({ timezone: 'Australia/Perth', acceptLanguage: 'fr-FR,fr;q=0.9' }))
+      .toEqual({ country: 'AU', language: 'fr' });
+    expect(CrisisResourceService.resolveRegion({ acceptLanguage: 'es-MX' }))
+      .toEqual({ country: 'MX', language: 'es' });
+  });
+
+  test('picks lines in the user\'s language and ends with the emergency number', async () => {
+    const { country, resources, version } = await CrisisResourceService.getResources({ locale: 'es-US' });
+
+    expect(country).toBe('US');
+    expect(version).toBe(DIRECTORY_VERSION);
+    expect(resources.map(r => r.name)).toEqual([
+      '988 Lifeline en Español', '988 Lifeline en Español (texto)', 'Emergency services'
+    ]);
+    expect(resources[resources.length - 1].contact).toBe('911');
+  });
+
+  test('falls back to the international directory for uncovered regions', async () => {
+    const { country, resources } = await CrisisResourceService.getResources({ timezone: 'Asia/Tokyo' });
+
+    expect(country).toBeNull();
+    expect(resources[0].name).toBe('Find A Helpline');
+  });
+
+  test('admin edits replace the built-in entry for that country', async () => {
+    mockQuery.mockResolvedValue({
+      rows: [{
+        country: 'GB',
+        version: 3,
+        data: { name: 'United Kingdom', emergency: '999', resources: [{ name: 'Papyrus HOPELINE247', type: 'hotline', contact: '0800 068 4141', languages: ['en'] }] }
+      }]
+    });
+
+    const { resources, version, source } = await CrisisResourceService.getResources({ locale: 'en-GB' });
+
+    expect(source).toBe('admin');
+    expect(version).toBe(3);
+    expect(resources[0].name).toBe('Papyrus HOPELINE247');
+  });
+
+  test('rejects malformed entries', () => {
+    expect(CrisisResourceService.validateEntry({ name: 'X', resources: [] }))
+      .toContain('resources must be a non-empty array');
+    expect(CrisisResourceService.validateEntry({ name: 'X', resources: [{ name: 'Line', contact: '1', type: 'fax' }] }))
+      .toEqual(['resources[0].type must be one of hotline, text, chat']);
+  });
+});
@@ -0,0 +1,53 @@
+// ============================================================
+// MJ's Superstars - Emotion Taxonomy Tests (ESM)
+// ============================================================
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  EMOTION_WHEEL,
+  validateEmotions,
+  validateBodySensations,
+  normalizeEmotions,
+  normalizeBodySensations
+} from '../../services/emotions.js';
+
+describe('emotion taxonomy', () => {
+  test('no feeling sits under two core emotions', () => {
+    const feelings = Object.values(EMOTION_WHEEL).flat();
+    expect(new Set(feelings).size).toBe(feelings.length);
+  });
+
+  test('accepts feelings from the wheel', () => {
+    expect(validateEmotions([
+      { primary: 'fearful', secondary: 'anxious', intensity: 4 },
+      { primary: 'sad' }
+    ])).toEqual([]);
+    expect(validateBodySensations(['tight_chest', 'racing_heart'])).toEqual([]);
+  });
+
+  test('rejects unknown emotions, mismatched feelings and bad intensities', () => {
+    expect(validateEmotions([{ primary: 'hungry' }])[0]).toMatch(/primary must be one of/);
+    expect(validateEmotions([{ primary: 'happy', secondary: 'anxious' }])[0]).toBe(
+      'emotions[0].secondary "anxious" is not a kind of happy'
+    );
+    expect(validateEmotions([{ primary: 'angry', intensity: 9 }])[0]).toMatch(/intensity/);
+    expect(validateEmotions('sad')).toEqual(['emotions must be an array']);
+    expect(validateEmotions(Array(6).fill({ primary: 'sad' }))).toEqual(['At most 5 emotions per entry']);
+    expect(validateBodySensations(['tight_chest', 'glowing'])).toEqual(['Unknown body sensations: glowing']);
+  });
+
+  test('normalizes to one entry per feeling with a default intensity', () => {
+    expect(normalizeEmotions([
+      { primary: 'fearful', secondary: 'anxious', intensity: 2 },
+      { primary: 'fearful', secondary: 'anxious', intensity: 5 },
+      { primary: 'happy', secondary: 'anxious' },
+      { primary: 'hungry' },
+      null
+    ])).toEqual([
+      { primary: 'fearful', secondary: 'anxious', intensity: 5 },
+      { primary: 'happy', secondary: null, intensity: 3 }
+    ]);
+    expect(normalizeEmotions(undefined)).toEqual([]);
+    expect(normalizeBodySensations(['nausea', 'nausea', 'glowing'])).toEqual(['nausea']);
+  });
+});
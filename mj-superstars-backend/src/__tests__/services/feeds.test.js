@@ -0,0 +1,198 @@
+// ============================================================
+// MJ's Superstars - Feed Ingestion Tests (ESM)
+// ============================================================
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+
+const mockQuery = jest.fn();
+jest.unstable_mockModule('../../database/db.js', () => ({
+  query: mockQuery,
+  default: { query: mockQuery }
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }
+}));
+
+const { parseFeed } = await import('../../services/feeds/parser.js');
+const { screenHeadline } = await import('../../services/feeds/safety.js');
+const { FeedIngestService } = await import('../../services/feedIngest.js');
+
+const RSS = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>Health &amp; Wellbeing</title>
+    <atom:link href="https://example.com/feed" rel="self"/>
+    <item>
+      <title><![CDATA[Walking <b>daily</b> lifts mood]]></title>
+      <link>https://example.com/walking</link>
+      <atom:link href="https://example.com/ignored"/>
+      <description>&lt;p&gt;Ten minutes is enough &amp;mdash; study&lt;/p&gt;</description>
+      <guid isPermaLink="false">walk-1</guid>
+      <pubDate>Mon, 05 Oct 2026 09:00:00 GMT</pubDate>
+    </item>
+    <item><description>No title, skipped</description></item>
+  </channel>
+</rss>`;
+
+const ATOM = `<feed xmlns="http://www.w3.org/2005/Atom">
+  <title type="text">Mind News</title>
+  <entry>
+    <id>tag:example.com,2026:sleep</id>
+    <title>Sleep and anxiety</title>
+    <link rel="self" href="https://example.com/api/sleep"/>
+    <link rel="alternate" href="https://example.com/sleep"/>
+    <updated>2026-10-01T12:00:00Z</updated>
+    <summary type="html">&lt;em&gt;Better&lt;/em&gt; rest</summary>
+  </entry>
+</feed>`;
+
+const JSON_FEED = JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: 'Calm Daily',
+  items: [{ id: 42, title: 'Breathing basics', content_html: '<p>Box breathing</p>', url: 'https://example.com/breathe', date_published: '3000-01-01T00:00:00Z' }]
+});
+
+const feedRow = (overrides = {}) => ({
+  id: 'feed-1',
+  url: 'https://example.com/feed',
+  is_active: true,
+  fetch_interval_minutes: 240,
+  consecutive_failures: 0,
+  last_fetched_at: null,
+  etag: null,
+  last_modified: null,
+  ...overrides
+});
+
+const response = (status, body = '', headers = {}) => new Response(status === 304 ? null : body, { status, headers });
+
+describe('Feed parser', () => {
+  test('reads RSS 2.0 items as plain text, preferring the article link', () => {
+    const feed = parseFeed(RSS);
+
+    expect(feed.format).toBe('rss');
+    expect(feed.title).toBe('Health & Wellbeing');
+    expect(feed.items).toEqual([{
+      guid: 'walk-1',
+      title: 'Walking daily lifts mood',
+      summary: 'Ten minutes is enough — study',
+      link: 'https://example.com/walking',
+      published_at: '2026-10-05T09:00:00.000Z'
+    }]);
+  });
+
+  test('reads Atom entries using the alternate link', () => {
+    const [entry] = parseFeed(ATOM).items;
+
+    expect(entry).toMatchObject({
+      guid: 'tag:example.com,2026:sleep',
+      title: 'Sleep and anxiety',
+      summary: 'Better rest',
+      link: 'https://example.com/sleep'
+    });
+  });
+
+  test('reads JSON Feed and drops publish dates from the future', () => {
+    const feed = parseFeed(JSON_FEED, { contentType: 'application/feed+json' });
+
+    expect(feed.format).toBe('json');
+    expect(feed.items[0]).toMatchObject({ guid: '42', summary: 'Box breathing', published_at: null });
+  });
+
+  test('rejects documents that are not feeds', () => {
+    expect(() => parseFeed('<html><body>Oops</body></html>')).toThrow('Not a feed');
+    expect(() => parseFeed('{"items": []}')).toThrow('Not a JSON Feed');
+  });
+});
+
+describe('Headline safety screen', () => {
+  test('filters distressing headlines and says why', () => {
+    expect(screenHeadline({ title: 'Suicide prevention funding rises' })).toEqual({ safe: false, reason: 'suicide_self_harm' });
+    expect(screenHeadline({ title: 'Local news', summary: 'Earthquake leaves thousands homeless' }).reason).toBe('death_disaster');
+    expect(screenHeadline({ title: 'Gardening may ease stress' })).toEqual({ safe: true, reason: null });
+  });
+});
+
+describe('FeedIngestService', () => {
+  const realFetch = global.fetch;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQuery.mockResolvedValue({ rows: [] });
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  test('sends cache validators and treats 304 as a healthy fetch', async () => {
+    global.fetch = jest.fn().mockResolvedValue(response(304));
+
+    const outcome = await FeedIngestService.refreshFeed(feedRow({ etag: '"abc"', last_modified: 'Mon, 05 Oct 2026 09:00:00 GMT' }));
+
+    expect(outcome.status).toBe('not_modified');
+    const { headers } = global.fetch.mock.calls[0][1];
+    expect(headers['If-None-Match']).toBe('"abc"');
+    expect(headers['If-Modified-Since']).toBe('Mon, 05 Oct 2026 09:00:00 GMT');
+
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('consecutive_failures = 0');
+    expect(params).toEqual(['feed-1', 304, '"abc"', 'Mon, 05 Oct 2026 09:00:00 GMT', null]);
+  });
+
+  test('stores new items with their safety verdict and saves the new ETag', async () => {
+    global.fetch = jest.fn().mockResolvedValue(response(200, RSS.replace('Walking', 'Murder trial:'), {
+      'content-type': 'application/rss+xml',
+      etag: '"v2"'
+    }));
+    mockQuery.mockImplementation(async (sql) => (sql.includes('INSERT INTO feed_items') ? { rows: [{ id: 'item-1' }] } : { rows: [] }));
+
+    const outcome = await FeedIngestService.refreshFeed(feedRow());
+
+    expect(outcome).toMatchObject({ status: 'updated', new_items: 1 });
+    const insert = mockQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO feed_items'))[1];
+    expect(insert.slice(-2)).toEqual([false, 'violence']);
+    const update = mockQuery.mock.calls.find(([sql]) => sql.includes('UPDATE feeds'))[1];
+    expect(update).toEqual(['feed-1', 200, '"v2"', null, 'rss']);
+  });
+
+  test('records failures, degrades health and backs off', async () => {
+    global.fetch = jest.fn().mockResolvedValue(response(503, 'down'));
+
+    const outcome = await FeedIngestService.refreshFeed(feedRow());
+    expect(outcome).toMatchObject({ status: 'failed', error: 'HTTP 503' });
+    expect(mockQuery.mock.calls[0][0]).toContain('consecutive_failures = consecutive_failures + 1');
+
+    const lastFetched = new Date('2026-10-10T00:00:00Z');
+    expect(FeedIngestService.health(feedRow({ last_fetched_at: lastFetched, consecutive_failures: 1 }))).toBe('degraded');
+    expect(FeedIngestService.health(feedRow({ last_fetched_at: lastFetched, consecutive_failures: 3 }))).toBe('failing');
+    expect(FeedIngestService.health(feedRow({ is_active: false }))).toBe('paused');
+
+    // Two failures on a 4h interval wait 16h; a long streak is capped at a day
+    mockQuery.mockResolvedValueOnce({
+      rows: [
+        feedRow({ id: 'a', last_fetched_at: lastFetched, consecutive_failures: 2 }),
+        feedRow({ id: 'b', last_fetched_at: lastFetched, consecutive_failures: 9 })
+      ]
+    });
+    const outcomes = await FeedIngestService.refreshDue(new Date('2026-10-10T15:00:00Z'));
+    expect(outcomes).toEqual([]);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    mockQuery.mockResolvedValueOnce({
+      rows: [feedRow({ id: 'b', last_fetched_at: lastFetched, consecutive_failures: 9 })]
+    });
+    await FeedIngestService.refreshDue(new Date('2026-10-11T00:00:00Z'));
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('validates feed definitions', () => {
+    expect(FeedIngestService.validateFeed({ url: 'https://example.com/rss', label: 'Calm', category: 'wellness' })).toEqual([]);
+    expect(FeedIngestService.validateFeed({ url: 'ftp://example.com', label: '', category: 'Bad Category' })).toHaveLength(3);
+    expect(FeedIngestService.validateFeed({ fetch_interval_minutes: 5 }, { partial: true })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,130 @@
+// ============================================================
+// MJ's Superstars - Insight Analyzer Tests (ESM)
+// ============================================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+
+const mockQuery = jest.fn();
+jest.unstable_mockModule('../../database/db.js', () => ({
+  query: mockQuery,
+  transaction: jest.fn(),
+  default: { query: mockQuery }
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }
+}));
+
+const mockSendToUser = jest.fn().mockResolvedValue({ sent: 1 });
+jest.unstable_mockModule('../../services/notifications.js', () => ({
+  NotificationService: { sendToUser: mockSendToUser },
+  default: { sendToUser: mockSendToUser }
+}));
+
+const { detectAnomalies, InsightAnalyzer } = await import('../../services/insightAnalyzer.js');
+const { shiftDate, localTime } = await import('../../services/localDay.js');
+
+const TODAY = '2026-03-10';
+const wobble = (i) => [0, 0.5, -0.5, 0, 0.5, -0.5, 0][i % 7];
+
+// Daily moods for the `count` days ending today; `moodFor(daysAgo)`
+function history(count, moodFor) {
+  return Array.from({ length: count }, (_, i) => {
+    const daysAgo = count - 1 - i;
+    return { date: shiftDate(TODAY, -daysAgo), avg_mood: moodFor(daysAgo) };
+  });
+}
+
+const types = (findings) => findings.map(f => f.type).sort();
+
+describe('detectAnomalies', () => {
+  test('finds nothing in a steady month', () => {
+    const daily = history(40, d => 3.5 + wobble(d));
+    expect(detectAnomalies({ daily, today: TODAY })).toEqual([]);
+  });
+
+  test('spots a sustained decline over the last three weeks', () => {
+    const daily = history(40, d => (d < 21 ? 2 + d * 0.1 : 4) + wobble(d) / 2);
+    const [decline] = detectAnomalies({ daily, today: TODAY }).filter(f => f.type === 'mood_decline');
+
+    expect(decline.date).toBe(TODAY);
+    expect(decline.data.slope_per_week).toBeLessThan(-0.5);
+    expect(decline.data.p_value).toBeLessThan(0.05);
+  });
+
+  test('spots a sudden drop against the usual range, keyed to that day', () => {
+    const daily = history(30, d => (d === 1 ? 1 : 4 + wobble(d) / 2)).filter(d => d.date !== TODAY);
+    const findings = detectAnomalies({ daily, today: TODAY });
+
+    expect(types(findings)).toEqual(['mood_drop']);
+    expect(findings[0]).toMatchObject({ date: shiftDate(TODAY, -1), data: { mood: 1 } });
+  });
+
+  test('spots a week clearly better than the month before', () => {
+    const daily = history(35, d => (d < 7 ? 4.5 : 3) + wobble(d) / 2);
+    expect(types(detectAnomalies({ daily, today: TODAY }))).toEqual(['good_stretch']);
+  });
+
+  test('notices a regular user going quiet, counting conversations as activity', () => {
+    const daily = history(35, d => 3.5 + wobble(d)).filter((d, i) => i < 28 && i % 2 === 0);
+    const quiet = detectAnomalies({ daily, today: TODAY });
+    expect(types(quiet)).toEqual(['engagement_drop']);
+    expect(quiet[0].data.active_days_this_week).toBe(0);
+
+    const chatting = detectAnomalies({
+      daily,
+      activeDays: [shiftDate(TODAY, -1), shiftDate(TODAY, -3)],
+      today: TODAY
+    });
+    expect(chatting).toEqual([]);
+  });
+});
+
+describe('InsightAnalyzer.analyzeUser', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // A drop on the user's local today
+  function mockDropHistory() {
+    const today = localTime('UTC').date;
+    const daily = Array.from({ length: 20 }, (_, i) => ({
+      date: shiftDate(today, -i),
+      avg_mood: i === 0 ? 1 : 4
+    }));
+    mockQuery
+      .mockResolvedValueOnce({ rows: daily })
+      .mockResolvedValueOnce({ rows: [] });
+    return today;
+  }
+
+  test('stores a new finding with its evidence and pushes it', async () => {
+    const today = mockDropHistory();
+    mockQuery.mockResolvedValueOnce({ rows: [{ id: 'i1', insight_type: 'mood_drop' }] });
+
+    const created = await InsightAnalyzer.analyzeUser({ id: 'u1', timezone: 'UTC' }, { notify: true });
+
+    expect(created).toHaveLength(1);
+    const [sql, params] = mockQuery.mock.calls[2];
+    expect(sql).toMatch(/ON CONFLICT \(user_id, dedupe_key\) DO NOTHING/);
+    expect(params[1]).toBe('mood_drop');
+    expect(JSON.parse(params[4])).toMatchObject({ mood: 1, date: today });
+    expect(params[5]).toBe(`mood_drop:${today}`);
+    expect(mockSendToUser).toHaveBeenCalledWith('u1', expect.any(Object), expect.objectContaining({ type: 'insight', insightId: 'i1' }));
+  });
+
+  test('stays quiet when the finding is already stored or pushes are off', async () => {
+    mockDropHistory();
+    mockQuery.mockResolvedValueOnce({ rows: [] });
+    expect(await InsightAnalyzer.analyzeUser({ id: 'u1', timezone: 'UTC' }, { notify: true })).toEqual([]);
+
+    mockDropHistory();
+    mockQuery.mockResolvedValueOnce({ rows: [{ id: 'i2' }] });
+    await InsightAnalyzer.analyzeUser({ id: 'u1', timezone: 'UTC' });
+
+    expect(mockSendToUser).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,176 @@
+// ============================================================
+// MJ's Superstars - LLM Provider Layer Tests (ESM)
+// ============================================================
+
+import { jest, describe, test, expect, afterEach } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }
+}));
+
+jest.unstable_mockModule('../../services/trending.js', () => ({
+  TrendingService: { getTrendingSummary: jest.fn().mockResolvedValue(null) },
+  default: { getTrendingSummary: jest.fn().mockResolvedValue(null) }
+}));
+
+const userContext = { userName: 'Test' };
+
+const { getProvider, setProvider } = await import('../../services/llm/index.js');
+const { classifyIntent } = await import('../../services/llm/fakeCoach.js');
+const { default: ClaudeService } = await import('../../services/claude.js');
+
+describe('LLM provider layer', () => {
+  afterEach(() => {
+    delete process.env.LLM_PROVIDER;
+    setProvider(null);
+  });
+
+  test('falls back to the fake coach under Jest', () => {
+    expect(getProvider().name).toBe('fake');
+  });
+
+  test('never serves the fake coach outside tests and demo mode', () => {
+    const { NODE_ENV, ANTHROPIC_API_KEY } = process.env;
+    try {
+      process.env.NODE_ENV = 'production';
+      delete process.env.ANTHROPIC_API_KEY;
+      expect(getProvider().name).toBe('anthropic');
+
+      setProvider(null);
+      process.env.ANTHROPIC_API_KEY = 'demo-mode';
+      expect(getProvider().name).toBe('fake');
+    } finally {
+      process.env.NODE_ENV = NODE_ENV;
+      if (ANTHROPIC_API_KEY === undefined) delete process.env.ANTHROPIC_API_KEY;
+      else process.env.ANTHROPIC_API_KEY = ANTHROPIC_API_KEY;
+    }
+  });
+
+  test('unconfigured Claude rejects calls instead of answering', async () => {
+    const { ANTHROPIC_API_KEY } = process.env;
+    delete process.env.ANTHROPIC_API_KEY;
+    process.env.LLM_PROVIDER = 'anthropic';
+    try {
+      await expect(getProvider().complete({ messages: [] })).rejects.toThrow(/not configured/);
+    } finally {
+      if (ANTHROPIC_API_KEY !== undefined) process.env.ANTHROPIC_API_KEY = ANTHROPIC_API_KEY;
+    }
+  });
+
+  test('honors LLM_PROVIDER and rejects unknown names', () => {
+    process.env.LLM_PROVIDER = 'anthropic';
+    expect(getProvider().name).toBe('anthropic');
+
+    setProvider(null);
+    process.env.LLM_PROVIDER = 'nope';
+    expect(() => getProvider()).toThrow(/Unknown LLM_PROVIDER/);
+  });
+
+  test('classifies fixture intents', () => {
+    expect(classifyIntent("I've been procrastinating all week")).toBe('task_paralysis');
+    expect(classifyIntent('I finished my project!')).toBe('sharing_win');
+    expect(classifyIntent('I feel so anxious and overwhelmed')).toBe('venting');
+    expect(classifyIntent('hey')).toBe('casual_chat');
+  });
+
+  test('chat replies are deterministic and report usage', async () => {
+    const first = await ClaudeService.chat({ message: 'I finished my project!', userContext });
+    const second = await ClaudeService.chat({ message: 'I finished my project!', userContext });
+
+    expect(first.content).toBe(second.content);
+    expect(first.usage.output_tokens).toBeGreaterThan(0);
+  });
+
+  test('chatStream emits chunks that add up to the reply', async () => {
+    const chunks = [];
+    const result = await ClaudeService.chatStream({
+      message: 'hey',
+      userContext,
+      onText: (text) => chunks.push(text)
+    });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.join('')).toBe(result.content);
+    expect(result.aborted).toBe(false);
+  });
+
+  test('chatStream stops early when aborted', async () => {
+    const controller = new AbortController();
+    const result = await ClaudeService.chatStream({
+      message: 'hey',
+      userContext,
+      signal: controller.signal,
+      onText: () => controller.abort()
+    });
+
+    expect(result.aborted).toBe(true);
+    expect(result.content.split(/\s+/).filter(Boolean)).toHaveLength(1);
+  });
+
+  test('chatStream marks a reply cut off by a provider error and keeps its usage', async () => {
+    setProvider({
+      name: 'failing',
+      stream: async ({ onText }) => {
+        onText('Half a tho');
+        const error = new Error('overloaded');
+        error.usage = { input_tokens: 40, output_tokens: 3 };
+        throw error;
+      }
+    });
+
+    const result = await ClaudeService.chatStream({ message: 'hey', userContext, onText: () => {} });
+
+    expect(result).toMatchObject({
+      content: 'Half a tho',
+      intent: 'error_fallback',
+      truncated: true,
+      usage: { input_tokens: 40, output_tokens: 3 }
+    });
+    expect(result.prompt_version).toEqual(expect.any(String));
+  });
+
+  test('chat returns tool calls only when tools are offered', async () => {
+    const tools = [{ name: 'create_task', description: 'Add a task', input_schema: { type: 'object' } }];
+
+    const withTools = await ClaudeService.chat({ message: 'Remind me to call my landlord', userContext, tools });
+    expect(withTools.toolCalls).toEqual([
+      expect.objectContaining({ name: 'create_task', input: expect.objectContaining({ title: 'Call my landlord' }) })
+    ]);
+
+    const withoutTools = await ClaudeService.chat({ message: 'Remind me to call my landlord', userContext });
+    expect(withoutTools.toolCalls).toEqual([]);
+  });
+
+  test('utility calls parse fake coach JSON', async () => {
+    const extractions = await ClaudeService.extractPersonalization('My sister Dana is visiting');
+    expect(extractions).toEqual([
+      expect.objectContaining({ type: 'person', data: { name: 'Dana', relationship: 'sister' } })
+    ]);
+
+    const crisis = await ClaudeService.detectCrisis('I want to die');
+    expect(crisis.is_crisis).toBe(true);
+  });
+
+  test('the system prompt speaks in the selected persona', async () => {
+    const systems = [];
+    setProvider({
+      name: 'capture',
+      complete: async ({ system }) => {
+        systems.push(system);
+        return { text: 'ok', usage: { input_tokens: 1, output_tokens: 1 } };
+      }
+    });
+
+    await ClaudeService.chat({ message: 'hey', userContext: { ...userContext, persona: 'gentle_listener' } });
+    await ClaudeService.chat({ message: 'hey', userContext: { ...userContext, persona: 'retired_persona' } });
+
+    expect(systems[0]).toContain('Gentle Listener mode');
+    expect(systems[0]).toContain("You're Test's gentle listener");
+    expect(systems[0]).not.toContain('White Mike');
+    expect(systems[0]).toContain('SAFETY FIRST section');
+    expect(systems[1]).toContain('You are White Mike');
+  });
+});
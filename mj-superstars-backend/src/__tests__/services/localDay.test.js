@@ -0,0 +1,99 @@
+// ============================================================
+// MJ's Superstars - Local Day Tests (ESM)
+// ============================================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+
+const mockQuery = jest.fn();
+jest.unstable_mockModule('../../database/db.js', () => ({
+  query: mockQuery,
+  transaction: jest.fn(),
+  default: { query: mockQuery }
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }
+}));
+
+const {
+  localTime,
+  localTimeForUser,
+  resolveTimezone,
+  isValidTimezone,
+  shiftDate,
+  daysBetween,
+  DEFAULT_TIMEZONE
+} = await import('../../services/localDay.js');
+const { StreakService } = await import('../../services/streaks.js');
+
+// 2026-03-10 10:30 UTC: already evening on the 10th in Tokyo, still
+// the early hours of the 10th in Honolulu, and the 9th nowhere
+const AT = new Date('2026-03-10T10:30:00Z');
+
+describe('localTime', () => {
+  test('reads the wall clock in the user\'s timezone', () => {
+    expect(localTime('Asia/Tokyo', AT)).toMatchObject({
+      date: '2026-03-10', yesterday: '2026-03-09', hour: 19, minute: 30, dayOfWeek: 2, timeOfDay: 'evening'
+    });
+    expect(localTime('Pacific/Honolulu', AT)).toMatchObject({
+      date: '2026-03-10', hour: 0, timeOfDay: 'night'
+    });
+  });
+
+  test('puts a late UTC evening on the next day east of Greenwich and the same day west', () => {
+    const lateUtc = new Date('2026-03-10T22:00:00Z');
+    expect(localTime('Asia/Tokyo', lateUtc).date).toBe('2026-03-11');
+    expect(localTime('Pacific/Honolulu', lateUtc).date).toBe('2026-03-10');
+  });
+
+  test('falls back to the default timezone for unknown zones', () => {
+    expect(resolveTimezone('Mars/Olympus_Mons')).toBe(DEFAULT_TIMEZONE);
+    expect(resolveTimezone(null)).toBe(DEFAULT_TIMEZONE);
+    expect(isValidTimezone('Asia/Tokyo')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+    expect(localTime('Mars/Olympus_Mons', AT).timezone).toBe(DEFAULT_TIMEZONE);
+  });
+
+  test('shifts dates across month and year ends', () => {
+    expect(shiftDate('2026-03-01', -1)).toBe('2026-02-28');
+    expect(shiftDate('2025-12-31', 1)).toBe('2026-01-01');
+    expect(daysBetween('2026-02-28', '2026-03-01')).toBe(1);
+    expect(daysBetween('2026-03-10', '2026-03-10')).toBe(0);
+  });
+});
+
+describe('localTimeForUser', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('uses the timezone on the user row without a lookup', async () => {
+    const local = await localTimeForUser({ id: 'u1', timezone: 'Asia/Tokyo' }, AT);
+    expect(local.hour).toBe(19);
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  test('looks the timezone up by id, defaulting when that fails', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [{ timezone: 'Pacific/Honolulu' }] });
+    expect((await localTimeForUser('u1', AT)).hour).toBe(0);
+
+    mockQuery.mockRejectedValueOnce(new Error('connection refused'));
+    expect((await localTimeForUser('u1', AT)).timezone).toBe(DEFAULT_TIMEZONE);
+  });
+});
+
+describe('StreakService', () => {
+  test('records the given local date, per day or per completion', async () => {
+    const db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+    await StreakService.record('u1', 'morning_ritual', '2026-03-10', { db });
+    await StreakService.record('u1', 'task_completion', '2026-03-10', { db, countEveryCompletion: true });
+
+    expect(db.query.mock.calls[0][0]).not.toMatch(/CURRENT_DATE/);
+    expect(db.query.mock.calls[0][1]).toEqual(['u1', 'morning_ritual', '2026-03-10', false]);
+    expect(db.query.mock.calls[1][1]).toEqual(['u1', 'task_completion', '2026-03-10', true]);
+  });
+});
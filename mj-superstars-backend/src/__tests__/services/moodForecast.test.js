@@ -0,0 +1,115 @@
+// ============================================================
+// MJ's Superstars - Mood Forecast Tests (ESM)
+// ============================================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+
+const mockQuery = jest.fn();
+jest.unstable_mockModule('../../database/db.js', () => ({
+  query: mockQuery,
+  transaction: jest.fn(),
+  default: { query: mockQuery }
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }
+}));
+
+const { buildForecast, MoodForecastService, MIN_DAYS_LOGGED } = await import('../../services/moodForecast.js');
+const { shiftDate } = await import('../../services/localDay.js');
+
+// 2026-03-10 is a Tuesday
+const TODAY = '2026-03-10';
+
+// `count` days of history ending today, mood from (date, index)
+function history(count, moodFor) {
+  return Array.from({ length: count }, (_, i) => {
+    const date = shiftDate(TODAY, i - count + 1);
+    return { date, avg_mood: moodFor(date, i) };
+  });
+}
+
+const weekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+describe('buildForecast', () => {
+  test('waits for enough logged days', () => {
+    const result = buildForecast({ daily: history(MIN_DAYS_LOGGED - 1, () => 3), today: TODAY });
+    expect(result).toMatchObject({ status: 'not_enough_data', days_logged: MIN_DAYS_LOGGED - 1, forecast: [] });
+  });
+
+  test('predicts a flat mood with a narrow band and no dips', () => {
+    const result = buildForecast({ daily: history(35, () => 4), today: TODAY, horizon: 3 });
+
+    expect(result.status).toBe('ok');
+    expect(result.confidence).toBe('high');
+    expect(result.forecast.map(d => d.date)).toEqual(['2026-03-11', '2026-03-12', '2026-03-13']);
+    for (const day of result.forecast) {
+      expect(day.predicted_mood).toBe(4);
+      expect(day.low).toBeLessThan(4);
+      expect(day.high).toBeGreaterThan(4);
+      expect(day.dip).toBe(false);
+    }
+  });
+
+  test('flags the weekday that is usually hard as a dip', () => {
+    // Wednesdays sit at 2, every other day at 4
+    const daily = history(42, (date) => (weekday(date) === 3 ? 2 : 4));
+    const result = buildForecast({ daily, today: TODAY, horizon: 2 });
+
+    const [wednesday, thursday] = result.forecast;
+    expect(wednesday.day_of_week).toBe(3);
+    expect(wednesday.dip).toBe(true);
+    expect(wednesday.factors.day_of_week).toBeLessThan(-1);
+    expect(thursday.dip).toBe(false);
+  });
+
+  test('lets last night\'s sleep move tomorrow only', () => {
+    // Mood tracks the previous evening's sleep readiness
+    const sleep = {};
+    const daily = history(30, (date, i) => {
+      sleep[shiftDate(date, -1)] = (i % 5) + 1;
+      return 2 + (i % 5) * 0.5;
+    });
+    sleep[TODAY] = 1;
+
+    const result = buildForecast({ daily, sleep, today: TODAY, horizon: 2 });
+    expect(result.forecast[0].factors.sleep).toBeLessThan(0);
+    expect(result.forecast[1].factors.sleep).toBe(0);
+  });
+
+  test('widens the band further out and keeps it within the scale', () => {
+    const daily = history(20, (date, i) => (i % 2 ? 5 : 1));
+    const result = buildForecast({ daily, today: TODAY, horizon: 5 });
+
+    const widths = result.forecast.map(d => d.high - d.low);
+    expect(widths[4]).toBeGreaterThanOrEqual(widths[0]);
+    for (const day of result.forecast) {
+      expect(day.low).toBeGreaterThanOrEqual(1);
+      expect(day.high).toBeLessThanOrEqual(5);
+    }
+    expect(result.confidence).not.toBe('high');
+  });
+});
+
+describe('MoodForecastService.forecast', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('reads history in the user\'s timezone and caps the horizon', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: history(10, () => 3) })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const result = await MoodForecastService.forecast({ id: 'u1', timezone: 'Asia/Tokyo' }, { horizon: 30 });
+
+    expect(result.timezone).toBe('Asia/Tokyo');
+    expect(result.forecast).toHaveLength(7);
+    expect(mockQuery.mock.calls[0][1]).toEqual(['u1', 'Asia/Tokyo', expect.any(String)]);
+  });
+});
@@ -0,0 +1,86 @@
+// ============================================================
+// MJ's Superstars - PDF Writer Tests (ESM)
+// ============================================================
+
+import { describe, test, expect } from '@jest/globals';
+import zlib from 'zlib';
+import { createPdf, encodeText, textWidth, wrapText } from '../../services/pdf.js';
+
+// Every xref entry should point at the object it names
+function checkXref(buffer) {
+  const source = buffer.toString('latin1');
+  const startxref = parseInt(source.match(/startxref\n(\d+)/)[1]);
+  expect(source.slice(startxref, startxref + 4)).toBe('xref');
+
+  const [, count] = source.slice(startxref).match(/xref\n0 (\d+)/);
+  const offsets = [...source.slice(startxref).matchAll(/(\d{10}) 00000 n /g)].map(m => parseInt(m[1]));
+  expect(offsets).toHaveLength(parseInt(count) - 1);
+  offsets.forEach((offset, i) => {
+    expect(source.slice(offset, offset + 12)).toMatch(new RegExp(`^${i + 1} 0 obj\\n`));
+  });
+}
+
+// Decompressed content streams, in page order
+function contentStreams(buffer) {
+  const streams = [];
+  let at = 0;
+  while ((at = buffer.indexOf('>>\nstream\n', at)) !== -1) {
+    const header = buffer.toString('latin1', buffer.lastIndexOf('<<', at), at);
+    const length = parseInt(header.match(/\/Length (\d+)/)[1]);
+    const start = at + '>>\nstream\n'.length;
+    streams.push(zlib.inflateSync(buffer.subarray(start, start + length)).toString('latin1'));
+    at = start + length;
+  }
+  return streams;
+}
+
+describe('encodeText', () => {
+  test('maps typographic punctuation to WinAnsi and drops emoji', () => {
+    expect(encodeText('“Hi” – café…')).toEqual([0x93, 72, 105, 0x94, 32, 0x96, 32, 99, 97, 102, 0xe9, 0x85]);
+    expect(encodeText('ok 😀✨')).toEqual([111, 107, 32]);
+    expect(encodeText('日')).toEqual([63]);
+  });
+});
+
+describe('wrapText', () => {
+  test('keeps every line within the width and breaks long words', () => {
+    const style = { size: 10 };
+    const text = `${'word '.repeat(40)}\n${'x'.repeat(120)}`;
+    const lines = wrapText(text, 150, style);
+
+    expect(lines.length).toBeGreaterThan(5);
+    lines.forEach(line => expect(textWidth(line, style)).toBeLessThanOrEqual(150));
+    expect(lines.join('')).toContain('x'.repeat(20));
+  });
+
+  test('keeps blank lines between paragraphs', () => {
+    expect(wrapText('one\n\ntwo', 200)).toEqual(['one', '', 'two']);
+  });
+});
+
+describe('createPdf', () => {
+  test('writes a well-formed document with one content stream per page', () => {
+    const pdf = createPdf({ title: 'Report', createdAt: new Date('2026-03-01T00:00:00Z') });
+    pdf.text('Hello', 50, 60, { font: 'bold', size: 14 });
+    pdf.line(50, 70, 200, 70, { color: '#cbd5e1' });
+    pdf.addPage().rect(50, 50, 100, 40, { fill: '#0284c7' }).circle(100, 150, 3);
+    pdf.setPage(0).text('Page 1 of 2', 50, 800);
+
+    const buffer = pdf.toBuffer();
+    const source = buffer.toString('latin1');
+
+    expect(source.startsWith('%PDF-1.4')).toBe(true);
+    expect(source.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(source).toMatch(/\/Type \/Pages \/Kids \[\d+ 0 R \d+ 0 R\] \/Count 2/);
+    expect(source).toMatch(/\/CreationDate \(D:20260301000000Z\)/);
+    checkXref(buffer);
+
+    const [first, second] = contentStreams(buffer);
+    expect(first).toContain('/F2 14 Tf');
+    expect(first).toContain(`<${Buffer.from('Hello').toString('hex')}> Tj`);
+    expect(first).toContain(Buffer.from('Page 1 of 2').toString('hex'));
+    // Top-left coordinates flipped onto the PDF's bottom-left origin
+    expect(first).toContain('50 781.89 Td');
+    expect(second).toMatch(/re f Q/);
+  });
+});
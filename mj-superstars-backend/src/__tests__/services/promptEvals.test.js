@@ -0,0 +1,55 @@
+// ============================================================
+// MJ's Superstars - Prompt Eval Harness Tests (ESM)
+// Replays the fixture replies for the current template; a prompt or
+// persona change that breaks a rubric fails here
+// ============================================================
+
+import { jest, describe, test, expect } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }
+}));
+
+const { runEvals, loadFixtures } = await import('../../evals/harness.js');
+const { LATEST_CHAT_TEMPLATE_VERSION } = await import('../../services/promptTemplates.js');
+
+describe('Prompt eval harness', () => {
+  test('the latest template passes every scenario on its fixtures', async () => {
+    const report = await runEvals();
+
+    const failures = report.cases
+      .filter(c => c.status !== 'scored' || c.criticalFailures > 0)
+      .map(c => ({ case: `${c.scenario}/${c.persona}`, status: c.status, failed: c.assertions.filter(a => !a.passed).map(a => a.name) }));
+    expect(failures).toEqual([]);
+    expect(report.passed).toBe(true);
+    expect(report.template).toBe(LATEST_CHAT_TEMPLATE_VERSION);
+    expect(report.cases.map(c => c.scenario)).toEqual(expect.arrayContaining(['venting', 'crisis', 'task_paralysis']));
+    expect(report.cases[0].prompt_version).toBe(`chat@${LATEST_CHAT_TEMPLATE_VERSION}/white_mike@1`);
+    // Reference replies are written by hand until someone records real ones
+    expect(new Set(report.cases.map(c => c.source))).toEqual(new Set(['hand-authored']));
+  });
+
+  test('a reply that breaks a critical rule fails the run', async () => {
+    const hyped = structuredClone(loadFixtures(LATEST_CHAT_TEMPLATE_VERSION));
+    hyped.responses.crisis['white_mike@1'].text = "LET'S GO! Knock out one task and keep that streak alive 🔥";
+
+    const report = await runEvals({ fixtures: hyped, scenarioId: 'crisis', personaId: 'white_mike' });
+
+    expect(report.passed).toBe(false);
+    expect(report.cases[0].assertions.filter(a => !a.passed).map(a => a.name)).toEqual(expect.arrayContaining([
+      'shares the crisis line',
+      'no productivity talk',
+      'drops the hype'
+    ]));
+  });
+
+  test('cases without a fixture are reported as missing', async () => {
+    const report = await runEvals({ fixtures: { responses: {} }, scenarioId: 'venting' });
+
+    expect(report.cases.map(c => c.status)).toEqual(['missing', 'missing']);
+    expect(report.passed).toBe(false);
+  });
+});
@@ -0,0 +1,260 @@
+// ============================================================
+// MJ's Superstars - Presence, Sync & Resume Tests (ESM)
+// ============================================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+
+const mockQuery = jest.fn();
+jest.unstable_mockModule('../../database/db.js', () => ({
+  query: mockQuery,
+  transaction: jest.fn(),
+  default: { query: mockQuery }
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }
+}));
+
+jest.unstable_mockModule('../../services/claude.js', () => ({
+  ClaudeService: { chatStream: jest.fn(), extractPersonalization: jest.fn().mockResolvedValue([]) },
+  default: {}
+}));
+
+const { default: express } = await import('express');
+const { default: request } = await import('supertest');
+const { RealtimeService, deviceFromHandshake } = await import('../../services/realtime.js');
+const { syncBroadcast } = await import('../../middleware/syncBroadcast.js');
+const { setupSocketHandlers } = await import('../../services/socket.js');
+
+// In-memory stand-ins for the tables the event log and idempotency keys use
+const db = { seq: 0, events: [], keys: new Map() };
+const fakeDb = async (sql, params = []) => {
+  if (sql.includes('INSERT INTO socket_events')) {
+    db.seq += 1;
+    db.events.push({ seq: db.seq, event: params[1], payload: JSON.parse(params[2]), device_id: params[3] });
+    return { rows: [{ seq: String(db.seq) }] };
+  }
+  if (sql.includes('FROM socket_events') && sql.includes('seq > $2')) {
+    const [, lastSeq, deviceId] = params;
+    return { rows: db.events.filter(e => e.seq > lastSeq && (!e.device_id || e.device_id === deviceId)) };
+  }
+  if (sql.includes('FROM user_event_sequences')) {
+    const firstSeq = db.events.length ? Math.min(...db.events.map(e => e.seq)) : null;
+    return { rows: db.seq ? [{ last_seq: String(db.seq), first_seq: firstSeq }] : [] };
+  }
+  if (sql.includes('INSERT INTO idempotency_keys')) {
+    if (db.keys.has(params[1])) return { rows: [] };
+    db.keys.set(params[1], null);
+    return { rows: [{ idempotency_key: params[1] }] };
+  }
+  if (sql.includes('SELECT response FROM idempotency_keys')) {
+    return { rows: [{ response: db.keys.get(params[1]) }] };
+  }
+  if (sql.includes('UPDATE idempotency_keys')) {
+    db.keys.set(params[1], JSON.parse(params[2]));
+    return { rows: [] };
+  }
+  if (sql.includes('INSERT INTO mood_entries')) {
+    return { rows: [{ id: `mood-${db.seq + 1}`, mood_score: params[1] }] };
+  }
+  return { rows: [] };
+};
+
+// A connected socket driven by hand: `send` calls a handler with an ack
+const connectSocket = (io, deviceId) => {
+  const handlers = new Map();
+  const socket = {
+    id: `socket-${deviceId}`,
+    user: { id: USER_ID, display_name: 'Sam' },
+    data: {},
+    handshake: { auth: { deviceId } },
+    emitted: [],
+    join: () => {},
+    onAny: () => {},
+    on: (event, handler) => handlers.set(event, handler),
+    emit: (event, data) => socket.emitted.push({ event, data })
+  };
+  io.connect(socket);
+  socket.send = (event, data) => new Promise(resolve => handlers.get(event)(data, resolve));
+  return socket;
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Records emits per room; fetchSockets returns whatever the test set up
+const fakeIo = (sockets = []) => {
+  const emitted = [];
+  const listeners = {};
+  const room = (name, except = null) => ({
+    emit: (event, data) => emitted.push({ room: name, except, event, data }),
+    except: (id) => room(name, id)
+  });
+  return {
+    emitted,
+    to: (name) => room(name),
+    in: () => ({ fetchSockets: async () => sockets }),
+    on: (event, handler) => { listeners[event] = handler; },
+    connect: (socket) => listeners.connection(socket)
+  };
+};
+
+const USER_ID = 'user-1';
+
+describe('Presence', () => {
+  test('reads the device from the handshake, falling back to the socket', () => {
+    expect(deviceFromHandshake({ id: 's1', handshake: { auth: { deviceId: 'phone-abc', platform: 'iOS', appVersion: '2.1.0' } } }))
+      .toEqual({ device_id: 'phone-abc', platform: 'ios', app_version: '2.1.0' });
+    expect(deviceFromHandshake({ id: 's2', handshake: { auth: { deviceId: 'bad id!', platform: 'toaster' } } }))
+      .toEqual({ device_id: 's2', platform: 'unknown', app_version: null });
+  });
+
+  test('folds sockets into devices, most recently active first', async () => {
+    const socket = (deviceId, platform, connectedAt, lastActiveAt) => ({
+      data: { device: { device_id: deviceId, platform, app_version: null }, connectedAt, lastActiveAt }
+    });
+    const io = fakeIo([
+      socket('laptop', 'web', '2026-10-19T08:00:00.000Z', '2026-10-19T08:05:00.000Z'),
+      socket('phone', 'ios', '2026-10-19T09:00:00.000Z', '2026-10-19T09:30:00.000Z'),
+      socket('laptop', 'web', '2026-10-19T07:00:00.000Z', '2026-10-19T09:45:00.000Z')
+    ]);
+
+    const devices = await RealtimeService.listDevices(io, USER_ID);
+
+    expect(devices).toEqual([
+      { device_id: 'laptop', platform: 'web', app_version: null, connected_at: '2026-10-19T07:00:00.000Z', last_active_at: '2026-10-19T09:45:00.000Z', connections: 2 },
+      { device_id: 'phone', platform: 'ios', app_version: null, connected_at: '2026-10-19T09:00:00.000Z', last_active_at: '2026-10-19T09:30:00.000Z', connections: 1 }
+    ]);
+  });
+});
+
+describe('syncBroadcast', () => {
+  let io;
+  let app;
+
+  beforeEach(() => {
+    db.seq = 0;
+    db.events = [];
+    mockQuery.mockImplementation(fakeDb);
+    io = fakeIo();
+    app = express();
+    app.set('io', io);
+    app.use(express.json());
+    app.use('/api', syncBroadcast);
+    app.use((req, res, next) => {
+      req.user = { id: USER_ID };
+      next();
+    });
+    app.post('/api/moods', (req, res) => res.status(201).json({ entry: { id: 'mood-1', mood_score: 7 } }));
+    app.get('/api/moods', (req, res) => res.json({ entries: [] }));
+    app.delete('/api/tasks/:id', (req, res) => res.status(404).json({ error: 'Task not found' }));
+    app.post('/api/auth/logout', (req, res) => res.json({ success: true }));
+    app.post('/api/reports/:id/link', (req, res) => res.json({ url: 'https://api.example.com/api/reports/r1/download?signature=abc' }));
+    app.put('/api/users/me/memories/:id', (req, res) => res.json({ memory: { id: req.params.id } }));
+    app.put('/api/users/me/communication-style', (req, res) => res.json({ communication_style: { persona: 'hype_coach' } }));
+    app.post('/api/conversations/:id/messages/:messageId/select', (req, res) => res.json({ messages: [] }));
+  });
+
+  test('sends successful mutations to every device of the user', async () => {
+    await request(app).post('/api/moods?source=widget').set('X-Device-Id', 'phone-abc').send({ mood_score: 7 });
+    await flush();
+
+    expect(io.emitted).toHaveLength(1);
+    expect(io.emitted[0]).toMatchObject({
+      room: `user:${USER_ID}`,
+      event: 'sync',
+      data: {
+        resource: 'moods',
+        method: 'POST',
+        path: '/api/moods',
+        id: 'mood-1',
+        device_id: 'phone-abc',
+        seq: 1
+      }
+    });
+    // Bodies are neither sent nor kept for replay
+    expect(io.emitted[0].data).not.toHaveProperty('data');
+    expect(JSON.stringify(db.events)).not.toContain('mood_score');
+  });
+
+  test('names the deepest id in the path, never `me`', async () => {
+    const conversationId = '8a4f2c1e-5b3d-4e6f-9a7b-1c2d3e4f5a6b';
+    await request(app).put('/api/users/me/memories/42').send({});
+    await request(app).put('/api/users/me/communication-style').send({});
+    await request(app).post(`/api/conversations/${conversationId}/messages/7/select`);
+    await flush();
+
+    expect(io.emitted.map(e => [e.data.resource, e.data.id])).toEqual([
+      ['users', '42'],
+      ['users', null],
+      ['conversations', '7']
+    ]);
+  });
+
+  test('skips reads, failures, auth routes and report links', async () => {
+    await request(app).get('/api/moods');
+    await request(app).delete('/api/tasks/123');
+    await request(app).post('/api/auth/logout');
+    await request(app).post('/api/reports/r1/link');
+    await flush();
+
+    expect(io.emitted).toEqual([]);
+  });
+});
+
+describe('Socket acks, idempotency and resume', () => {
+  let io;
+
+  beforeEach(() => {
+    db.seq = 0;
+    db.events = [];
+    db.keys.clear();
+    mockQuery.mockReset();
+    mockQuery.mockImplementation(fakeDb);
+    io = fakeIo();
+    setupSocketHandlers(io);
+  });
+
+  test('acks writes and answers a retried key with the first response', async () => {
+    const phone = connectSocket(io, 'phone');
+
+    const first = await phone.send('quick_mood', { mood_score: 6, idempotency_key: 'mood-key-0001' });
+    const retry = await phone.send('quick_mood', { mood_score: 6, idempotency_key: 'mood-key-0001' });
+    const invalid = await phone.send('quick_mood', { mood_score: 11 });
+
+    expect(first).toEqual({ ok: true, entry: { id: 'mood-1', mood_score: 6 } });
+    expect(retry).toEqual({ ok: true, duplicate: true, entry: { id: 'mood-1', mood_score: 6 } });
+    expect(invalid).toEqual({ ok: false, error: 'Mood score must be 1-10' });
+    expect(mockQuery.mock.calls.filter(([sql]) => sql.includes('INSERT INTO mood_entries'))).toHaveLength(1);
+    expect(phone.emitted.filter(e => e.event === 'error')).toEqual([]);
+  });
+
+  test('replays events missed since last_seq, skipping other devices\' own events', async () => {
+    const phone = connectSocket(io, 'phone');
+    const laptop = connectSocket(io, 'laptop');
+
+    await RealtimeService.emitToUser(io, USER_ID, 'mood_logged', { entry: { id: 'm1' } });
+    await RealtimeService.emitToSocket(laptop, 'message_saved', { id: 'msg-1' });
+    await RealtimeService.emitToSocket(phone, 'mj_response_done', { conversation_id: 'c1' });
+    await RealtimeService.emitToUser(io, USER_ID, 'mj_response_chunk', { text: 'live only' });
+
+    const resumed = await phone.send('resume', { last_seq: 0 });
+
+    expect(resumed).toEqual({ ok: true, replayed: 2, last_seq: 3, truncated: false });
+    expect(phone.emitted.filter(e => e.data?.replayed)).toEqual([
+      { event: 'mood_logged', data: { entry: { id: 'm1' }, seq: 1, replayed: true } },
+      { event: 'mj_response_done', data: { conversation_id: 'c1', seq: 3, replayed: true } }
+    ]);
+  });
+
+  test('flags a resume from before the retained log as truncated', async () => {
+    const phone = connectSocket(io, 'phone');
+    db.seq = 40;
+    db.events = [{ seq: 40, event: 'sync', payload: { resource: 'tasks' }, device_id: null }];
+
+    expect(await phone.send('resume', { last_seq: 12 })).toMatchObject({ ok: true, replayed: 1, truncated: true });
+    expect(await phone.send('resume', { last_seq: -1 })).toEqual({ ok: false, error: 'Invalid last_seq' });
+  });
+});
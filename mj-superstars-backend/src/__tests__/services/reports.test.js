@@ -0,0 +1,218 @@
+// ============================================================
+// MJ's Superstars - Progress Report Tests (ESM)
+// ============================================================
+
+import { jest, describe, test, expect, beforeEach, afterAll } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+process.env.REPORT_LINK_SECRET = 'test-report-secret';
+
+const mockQuery = jest.fn();
+jest.unstable_mockModule('../../database/db.js', () => ({
+  query: mockQuery,
+  transaction: jest.fn(),
+  default: { query: mockQuery }
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }
+}));
+
+const mockSendToUser = jest.fn().mockResolvedValue({ sent: 1 });
+jest.unstable_mockModule('../../services/notifications.js', () => ({
+  NotificationService: { sendToUser: mockSendToUser },
+  default: { sendToUser: mockSendToUser }
+}));
+
+const {
+  ReportService,
+  signDownload,
+  verifyDownload,
+  summarizeMood,
+  summarizeRituals,
+  renderReport
+} = await import('../../services/reports.js');
+const { setStorage } = await import('../../services/storage/index.js');
+
+// In-memory blob storage
+const files = new Map();
+setStorage({
+  name: 'memory',
+  isConfigured: () => true,
+  put: async (key, body, { contentType }) => { files.set(key, { body, contentType }); },
+  get: async (key) => files.get(key) || null,
+  remove: async (key) => { files.delete(key); },
+  removePrefix: async () => 0
+});
+
+afterAll(() => setStorage(null));
+
+const REPORT_ID = '6f1c2a9e-3b7d-4c1e-9a2f-0d8b7e6c5a41';
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const pageCount = (buffer) => parseInt(buffer.toString('latin1').match(/\/Count (\d+)/)[1]);
+
+describe('signed download links', () => {
+  const expires = NOW / 1000 + 3600;
+
+  test('accept their own signature until they expire', () => {
+    const signature = signDownload(REPORT_ID, expires);
+    expect(verifyDownload(REPORT_ID, expires, signature, NOW)).toBe(true);
+    expect(verifyDownload(REPORT_ID, String(expires), signature, NOW)).toBe(true);
+    expect(verifyDownload(REPORT_ID, expires, signature, (expires + 1) * 1000)).toBe(false);
+  });
+
+  test('reject a changed expiry, another report or a bad signature', () => {
+    const signature = signDownload(REPORT_ID, expires);
+    expect(verifyDownload(REPORT_ID, expires + 86400, signature, NOW)).toBe(false);
+    expect(verifyDownload('another-report', expires, signature, NOW)).toBe(false);
+    expect(verifyDownload(REPORT_ID, expires, 'abc', NOW)).toBe(false);
+    expect(verifyDownload(REPORT_ID, 'soon', signature, NOW)).toBe(false);
+  });
+
+  test('never outlive the report itself', () => {
+    const report = { id: REPORT_ID, expires_at: new Date(NOW + 24 * 3600 * 1000).toISOString() };
+
+    const short = ReportService.createLink(report, { hours: 2, now: NOW });
+    expect(short.expires_at).toBe(new Date(NOW + 2 * 3600 * 1000).toISOString());
+    expect(short.path).toMatch(new RegExp(`^/api/reports/${REPORT_ID}/download\\?expires=\\d+&signature=[0-9a-f]{64}$`));
+
+    const long = ReportService.createLink(report, { hours: 720, now: NOW });
+    expect(long.expires_at).toBe(report.expires_at);
+  });
+});
+
+describe('summaries', () => {
+  test('mood: average, extremes and first half against second', () => {
+    const daily = [2, 2, 3, 3, 4, 4].map((avg_mood, i) => ({ date: `2026-03-0${i + 1}`, avg_mood }));
+    expect(summarizeMood(daily)).toMatchObject({
+      days_logged: 6,
+      average: 3,
+      lowest: { date: '2026-03-01' },
+      highest: { avg_mood: 4 },
+      first_half: 2.33,
+      second_half: 3.67
+    });
+    expect(summarizeMood([])).toBeNull();
+  });
+
+  test('rituals: days kept, longest run and weekly counts', () => {
+    const rituals = summarizeRituals({
+      morning: [
+        { date: '2026-03-01', intention_met: true },
+        { date: '2026-03-02', intention_met: false },
+        { date: '2026-03-03', intention_met: null }
+      ],
+      evening: [{ date: '2026-03-03' }, { date: '2026-03-09' }],
+      start: '2026-03-01',
+      end: '2026-03-10'
+    });
+
+    expect(rituals).toMatchObject({
+      period_days: 10,
+      morning_days: 3,
+      evening_days: 2,
+      active_days: 4,
+      consistency: 40,
+      intentions_reflected: 2,
+      intentions_met: 1,
+      longest_run: 3
+    });
+    expect(rituals.weeks).toEqual([
+      { start: '2026-03-01', days: 7, active_days: 3 },
+      { start: '2026-03-08', days: 3, active_days: 1 }
+    ]);
+  });
+});
+
+describe('renderReport', () => {
+  const base = {
+    name: 'Sam',
+    start: '2026-01-01',
+    end: '2026-03-31',
+    daily: [],
+    assessments: [],
+    rituals: summarizeRituals({ morning: [], evening: [], start: '2026-01-01', end: '2026-03-31' }),
+    journal: []
+  };
+
+  test('renders an empty period on one page', () => {
+    const pdf = renderReport(base);
+    expect(pdf.toString('latin1', 0, 8)).toBe('%PDF-1.4');
+    expect(pageCount(pdf)).toBe(1);
+  });
+
+  test('flows long journal excerpts onto more pages', () => {
+    const pdf = renderReport({
+      ...base,
+      journal: Array.from({ length: 4 }, (_, i) => ({
+        title: `Entry ${i + 1}`,
+        content: 'A long reflection on the week. '.repeat(80),
+        date: '2026-02-01'
+      }))
+    });
+    expect(pageCount(pdf)).toBeGreaterThan(2);
+  });
+});
+
+describe('ReportService', () => {
+  const user = { id: 'u1', timezone: 'UTC' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    files.clear();
+  });
+
+  test('defaults to the last 90 days and never runs past today', () => {
+    const { start, end, days } = ReportService.resolvePeriod(user, { end: '2999-01-01' });
+    expect(days).toBe(90);
+    expect(end <= new Date().toISOString().slice(0, 10)).toBe(true);
+    expect(start < end).toBe(true);
+  });
+
+  test('generates, stores and announces a pending report', async () => {
+    mockQuery
+      .mockResolvedValueOnce({
+        rows: [{
+          id: REPORT_ID,
+          user_id: 'u1',
+          status: 'pending',
+          period_start: '2026-03-01',
+          period_end: '2026-03-10',
+          journal_entry_ids: [],
+          display_name: 'Sam',
+          timezone: 'UTC'
+        }]
+      })
+      .mockResolvedValueOnce({ rows: [{ date: '2026-03-02', avg_mood: 3.5 }] })
+      .mockResolvedValueOnce({ rows: [{ instrument: 'phq9', score: 8, severity: 'mild', flags: {}, date: '2026-03-05' }] })
+      .mockResolvedValueOnce({ rows: [{ date: '2026-03-02', intention_met: true }] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    await ReportService.generate({ reportId: REPORT_ID });
+
+    const key = `reports/u1/${REPORT_ID}.pdf`;
+    expect(files.get(key).contentType).toBe('application/pdf');
+    const [sql, params] = mockQuery.mock.calls[5];
+    expect(sql).toMatch(/SET status = 'ready'/);
+    expect(params).toEqual([REPORT_ID, key, files.get(key).body.length]);
+    expect(mockSendToUser).toHaveBeenCalledWith('u1', expect.any(Object), expect.objectContaining({ type: 'report_ready', reportId: REPORT_ID }));
+  });
+
+  test('serves the file only through a valid link', async () => {
+    files.set('reports/u1/r.pdf', { body: Buffer.from('%PDF-1.4'), contentType: 'application/pdf' });
+    const expires = Math.floor(Date.now() / 1000) + 600;
+
+    expect(await ReportService.download(REPORT_ID, { expires, signature: '00'.repeat(32) })).toBeNull();
+    expect(mockQuery).not.toHaveBeenCalled();
+
+    mockQuery.mockResolvedValueOnce({
+      rows: [{ storage_key: 'reports/u1/r.pdf', period_start: '2026-01-01', period_end: '2026-03-31' }]
+    });
+    const file = await ReportService.download(REPORT_ID, { expires, signature: signDownload(REPORT_ID, expires) });
+
+    expect(file.filename).toBe('progress-report-2026-01-01-to-2026-03-31.pdf');
+    expect(mockQuery.mock.calls[0][0]).toMatch(/download_count = download_count \+ 1/);
+  });
+});
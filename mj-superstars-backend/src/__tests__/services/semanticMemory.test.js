@@ -0,0 +1,130 @@
+// ============================================================
+// MJ's Superstars - Semantic Memory Tests (ESM)
+// ============================================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+process.env.NODE_ENV = 'test';
+
+const mockQuery = jest.fn();
+jest.unstable_mockModule('../../database/db.js', () => ({
+  query: mockQuery,
+  default: { query: mockQuery }
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() },
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() }
+}));
+
+const { embedText } = await import('../../services/embeddings/local.js');
+const { cosineSimilarity, setEmbedder } = await import('../../services/embeddings/index.js');
+const { SemanticMemoryService, SOURCE_TYPES } = await import('../../services/semanticMemory.js');
+const { getRelevantMemories, buildMemoryContext } = await import('../../services/aiMemory.js');
+
+const USER = 'user-1';
+
+const memoryRow = (id, content, overrides = {}) => ({
+  id,
+  user_id: USER,
+  type: 'life_context',
+  key: null,
+  content,
+  importance: 2,
+  confidence: '1.00',
+  access_count: 0,
+  updated_at: new Date(Date.now() - 40 * 86400000).toISOString(),
+  ...overrides
+});
+
+describe('local embedder', () => {
+  test('paraphrases score closer than unrelated text', () => {
+    const memory = embedText('Gets anxious before meetings with their manager');
+    const paraphrase = embedText("I'm so nervous about tomorrow's presentation to my boss");
+    const unrelated = embedText('Loves baking sourdough bread on weekends');
+
+    expect(cosineSimilarity(memory, paraphrase)).toBeGreaterThan(cosineSimilarity(memory, unrelated) + 0.1);
+  });
+
+  test('is deterministic and unit length', () => {
+    const a = embedText('Trouble sleeping since the move');
+    const b = embedText('Trouble sleeping since the move');
+
+    expect(a).toEqual(b);
+    expect(Math.sqrt(a.reduce((sum, v) => sum + v * v, 0))).toBeCloseTo(1, 6);
+  });
+});
+
+describe('SemanticMemoryService (in-process store)', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setEmbedder('local');
+    SemanticMemoryService.setStore('memory');
+    SemanticMemoryService.memoryStore.clear();
+    mockQuery.mockResolvedValue({ rows: [] });
+  });
+
+  test('searches one user\'s items by similarity and source type', async () => {
+    await SemanticMemoryService.index({ userId: USER, sourceType: SOURCE_TYPES.JOURNAL, sourceId: 'j1', content: 'Could not sleep again, lying awake at 3am' });
+    await SemanticMemoryService.index({ userId: USER, sourceType: SOURCE_TYPES.JOURNAL, sourceId: 'j2', content: 'Great hike with friends today' });
+    await SemanticMemoryService.index({ userId: USER, sourceType: SOURCE_TYPES.MEMORY, sourceId: 'm1', content: 'Has insomnia most weeknights' });
+    await SemanticMemoryService.index({ userId: 'someone-else', sourceType: SOURCE_TYPES.JOURNAL, sourceId: 'j3', content: 'Could not sleep again' });
+
+    const results = await SemanticMemoryService.search(USER, 'so tired, I barely slept', {
+      sourceTypes: [SOURCE_TYPES.JOURNAL]
+    });
+
+    expect(results.map(r => r.source_id)).toEqual(['j1', 'j2']);
+    expect(results[0].similarity).toBeGreaterThan(results[1].similarity);
+
+    await SemanticMemoryService.remove(SOURCE_TYPES.JOURNAL, 'j1');
+    const after = await SemanticMemoryService.search(USER, 'so tired, I barely slept', {
+      sourceTypes: [SOURCE_TYPES.JOURNAL]
+    });
+    expect(after.map(r => r.source_id)).toEqual(['j2']);
+  });
+
+  test('getRelevantMemories ranks by meaning, not shared words', async () => {
+    const rows = [
+      memoryRow('m-work', 'Dreads one-on-ones with their manager and feels panicky beforehand'),
+      ...Array.from({ length: 10 }, (_, i) => memoryRow(`m-${i}`, `Enjoys hobby number ${i} on the weekend`))
+    ];
+    mockQuery.mockImplementation(async (sql) => (sql.includes('FROM ai_memories') ? { rows } : { rows: [] }));
+    for (const row of rows) {
+      await SemanticMemoryService.index({ userId: USER, sourceType: SOURCE_TYPES.MEMORY, sourceId: row.id, content: row.content });
+    }
+
+    const relevant = await getRelevantMemories(USER, 'I am anxious about the meeting with my boss', 3);
+
+    expect(relevant[0].id).toBe('m-work');
+  });
+
+  test('buildMemoryContext adds related journal entries and past conversations', async () => {
+    mockQuery.mockImplementation(async (sql) => (sql.includes('FROM ai_memories')
+      ? { rows: [memoryRow('m1', 'Training for a half marathon', { type: 'goals' })] }
+      : { rows: [] }));
+    await SemanticMemoryService.index({ userId: USER, sourceType: SOURCE_TYPES.JOURNAL, sourceId: 'j1', content: 'Fight with my sister about mom\'s birthday plans' });
+    await SemanticMemoryService.index({ userId: USER, sourceType: SOURCE_TYPES.CONVERSATION_SUMMARY, sourceId: 'c1', content: 'They talked through family tension with their sister and parents' });
+    await SemanticMemoryService.index({ userId: USER, sourceType: SOURCE_TYPES.JOURNAL, sourceId: 'j2', content: 'New sourdough recipe turned out great' });
+
+    const context = await buildMemoryContext(USER, { query: 'My sister is ignoring me again' });
+
+    expect(context).toContain('Training for a half marathon');
+    expect(context).toContain('**Related Journal Entries:**\n- Fight with my sister');
+    expect(context).toContain('**Related Past Conversations:**\n- They talked through family tension');
+    expect(context).not.toContain('sourdough');
+  });
+
+  test('pinned memories lead the context and always make the cut', async () => {
+    const rows = [
+      ...Array.from({ length: 20 }, (_, i) => memoryRow(`m-${i}`, `Worried about deadline number ${i} at work`, { importance: 4 })),
+      memoryRow('m-pin', 'Prefers to be called Sam', { is_pinned: true, importance: 1 })
+    ];
+    mockQuery.mockImplementation(async (sql) => (sql.includes('FROM ai_memories') ? { rows } : { rows: [] }));
+
+    const context = await buildMemoryContext(USER, { query: 'work deadlines are stressing me out' });
+
+    expect(context).toContain("Here's what I remember about this user:\n\n**They Asked You to Keep in Mind:**\n- Prefers to be called Sam");
+    expect(mockQuery.mock.calls.find(([sql]) => sql.includes('FROM ai_memories'))[0]).toContain('never_mention IS NOT TRUE');
+  });
+});
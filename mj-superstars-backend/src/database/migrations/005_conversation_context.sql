@@ -0,0 +1,14 @@
+-- ============================================================
+-- Migration 005: Rolling conversation summaries
+-- ============================================================
+
+-- conversations.summary holds the rolling summary of folded turns;
+-- summarized_until marks the newest message it covers
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS summarized_until TIMESTAMPTZ;
+
+-- History window lookups: newest unsummarized messages first
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_date ON messages(conversation_id, created_at DESC);
+
+-- ============================================================
+-- Done
+-- ============================================================
@@ -0,0 +1,25 @@
+-- ============================================================
+-- Migration 006: Per-user AI usage metering
+-- ============================================================
+
+-- One row per user (or guest) per UTC day. Guests have no user row,
+-- so subject_key is the user id or 'guest:<ip>'.
+CREATE TABLE IF NOT EXISTS ai_usage_daily (
+    subject_key VARCHAR(100) NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    usage_date DATE NOT NULL,
+
+    message_count INTEGER DEFAULT 0,
+    input_tokens BIGINT DEFAULT 0,
+    output_tokens BIGINT DEFAULT 0,
+
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (subject_key, usage_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user ON ai_usage_daily(user_id, usage_date DESC) WHERE user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_ai_usage_date ON ai_usage_daily(usage_date DESC);
+
+-- ============================================================
+-- Done
+-- ============================================================
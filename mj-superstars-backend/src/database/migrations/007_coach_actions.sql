@@ -0,0 +1,28 @@
+-- ============================================================
+-- Migration 007: Coach tool actions awaiting user confirmation
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS coach_actions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+    message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+
+    tool_name VARCHAR(50) NOT NULL,   -- 'create_task', 'log_mood', 'start_coping_exercise', 'set_morning_intention'
+    tool_call_id VARCHAR(100),        -- provider's tool_use id
+    input JSONB NOT NULL DEFAULT '{}',
+
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'confirmed', 'dismissed', 'failed'
+    result JSONB,                     -- rows written on confirm
+    error TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    resolved_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_coach_actions_conversation ON coach_actions(conversation_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_coach_actions_user_pending ON coach_actions(user_id) WHERE status = 'pending';
+
+-- ============================================================
+-- Done
+-- ============================================================
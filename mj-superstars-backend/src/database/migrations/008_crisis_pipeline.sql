@@ -0,0 +1,20 @@
+-- ============================================================
+-- Migration 008: Crisis detection pipeline
+-- Records which message triggered an event, how it was scored,
+-- and when the follow-up check-in actually went out.
+-- ============================================================
+
+ALTER TABLE crisis_events
+ADD COLUMN IF NOT EXISTS message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS source VARCHAR(20),            -- 'chat', 'socket', 'guest'
+ADD COLUMN IF NOT EXISTS detection JSONB DEFAULT '{}',  -- per-layer scores
+ADD COLUMN IF NOT EXISTS followed_up_at TIMESTAMPTZ;
+
+-- Due follow-ups are polled by the scheduler
+CREATE INDEX IF NOT EXISTS idx_crisis_follow_up_due
+ON crisis_events(follow_up_at)
+WHERE followed_up = FALSE AND follow_up_at IS NOT NULL;
+
+-- ============================================================
+-- Done
+-- ============================================================
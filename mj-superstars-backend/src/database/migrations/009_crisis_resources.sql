@@ -0,0 +1,26 @@
+-- ============================================================
+-- Migration 009: Localized crisis resource directory
+-- ============================================================
+
+-- BCP 47 locale (e.g. 'en-US'); with timezone, picks crisis resources
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS locale VARCHAR(20);
+
+-- Admin edits to the built-in directory (services/crisisDirectory.js).
+-- Append-only: the highest version per country wins.
+CREATE TABLE IF NOT EXISTS crisis_resources (
+    country CHAR(2) NOT NULL,
+    version INTEGER NOT NULL,
+    data JSONB NOT NULL,
+    updated_by VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (country, version)
+);
+
+-- Which directory version a crisis event's resources came from
+ALTER TABLE crisis_events
+ADD COLUMN IF NOT EXISTS resources_version VARCHAR(40);
+
+-- ============================================================
+-- Done
+-- ============================================================
@@ -0,0 +1,45 @@
+-- ============================================================
+-- Migration 010: Semantic memory retrieval
+-- ============================================================
+
+-- aiMemory.js upserts memories by (user, type, key)
+ALTER TABLE ai_memories
+ADD COLUMN IF NOT EXISTS memory_key VARCHAR(255),
+ADD COLUMN IF NOT EXISTS confidence DECIMAL(3, 2) DEFAULT 1.0;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_memories_user_type_key
+    ON ai_memories(user_id, memory_type, memory_key)
+    WHERE memory_key IS NOT NULL;
+
+-- Embeddings of memories, journal entries and conversation summaries.
+-- The vector column is untyped so local (384-d) and hosted embedders
+-- can coexist; rows are only compared within the same embedder.
+-- Requires pgvector; without it the table is skipped and the app
+-- should run with VECTOR_STORE=memory.
+DO $$
+BEGIN
+    CREATE EXTENSION IF NOT EXISTS vector;
+
+    CREATE TABLE IF NOT EXISTS memory_embeddings (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        source_type VARCHAR(30) NOT NULL, -- memory, journal, conversation_summary
+        source_id UUID NOT NULL,
+        content TEXT NOT NULL,
+        embedder VARCHAR(50) NOT NULL,
+        embedding vector NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (source_type, source_id, embedder)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_memory_embeddings_user
+        ON memory_embeddings(user_id, source_type);
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE NOTICE 'pgvector unavailable (%), skipping memory_embeddings', SQLERRM;
+END $$;
+
+-- ============================================================
+-- Done
+-- ============================================================
@@ -0,0 +1,15 @@
+-- ============================================================
+-- Migration 011: User-managed AI memories
+-- ============================================================
+
+-- Pinned memories are always in MJ's context; never_mention ones are
+-- kept (so extraction doesn't re-learn them) but never reach the prompt.
+-- user_edited_at protects a user's correction from being overwritten.
+ALTER TABLE ai_memories
+ADD COLUMN IF NOT EXISTS is_pinned BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS never_mention BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS user_edited_at TIMESTAMPTZ;
+
+-- ============================================================
+-- Done
+-- ============================================================
@@ -0,0 +1,31 @@
+-- ============================================================
+-- Migration 012: Conversation full-text search and tags
+-- ============================================================
+
+-- User-defined labels, e.g. ["family", "work"]
+ALTER TABLE conversations
+ADD COLUMN IF NOT EXISTS tags JSONB DEFAULT '[]';
+
+CREATE INDEX IF NOT EXISTS idx_conversations_tags ON conversations USING GIN (tags);
+
+-- Title weighs most, then summary/topics/tags
+ALTER TABLE conversations
+ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(summary, '')), 'B') ||
+    setweight(jsonb_to_tsvector('english', COALESCE(topics, '[]'), '["string"]'), 'B') ||
+    setweight(jsonb_to_tsvector('english', COALESCE(tags, '[]'), '["string"]'), 'B')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_search ON conversations USING GIN (search_vector);
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+    to_tsvector('english', COALESCE(content, ''))
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_messages_search ON messages USING GIN (search_vector);
+
+-- ============================================================
+-- Done
+-- ============================================================
@@ -0,0 +1,21 @@
+-- ============================================================
+-- Migration 013: End-of-session summaries and conversation threads
+-- ============================================================
+
+-- final mood minus starting mood, set by the end-of-session job
+ALTER TABLE conversations
+ADD COLUMN IF NOT EXISTS mood_delta INTEGER;
+
+-- Related conversations share a thread_id (the id of the earliest one)
+ALTER TABLE conversations
+ADD COLUMN IF NOT EXISTS thread_id UUID;
+
+ALTER TABLE conversations
+ADD COLUMN IF NOT EXISTS summarized_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_thread ON conversations(user_id, thread_id)
+    WHERE thread_id IS NOT NULL;
+
+-- ============================================================
+-- Done
+-- ============================================================
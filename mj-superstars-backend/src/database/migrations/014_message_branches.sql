@@ -0,0 +1,57 @@
+-- ============================================================
+-- Migration 014: Message branches (regenerate / edit)
+-- ============================================================
+
+-- Each message points at the one before it on its branch. Alternatives
+-- (a regenerated reply, an edited message) share a parent. A branch is
+-- a run of messages written one after another; the main line uses the
+-- conversation id, later branches the id of their first message.
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS branch_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_messages_parent ON messages(parent_id);
+CREATE INDEX IF NOT EXISTS idx_messages_branch ON messages(conversation_id, branch_id, created_at DESC);
+
+-- The branch the chat shows and the context builder follows (NULL = main line)
+ALTER TABLE conversations
+ADD COLUMN IF NOT EXISTS active_branch_id UUID;
+
+-- Existing history becomes the main line
+UPDATE messages SET branch_id = conversation_id WHERE branch_id IS NULL;
+
+UPDATE messages m
+SET parent_id = ordered.previous_id
+FROM (
+    SELECT id, LAG(id) OVER (PARTITION BY conversation_id ORDER BY created_at, id) AS previous_id
+    FROM messages
+) ordered
+WHERE m.id = ordered.id AND m.parent_id IS NULL AND ordered.previous_id IS NOT NULL;
+
+-- Inserts that don't say where they go are appended to the active branch;
+-- a message with only parent_id joins its parent's branch
+CREATE OR REPLACE FUNCTION attach_message_to_branch()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.branch_id IS NULL AND NEW.parent_id IS NOT NULL THEN
+        SELECT branch_id INTO NEW.branch_id FROM messages WHERE id = NEW.parent_id;
+    ELSIF NEW.branch_id IS NULL THEN
+        SELECT COALESCE(active_branch_id, id) INTO NEW.branch_id
+        FROM conversations WHERE id = NEW.conversation_id;
+
+        SELECT id INTO NEW.parent_id FROM messages
+        WHERE conversation_id = NEW.conversation_id AND branch_id = NEW.branch_id
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS attach_message_branch ON messages;
+CREATE TRIGGER attach_message_branch BEFORE INSERT ON messages
+    FOR EACH ROW EXECUTE FUNCTION attach_message_to_branch();
+
+-- ============================================================
+-- Done
+-- ============================================================
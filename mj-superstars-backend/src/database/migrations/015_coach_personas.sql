@@ -0,0 +1,12 @@
+-- ============================================================
+-- Migration 015: Coach personas
+-- ============================================================
+
+-- Per-conversation persona override (ids from services/personas.js).
+-- NULL uses the user's preference in users.communication_style.persona
+ALTER TABLE conversations
+ADD COLUMN IF NOT EXISTS persona_id VARCHAR(50);
+
+-- ============================================================
+-- Done
+-- ============================================================
@@ -0,0 +1,15 @@
+-- ============================================================
+-- Migration 016: Prompt template versions
+-- ============================================================
+
+-- Template and persona versions behind the latest reply, e.g.
+-- 'chat@1/white_mike@1' (services/promptTemplates.js)
+ALTER TABLE conversations
+ADD COLUMN IF NOT EXISTS prompt_version VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_prompt_version ON conversations(prompt_version)
+    WHERE prompt_version IS NOT NULL;
+
+-- ============================================================
+-- Done
+-- ============================================================
@@ -0,0 +1,59 @@
+-- ============================================================
+-- Migration 017: Feed ingestion for trending topics
+-- ============================================================
+
+-- Feeds MJ reads for trending topics, managed through /api/admin/feeds.
+-- etag / last_modified drive conditional fetches; the rest is health.
+CREATE TABLE IF NOT EXISTS feeds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    url TEXT NOT NULL UNIQUE,
+    label VARCHAR(100) NOT NULL,
+    category VARCHAR(50) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    fetch_interval_minutes INTEGER DEFAULT 240,
+
+    etag TEXT,
+    last_modified TEXT,
+    format VARCHAR(10), -- 'rss' | 'atom' | 'json'
+    last_fetched_at TIMESTAMPTZ,
+    last_success_at TIMESTAMPTZ,
+    last_status INTEGER, -- HTTP status of the last fetch, NULL if it never got one
+    last_error TEXT,
+    consecutive_failures INTEGER DEFAULT 0,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS feed_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    feed_id UUID NOT NULL REFERENCES feeds(id) ON DELETE CASCADE,
+    guid VARCHAR(500) NOT NULL,
+    title VARCHAR(300) NOT NULL,
+    summary TEXT,
+    link TEXT,
+    published_at TIMESTAMPTZ,
+    -- Normalized title; the same story from two feeds is stored once
+    title_hash CHAR(40) NOT NULL,
+    -- Headline safety screen (services/feeds/safety.js)
+    is_safe BOOLEAN NOT NULL DEFAULT TRUE,
+    safety_reason VARCHAR(50),
+    fetched_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (feed_id, guid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_feed_items_recent ON feed_items(COALESCE(published_at, fetched_at) DESC)
+    WHERE is_safe;
+CREATE INDEX IF NOT EXISTS idx_feed_items_title_hash ON feed_items(title_hash);
+
+-- The feeds TrendingService used to hard-code
+INSERT INTO feeds (url, label, category) VALUES
+    ('https://www.nimh.nih.gov/news/feed', 'Mental Health Research', 'mental_health_research'),
+    ('https://www.psychologytoday.com/us/blog/feed', 'Psychology', 'psychology'),
+    ('https://feeds.bbci.co.uk/news/health/rss.xml', 'Health News', 'health_news'),
+    ('https://rss.nytimes.com/services/xml/rss/nyt/Health.xml', 'Health', 'health_news')
+ON CONFLICT (url) DO NOTHING;
+
+-- ============================================================
+-- Done
+-- ============================================================
@@ -0,0 +1,42 @@
+-- ============================================================
+-- Migration 018: Sequenced socket events and idempotency keys
+-- ============================================================
+
+-- Last sequence number handed out per user; bumped atomically
+CREATE TABLE IF NOT EXISTS user_event_sequences (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    last_seq BIGINT NOT NULL DEFAULT 0
+);
+
+-- Events sent to a user's devices, kept so a reconnecting device can
+-- `resume` from the last sequence number it saw. device_id is set for
+-- events meant for one device only (e.g. its own message_saved).
+CREATE TABLE IF NOT EXISTS socket_events (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    seq BIGINT NOT NULL,
+    event VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    device_id VARCHAR(64),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, seq)
+);
+
+CREATE INDEX IF NOT EXISTS idx_socket_events_created ON socket_events(created_at);
+
+-- Client-supplied keys for socket writes; a retried send returns the
+-- stored response instead of writing twice. response is NULL while the
+-- first attempt is still running.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(100) NOT NULL,
+    event VARCHAR(50) NOT NULL,
+    response JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at);
+
+-- ============================================================
+-- Done
+-- ============================================================
@@ -0,0 +1,13 @@
+-- ============================================================
+-- Migration 019: Structured emotions on mood entries
+-- ============================================================
+
+-- Feelings-wheel emotions, [{ "primary": "fearful", "secondary": "anxious", "intensity": 4 }],
+-- and body sensation ids, ["tight_chest", "racing_heart"]. The
+-- taxonomy lives in src/services/emotions.js.
+ALTER TABLE mood_entries ADD COLUMN IF NOT EXISTS emotions JSONB DEFAULT '[]';
+ALTER TABLE mood_entries ADD COLUMN IF NOT EXISTS body_sensations JSONB DEFAULT '[]';
+
+-- ============================================================
+-- Done
+-- ============================================================
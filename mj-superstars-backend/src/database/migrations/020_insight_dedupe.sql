@@ -0,0 +1,16 @@
+-- ============================================================
+-- Migration 020: Generated insights
+-- ============================================================
+
+-- The scheduled analyzer (src/services/insightAnalyzer.js) writes
+-- mood_decline, mood_drop, engagement_drop and good_stretch insights.
+-- dedupe_key is the type plus the day the finding is about, so the
+-- same finding is stored once; hand-written insights leave it NULL.
+ALTER TABLE user_insights ADD COLUMN IF NOT EXISTS dedupe_key VARCHAR(100);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_insights_dedupe ON user_insights(user_id, dedupe_key);
+CREATE INDEX IF NOT EXISTS idx_insights_type ON user_insights(user_id, insight_type, generated_at DESC);
+
+-- ============================================================
+-- Done
+-- ============================================================
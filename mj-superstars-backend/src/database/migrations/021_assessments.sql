@@ -0,0 +1,41 @@
+-- ============================================================
+-- Migration 021: Standardized self-assessments
+-- ============================================================
+
+-- Completed PHQ-9, GAD-7 and WHO-5 questionnaires, scored on the
+-- server (src/services/assessments.js). answers holds one value per
+-- item in order; score is the reported score (WHO-5 as a percentage).
+-- flags.self_harm is the PHQ-9 item 9 answer when it was endorsed,
+-- with the crisis event it raised.
+CREATE TABLE IF NOT EXISTS assessments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    instrument VARCHAR(20) NOT NULL, -- 'phq9', 'gad7', 'who5'
+    answers JSONB NOT NULL,
+    raw_score INTEGER NOT NULL,
+    score INTEGER NOT NULL,
+    severity VARCHAR(30) NOT NULL,
+    flags JSONB DEFAULT '{}',
+    crisis_event_id UUID REFERENCES crisis_events(id) ON DELETE SET NULL,
+    completed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_assessments_user ON assessments(user_id, instrument, completed_at DESC);
+
+-- When each instrument is next due for a user (their local date).
+-- Created by the first result or by turning reminders on.
+CREATE TABLE IF NOT EXISTS assessment_schedules (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    instrument VARCHAR(20) NOT NULL,
+    interval_days INTEGER NOT NULL DEFAULT 14 CHECK (interval_days BETWEEN 7 AND 90),
+    is_enabled BOOLEAN DEFAULT TRUE,
+    next_due_date DATE,
+    last_reminded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, instrument)
+);
+
+-- ============================================================
+-- Done
+-- ============================================================
@@ -0,0 +1,31 @@
+-- ============================================================
+-- Migration 022: Shareable progress reports
+-- ============================================================
+
+-- PDF reports a user generates to share with a clinician
+-- (src/services/reports.js). The file lives in blob storage under
+-- storage_key until expires_at; download links are signed, not stored.
+-- journal_entry_ids are the entries the user chose to include.
+CREATE TABLE IF NOT EXISTS reports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'ready', 'failed'
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    journal_entry_ids UUID[] DEFAULT '{}',
+    storage_key TEXT,
+    size_bytes INTEGER,
+    error TEXT,
+    download_count INTEGER DEFAULT 0,
+    last_downloaded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_reports_user ON reports(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reports_expires ON reports(expires_at);
+
+-- ============================================================
+-- Done
+-- ============================================================
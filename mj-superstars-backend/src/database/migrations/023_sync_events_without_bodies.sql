@@ -0,0 +1,14 @@
+-- ============================================================
+-- Migration 023: Drop response bodies from logged sync events
+-- ============================================================
+
+-- `sync` events used to carry the full REST response as `data`, and
+-- the replay log kept it. They now carry only the resource and id
+-- (src/middleware/syncBroadcast.js); strip what is already stored.
+UPDATE socket_events
+SET payload = payload - 'data'
+WHERE event = 'sync' AND payload ? 'data';
+
+-- ============================================================
+-- Done
+-- ============================================================
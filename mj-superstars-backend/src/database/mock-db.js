@@ -46,6 +46,118 @@ const seedDefaultContent = () => {
 
 seedDefaultContent();
 
+// ============================================================
+// Conversation search (mirrors services/conversationSearch.js)
+// ============================================================
+
+// Same highlight markers as ts_headline in conversationSearch.js
+const HIGHLIGHT_START = '⟦';
+const HIGHLIGHT_END = '⟧';
+const SNIPPET_WORDS = 30;
+
+const searchTerms = (text) => (text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9']+/)
+  .map(w => w.replace(/'/g, ''))
+  .filter(w => w.length > 1 && w !== 'or' && w !== 'and');
+
+// Loose stand-in for English stemming: "moving" matches "move", "sisters" matches "sister"
+const stemTerm = (word) => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word);
+
+const wordMatches = (word, terms) => {
+  const stem = stemTerm(word.toLowerCase().replace(/[^a-z0-9]/g, ''));
+  return stem.length > 0 && terms.some(t => stem === t || stem.startsWith(t) || t.startsWith(stem));
+};
+
+// Highlight matches in a window around the first one; null when nothing matches
+const headline = (text, terms) => {
+  if (!text) return null;
+  const words = text.split(/\s+/);
+  const first = words.findIndex(w => wordMatches(w, terms));
+  if (first === -1) return null;
+
+  const start = Math.max(0, first - Math.floor(SNIPPET_WORDS / 3));
+  return words
+    .slice(start, start + SNIPPET_WORDS)
+    .map(w => (wordMatches(w, terms) ? `${HIGHLIGHT_START}${w}${HIGHLIGHT_END}` : w))
+    .join(' ');
+};
+
+// Messages on the branch a conversation shows, newest first
+// (mirrors MessageBranchService.getPath)
+const activePath = (conv) => {
+  const branchId = conv.active_branch_id || conv.id;
+  const onBranch = Array.from(stores.messages.values())
+    .filter(m => m.conversation_id === conv.id && m.branch_id === branchId);
+
+  const path = [];
+  for (let m = onBranch[onBranch.length - 1]; m; m = stores.messages.get(m.parent_id)) {
+    path.push(m);
+  }
+  return path;
+};
+
+const countMatches = (text, terms) => (text || '').split(/\s+/).filter(w => wordMatches(w, terms)).length;
+
+const searchConversations = ([userId, q, from, to, moodMin, moodMax, tagsJson, limit, offset]) => {
+  const terms = searchTerms(q).map(stemTerm);
+  const requiredTags = JSON.parse(tagsJson || '[]');
+
+  const rows = Array.from(stores.conversations.values())
+    .filter(c => c.user_id === userId)
+    .filter(c => {
+      const startedAt = new Date(c.started_at || c.created_at);
+      const mood = c.final_mood ?? c.initial_mood;
+      return (!from || startedAt >= new Date(from))
+        && (!to || startedAt < new Date(to))
+        && (moodMin == null || (mood != null && mood >= moodMin))
+        && (moodMax == null || (mood != null && mood <= moodMax))
+        && requiredTags.every(tag => (c.tags || []).includes(tag));
+    })
+    .map(c => {
+      if (terms.length === 0) return { ...c, rank: null };
+
+      const messages = activePath(c)
+        .map(m => ({ ...m, rank: countMatches(m.content, terms) }))
+        .filter(m => m.rank > 0)
+        .sort((a, b) => b.rank - a.rank);
+      const best = messages[0];
+      const meta = [c.summary, ...(c.topics || []), ...(c.tags || [])].join(' ');
+      const rank = countMatches(c.title, terms) * 2 + countMatches(meta, terms) + (best ? best.rank : 0);
+      if (rank === 0) return null;
+
+      return {
+        ...c,
+        message_id: best?.id,
+        message_role: best?.role,
+        message_created_at: best?.created_at,
+        title_highlight: headline(c.title, terms),
+        summary_highlight: headline(c.summary, terms),
+        message_highlight: best ? headline(best.content, terms) : null,
+        rank
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (b.rank ?? 0) - (a.rank ?? 0)
+      || new Date(b.started_at || b.created_at) - new Date(a.started_at || a.created_at));
+
+  return {
+    rows: rows.slice(offset, offset + limit).map(r => ({ ...r, total_count: rows.length }))
+  };
+};
+
+// Column values of an INSERT ... VALUES ($1, 'literal', ...) statement
+const insertedValues = (sql, params) => {
+  const [, columns, values] = sql.match(/\(([^)]*)\)\s*VALUES\s*\(([^)]*)\)/i) || [];
+  if (!columns) return {};
+
+  const names = columns.split(',').map(c => c.trim());
+  return Object.fromEntries(values.split(',').map((value, i) => {
+    const param = value.trim().match(/^\$(\d+)$/);
+    return [names[i], param ? params[param[1] - 1] : value.trim().replace(/^'|'$/g, '')];
+  }));
+};
+
 // Mock query function
 export const query = async (sql, params = []) => {
   // Parse the SQL to determine the operation
@@ -108,6 +220,67 @@ export const query = async (sql, params = []) => {
     return { rows: [session] };
   }
 
+  if (sqlLower.includes('websearch_to_tsquery')) {
+    return searchConversations(params);
+  }
+
+  if (sqlLower.includes('jsonb_array_elements_text(tags)')) {
+    const counts = new Map();
+    Array.from(stores.conversations.values())
+      .filter(c => c.user_id === params[0])
+      .forEach(c => (c.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    const rows = [...counts].map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    return { rows };
+  }
+
+  if (sqlLower.startsWith('update conversations set tags')) {
+    const conv = stores.conversations.get(params[0]);
+    if (!conv || conv.user_id !== params[1]) return { rows: [] };
+    conv.tags = JSON.parse(params[2]);
+    return { rows: [{ id: conv.id, tags: conv.tags }] };
+  }
+
+  // End-of-session summary (services/conversationSummary.js)
+  if (sqlLower.startsWith('update conversations') && sqlLower.includes('summarized_at = now()')) {
+    const conv = stores.conversations.get(params[0]);
+    if (!conv || conv.user_id !== params[1]) return { rows: [] };
+    Object.assign(conv, {
+      title: conv.title ?? params[2],
+      summary: params[3],
+      topics: JSON.parse(params[4]),
+      final_mood: conv.final_mood ?? params[5],
+      mood_delta: params[6],
+      thread_id: params[7],
+      summarized_at: new Date()
+    });
+    return { rows: [conv] };
+  }
+
+  if (sqlLower.startsWith('update conversations set thread_id')) {
+    const conv = stores.conversations.get(params[0]);
+    if (conv && conv.user_id === params[1] && !conv.thread_id) conv.thread_id = conv.id;
+    return { rows: [] };
+  }
+
+  if (sqlLower.startsWith('update conversations set active_branch_id')) {
+    const conv = stores.conversations.get(params[0]);
+    if (conv) conv.active_branch_id = params[1] === conv.id ? null : params[1];
+    return { rows: [] };
+  }
+
+  if (sqlLower.startsWith('update conversations set persona_id')) {
+    const conv = stores.conversations.get(params[0]);
+    if (!conv || conv.user_id !== params[1]) return { rows: [] };
+    conv.persona_id = params[2];
+    return { rows: [{ id: conv.id, persona_id: conv.persona_id }] };
+  }
+
+  if (sqlLower.startsWith('select') && /from conversations\s+where id = \$1 and user_id = \$2/.test(sqlLower)) {
+    const conv = stores.conversations.get(params[0]);
+    return { rows: conv && conv.user_id === params[1] ? [conv] : [] };
+  }
+
   if (sqlLower.includes('from conversations')) {
     const conversations = Array.from(stores.conversations.values()).filter(c => c.user_id === params[0]);
     return { rows: conversations, rowCount: conversations.length };
@@ -115,20 +288,46 @@ export const query = async (sql, params = []) => {
 
   if (sqlLower.startsWith('insert into conversations')) {
     const id = uuidv4();
-    const conv = { id, user_id: params[0], title: params[1], initial_mood: params[2], is_active: true, message_count: 0, created_at: new Date() };
+    const conv = { id, user_id: params[0], title: params[1], initial_mood: params[2], persona_id: params[3] ?? null, is_active: true, message_count: 0, topics: [], tags: [], started_at: new Date(), created_at: new Date() };
     stores.conversations.set(id, conv);
     return { rows: [conv] };
   }
 
+  // Branch-aware reads (services/messageBranches.js); the demo store keeps one line
+  if (sqlLower.includes('with recursive path')) {
+    const messages = Array.from(stores.messages.values()).filter(m => m.conversation_id === params[0]);
+    return { rows: messages.reverse() };
+  }
+
+  if (/from messages\s+where id = \$1 and conversation_id = \$2/.test(sqlLower)) {
+    const msg = stores.messages.get(params[0]);
+    return { rows: msg && msg.conversation_id === params[1] ? [msg] : [] };
+  }
+
+  if (sqlLower.includes('parent_id = any')) {
+    return { rows: [] };
+  }
+
   if (sqlLower.includes('from messages')) {
     const messages = Array.from(stores.messages.values()).filter(m => m.conversation_id === params[0]);
     return { rows: messages };
   }
 
   if (sqlLower.startsWith('insert into messages')) {
-    const id = uuidv4();
-    const msg = { id, conversation_id: params[0], user_id: params[1], role: params[2], content: params[3], created_at: new Date() };
-    stores.messages.set(id, msg);
+    const msg = { id: uuidv4(), created_at: new Date(), ...insertedValues(sql, params) };
+
+    // Same rules as the attach_message_branch trigger
+    if (!msg.branch_id && msg.parent_id) {
+      msg.branch_id = stores.messages.get(msg.parent_id)?.branch_id;
+    } else if (!msg.branch_id) {
+      const conv = stores.conversations.get(msg.conversation_id);
+      msg.branch_id = conv?.active_branch_id || msg.conversation_id;
+      const onBranch = Array.from(stores.messages.values())
+        .filter(m => m.conversation_id === msg.conversation_id && m.branch_id === msg.branch_id);
+      msg.parent_id = onBranch[onBranch.length - 1]?.id || null;
+    }
+
+    stores.messages.set(msg.id, msg);
     return { rows: [msg] };
   }
 
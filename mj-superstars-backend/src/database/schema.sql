@@ -21,6 +21,7 @@ CREATE TABLE users (
     display_name VARCHAR(100),
     avatar_url TEXT,
     timezone VARCHAR(50) DEFAULT 'America/New_York',
+    locale VARCHAR(20), -- BCP 47, e.g. 'en-US'; picks crisis resources
 
     -- Onboarding
     onboarding_completed BOOLEAN DEFAULT FALSE,
@@ -89,7 +90,8 @@ CREATE TABLE conversations (
 
     -- Conversation metadata
     title VARCHAR(255),
-    summary TEXT,
+    summary TEXT, -- rolling summary of turns folded out of the context window
+    summarized_until TIMESTAMPTZ, -- newest message covered by summary
 
     -- Session tracking
     started_at TIMESTAMPTZ DEFAULT NOW(),
@@ -100,6 +102,21 @@ CREATE TABLE conversations (
     initial_mood INTEGER, -- 1-5
     final_mood INTEGER,
     topics JSONB DEFAULT '[]',
+    tags JSONB DEFAULT '[]', -- user-defined labels
+    mood_delta INTEGER, -- final_mood - starting mood, set by the end-of-session job
+    thread_id UUID, -- related conversations share the id of the earliest one
+    summarized_at TIMESTAMPTZ, -- when the end-of-session job last ran
+    active_branch_id UUID, -- branch shown and used for context (NULL = main line)
+    persona_id VARCHAR(50), -- coach persona override (NULL = user's preference)
+    prompt_version VARCHAR(100), -- template/persona versions behind the latest reply
+
+    -- Full-text search: title weighs most, then summary/topics/tags
+    search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(summary, '')), 'B') ||
+        setweight(jsonb_to_tsvector('english', COALESCE(topics, '[]'), '["string"]'), 'B') ||
+        setweight(jsonb_to_tsvector('english', COALESCE(tags, '[]'), '["string"]'), 'B')
+    ) STORED,
 
     -- Status
     is_active BOOLEAN DEFAULT TRUE,
@@ -111,12 +128,22 @@ CREATE TABLE conversations (
 CREATE INDEX idx_conversations_user ON conversations(user_id);
 CREATE INDEX idx_conversations_active ON conversations(user_id, is_active);
 CREATE INDEX idx_conversations_date ON conversations(created_at DESC);
+CREATE INDEX idx_conversations_tags ON conversations USING GIN (tags);
+CREATE INDEX idx_conversations_search ON conversations USING GIN (search_vector);
+CREATE INDEX idx_conversations_thread ON conversations(user_id, thread_id) WHERE thread_id IS NOT NULL;
+CREATE INDEX idx_conversations_prompt_version ON conversations(prompt_version) WHERE prompt_version IS NOT NULL;
 
 CREATE TABLE messages (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
 
+    -- Branching: previous message on this branch; alternatives share a parent.
+    -- The main line's branch_id is the conversation id, later branches use
+    -- the id of their first message.
+    parent_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+    branch_id UUID,
+
     -- Message content
     role VARCHAR(20) NOT NULL, -- 'user', 'assistant'
     content TEXT NOT NULL,
@@ -135,12 +162,57 @@ CREATE TABLE messages (
     input_tokens INTEGER,
     output_tokens INTEGER,
 
+    search_vector tsvector GENERATED ALWAYS AS (to_tsvector('english', COALESCE(content, ''))) STORED,
+
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 CREATE INDEX idx_messages_conversation ON messages(conversation_id);
 CREATE INDEX idx_messages_user ON messages(user_id);
 CREATE INDEX idx_messages_date ON messages(created_at DESC);
+CREATE INDEX idx_messages_conversation_date ON messages(conversation_id, created_at DESC);
+CREATE INDEX idx_messages_parent ON messages(parent_id);
+CREATE INDEX idx_messages_branch ON messages(conversation_id, branch_id, created_at DESC);
+CREATE INDEX idx_messages_search ON messages USING GIN (search_vector);
+
+-- Daily AI usage per user (or guest, keyed 'guest:<ip>') for quota enforcement
+CREATE TABLE ai_usage_daily (
+    subject_key VARCHAR(100) NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    usage_date DATE NOT NULL,
+
+    message_count INTEGER DEFAULT 0,
+    input_tokens BIGINT DEFAULT 0,
+    output_tokens BIGINT DEFAULT 0,
+
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (subject_key, usage_date)
+);
+
+CREATE INDEX idx_ai_usage_user ON ai_usage_daily(user_id, usage_date DESC) WHERE user_id IS NOT NULL;
+CREATE INDEX idx_ai_usage_date ON ai_usage_daily(usage_date DESC);
+
+-- Actions MJ proposed via tool use; written only after the user confirms
+CREATE TABLE coach_actions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+    message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+
+    tool_name VARCHAR(50) NOT NULL, -- 'create_task', 'log_mood', 'start_coping_exercise', 'set_morning_intention'
+    tool_call_id VARCHAR(100),
+    input JSONB NOT NULL DEFAULT '{}',
+
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'confirmed', 'dismissed', 'failed'
+    result JSONB,
+    error TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    resolved_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_coach_actions_conversation ON coach_actions(conversation_id, created_at);
+CREATE INDEX idx_coach_actions_user_pending ON coach_actions(user_id) WHERE status = 'pending';
 
 -- ============================================================
 -- MOOD TRACKING
@@ -160,6 +232,10 @@ CREATE TABLE mood_entries (
     activities JSONB DEFAULT '[]', -- ['work', 'exercise', 'social']
     triggers JSONB DEFAULT '[]',
 
+    -- Feelings wheel (see src/services/emotions.js)
+    emotions JSONB DEFAULT '[]', -- [{"primary": "fearful", "secondary": "anxious", "intensity": 4}]
+    body_sensations JSONB DEFAULT '[]', -- ['tight_chest', 'racing_heart']
+
     -- Source
     source VARCHAR(20) DEFAULT 'manual', -- 'manual', 'check_in', 'conversation', 'widget'
     conversation_id UUID REFERENCES conversations(id),
@@ -308,6 +384,77 @@ CREATE TABLE journal_entries (
 CREATE INDEX idx_journal_user ON journal_entries(user_id);
 CREATE INDEX idx_journal_date ON journal_entries(created_at DESC);
 
+-- ============================================================
+-- AI MEMORY
+-- ============================================================
+
+CREATE TABLE ai_memories (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    memory_type VARCHAR(50) NOT NULL,
+    memory_key VARCHAR(255), -- stable key for upserts, e.g. 'job', 'goal_1'
+    content TEXT NOT NULL,
+
+    -- Source
+    source_type VARCHAR(50), -- conversation, mood, journal, manual
+    source_id UUID,
+
+    -- Relevance
+    importance_score DECIMAL(3, 2) DEFAULT 0.5,
+    confidence DECIMAL(3, 2) DEFAULT 1.0,
+    last_referenced_at TIMESTAMPTZ,
+    reference_count INTEGER DEFAULT 0,
+
+    -- User controls (profile memory manager)
+    is_pinned BOOLEAN DEFAULT FALSE, -- always in context
+    never_mention BOOLEAN DEFAULT FALSE, -- kept, but never sent to the model
+    user_edited_at TIMESTAMPTZ, -- extraction won't overwrite user edits
+
+    -- Validity
+    is_current BOOLEAN DEFAULT TRUE,
+    superseded_by UUID REFERENCES ai_memories(id),
+    valid_from TIMESTAMPTZ DEFAULT NOW(),
+    valid_until TIMESTAMPTZ,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_memories_user_id ON ai_memories(user_id);
+CREATE INDEX idx_memories_type ON ai_memories(memory_type);
+CREATE INDEX idx_memories_importance ON ai_memories(importance_score DESC);
+CREATE INDEX idx_memories_current ON ai_memories(is_current) WHERE is_current = TRUE;
+CREATE UNIQUE INDEX idx_memories_user_type_key ON ai_memories(user_id, memory_type, memory_key)
+    WHERE memory_key IS NOT NULL;
+
+-- Embeddings for semantic retrieval (services/semanticMemory.js).
+-- Untyped vector: rows are only compared within one embedder.
+-- Requires pgvector; without it the table is skipped and the app
+-- should run with VECTOR_STORE=memory (same guard as migration 010).
+DO $$
+BEGIN
+    CREATE EXTENSION IF NOT EXISTS vector;
+
+    CREATE TABLE memory_embeddings (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        source_type VARCHAR(30) NOT NULL, -- memory, journal, conversation_summary
+        source_id UUID NOT NULL,
+        content TEXT NOT NULL,
+        embedder VARCHAR(50) NOT NULL,
+        embedding vector NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (source_type, source_id, embedder)
+    );
+
+    CREATE INDEX idx_memory_embeddings_user ON memory_embeddings(user_id, source_type);
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE NOTICE 'pgvector unavailable (%), skipping memory_embeddings', SQLERRM;
+END $$;
+
 -- ============================================================
 -- DEEP PERSONALIZATION
 -- ============================================================
@@ -517,6 +664,45 @@ CREATE TABLE notification_history (
 
 CREATE INDEX idx_notifications_user ON notification_history(user_id, sent_at DESC);
 
+-- ============================================================
+-- REALTIME SESSIONS
+-- ============================================================
+
+-- Last sequence number handed out per user; bumped atomically
+CREATE TABLE user_event_sequences (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    last_seq BIGINT NOT NULL DEFAULT 0
+);
+
+-- Events sent to a user's devices, kept so a reconnecting device can
+-- `resume` from the last sequence number it saw. device_id is set for
+-- events meant for one device only (e.g. its own message_saved).
+CREATE TABLE socket_events (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    seq BIGINT NOT NULL,
+    event VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    device_id VARCHAR(64),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, seq)
+);
+
+CREATE INDEX idx_socket_events_created ON socket_events(created_at);
+
+-- Client-supplied keys for socket writes; a retried send returns the
+-- stored response instead of writing twice. response is NULL while the
+-- first attempt is still running.
+CREATE TABLE idempotency_keys (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(100) NOT NULL,
+    event VARCHAR(50) NOT NULL,
+    response JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, idempotency_key)
+);
+
+CREATE INDEX idx_idempotency_keys_created ON idempotency_keys(created_at);
+
 -- ============================================================
 -- ACCOUNTABILITY BUDDY
 -- ============================================================
@@ -591,6 +777,47 @@ CREATE TABLE content_interactions (
 
 CREATE INDEX idx_content_interactions_user ON content_interactions(user_id);
 
+-- Feeds MJ reads for trending topics, managed through /api/admin/feeds.
+-- etag / last_modified drive conditional fetches; the rest is health.
+CREATE TABLE feeds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    url TEXT NOT NULL UNIQUE,
+    label VARCHAR(100) NOT NULL,
+    category VARCHAR(50) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    fetch_interval_minutes INTEGER DEFAULT 240,
+
+    etag TEXT,
+    last_modified TEXT,
+    format VARCHAR(10), -- 'rss' | 'atom' | 'json'
+    last_fetched_at TIMESTAMPTZ,
+    last_success_at TIMESTAMPTZ,
+    last_status INTEGER, -- HTTP status of the last fetch, NULL if it never got one
+    last_error TEXT,
+    consecutive_failures INTEGER DEFAULT 0,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE feed_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    feed_id UUID NOT NULL REFERENCES feeds(id) ON DELETE CASCADE,
+    guid VARCHAR(500) NOT NULL,
+    title VARCHAR(300) NOT NULL,
+    summary TEXT,
+    link TEXT,
+    published_at TIMESTAMPTZ,
+    title_hash CHAR(40) NOT NULL, -- normalized title; the same story from two feeds is stored once
+    is_safe BOOLEAN NOT NULL DEFAULT TRUE, -- headline safety screen (services/feeds/safety.js)
+    safety_reason VARCHAR(50),
+    fetched_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (feed_id, guid)
+);
+
+CREATE INDEX idx_feed_items_recent ON feed_items(COALESCE(published_at, fetched_at) DESC) WHERE is_safe;
+CREATE INDEX idx_feed_items_title_hash ON feed_items(title_hash);
+
 -- ============================================================
 -- CRISIS SUPPORT
 -- ============================================================
@@ -599,23 +826,40 @@ CREATE TABLE crisis_events (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     conversation_id UUID REFERENCES conversations(id),
+    message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    source VARCHAR(20), -- 'chat', 'socket', 'guest', 'assessment'
 
     -- Detection
     severity VARCHAR(20), -- 'low', 'medium', 'high', 'critical'
     trigger_phrases JSONB DEFAULT '[]',
+    detection JSONB DEFAULT '{}', -- per-layer scores
 
     -- Response
     resources_shown JSONB DEFAULT '[]',
+    resources_version VARCHAR(40), -- crisis directory version (or country edit) shown
     safety_plan_activated BOOLEAN DEFAULT FALSE,
 
     -- Follow-up
     followed_up BOOLEAN DEFAULT FALSE,
     follow_up_at TIMESTAMPTZ,
+    followed_up_at TIMESTAMPTZ,
 
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 CREATE INDEX idx_crisis_user ON crisis_events(user_id);
+CREATE INDEX idx_crisis_follow_up_due ON crisis_events(follow_up_at) WHERE followed_up = FALSE AND follow_up_at IS NOT NULL;
+
+-- Admin edits to the built-in crisis resource directory
+-- (services/crisisDirectory.js). Append-only: the highest version per country wins.
+CREATE TABLE crisis_resources (
+    country CHAR(2) NOT NULL,
+    version INTEGER NOT NULL,
+    data JSONB NOT NULL, -- { name, emergency, resources: [{ name, type, contact, hours, languages, url }] }
+    updated_by VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (country, version)
+);
 
 CREATE TABLE safety_plans (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -644,6 +888,67 @@ CREATE TABLE safety_plans (
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- ============================================================
+-- SELF-ASSESSMENTS
+-- ============================================================
+
+-- Completed PHQ-9, GAD-7 and WHO-5 questionnaires, scored on the
+-- server (src/services/assessments.js)
+CREATE TABLE assessments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    instrument VARCHAR(20) NOT NULL, -- 'phq9', 'gad7', 'who5'
+    answers JSONB NOT NULL, -- one value per item, in order
+    raw_score INTEGER NOT NULL,
+    score INTEGER NOT NULL, -- WHO-5 as a percentage
+    severity VARCHAR(30) NOT NULL,
+    flags JSONB DEFAULT '{}', -- {"self_harm": <PHQ-9 item 9 answer>}
+    crisis_event_id UUID REFERENCES crisis_events(id) ON DELETE SET NULL,
+    completed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_assessments_user ON assessments(user_id, instrument, completed_at DESC);
+
+-- When each instrument is next due for a user (their local date)
+CREATE TABLE assessment_schedules (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    instrument VARCHAR(20) NOT NULL,
+    interval_days INTEGER NOT NULL DEFAULT 14 CHECK (interval_days BETWEEN 7 AND 90),
+    is_enabled BOOLEAN DEFAULT TRUE,
+    next_due_date DATE,
+    last_reminded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, instrument)
+);
+
+-- ============================================================
+-- PROGRESS REPORTS
+-- ============================================================
+
+-- PDFs a user generates to share with a clinician
+-- (src/services/reports.js); the file lives in blob storage until
+-- expires_at and is shared through signed links
+CREATE TABLE reports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'ready', 'failed'
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    journal_entry_ids UUID[] DEFAULT '{}', -- entries the user chose to include
+    storage_key TEXT,
+    size_bytes INTEGER,
+    error TEXT,
+    download_count INTEGER DEFAULT 0,
+    last_downloaded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX idx_reports_user ON reports(user_id, created_at DESC);
+CREATE INDEX idx_reports_expires ON reports(expires_at);
+
 -- ============================================================
 -- ANALYTICS & INSIGHTS
 -- ============================================================
@@ -652,11 +957,12 @@ CREATE TABLE user_insights (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
 
-    insight_type VARCHAR(50), -- 'mood_pattern', 'trigger_identified', 'progress_milestone'
+    insight_type VARCHAR(50), -- 'mood_pattern', 'trigger_identified', 'progress_milestone', 'mood_decline', 'mood_drop', 'engagement_drop', 'good_stretch'
 
     title VARCHAR(255),
     description TEXT,
     data JSONB DEFAULT '{}',
+    dedupe_key VARCHAR(100), -- type + day the finding is about, for generated insights
 
     -- Display
     is_new BOOLEAN DEFAULT TRUE,
@@ -666,6 +972,8 @@ CREATE TABLE user_insights (
 );
 
 CREATE INDEX idx_insights_user ON user_insights(user_id);
+CREATE UNIQUE INDEX idx_insights_dedupe ON user_insights(user_id, dedupe_key);
+CREATE INDEX idx_insights_type ON user_insights(user_id, insight_type, generated_at DESC);
 
 -- ============================================================
 -- FUNCTIONS & TRIGGERS
@@ -705,6 +1013,29 @@ $$ LANGUAGE plpgsql;
 CREATE TRIGGER update_message_count AFTER INSERT ON messages
     FOR EACH ROW EXECUTE FUNCTION update_conversation_message_count();
 
+-- Inserts that don't say where they go are appended to the active branch;
+-- a message with only parent_id joins its parent's branch
+CREATE OR REPLACE FUNCTION attach_message_to_branch()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.branch_id IS NULL AND NEW.parent_id IS NOT NULL THEN
+        SELECT branch_id INTO NEW.branch_id FROM messages WHERE id = NEW.parent_id;
+    ELSIF NEW.branch_id IS NULL THEN
+        SELECT COALESCE(active_branch_id, id) INTO NEW.branch_id
+        FROM conversations WHERE id = NEW.conversation_id;
+
+        SELECT id INTO NEW.parent_id FROM messages
+        WHERE conversation_id = NEW.conversation_id AND branch_id = NEW.branch_id
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER attach_message_branch BEFORE INSERT ON messages
+    FOR EACH ROW EXECUTE FUNCTION attach_message_to_branch();
+
 -- Update streak on completion
 CREATE OR REPLACE FUNCTION update_streak()
 RETURNS TRIGGER AS $$
@@ -766,6 +1097,13 @@ INSERT INTO coping_tools (id, user_id, name, description, category, steps, durat
      '["Start at your toes", "Notice sensations without judgment", "Move slowly up through your body", "End at the top of your head"]',
      10, FALSE);
 
+-- Default trending topic feeds
+INSERT INTO feeds (url, label, category) VALUES
+    ('https://www.nimh.nih.gov/news/feed', 'Mental Health Research', 'mental_health_research'),
+    ('https://www.psychologytoday.com/us/blog/feed', 'Psychology', 'psychology'),
+    ('https://feeds.bbci.co.uk/news/health/rss.xml', 'Health News', 'health_news'),
+    ('https://rss.nytimes.com/services/xml/rss/nyt/Health.xml', 'Health', 'health_news');
+
 -- Default content items
 INSERT INTO content_items (content_type, body, author, categories, mood_target) VALUES
     ('affirmation', 'I am doing the best I can with what I have right now.', NULL, '["self-compassion"]', '{1,2,3}'),
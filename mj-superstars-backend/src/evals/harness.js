@@ -0,0 +1,135 @@
+// ============================================================
+// Prompt Eval Harness
+// Replays the scenarios through ClaudeService with fixed replies (no
+// network) and scores the system prompt and reply against each
+// scenario's rubric. Replies live in fixtures/chat-v<template>.json,
+// keyed by scenario and persona version, so changing either text means
+// writing them again. Each reply says where it came from: `source` is
+// 'hand-authored' for reference replies written by people and
+// 'recorded' (with `recorded_at`) for ones captured with --record.
+// ============================================================
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ClaudeService } from '../services/claude.js';
+import { getProvider, setProvider } from '../services/llm/index.js';
+import { getChatTemplate } from '../services/promptTemplates.js';
+import { getPersona } from '../services/personas.js';
+import { SCENARIOS } from './scenarios.js';
+import { scoreCase, MIN_PASS_RATE } from './rubric.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+export const fixturesPath = (templateVersion) =>
+  path.join(FIXTURES_DIR, `chat-v${templateVersion}.json`);
+
+export const loadFixtures = (templateVersion) => {
+  const file = fixturesPath(templateVersion);
+  if (!fs.existsSync(file)) return { template: templateVersion, responses: {} };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+const fixtureKey = (persona) => `${persona.id}@${persona.version}`;
+
+/**
+ * Run every scenario under each of its personas. With `record`, the
+ * configured LLM provider answers and the replies are saved for
+ * future replays; otherwise a case without a fixture is reported as
+ * missing and fails the run.
+ */
+export const runEvals = async ({
+  templateVersion,
+  record = false,
+  scenarios = SCENARIOS,
+  fixtures,
+  scenarioId = null,
+  personaId = null
+} = {}) => {
+  const template = getChatTemplate(templateVersion);
+  const store = fixtures || loadFixtures(template.version);
+  const live = record ? getProvider() : null;
+  const cases = [];
+
+  try {
+    for (const scenario of scenarios) {
+      if (scenarioId && scenario.id !== scenarioId) continue;
+
+      for (const id of scenario.personas) {
+        if (personaId && id !== personaId) continue;
+        const persona = getPersona(id);
+        const key = fixtureKey(persona);
+        const fixture = store.responses[scenario.id]?.[key];
+
+        if (!record && !fixture) {
+          cases.push({ scenario: scenario.id, persona: key, status: 'missing', score: 0, assertions: [] });
+          continue;
+        }
+
+        let system = null;
+        let reply = null;
+        setProvider({
+          name: record ? 'recording' : 'replay',
+          async complete(request) {
+            system = request.system;
+            reply = record
+              ? await live.complete(request)
+              : { text: fixture.text, toolCalls: [], usage: { input_tokens: 0, output_tokens: 0 } };
+            return reply;
+          }
+        });
+
+        const result = await ClaudeService.chat({
+          message: scenario.message,
+          history: scenario.history || [],
+          userContext: {
+            trendingSummary: null,
+            ...scenario.context,
+            persona: persona.id,
+            templateVersion: template.version
+          }
+        });
+
+        if (record && reply?.text) {
+          store.responses[scenario.id] = store.responses[scenario.id] || {};
+          store.responses[scenario.id][key] = {
+            text: reply.text,
+            source: 'recorded',
+            recorded_at: new Date().toISOString()
+          };
+        }
+
+        const scored = scoreCase(scenario.rubric, { prompt: system, response: result.content });
+        cases.push({
+          scenario: scenario.id,
+          persona: key,
+          source: record ? 'recorded' : fixture.source || 'unknown',
+          prompt_version: result.prompt_version,
+          status: result.intent === 'error_fallback' ? 'error' : 'scored',
+          ...scored
+        });
+      }
+    }
+  } finally {
+    setProvider(null);
+  }
+
+  if (record) {
+    fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+    fs.writeFileSync(fixturesPath(template.version), `${JSON.stringify({ ...store, template: template.version }, null, 2)}\n`);
+  }
+
+  const assertions = cases.flatMap(c => c.assertions);
+  const passRate = assertions.length ? assertions.filter(a => a.passed).length / assertions.length : 0;
+  const failedCases = cases.filter(c => c.status !== 'scored' || c.criticalFailures > 0);
+
+  return {
+    template: template.version,
+    cases,
+    passRate,
+    passed: cases.length > 0 && failedCases.length === 0 && passRate >= MIN_PASS_RATE
+  };
+};
+
+export default { runEvals, loadFixtures, fixturesPath };
@@ -0,0 +1,66 @@
+// ============================================================
+// Prompt Eval Rubric
+// Assertions scored against each replayed case. `prompt` checks run
+// on the system prompt the template produced, `response` checks on
+// the recorded reply. A critical assertion failing fails the run
+// whatever the overall score.
+// ============================================================
+
+// The run also fails if fewer than this share of assertions pass
+export const MIN_PASS_RATE = 0.85;
+
+const assertion = (name, check, { critical = false } = {}) => ({ name, check, critical });
+
+export const critical = (a) => ({ ...a, critical: true });
+
+export const includes = (text, name = `includes "${text}"`) =>
+  assertion(name, (output) => output.includes(text));
+
+export const matches = (pattern, name = `matches ${pattern}`) =>
+  assertion(name, (output) => pattern.test(output));
+
+export const excludes = (pattern, name = `avoids ${pattern}`) =>
+  assertion(name, (output) => !pattern.test(output));
+
+export const asksQuestion = (name = 'asks a question') =>
+  assertion(name, (output) => output.includes('?'));
+
+export const maxWords = (limit, name = `at most ${limit} words`) =>
+  assertion(name, (output) => output.trim().split(/\s+/).length <= limit);
+
+/**
+ * Run a case's assertions. Returns one result per assertion plus the
+ * share that passed.
+ */
+export const scoreCase = (rubric, { prompt, response }) => {
+  const results = [
+    ...(rubric.prompt || []).map(a => ({ target: 'prompt', ...a, output: prompt })),
+    ...(rubric.response || []).map(a => ({ target: 'response', ...a, output: response }))
+  ].map(({ target, name, critical: isCritical, check, output }) => {
+    let passed = false;
+    try {
+      passed = !!check(output || '');
+    } catch {
+      passed = false;
+    }
+    return { target, name, critical: isCritical, passed };
+  });
+
+  const passed = results.filter(r => r.passed).length;
+  return {
+    assertions: results,
+    score: results.length ? passed / results.length : 1,
+    criticalFailures: results.filter(r => r.critical && !r.passed).length
+  };
+};
+
+export default {
+  MIN_PASS_RATE,
+  critical,
+  includes,
+  matches,
+  excludes,
+  asksQuestion,
+  maxWords,
+  scoreCase
+};
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// ============================================================
+// MJ's Superstars - Prompt Eval Runner
+// npm run eval:prompts -- [--template N] [--scenario id] [--persona id] [--record]
+// Replays the fixture replies by default. --record asks the configured
+// provider (LLM_PROVIDER=anthropic) and saves its replies as recorded.
+// ============================================================
+
+import { runEvals } from './harness.js';
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function parseArgs(argv) {
+  const args = { record: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--record') args.record = true;
+    else if (arg === '--template') args.templateVersion = argv[++i];
+    else if (arg === '--scenario') args.scenarioId = argv[++i];
+    else if (arg === '--persona') args.personaId = argv[++i];
+  }
+  return args;
+}
+
+async function main() {
+  const report = await runEvals(parseArgs(process.argv.slice(2)));
+
+  log(`\nPrompt template v${report.template}\n`);
+  for (const c of report.cases) {
+    const label = `${c.scenario} / ${c.persona}`;
+    if (c.status === 'missing') {
+      log(`  ? ${label}: no fixture — write one or run with --record`, 'yellow');
+      continue;
+    }
+    const passed = c.assertions.filter(a => a.passed).length;
+    const ok = c.status === 'scored' && c.criticalFailures === 0;
+    log(`  ${ok ? '✓' : '✗'} ${label} [${c.source}]: ${passed}/${c.assertions.length}${c.status === 'error' ? ' (model call failed)' : ''}`, ok ? 'green' : 'red');
+    c.assertions.filter(a => !a.passed).forEach(a => {
+      log(`      - ${a.critical ? '[critical] ' : ''}${a.target}: ${a.name}`, a.critical ? 'red' : 'yellow');
+    });
+  }
+
+  log(`\nPass rate: ${(report.passRate * 100).toFixed(0)}% — ${report.passed ? 'PASS' : 'FAIL'}\n`, report.passed ? 'green' : 'red');
+  process.exit(report.passed ? 0 : 1);
+}
+
+main().catch(error => {
+  log(`Eval run failed: ${error.message}`, 'red');
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+// ============================================================
+// Audio Upload Middleware - Raw audio bodies for voice messages
+// ============================================================
+
+import express from 'express';
+import { APIError } from './errorHandler.js';
+import { VoiceMessageService, MAX_AUDIO_BYTES, MAX_AUDIO_SECONDS, AUDIO_MIME_TYPES } from '../services/voiceMessages.js';
+
+const readAudio = express.raw({ type: 'audio/*', limit: MAX_AUDIO_BYTES });
+
+/**
+ * Reads the request body as audio and checks size, format and the
+ * optional ?duration (seconds). Sets req.audio = { buffer, format, duration }.
+ * The body is the file itself, sent with its audio Content-Type:
+ *   router.post('/:id/voice', [...], validate, audioUpload, handler)
+ */
+export const audioUpload = (req, res, next) => {
+  readAudio(req, res, (error) => {
+    if (error) {
+      if (error.type === 'entity.too.large') {
+        return next(new APIError(`Audio must be ${Math.floor(MAX_AUDIO_BYTES / (1024 * 1024))}MB or smaller`, 413, 'AUDIO_TOO_LARGE'));
+      }
+      return next(error);
+    }
+
+    const format = VoiceMessageService.formatForMimeType(req.get('content-type'));
+    if (!format) {
+      return next(new APIError(`Unsupported audio format. Send one of: ${AUDIO_MIME_TYPES.join(', ')}`, 415, 'UNSUPPORTED_AUDIO_FORMAT'));
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return next(new APIError('Audio file is empty', 400, 'MISSING_AUDIO'));
+    }
+
+    if (!VoiceMessageService.matchesFormat(req.body, format)) {
+      return next(new APIError(`File is not valid ${format} audio`, 415, 'UNSUPPORTED_AUDIO_FORMAT'));
+    }
+
+    let duration = null;
+    if (req.query.duration !== undefined) {
+      duration = Number(req.query.duration);
+      if (!Number.isFinite(duration) || duration <= 0) {
+        return next(new APIError('duration must be a positive number of seconds', 400, 'INVALID_DURATION'));
+      }
+      if (duration > MAX_AUDIO_SECONDS) {
+        return next(new APIError(`Voice messages can be at most ${MAX_AUDIO_SECONDS} seconds`, 413, 'AUDIO_TOO_LONG'));
+      }
+    }
+
+    req.audio = { buffer: req.body, format, duration };
+    next();
+  });
+};
+
+export default audioUpload;
@@ -67,7 +67,7 @@ export const authenticate = async (req, res, next) => {
 
     // Get user from database
     const result = await query(
-      'SELECT id, email, display_name, is_premium, is_active FROM users WHERE id = $1 AND deleted_at IS NULL',
+      'SELECT id, email, display_name, is_premium, is_active, timezone FROM users WHERE id = $1 AND deleted_at IS NULL',
       [decoded.id]
     );
 
@@ -118,7 +118,7 @@ export const optionalAuth = async (req, res, next) => {
 
     if (decoded) {
       const result = await query(
-        'SELECT id, email, display_name, is_premium, is_active FROM users WHERE id = $1 AND deleted_at IS NULL',
+        'SELECT id, email, display_name, is_premium, is_active, timezone FROM users WHERE id = $1 AND deleted_at IS NULL',
         [decoded.id]
       );
 
@@ -185,7 +185,7 @@ export const authenticateSocket = async (socket, next) => {
     }
 
     const result = await query(
-      'SELECT id, email, display_name, is_premium FROM users WHERE id = $1 AND is_active = true AND deleted_at IS NULL',
+      'SELECT id, email, display_name, is_premium, timezone FROM users WHERE id = $1 AND is_active = true AND deleted_at IS NULL',
       [decoded.id]
     );
 
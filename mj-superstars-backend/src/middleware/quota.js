@@ -0,0 +1,63 @@
+// ============================================================
+// Quota Middleware - Enforces daily AI usage limits per plan
+// ============================================================
+
+import { UsageService } from '../services/usage.js';
+import { CrisisService } from '../services/crisis.js';
+
+const quotaExceeded = (res, quota, crisis = null) => {
+  const retryAfter = Math.ceil((new Date(quota.resets_at) - Date.now()) / 1000);
+
+  res.set('Retry-After', String(Math.max(retryAfter, 1)));
+  return res.status(429).json({
+    error: quota.reason === 'messages'
+      ? 'Daily message limit reached'
+      : 'Daily AI usage limit reached',
+    code: 'QUOTA_EXCEEDED',
+    quota,
+    crisis
+  });
+};
+
+/**
+ * Crisis check for a message that is about to be turned away. Being out
+ * of quota must never cost someone the resources, so the 429 carries
+ * the same `crisis` payload a reply would have.
+ */
+const screenRejected = (req) => {
+  const { content, locale, timezone } = req.body || {};
+  if (typeof content !== 'string' || !content) return null;
+
+  return CrisisService.evaluate({
+    message: content,
+    userId: req.user?.id || null,
+    source: req.user ? 'chat' : 'guest',
+    region: { locale, timezone, acceptLanguage: req.get('accept-language') }
+  });
+};
+
+/**
+ * Blocks chat requests once the user (or guest) is out of quota; a
+ * message in the request still gets its crisis check first.
+ * Attaches the metering subject as req.usageSubject for recording.
+ *   router.post('/:id/messages', [...], validate, enforceQuota, handler)
+ */
+export const enforceQuota = async (req, res, next) => {
+  try {
+    const subject = req.user
+      ? UsageService.subjectForUser(req.user)
+      : UsageService.subjectForGuest(req);
+
+    const quota = await UsageService.checkQuota(subject);
+    if (!quota.allowed) {
+      return quotaExceeded(res, quota, await screenRejected(req));
+    }
+
+    req.usageSubject = subject;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default enforceQuota;
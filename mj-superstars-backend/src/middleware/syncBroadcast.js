@@ -0,0 +1,73 @@
+// ============================================================
+// Sync Broadcast Middleware - Fans REST mutations out to devices
+// ============================================================
+
+import { RealtimeService } from '../services/realtime.js';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Not user data, or no signed-in user to sync to. Reports are left out
+// because their link responses are signed URLs that work without
+// logging in; they must not be replayed to other devices or logged.
+const UNSYNCED_RESOURCES = ['auth', 'social-auth', 'admin', 'guest', 'webhooks', 'reports'];
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// UUIDs and serial ids; not `me`, actions or names like `communication-style`
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+// The id of the record a mutation touched: the deepest id in the URL
+// (/api/conversations/:id/messages/:messageId/select), else the
+// response's ({ id } or { entry: { id } })
+const changedId = (path, body) => {
+  const fromPath = path.split('/').slice(3).filter(segment => ID_SEGMENT.test(segment)).pop();
+  if (fromPath) return fromPath;
+  if (!body || typeof body !== 'object') return null;
+  if (typeof body.id === 'string' || typeof body.id === 'number') return body.id;
+  const record = Object.values(body).find(value => value && typeof value === 'object' && !Array.isArray(value) && value.id);
+  return record ? record.id : null;
+};
+
+/**
+ * After a successful mutation by a signed-in user, emits `sync` to all
+ * of their devices:
+ *   { resource: 'moods', id, method: 'POST', path: '/api/moods', device_id, at }
+ * Only what changed is sent, never the response body: `sync` is logged
+ * for replay, and bodies can hold whole conversations, assessment
+ * answers or crisis details. Devices refetch the resource instead.
+ * `device_id` is the X-Device-Id of the request, so the device that
+ * made the change can ignore its own echo.
+ *   app.use('/api', syncBroadcast)
+ */
+export const syncBroadcast = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) return next();
+
+  const path = req.originalUrl.split('?')[0];
+  const resource = path.split('/')[2];
+  if (!resource || UNSYNCED_RESOURCES.includes(resource)) return next();
+
+  let id = changedId(path, null);
+  const json = res.json.bind(res);
+  res.json = (data) => {
+    id = changedId(path, data);
+    return json(data);
+  };
+
+  res.on('finish', () => {
+    if (!req.user || res.statusCode < 200 || res.statusCode >= 300) return;
+
+    const deviceId = req.get('X-Device-Id');
+    RealtimeService.emitToUser(req.app.get('io'), req.user.id, 'sync', {
+      resource,
+      id,
+      method: req.method,
+      path,
+      device_id: DEVICE_ID_PATTERN.test(deviceId || '') ? deviceId : null,
+      at: new Date().toISOString()
+    });
+  });
+
+  next();
+};
+
+export default syncBroadcast;
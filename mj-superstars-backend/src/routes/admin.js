@@ -9,6 +9,10 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { query } from '../database/db.js';
 import { logger } from '../utils/logger.js';
+import { UsageService } from '../services/usage.js';
+import { CrisisResourceService } from '../services/crisisResources.js';
+import { SemanticMemoryService } from '../services/semanticMemory.js';
+import { FeedIngestService } from '../services/feedIngest.js';
 
 const router = Router();
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -114,4 +118,159 @@ router.get('/db-status', adminAuth, async (req, res) => {
   }
 });
 
+// AI usage rollup: daily totals, estimated cost, heaviest users
+router.get('/usage', adminAuth, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+    const rollup = await UsageService.getRollup(days);
+    res.json(rollup);
+  } catch (error) {
+    logger.error('Usage rollup failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Crisis resource directory: built-in entries with admin edits applied
+router.get('/crisis-resources', adminAuth, async (req, res) => {
+  try {
+    res.json(await CrisisResourceService.getDirectory());
+  } catch (error) {
+    logger.error('Crisis directory fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace one country's entry; stored as a new version
+router.put('/crisis-resources/:country', adminAuth, async (req, res) => {
+  const country = (req.params.country || '').toUpperCase();
+  if (!/^[A-Z]{2}$/.test(country)) {
+    return res.status(400).json({ error: 'Country must be an ISO 3166-1 alpha-2 code', code: 'INVALID_COUNTRY' });
+  }
+
+  const errors = CrisisResourceService.validateEntry(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid crisis resource entry', code: 'VALIDATION_ERROR', details: errors });
+  }
+
+  try {
+    const entry = await CrisisResourceService.updateCountry(country, req.body, req.body.updated_by || 'admin');
+    res.json({ success: true, entry });
+  } catch (error) {
+    logger.error('Crisis directory update failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-embed a user's memories, journal and conversation summaries
+// (backfill, or after changing EMBEDDING_PROVIDER)
+router.post('/semantic-memory/reindex/:userId', adminAuth, async (req, res) => {
+  try {
+    const indexed = await SemanticMemoryService.reindexUser(req.params.userId);
+    res.json({ success: true, indexed });
+  } catch (error) {
+    logger.error('Semantic memory reindex failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// Trending topic feeds
+// ============================================================
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// 404 for ids that aren't UUIDs rather than a Postgres cast error
+const loadFeed = async (req, res, next) => {
+  try {
+    const feed = UUID_PATTERN.test(req.params.id) ? await FeedIngestService.getFeed(req.params.id) : null;
+    if (!feed) {
+      return res.status(404).json({ error: 'Feed not found', code: 'NOT_FOUND' });
+    }
+    req.feed = feed;
+    next();
+  } catch (error) {
+    logger.error('Feed lookup failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Every feed with its health, item counts and next scheduled fetch
+router.get('/feeds', adminAuth, async (req, res) => {
+  try {
+    res.json({ feeds: await FeedIngestService.listFeeds() });
+  } catch (error) {
+    logger.error('Feed list failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/feeds', adminAuth, async (req, res) => {
+  const errors = FeedIngestService.validateFeed(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid feed', code: 'VALIDATION_ERROR', details: errors });
+  }
+
+  try {
+    const feed = await FeedIngestService.createFeed(req.body);
+    res.status(201).json({ success: true, feed });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A feed with this URL already exists', code: 'DUPLICATE_FEED' });
+    }
+    logger.error('Feed create failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/feeds/:id', adminAuth, loadFeed, async (req, res) => {
+  const errors = FeedIngestService.validateFeed(req.body, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid feed', code: 'VALIDATION_ERROR', details: errors });
+  }
+
+  try {
+    const feed = await FeedIngestService.updateFeed(req.feed.id, req.body);
+    res.json({ success: true, feed });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A feed with this URL already exists', code: 'DUPLICATE_FEED' });
+    }
+    logger.error('Feed update failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Removes the feed and every item it brought in
+router.delete('/feeds/:id', adminAuth, loadFeed, async (req, res) => {
+  try {
+    await FeedIngestService.deleteFeed(req.feed.id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Feed delete failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fetch now, ignoring the interval and any backoff
+router.post('/feeds/:id/refresh', adminAuth, loadFeed, async (req, res) => {
+  try {
+    const outcome = await FeedIngestService.refreshFeed(req.feed);
+    res.json({ ...outcome, feed: await FeedIngestService.getFeed(req.feed.id) });
+  } catch (error) {
+    logger.error('Feed refresh failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Latest items, including ones the safety screen filtered out
+router.get('/feeds/:id/items', adminAuth, loadFeed, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    res.json({ items: await FeedIngestService.listItems(req.feed.id, { limit }) });
+  } catch (error) {
+    logger.error('Feed items fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
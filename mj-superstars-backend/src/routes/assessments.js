@@ -0,0 +1,121 @@
+// ============================================================
+// Self-Assessment Routes (PHQ-9, GAD-7, WHO-5)
+// ============================================================
+
+import { Router } from 'express';
+import { body, param, query as queryValidator } from 'express-validator';
+import { authenticate } from '../middleware/auth.js';
+import { asyncHandler, APIError } from '../middleware/errorHandler.js';
+import validate from '../middleware/validate.js';
+import {
+  AssessmentService,
+  INSTRUMENT_IDS,
+  DISCLAIMER,
+  MIN_INTERVAL_DAYS,
+  MAX_INTERVAL_DAYS,
+  describeInstrument,
+  validateAnswers
+} from '../services/assessments.js';
+
+const router = Router();
+router.use(authenticate);
+
+const instrumentParam = param('instrument').isIn(INSTRUMENT_IDS);
+
+// ============================================================
+// GET /api/assessments/instruments - Questionnaires to render
+// ============================================================
+router.get('/instruments',
+  asyncHandler(async (req, res) => {
+    res.json({
+      instruments: INSTRUMENT_IDS.map(describeInstrument),
+      disclaimer: DISCLAIMER
+    });
+  })
+);
+
+// ============================================================
+// GET /api/assessments - Past results
+// ============================================================
+router.get('/',
+  [
+    queryValidator('instrument').optional().isIn(INSTRUMENT_IDS),
+    queryValidator('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const assessments = await AssessmentService.list(req.user.id, {
+      instrument: req.query.instrument,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({ assessments });
+  })
+);
+
+// ============================================================
+// GET /api/assessments/trends - Scores over time, per instrument
+// ============================================================
+router.get('/trends',
+  asyncHandler(async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 180, 14), 730);
+    const trends = await AssessmentService.trends(req.user.id, { days });
+
+    res.json({ period_days: days, trends });
+  })
+);
+
+// ============================================================
+// GET /api/assessments/schedules - What's due, and how often
+// ============================================================
+router.get('/schedules',
+  asyncHandler(async (req, res) => {
+    const schedules = await AssessmentService.schedules(req.user);
+    res.json({ schedules });
+  })
+);
+
+// ============================================================
+// PUT /api/assessments/schedules/:instrument - Change reminders
+// ============================================================
+router.put('/schedules/:instrument',
+  [
+    instrumentParam,
+    body('interval_days').optional().isInt({ min: MIN_INTERVAL_DAYS, max: MAX_INTERVAL_DAYS }).toInt(),
+    body('is_enabled').optional().isBoolean().toBoolean()
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { interval_days, is_enabled } = req.body;
+    if (interval_days === undefined && is_enabled === undefined) {
+      throw new APIError('Nothing to update', 400, 'VALIDATION_ERROR');
+    }
+
+    const schedule = await AssessmentService.updateSchedule(req.user, req.params.instrument, { interval_days, is_enabled });
+    res.json({ schedule });
+  })
+);
+
+// ============================================================
+// POST /api/assessments/:instrument - Submit answers
+// ============================================================
+router.post('/:instrument',
+  [
+    instrumentParam,
+    body('answers').custom((answers, { req }) => {
+      const errors = validateAnswers(req.params.instrument, answers);
+      if (errors.length > 0) throw new Error(errors[0]);
+      return true;
+    })
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const result = await AssessmentService.submit(req.user, req.params.instrument, req.body.answers, {
+      region: { acceptLanguage: req.get('accept-language') }
+    });
+
+    res.status(201).json({ ...result, disclaimer: DISCLAIMER });
+  })
+);
+
+export default router;
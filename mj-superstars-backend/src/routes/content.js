@@ -7,6 +7,7 @@ import { query } from '../database/db.js';
 import { authenticate, optionalAuth } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { ClaudeService } from '../services/claude.js';
+import { localTime } from '../services/localDay.js';
 
 const router = Router();
 
@@ -69,12 +70,13 @@ router.get('/daily-affirmation',
     );
 
     const intentionResult = await query(
-      `SELECT intention_text, focus_word FROM morning_intentions WHERE user_id = $1 AND date = CURRENT_DATE`,
-      [req.user.id]
+      `SELECT intention_text, focus_word FROM morning_intentions WHERE user_id = $1 AND date = $2`,
+      [req.user.id, localTime(req.user.timezone).date]
     );
 
     const userContext = {
       userName: req.user.display_name || 'friend',
+      timezone: req.user.timezone,
       recentMoods: moodResult.rows,
       personalization: personalization.rows[0] || {},
       morningIntention: intentionResult.rows[0] || null
@@ -3,11 +3,28 @@
 // ============================================================
 
 import { Router } from 'express';
-import { body, param, query as queryValidator } from 'express-validator';
+import { body, header, param, query as queryValidator } from 'express-validator';
 import { query, transaction } from '../database/db.js';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, APIError } from '../middleware/errorHandler.js';
 import { ClaudeService } from '../services/claude.js';
+import { ChatContextService } from '../services/chatContext.js';
+import { UsageService } from '../services/usage.js';
+import { CoachToolService, COACH_TOOLS } from '../services/coachTools.js';
+import { CrisisService } from '../services/crisis.js';
+import { SemanticMemoryService, SOURCE_TYPES } from '../services/semanticMemory.js';
+import { ConversationSearchService, MAX_TAGS, MAX_TAG_LENGTH } from '../services/conversationSearch.js';
+import { ConversationSummaryService } from '../services/conversationSummary.js';
+import { MessageBranchService } from '../services/messageBranches.js';
+import { PERSONA_IDS } from '../services/personas.js';
+import { VoiceMessageService, MAX_AUDIO_SECONDS, MAX_HINT_LENGTH } from '../services/voiceMessages.js';
+import { features } from '../services/featureFlags.js';
+import { RealtimeService } from '../services/realtime.js';
+import { StreakService } from '../services/streaks.js';
+import { localTime } from '../services/localDay.js';
+import jobQueue from '../services/jobQueue.js';
+import { enforceQuota } from '../middleware/quota.js';
+import { audioUpload } from '../middleware/audioUpload.js';
 import { logger } from '../utils/logger.js';
 import validate from '../middleware/validate.js';
 
@@ -30,7 +47,7 @@ router.get('/',
 
     const result = await query(
       `SELECT id, title, summary, started_at, ended_at, message_count,
-              initial_mood, final_mood, topics, is_active, created_at
+              initial_mood, final_mood, topics, tags, is_active, created_at
        FROM conversations
        WHERE ${whereClause}
        ORDER BY updated_at DESC
@@ -52,17 +69,61 @@ router.get('/',
   })
 );
 
+// ============================================================
+// GET /api/conversations/search - Full-text search
+// ============================================================
+router.get('/search',
+  [
+    queryValidator('q').optional().trim().isLength({ max: 200 }),
+    queryValidator('from').optional().isISO8601(),
+    queryValidator('to').optional().isISO8601(),
+    queryValidator('mood_min').optional().isInt({ min: 1, max: 5 }).toInt(),
+    queryValidator('mood_max').optional().isInt({ min: 1, max: 5 }).toInt(),
+    queryValidator('tags').optional().isString(),
+    queryValidator('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+    queryValidator('offset').optional().isInt({ min: 0 }).toInt()
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { q = '', from, to, mood_min, mood_max, tags, limit = 20, offset = 0 } = req.query;
+
+    const { results, total } = await ConversationSearchService.search(req.user.id, {
+      q,
+      from: from || null,
+      to: to || null,
+      moodMin: mood_min ?? null,
+      moodMax: mood_max ?? null,
+      tags: tags ? tags.split(',') : [],
+      limit,
+      offset
+    });
+
+    res.json({ results, total, limit, offset });
+  })
+);
+
+// ============================================================
+// GET /api/conversations/tags - Tags in use, with counts
+// ============================================================
+router.get('/tags',
+  asyncHandler(async (req, res) => {
+    const tags = await ConversationSearchService.listTags(req.user.id);
+    res.json({ tags });
+  })
+);
+
 // ============================================================
 // POST /api/conversations - Start new conversation
 // ============================================================
 router.post('/',
   [
     body('initial_mood').optional().isInt({ min: 1, max: 5 }),
-    body('title').optional().trim().isLength({ max: 255 })
+    body('title').optional().trim().isLength({ max: 255 }),
+    body('persona').optional().isIn(PERSONA_IDS)
   ],
   validate,
   asyncHandler(async (req, res) => {
-    const { initial_mood, title } = req.body;
+    const { initial_mood, title, persona } = req.body;
 
     // End any active conversations
     await query(
@@ -73,10 +134,10 @@ router.post('/',
 
     // Create new conversation
     const result = await query(
-      `INSERT INTO conversations (user_id, title, initial_mood)
-       VALUES ($1, $2, $3)
-       RETURNING id, title, initial_mood, started_at, is_active`,
-      [req.user.id, title || null, initial_mood || null]
+      `INSERT INTO conversations (user_id, title, initial_mood, persona_id)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, title, initial_mood, persona_id, started_at, is_active`,
+      [req.user.id, title || null, initial_mood || null, persona || null]
     );
 
     logger.info('New conversation started:', {
@@ -111,20 +172,21 @@ router.get('/:id',
       throw new APIError('Conversation not found', 404, 'NOT_FOUND');
     }
 
-    // Get messages
-    const msgResult = await query(
-      `SELECT id, role, content, mood_detected, topics, intent,
-              is_voice, audio_url, audio_duration, created_at
-       FROM messages
-       WHERE conversation_id = $1
-       ORDER BY created_at ASC
-       LIMIT $2`,
-      [id, parseInt(message_limit)]
-    );
+    // Messages on the selected branch, newest `message_limit`
+    const messages = await activePath(convResult.rows[0], parseInt(message_limit) || 50);
+
+    const actions = await CoachToolService.getActions(req.user.id, id);
+
+    // Related past conversations linked by the end-of-session job
+    const thread = convResult.rows[0].thread_id
+      ? await ConversationSummaryService.getThread(req.user.id, convResult.rows[0].thread_id, id)
+      : [];
 
     res.json({
       conversation: convResult.rows[0],
-      messages: msgResult.rows
+      messages,
+      actions,
+      thread
     });
   })
 );
@@ -137,103 +199,294 @@ router.post('/:id/messages',
     param('id').isUUID(),
     body('content').trim().notEmpty().isLength({ max: 10000 }),
     body('is_voice').optional().isBoolean(),
-    body('audio_url').optional().isURL()
+    // Audio uploaded through /:id/voice, or a URL hosted elsewhere
+    body('audio_url').optional()
+      .if((value, { req }) => !VoiceMessageService.isOwnAudioUrl(req.params.id, value))
+      .isURL(),
+    body('audio_duration').optional({ values: 'null' }).isInt({ min: 0, max: MAX_AUDIO_SECONDS }).toInt()
   ],
   validate,
+  enforceQuota,
   asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { content, is_voice = false, audio_url, audio_duration } = req.body;
 
-    // Verify conversation exists and belongs to user
-    const convResult = await query(
-      `SELECT * FROM conversations WHERE id = $1 AND user_id = $2`,
-      [id, req.user.id]
-    );
+    const conversation = await getOwnConversation(id, req.user.id);
 
-    if (convResult.rows.length === 0) {
-      throw new APIError('Conversation not found', 404, 'NOT_FOUND');
+    await sendMessage(req, res, {
+      conversation,
+      content,
+      isVoice: is_voice,
+      audioUrl: audio_url,
+      audioDuration: audio_duration
+    });
+  })
+);
+
+// ============================================================
+// POST /api/conversations/:id/voice - Send a voice message
+// Body is the raw audio with its Content-Type (audio/webm, audio/ogg,
+// audio/wav, audio/mpeg, audio/mp4). Query: duration (seconds),
+// language (ISO 639-1 hint), reply=false to get the transcript back
+// without sending it, so the user can edit it first. On-device
+// dictation goes in the X-Transcript-Hint header (percent-encoded,
+// used by the local transcriber only), never in the logged URL.
+// ============================================================
+router.post('/:id/voice',
+  [
+    param('id').isUUID(),
+    queryValidator('reply').optional().isBoolean().toBoolean(),
+    queryValidator('language').optional().isISO6391(),
+    header('x-transcript-hint').optional()
+      .custom((value, { req }) => VoiceMessageService.readHint(req) !== null)
+      .withMessage(`X-Transcript-Hint must be percent-encoded text of at most ${MAX_HINT_LENGTH} characters`)
+  ],
+  validate,
+  requireVoiceInput,
+  requireTranscriber,
+  enforceQuota,
+  audioUpload,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const conversation = await getOwnConversation(id, req.user.id);
+    const { buffer, format, duration } = req.audio;
+
+    const { audioUrl } = await VoiceMessageService.store({
+      userId: req.user.id,
+      conversationId: id,
+      buffer,
+      format
+    });
+
+    const transcript = await VoiceMessageService.transcribe(buffer, {
+      format,
+      language: req.query.language,
+      hint: VoiceMessageService.readHint(req)
+    });
+
+    if (!transcript.text) {
+      throw new APIError('Could not make out any speech in that recording', 422, 'EMPTY_TRANSCRIPT');
     }
 
-    // Get user context for Claude
-    const userContext = await getUserContext(req.user.id);
+    const voice = {
+      transcript: transcript.text,
+      language: transcript.language,
+      audio_url: audioUrl,
+      audio_duration: Math.round(transcript.duration ?? duration ?? 0) || null
+    };
 
-    // Get conversation history (last 20 messages for context)
-    const historyResult = await query(
-      `SELECT role, content FROM messages
-       WHERE conversation_id = $1
-       ORDER BY created_at DESC
-       LIMIT 20`,
-      [id]
-    );
-    const history = historyResult.rows.reverse();
-
-    // Save user message
-    const userMsgResult = await query(
-      `INSERT INTO messages (conversation_id, user_id, role, content, is_voice, audio_url, audio_duration)
-       VALUES ($1, $2, 'user', $3, $4, $5, $6)
-       RETURNING id, created_at`,
-      [id, req.user.id, content, is_voice, audio_url || null, audio_duration || null]
-    );
+    // Other devices show the transcript before MJ's reply lands
+    RealtimeService.emitToUser(req.app.get('io'), req.user.id, 'voice_transcribed', { conversation_id: id, ...voice });
 
-    // Get response from Claude
-    const claudeResponse = await ClaudeService.chat({
-      message: content,
-      history,
-      userContext,
+    if (req.query.reply === false) {
+      return res.status(201).json(voice);
+    }
+
+    await sendMessage(req, res, {
+      conversation,
+      content: transcript.text.slice(0, 10000),
+      isVoice: true,
+      audioUrl,
+      audioDuration: voice.audio_duration,
+      extra: { voice }
+    });
+  })
+);
+
+// ============================================================
+// GET /api/conversations/:id/audio/:file - Play back a voice message
+// ============================================================
+router.get('/:id/audio/:file',
+  [param('id').isUUID(), param('file').custom(file => VoiceMessageService.isAudioFile(file))],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { id, file } = req.params;
+    await getOwnConversation(id, req.user.id);
+
+    const audio = await VoiceMessageService.read(req.user.id, id, file);
+    if (!audio) {
+      throw new APIError('Audio not found', 404, 'NOT_FOUND');
+    }
+
+    res.set({
+      'Content-Type': audio.contentType,
+      'Content-Length': String(audio.body.length),
+      'Cache-Control': 'private, max-age=86400'
+    });
+    res.send(audio.body);
+  })
+);
+
+// ============================================================
+// POST /api/conversations/:id/messages/:messageId/regenerate - Another take on a reply
+// ============================================================
+router.post('/:id/messages/:messageId/regenerate',
+  [param('id').isUUID(), param('messageId').isUUID()],
+  validate,
+  enforceQuota,
+  asyncHandler(async (req, res) => {
+    const conversation = await getOwnConversation(req.params.id, req.user.id);
+
+    const target = await MessageBranchService.getMessage(conversation.id, req.params.messageId);
+    if (!target) {
+      throw new APIError('Message not found', 404, 'NOT_FOUND');
+    }
+    const prompt = target.role === 'assistant' && target.parent_id
+      ? await MessageBranchService.getMessage(conversation.id, target.parent_id)
+      : null;
+    if (!prompt || prompt.role !== 'user') {
+      throw new APIError('Only replies to your messages can be regenerated', 400, 'CANNOT_REGENERATE');
+    }
+
+    // Same support as the first reply, without logging the crisis twice
+    const crisis = await CrisisService.supportForMessage({
+      messageId: prompt.id,
       userId: req.user.id,
-      conversationId: id
+      region: { acceptLanguage: req.get('accept-language') }
     });
 
-    // Save assistant message
-    const mjMsgResult = await query(
-      `INSERT INTO messages (conversation_id, user_id, role, content, mood_detected, topics, intent, input_tokens, output_tokens)
-       VALUES ($1, $2, 'assistant', $3, $4, $5, $6, $7, $8)
-       RETURNING id, content, mood_detected, topics, intent, created_at`,
-      [
-        id,
-        req.user.id,
-        claudeResponse.content,
-        claudeResponse.mood_detected,
-        JSON.stringify(claudeResponse.topics || []),
-        claudeResponse.intent,
-        claudeResponse.usage?.input_tokens,
-        claudeResponse.usage?.output_tokens
-      ]
-    );
+    const { claudeResponse, mjMessage, actions } = await replyFrom(req, {
+      conversation,
+      content: prompt.content,
+      upTo: prompt.parent_id ?? null,
+      parentId: prompt.id,
+      crisis,
+      startsBranch: true
+    });
 
-    // Update conversation
-    await query(
-      `UPDATE conversations SET updated_at = NOW() WHERE id = $1`,
-      [id]
-    );
+    res.json({
+      mj_response: mjMessage,
+      suggestions: claudeResponse.suggestions || [],
+      actions,
+      crisis,
+      branch_id: mjMessage.branch_id,
+      messages: await activePath({ ...conversation, active_branch_id: mjMessage.branch_id })
+    });
+  })
+);
 
-    // Extract and store personalization insights (async, don't wait but log errors)
-    extractPersonalizationAsync(req.user.id, userMsgResult.rows[0].id, content).catch(err => {
+// ============================================================
+// PUT /api/conversations/:id/messages/:messageId - Edit a message (new branch)
+// ============================================================
+router.put('/:id/messages/:messageId',
+  [
+    param('id').isUUID(),
+    param('messageId').isUUID(),
+    body('content').trim().notEmpty().isLength({ max: 10000 })
+  ],
+  validate,
+  enforceQuota,
+  asyncHandler(async (req, res) => {
+    const { content } = req.body;
+    const conversation = await getOwnConversation(req.params.id, req.user.id);
+
+    const target = await MessageBranchService.getMessage(conversation.id, req.params.messageId);
+    if (!target) {
+      throw new APIError('Message not found', 404, 'NOT_FOUND');
+    }
+    if (target.role !== 'user') {
+      throw new APIError('Only your own messages can be edited', 400, 'CANNOT_EDIT');
+    }
+
+    // The original stays as an alternative; the edit starts a branch beside it
+    const userMessage = await MessageBranchService.startBranch({
+      conversationId: conversation.id,
+      userId: req.user.id,
+      parentId: target.parent_id,
+      role: 'user',
+      content
+    });
+
+    const crisis = await CrisisService.evaluate({
+      message: content,
+      userId: req.user.id,
+      conversationId: conversation.id,
+      messageId: userMessage.id,
+      source: 'chat',
+      region: { acceptLanguage: req.get('accept-language') }
+    });
+
+    const { claudeResponse, mjMessage, actions } = await replyFrom(req, {
+      conversation,
+      content,
+      upTo: target.parent_id ?? null,
+      parentId: userMessage.id,
+      crisis,
+      startsBranch: false
+    });
+
+    extractPersonalizationAsync(req.user.id, userMessage.id, content).catch(err => {
       logger.error('Background personalization extraction failed:', { userId: req.user.id, error: err.message });
     });
 
-    // Emit via Socket.IO if available
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`user:${req.user.id}`).emit('new_message', {
-        conversation_id: id,
-        message: mjMsgResult.rows[0]
-      });
+    res.json({
+      user_message: userMessage,
+      mj_response: mjMessage,
+      suggestions: claudeResponse.suggestions || [],
+      actions,
+      crisis,
+      branch_id: userMessage.branch_id,
+      messages: await activePath({ ...conversation, active_branch_id: userMessage.branch_id })
+    });
+  })
+);
+
+// ============================================================
+// POST /api/conversations/:id/messages/:messageId/select - Switch to an alternative
+// ============================================================
+router.post('/:id/messages/:messageId/select',
+  [param('id').isUUID(), param('messageId').isUUID()],
+  validate,
+  asyncHandler(async (req, res) => {
+    const conversation = await getOwnConversation(req.params.id, req.user.id);
+
+    const updated = await MessageBranchService.selectBranch(conversation, req.params.messageId);
+    if (!updated) {
+      throw new APIError('Message not found', 404, 'NOT_FOUND');
     }
 
     res.json({
-      user_message: {
-        id: userMsgResult.rows[0].id,
-        role: 'user',
-        content,
-        created_at: userMsgResult.rows[0].created_at
-      },
-      mj_response: mjMsgResult.rows[0],
-      suggestions: claudeResponse.suggestions || []
+      active_branch_id: updated.active_branch_id,
+      messages: await activePath(updated)
     });
   })
 );
 
+// ============================================================
+// POST /api/conversations/:id/actions/:actionId/confirm - Run a proposed action
+// ============================================================
+router.post('/:id/actions/:actionId/confirm',
+  [
+    param('id').isUUID(),
+    param('actionId').isUUID(),
+    body('input').optional().isObject()
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const action = await CoachToolService.confirmAction(
+      req.user.id,
+      req.params.id,
+      req.params.actionId,
+      req.body.input,
+      { timezone: req.user.timezone }
+    );
+
+    res.json({ action, message: 'Done!' });
+  })
+);
+
+// ============================================================
+// POST /api/conversations/:id/actions/:actionId/dismiss - Decline a proposed action
+// ============================================================
+router.post('/:id/actions/:actionId/dismiss',
+  [param('id').isUUID(), param('actionId').isUUID()],
+  validate,
+  asyncHandler(async (req, res) => {
+    const action = await CoachToolService.dismissAction(req.user.id, req.params.id, req.params.actionId);
+    res.json({ action });
+  })
+);
+
 // ============================================================
 // POST /api/conversations/:id/end - End conversation
 // ============================================================
@@ -246,7 +499,7 @@ router.post('/:id/end',
 
     const result = await query(
       `UPDATE conversations
-       SET is_active = false, ended_at = NOW(), final_mood = $3, summary = $4
+       SET is_active = false, ended_at = NOW(), final_mood = $3, summary = COALESCE($4, summary)
        WHERE id = $1 AND user_id = $2
        RETURNING *`,
       [id, req.user.id, final_mood || null, summary || null]
@@ -256,8 +509,14 @@ router.post('/:id/end',
       throw new APIError('Conversation not found', 404, 'NOT_FOUND');
     }
 
+    // Title, summary, topics, mood delta and threading happen in the background
+    jobQueue.ai.summarizeConversation(id, req.user.id, { keepSummary: Boolean(summary) })
+      .catch(err => logger.error('Failed to queue conversation summary', { conversationId: id, error: err.message }));
+
     // Update check-in streak
-    await updateStreak(req.user.id, 'check_in');
+    await StreakService.record(req.user.id, 'check_in', localTime(req.user.timezone).date, {
+      countEveryCompletion: true
+    });
 
     res.json({
       conversation: result.rows[0],
@@ -266,6 +525,27 @@ router.post('/:id/end',
   })
 );
 
+// ============================================================
+// PUT /api/conversations/:id/tags - Replace conversation tags
+// ============================================================
+router.put('/:id/tags',
+  [
+    param('id').isUUID(),
+    body('tags').isArray({ max: MAX_TAGS }),
+    body('tags.*').isString().trim().isLength({ min: 1, max: MAX_TAG_LENGTH })
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const conversation = await ConversationSearchService.setTags(req.user.id, req.params.id, req.body.tags);
+
+    if (!conversation) {
+      throw new APIError('Conversation not found', 404, 'NOT_FOUND');
+    }
+
+    res.json({ tags: conversation.tags });
+  })
+);
+
 // ============================================================
 // DELETE /api/conversations/:id - Delete conversation
 // ============================================================
@@ -284,6 +564,11 @@ router.delete('/:id',
       throw new APIError('Conversation not found', 404, 'NOT_FOUND');
     }
 
+    SemanticMemoryService.removeAsync(SOURCE_TYPES.CONVERSATION_SUMMARY, id);
+    VoiceMessageService.removeConversation(req.user.id, id).catch(err => {
+      logger.error('Failed to remove voice message audio:', { conversationId: id, error: err.message });
+    });
+
     res.json({ success: true, message: 'Conversation deleted' });
   })
 );
@@ -292,79 +577,297 @@ router.delete('/:id',
 // Helper Functions
 // ============================================================
 
-async function getUserContext(userId) {
-  // Get personalization data
-  const personalization = await query(
-    `SELECT * FROM user_personalization WHERE user_id = $1`,
-    [userId]
-  );
+// Voice input sits behind the ai_voice_input flag (premium, off by default)
+function requireVoiceInput(req, res, next) {
+  if (!features.voiceInput({ id: req.user.id, isPremium: req.user.is_premium })) {
+    return next(new APIError('Voice messages are not enabled for your account', 403, 'FEATURE_DISABLED'));
+  }
+  next();
+}
 
-  // Get recent moods
-  const recentMoods = await query(
-    `SELECT mood_score, note, created_at FROM mood_entries
-     WHERE user_id = $1 ORDER BY created_at DESC LIMIT 5`,
-    [userId]
-  );
+// Without a real speech-to-text service there is nothing to send: a
+// made-up transcript would skip the crisis check on what was said
+function requireTranscriber(req, res, next) {
+  if (!VoiceMessageService.canTranscribe()) {
+    return next(new APIError('Voice messages are unavailable right now', 503, 'TRANSCRIPTION_UNAVAILABLE'));
+  }
+  next();
+}
 
-  // Get today's tasks
-  const tasks = await query(
-    `SELECT title, status, category FROM tasks
-     WHERE user_id = $1 AND (due_date = CURRENT_DATE OR due_date IS NULL)
-     ORDER BY created_at DESC LIMIT 10`,
-    [userId]
+async function getOwnConversation(conversationId, userId) {
+  const result = await query(
+    `SELECT * FROM conversations WHERE id = $1 AND user_id = $2`,
+    [conversationId, userId]
   );
 
-  // Get morning intention
-  const intention = await query(
-    `SELECT intention_text, focus_word FROM morning_intentions
-     WHERE user_id = $1 AND date = CURRENT_DATE`,
-    [userId]
-  );
+  if (result.rows.length === 0) {
+    throw new APIError('Conversation not found', 404, 'NOT_FOUND');
+  }
 
-  // Get streaks
-  const streaks = await query(
-    `SELECT streak_type, current_streak FROM user_streaks WHERE user_id = $1`,
-    [userId]
-  );
+  return result.rows[0];
+}
+
+// Selected branch, oldest first, with alternatives marked for flipping
+async function activePath(conversation, limit) {
+  const path = await MessageBranchService.getPath(conversation, { limit });
+  return MessageBranchService.withAlternatives(conversation.id, path);
+}
 
-  // Get communication style
-  const user = await query(
-    `SELECT display_name, communication_style FROM users WHERE id = $1`,
-    [userId]
+// Reply to `content` as if the conversation ended at `upTo` (regenerate
+// and edit). A regenerated reply starts its own branch; a reply to an
+// edited message joins the edit's branch.
+async function replyFrom(req, { conversation, content, upTo, parentId, crisis, startsBranch }) {
+  const userId = req.user.id;
+  const baseContext = await ChatContextService.getUserContext(userId, { message: content, conversation });
+  const { history, summary } = await ChatContextService.buildConversationContext({
+    conversation,
+    user: req.user,
+    message: content,
+    upTo
+  });
+
+  const claudeResponse = await ClaudeService.chat({
+    message: content,
+    history,
+    userContext: { ...baseContext, conversationSummary: summary, crisisSupport: crisis },
+    userId,
+    conversationId: conversation.id,
+    tools: COACH_TOOLS
+  });
+
+  const mjMessage = startsBranch
+    ? await MessageBranchService.startBranch({
+      conversationId: conversation.id,
+      userId,
+      parentId,
+      role: 'assistant',
+      content: claudeResponse.content,
+      fields: {
+        mood_detected: claudeResponse.mood_detected,
+        topics: claudeResponse.topics,
+        intent: claudeResponse.intent,
+        input_tokens: claudeResponse.usage?.input_tokens,
+        output_tokens: claudeResponse.usage?.output_tokens
+      }
+    })
+    : await MessageBranchService.saveReply({ conversationId: conversation.id, userId, response: claudeResponse, parentId });
+
+  if (startsBranch && claudeResponse.prompt_version) {
+    await query(
+      `UPDATE conversations SET prompt_version = $2 WHERE id = $1`,
+      [conversation.id, claudeResponse.prompt_version]
+    );
+  }
+
+  const actions = await CoachToolService.proposeActions({
+    userId,
+    conversationId: conversation.id,
+    messageId: mjMessage.id,
+    toolCalls: claudeResponse.toolCalls
+  });
+
+  recordUsageAsync(req.usageSubject, claudeResponse.usage);
+
+  RealtimeService.emitToUser(req.app.get('io'), userId, 'new_message', {
+    conversation_id: conversation.id,
+    message: mjMessage
+  });
+
+  return { claudeResponse, mjMessage, actions };
+}
+
+// The chat pipeline shared by typed and voice messages: save the user's
+// message, check for crisis, get MJ's reply (streamed when asked for)
+// and hand back both. `extra` is merged into the JSON response.
+async function sendMessage(req, res, { conversation, content, isVoice = false, audioUrl, audioDuration, extra = {} }) {
+  const { id } = conversation;
+
+  // Get user context for Claude, plus a token-budgeted history window
+  const baseContext = await ChatContextService.getUserContext(req.user.id, { message: content, conversation });
+  const { history, summary } = await ChatContextService.buildConversationContext({
+    conversation,
+    user: req.user,
+    message: content
+  });
+
+  // Save user message
+  const userMsgResult = await query(
+    `INSERT INTO messages (conversation_id, user_id, role, content, is_voice, audio_url, audio_duration)
+     VALUES ($1, $2, 'user', $3, $4, $5, $6)
+     RETURNING id, created_at`,
+    [id, req.user.id, content, isVoice, audioUrl || null, audioDuration || null]
   );
 
-  return {
-    personalization: personalization.rows[0] || {},
-    recentMoods: recentMoods.rows,
-    todayTasks: tasks.rows,
-    morningIntention: intention.rows[0] || null,
-    streaks: streaks.rows,
-    userName: user.rows[0]?.display_name || 'friend',
-    communicationStyle: user.rows[0]?.communication_style || {}
+  const userMessage = {
+    id: userMsgResult.rows[0].id,
+    role: 'user',
+    content,
+    is_voice: isVoice,
+    audio_url: audioUrl || null,
+    audio_duration: audioDuration || null,
+    created_at: userMsgResult.rows[0].created_at
   };
+
+  // Crisis check runs before the reply so MJ can respond to it
+  const crisis = await CrisisService.evaluate({
+    message: content,
+    userId: req.user.id,
+    conversationId: id,
+    messageId: userMessage.id,
+    source: 'chat',
+    region: { acceptLanguage: req.get('accept-language') }
+  });
+
+  const userContext = { ...baseContext, conversationSummary: summary, crisisSupport: crisis };
+
+  // Streaming variant: clients that ask for text/event-stream get chunks as they arrive
+  if (wantsEventStream(req)) {
+    return streamResponse(req, res, { conversationId: id, content, history, userContext, userMessage, crisis, usageSubject: req.usageSubject, extra });
+  }
+
+  // Get response from Claude
+  const claudeResponse = await ClaudeService.chat({
+    message: content,
+    history,
+    userContext,
+    userId: req.user.id,
+    conversationId: id,
+    tools: COACH_TOOLS
+  });
+
+  const mjMessage = await MessageBranchService.saveReply({
+    conversationId: id,
+    userId: req.user.id,
+    response: claudeResponse,
+    parentId: userMessage.id
+  });
+
+  // Tool calls become confirmation cards; nothing is written until the user taps
+  const actions = await CoachToolService.proposeActions({
+    userId: req.user.id,
+    conversationId: id,
+    messageId: mjMessage.id,
+    toolCalls: claudeResponse.toolCalls
+  });
+
+  recordUsageAsync(req.usageSubject, claudeResponse.usage);
+
+  // Extract and store personalization insights (async, don't wait but log errors)
+  extractPersonalizationAsync(req.user.id, userMessage.id, content).catch(err => {
+    logger.error('Background personalization extraction failed:', { userId: req.user.id, error: err.message });
+  });
+
+  // Emit via Socket.IO if available
+  RealtimeService.emitToUser(req.app.get('io'), req.user.id, 'new_message', {
+    conversation_id: id,
+    message: mjMessage
+  });
+
+  res.json({
+    user_message: userMessage,
+    mj_response: mjMessage,
+    suggestions: claudeResponse.suggestions || [],
+    actions,
+    crisis,
+    ...extra
+  });
 }
 
-async function updateStreak(userId, streakType) {
-  await query(
-    `INSERT INTO user_streaks (user_id, streak_type, current_streak, longest_streak, total_completions, last_completed_date, streak_started_date)
-     VALUES ($1, $2, 1, 1, 1, CURRENT_DATE, CURRENT_DATE)
-     ON CONFLICT (user_id, streak_type)
-     DO UPDATE SET
-       current_streak = CASE
-         WHEN user_streaks.last_completed_date = CURRENT_DATE THEN user_streaks.current_streak
-         WHEN user_streaks.last_completed_date = CURRENT_DATE - 1 THEN user_streaks.current_streak + 1
-         ELSE 1
-       END,
-       longest_streak = GREATEST(user_streaks.longest_streak, user_streaks.current_streak + 1),
-       total_completions = user_streaks.total_completions + 1,
-       last_completed_date = CURRENT_DATE,
-       streak_started_date = CASE
-         WHEN user_streaks.last_completed_date < CURRENT_DATE - 1 THEN CURRENT_DATE
-         ELSE user_streaks.streak_started_date
-       END,
-       updated_at = NOW()`,
-    [userId, streakType]
-  );
+function wantsEventStream(req) {
+  return (req.get('accept') || '').includes('text/event-stream');
+}
+
+// Server-Sent Events: message_saved -> crisis? -> chunk* -> done (or error).
+// If the client disconnects mid-reply, generation is aborted and whatever
+// was produced so far is persisted along with the tokens already spent.
+async function streamResponse(req, res, { conversationId, content, history, userContext, userMessage, crisis, usageSubject, extra = {} }) {
+  const userId = req.user.id;
+  const controller = new AbortController();
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    res.flush?.(); // compression middleware buffers otherwise
+  };
+
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  sendEvent('message_saved', userMessage);
+
+  // Resources go out before the reply starts streaming
+  if (crisis) sendEvent('crisis', crisis);
+
+  try {
+    const claudeResponse = await ClaudeService.chatStream({
+      message: content,
+      history,
+      userContext,
+      userId,
+      conversationId,
+      tools: COACH_TOOLS,
+      signal: controller.signal,
+      onText: (text) => sendEvent('chunk', { text })
+    });
+
+    const mjMessage = claudeResponse.content
+      ? await MessageBranchService.saveReply({ conversationId, userId, response: claudeResponse, parentId: userMessage.id })
+      : null;
+
+    const actions = mjMessage
+      ? await CoachToolService.proposeActions({
+        userId,
+        conversationId,
+        messageId: mjMessage.id,
+        toolCalls: claudeResponse.toolCalls
+      })
+      : [];
+
+    // Tokens are spent even when the client hangs up mid-reply
+    recordUsageAsync(usageSubject, claudeResponse.usage);
+
+    extractPersonalizationAsync(userId, userMessage.id, content).catch(err => {
+      logger.error('Background personalization extraction failed:', { userId, error: err.message });
+    });
+
+    if (mjMessage) {
+      RealtimeService.emitToUser(req.app.get('io'), userId, 'new_message', {
+        conversation_id: conversationId,
+        message: mjMessage
+      });
+    }
+
+    sendEvent('done', {
+      user_message: userMessage,
+      mj_response: mjMessage,
+      suggestions: claudeResponse.suggestions || [],
+      actions,
+      crisis,
+      aborted: claudeResponse.aborted,
+      truncated: claudeResponse.truncated || false,
+      ...extra
+    });
+  } catch (error) {
+    logger.error('Streaming message failed:', { userId, conversationId, error: error.message });
+    sendEvent('error', { error: 'Failed to process message', code: 'STREAM_ERROR' });
+  } finally {
+    res.end();
+  }
+}
+
+function recordUsageAsync(subject, usage) {
+  UsageService.recordUsage(subject, usage).catch(err => {
+    logger.error('Failed to record AI usage:', { subject: subject.key, error: err.message });
+  });
 }
 
 async function extractPersonalizationAsync(userId, messageId, content) {
@@ -7,6 +7,7 @@ import { body, param } from 'express-validator';
 import { query } from '../database/db.js';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, APIError } from '../middleware/errorHandler.js';
+import { CrisisResourceService } from '../services/crisisResources.js';
 import validate from '../middleware/validate.js';
 
 const router = Router();
@@ -334,9 +335,16 @@ router.get('/safety-plan',
       [req.user.id]
     );
 
+    // Local crisis lines the app suggests adding, for the user's region
+    const directory = await CrisisResourceService.getResourcesForUser(req.user.id, {
+      acceptLanguage: req.get('accept-language')
+    });
+
     res.json({
       safety_plan: result.rows[0] || null,
-      has_plan: result.rows.length > 0
+      has_plan: result.rows.length > 0,
+      default_crisis_lines: directory.resources,
+      crisis_lines_region: { country: directory.country, language: directory.language, version: directory.version }
     });
   })
 );
@@ -355,6 +363,14 @@ router.put('/safety-plan',
       reasons_for_living
     } = req.body;
 
+    // A new plan starts with the local crisis lines; an update only
+    // touches crisis_lines when the client sends them
+    const defaultLines = crisis_lines
+      ? null
+      : (await CrisisResourceService.getResourcesForUser(req.user.id, {
+        acceptLanguage: req.get('accept-language')
+      })).resources;
+
     const result = await query(
       `INSERT INTO safety_plans (user_id, warning_signs, internal_coping, external_coping,
          support_contacts, professional_contacts, crisis_lines, environment_safety_steps, reasons_for_living)
@@ -366,7 +382,7 @@ router.put('/safety-plan',
          external_coping = COALESCE($4, safety_plans.external_coping),
          support_contacts = COALESCE($5, safety_plans.support_contacts),
          professional_contacts = COALESCE($6, safety_plans.professional_contacts),
-         crisis_lines = COALESCE($7, safety_plans.crisis_lines),
+         crisis_lines = COALESCE($10, safety_plans.crisis_lines),
          environment_safety_steps = COALESCE($8, safety_plans.environment_safety_steps),
          reasons_for_living = COALESCE($9, safety_plans.reasons_for_living),
          updated_at = NOW()
@@ -378,9 +394,10 @@ router.put('/safety-plan',
         JSON.stringify(external_coping || []),
         JSON.stringify(support_contacts || []),
         JSON.stringify(professional_contacts || []),
-        JSON.stringify(crisis_lines || []),
+        JSON.stringify(crisis_lines || defaultLines),
         JSON.stringify(environment_safety_steps || []),
-        JSON.stringify(reasons_for_living || [])
+        JSON.stringify(reasons_for_living || []),
+        crisis_lines ? JSON.stringify(crisis_lines) : null
       ]
     );
 
@@ -14,6 +14,7 @@ import {
 } from '../middleware/auth.js';
 import { asyncHandler, APIError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
+import { normalizeEmotions, normalizeBodySensations } from '../services/emotions.js';
 import { v4 as uuidv4 } from 'uuid';
 
 const router = Router();
@@ -170,18 +171,20 @@ router.post('/migrate',
       }
 
       // ── Step 5: Migrate moods ──
-      // Live DB schema: mood_entries(id, user_id, mood_score, energy_level, anxiety_level, note, activities, triggers, source, conversation_id, time_of_day, day_of_week, created_at)
+      // Live DB schema: mood_entries(id, user_id, mood_score, energy_level, anxiety_level, note, activities, triggers, emotions, body_sensations, source, conversation_id, time_of_day, day_of_week, created_at)
       try {
         for (const mood of moods) {
           await client.query(
-            `INSERT INTO mood_entries (id, user_id, mood_score, note, activities, source, created_at)
-             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            `INSERT INTO mood_entries (id, user_id, mood_score, note, activities, emotions, body_sensations, source, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
             [
               uuidv4(),
               user.id,
               mood.value || mood.mood_score || 3,
               mood.note || null,
               JSON.stringify(mood.tags || mood.activities || mood.factors || []),
+              JSON.stringify(normalizeEmotions(mood.emotions)),
+              JSON.stringify(normalizeBodySensations(mood.body_sensations)),
               'manual',
               mood.created_at || mood.timestamp || new Date().toISOString()
             ]
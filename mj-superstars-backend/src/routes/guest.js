@@ -7,6 +7,10 @@ import { Router } from 'express';
 import { body } from 'express-validator';
 import { asyncHandler, APIError } from '../middleware/errorHandler.js';
 import { ClaudeService } from '../services/claude.js';
+import { UsageService } from '../services/usage.js';
+import { CrisisService } from '../services/crisis.js';
+import { enforceQuota } from '../middleware/quota.js';
+import { PERSONA_IDS, getPersona, listPersonas } from '../services/personas.js';
 import { logger } from '../utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
 import validate from '../middleware/validate.js';
@@ -23,11 +27,15 @@ router.post('/chat',
     body('history.*.role').isIn(['user', 'assistant']),
     body('history.*.content').isString().isLength({ max: 5000 }),
     body('guest_name').optional().trim().isLength({ max: 100 }),
-    body('session_id').optional().trim()
+    body('session_id').optional().trim(),
+    body('locale').optional().trim().isLength({ max: 20 }),
+    body('timezone').optional().trim().isLength({ max: 50 }),
+    body('persona').optional().isIn(PERSONA_IDS)
   ],
   validate,
+  enforceQuota,
   asyncHandler(async (req, res) => {
-    const { content, history = [], guest_name, session_id, user_context = {} } = req.body;
+    const { content, history = [], guest_name, session_id, locale, timezone, persona, user_context = {} } = req.body;
 
     // Build a guest user context, merging client-side cross-tab data
     const guestContext = {
@@ -47,9 +55,18 @@ router.post('/chat',
         formality: 0.3,
         emoji_usage: 0.6,
         message_length: 'short'
-      }
+      },
+      persona: getPersona(persona).id
     };
 
+    // Guests get the same crisis check; the event is recorded without a user
+    const crisis = await CrisisService.evaluate({
+      message: content,
+      source: 'guest',
+      region: { locale, timezone, acceptLanguage: req.get('accept-language') }
+    });
+    guestContext.crisisSupport = crisis;
+
     // Format history for Claude (limit to last 20 messages)
     const recentHistory = history.slice(-20).map(msg => ({
       role: msg.role,
@@ -65,6 +82,10 @@ router.post('/chat',
       conversationId: session_id || 'guest-session'
     });
 
+    UsageService.recordUsage(req.usageSubject, claudeResponse.usage).catch(err => {
+      logger.error('Failed to record guest AI usage:', { error: err.message });
+    });
+
     logger.info('Guest chat message processed', {
       sessionId: session_id,
       guestName: guest_name || 'Friend'
@@ -86,11 +107,21 @@ router.post('/chat',
         intent: claudeResponse.intent,
         created_at: new Date().toISOString()
       },
-      suggestions: claudeResponse.suggestions || []
+      suggestions: claudeResponse.suggestions || [],
+      crisis
     });
   })
 );
 
+// ============================================================
+// GET /api/guest/personas - Coach personas a guest can chat with
+// ============================================================
+router.get('/personas',
+  asyncHandler(async (req, res) => {
+    res.json({ personas: listPersonas() });
+  })
+);
+
 // ============================================================
 // POST /api/guest/session - Create a guest session ID
 // ============================================================
@@ -6,8 +6,11 @@ import { Router } from 'express';
 import { param } from 'express-validator';
 import { query } from '../database/db.js';
 import { authenticate } from '../middleware/auth.js';
-import { asyncHandler } from '../middleware/errorHandler.js';
+import { asyncHandler, APIError } from '../middleware/errorHandler.js';
 import validate from '../middleware/validate.js';
+import { features } from '../services/featureFlags.js';
+import { MoodForecastService, MAX_HORIZON_DAYS } from '../services/moodForecast.js';
+import { CorrelationService, DEFAULT_WINDOW_DAYS, sameDayFindings } from '../services/correlations.js';
 
 const router = Router();
 router.use(authenticate);
@@ -85,48 +88,44 @@ router.get('/mood-patterns',
       [req.user.id]
     );
 
-    // Get activities that correlate with better mood
-    const positiveActivities = await query(
-      `SELECT
-         activity,
-         AVG(mood_score)::NUMERIC(3,2) as avg_mood,
-         COUNT(*) as frequency
-       FROM mood_entries,
-         LATERAL jsonb_array_elements_text(activities) as activity
-       WHERE user_id = $1 AND created_at >= NOW() - INTERVAL '${days} days'
-       GROUP BY activity
-       HAVING COUNT(*) >= 3
-       ORDER BY avg_mood DESC
-       LIMIT 5`,
-      [req.user.id]
-    );
-
-    // Get triggers that correlate with lower mood
-    const triggers = await query(
-      `SELECT
-         trigger,
-         AVG(mood_score)::NUMERIC(3,2) as avg_mood,
-         COUNT(*) as frequency
-       FROM mood_entries,
-         LATERAL jsonb_array_elements_text(triggers) as trigger
-       WHERE user_id = $1 AND created_at >= NOW() - INTERVAL '${days} days'
-       GROUP BY trigger
-       HAVING COUNT(*) >= 2
-       ORDER BY avg_mood ASC
-       LIMIT 5`,
-      [req.user.id]
-    );
+    // Activities and triggers that hold up statistically
+    const { findings } = await CorrelationService.analyze(req.user, { days });
 
     res.json({
       period_days: parseInt(days),
       by_time_of_day: timePatterns.rows,
       by_day_of_week: dayPatterns.rows,
-      positive_activities: positiveActivities.rows,
-      mood_triggers: triggers.rows
+      positive_activities: sameDayFindings(findings, 'activity', 'better'),
+      mood_triggers: sameDayFindings(findings, 'trigger', 'worse')
     });
   })
 );
 
+// ============================================================
+// GET /api/insights/correlations - What goes with better and worse days
+// ============================================================
+router.get('/correlations',
+  asyncHandler(async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days) || DEFAULT_WINDOW_DAYS, 14), 365);
+    const result = await CorrelationService.analyze(req.user, { days });
+
+    res.json(result);
+  })
+);
+
+// ============================================================
+// GET /api/insights/mood-forecast - Predict the next few days' mood
+// ============================================================
+router.get('/mood-forecast',
+  requireMoodPredictions,
+  asyncHandler(async (req, res) => {
+    const horizon = Math.min(Math.max(parseInt(req.query.days) || 3, 1), MAX_HORIZON_DAYS);
+    const forecast = await MoodForecastService.forecast(req.user, { horizon });
+
+    res.json(forecast);
+  })
+);
+
 // ============================================================
 // GET /api/insights/progress-summary - Get progress summary
 // ============================================================
@@ -222,12 +221,74 @@ router.get('/conversation-themes',
       [req.user.id]
     );
 
+    // Session-level topics from the end-of-session job, with how mood
+    // tended to move in conversations about each one
+    const sessionTopics = await query(
+      `SELECT
+         topic,
+         COUNT(*)::int AS conversations,
+         ROUND(AVG(mood_delta)::numeric, 2) AS avg_mood_delta
+       FROM conversations,
+         LATERAL jsonb_array_elements_text(topics) as topic
+       WHERE user_id = $1 AND summarized_at IS NOT NULL
+         AND started_at >= NOW() - INTERVAL '${days} days'
+       GROUP BY topic
+       ORDER BY conversations DESC
+       LIMIT 10`,
+      [req.user.id]
+    );
+
+    // Threads of related conversations active in the period
+    const threads = await query(
+      `SELECT
+         thread_id,
+         COUNT(*)::int AS conversations,
+         (ARRAY_AGG(title ORDER BY started_at DESC))[1] AS latest_title,
+         MIN(started_at) AS first_started_at,
+         MAX(started_at) AS last_started_at,
+         ROUND(AVG(mood_delta)::numeric, 2) AS avg_mood_delta
+       FROM conversations
+       WHERE user_id = $1 AND thread_id IS NOT NULL
+       GROUP BY thread_id
+       HAVING COUNT(*) > 1 AND MAX(started_at) >= NOW() - INTERVAL '${days} days'
+       ORDER BY last_started_at DESC
+       LIMIT 10`,
+      [req.user.id]
+    );
+
+    const moodShift = await query(
+      `SELECT
+         COUNT(mood_delta)::int AS conversations,
+         ROUND(AVG(mood_delta)::numeric, 2) AS avg_mood_delta,
+         COUNT(*) FILTER (WHERE mood_delta > 0)::int AS improved,
+         COUNT(*) FILTER (WHERE mood_delta < 0)::int AS declined
+       FROM conversations
+       WHERE user_id = $1 AND mood_delta IS NOT NULL
+         AND started_at >= NOW() - INTERVAL '${days} days'`,
+      [req.user.id]
+    );
+
     res.json({
       period_days: parseInt(days),
       common_topics: topics.rows,
-      conversation_intents: intents.rows
+      conversation_intents: intents.rows,
+      session_topics: sessionTopics.rows,
+      threads: threads.rows,
+      mood_shift: moodShift.rows[0] || null
     });
   })
 );
 
+// ============================================================
+// Helper Functions
+// ============================================================
+
+// Forecasts sit behind the mood_predictions flag (premium, off by default)
+function requireMoodPredictions(req, res, next) {
+  if (!features.moodPredictions({ id: req.user.id, isPremium: req.user.is_premium })) {
+    return next(new APIError('Mood forecasts are not enabled for your account', 403, 'FEATURE_DISABLED'));
+  }
+  next();
+}
+
 export default router;
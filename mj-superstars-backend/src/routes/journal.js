@@ -8,11 +8,21 @@ import { query } from '../database/db.js';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, APIError } from '../middleware/errorHandler.js';
 import { ClaudeService } from '../services/claude.js';
+import { SemanticMemoryService, SOURCE_TYPES } from '../services/semanticMemory.js';
+import { localTime, localDateSql } from '../services/localDay.js';
 import validate from '../middleware/validate.js';
 
 const router = Router();
 router.use(authenticate);
 
+// Keep the entry's embedding in step with its text, for memory retrieval
+const indexEntry = (entry) => SemanticMemoryService.indexAsync({
+  userId: entry.user_id,
+  sourceType: SOURCE_TYPES.JOURNAL,
+  sourceId: entry.id,
+  content: [entry.title, entry.content].filter(Boolean).join('\n')
+});
+
 // ============================================================
 // GET /api/journal - Get journal entries
 // ============================================================
@@ -114,6 +124,8 @@ router.post('/',
       ]
     );
 
+    indexEntry(result.rows[0]);
+
     res.status(201).json({
       entry: result.rows[0],
       message: 'Entry saved'
@@ -158,6 +170,10 @@ router.put('/:id',
       throw new APIError('Entry not found', 404, 'NOT_FOUND');
     }
 
+    if (title !== undefined || content !== undefined) {
+      indexEntry(result.rows[0]);
+    }
+
     res.json({ entry: result.rows[0] });
   })
 );
@@ -178,6 +194,8 @@ router.delete('/:id',
       throw new APIError('Entry not found', 404, 'NOT_FOUND');
     }
 
+    SemanticMemoryService.removeAsync(SOURCE_TYPES.JOURNAL, req.params.id);
+
     res.json({ success: true, message: 'Entry deleted' });
   })
 );
@@ -196,12 +214,13 @@ router.get('/prompts/generate',
     );
 
     const intentionResult = await query(
-      `SELECT intention_text FROM morning_intentions WHERE user_id = $1 AND date = CURRENT_DATE`,
-      [req.user.id]
+      `SELECT intention_text FROM morning_intentions WHERE user_id = $1 AND date = $2`,
+      [req.user.id, localTime(req.user.timezone).date]
     );
 
     const userContext = {
       userName: req.user.display_name || 'friend',
+      timezone: req.user.timezone,
       recentMoods: moodResult.rows,
       morningIntention: intentionResult.rows[0] || null
     };
@@ -264,22 +283,24 @@ router.get('/prompts/library',
 // ============================================================
 router.get('/stats',
   asyncHandler(async (req, res) => {
+    const local = localTime(req.user.timezone);
+
     const stats = await query(
       `SELECT
          COUNT(*) as total_entries,
          SUM(word_count) as total_words,
          AVG(word_count)::INTEGER as avg_words,
          MAX(word_count) as longest_entry,
-         COUNT(DISTINCT DATE(created_at)) as days_journaled
+         COUNT(DISTINCT ${localDateSql('created_at', '$2')}) as days_journaled
        FROM journal_entries
        WHERE user_id = $1`,
-      [req.user.id]
+      [req.user.id, local.timezone]
     );
 
     // Get streak
     const streakResult = await query(
       `WITH dates AS (
-         SELECT DISTINCT DATE(created_at) as date
+         SELECT DISTINCT ${localDateSql('created_at', '$3')} as date
          FROM journal_entries
          WHERE user_id = $1
          ORDER BY date DESC
@@ -291,8 +312,8 @@ router.get('/stats',
        )
        SELECT COUNT(*) as streak
        FROM streaks
-       WHERE grp = (SELECT grp FROM streaks WHERE date = CURRENT_DATE)`,
-      [req.user.id]
+       WHERE grp = (SELECT grp FROM streaks WHERE date = $2)`,
+      [req.user.id, local.date, local.timezone]
     );
 
     res.json({
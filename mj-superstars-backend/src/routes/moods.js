@@ -9,10 +9,25 @@ import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, APIError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
 import validate from '../middleware/validate.js';
+import {
+  validateEmotions,
+  validateBodySensations,
+  normalizeEmotions,
+  normalizeBodySensations
+} from '../services/emotions.js';
+import { localTime, localDateSql, shiftDate } from '../services/localDay.js';
+import { CorrelationService, sameDayFindings } from '../services/correlations.js';
 
 const router = Router();
 router.use(authenticate);
 
+// express-validator custom check reporting the first taxonomy problem
+const fromTaxonomy = (check) => (value) => {
+  const errors = check(value);
+  if (errors.length > 0) throw new Error(errors[0]);
+  return true;
+};
+
 // ============================================================
 // GET /api/moods - Get mood history
 // ============================================================
@@ -50,7 +65,7 @@ router.get('/',
 
     const result = await query(
       `SELECT id, mood_score, energy_level, anxiety_level, note, activities,
-              triggers, source, time_of_day, created_at
+              triggers, emotions, body_sensations, source, time_of_day, created_at
        FROM mood_entries
        WHERE ${whereClause}
        ORDER BY created_at DESC
@@ -90,6 +105,8 @@ router.post('/',
     body('note').optional().trim().isLength({ max: 1000 }),
     body('activities').optional().isArray(),
     body('triggers').optional().isArray(),
+    body('emotions').optional().custom(fromTaxonomy(validateEmotions)).customSanitizer(normalizeEmotions),
+    body('body_sensations').optional().custom(fromTaxonomy(validateBodySensations)).customSanitizer(normalizeBodySensations),
     body('source').optional().isIn(['manual', 'check_in', 'conversation', 'widget'])
   ],
   validate,
@@ -101,22 +118,19 @@ router.post('/',
       note,
       activities = [],
       triggers = [],
+      emotions = [],
+      body_sensations = [],
       source = 'manual',
       conversation_id
     } = req.body;
 
-    // Determine time of day
-    const hour = new Date().getHours();
-    let time_of_day;
-    if (hour >= 5 && hour < 12) time_of_day = 'morning';
-    else if (hour >= 12 && hour < 17) time_of_day = 'afternoon';
-    else if (hour >= 17 && hour < 21) time_of_day = 'evening';
-    else time_of_day = 'night';
+    // Time of day and weekday as the user sees them
+    const { timeOfDay: time_of_day, dayOfWeek } = localTime(req.user.timezone);
 
     const result = await query(
       `INSERT INTO mood_entries
-       (user_id, mood_score, energy_level, anxiety_level, note, activities, triggers, source, conversation_id, time_of_day, day_of_week)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, EXTRACT(DOW FROM NOW()))
+       (user_id, mood_score, energy_level, anxiety_level, note, activities, triggers, emotions, body_sensations, source, conversation_id, time_of_day, day_of_week)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
        RETURNING *`,
       [
         req.user.id,
@@ -126,15 +140,19 @@ router.post('/',
         note || null,
         JSON.stringify(activities),
         JSON.stringify(triggers),
+        JSON.stringify(emotions),
+        JSON.stringify(body_sensations),
         source,
         conversation_id || null,
-        time_of_day
+        time_of_day,
+        dayOfWeek
       ]
     );
 
     logger.info('Mood logged:', {
       userId: req.user.id,
       mood: mood_score,
+      emotions: emotions.length,
       source
     });
 
@@ -152,27 +170,33 @@ router.get('/trends',
   asyncHandler(async (req, res) => {
     const { period = '7d' } = req.query;
 
-    let interval;
+    let days;
     switch (period) {
-      case '7d': interval = '7 days'; break;
-      case '30d': interval = '30 days'; break;
-      case '90d': interval = '90 days'; break;
-      default: interval = '7 days';
+      case '7d': days = 7; break;
+      case '30d': days = 30; break;
+      case '90d': days = 90; break;
+      default: days = 7;
     }
 
+    // The last `days` local days, today included: $2 is the first day,
+    // $3 the user's timezone
+    const local = localTime(req.user.timezone);
+    const params = [req.user.id, shiftDate(local.date, 1 - days), local.timezone];
+    const inPeriod = `created_at >= ($2::date::timestamp AT TIME ZONE $3)`;
+
     // Daily averages
     const dailyTrends = await query(
       `SELECT
-         DATE(created_at) as date,
+         ${localDateSql('created_at', '$3')} as date,
          AVG(mood_score)::NUMERIC(3,2) as avg_mood,
          AVG(energy_level)::NUMERIC(3,2) as avg_energy,
          AVG(anxiety_level)::NUMERIC(3,2) as avg_anxiety,
          COUNT(*) as entry_count
        FROM mood_entries
-       WHERE user_id = $1 AND created_at >= NOW() - INTERVAL '${interval}'
-       GROUP BY DATE(created_at)
+       WHERE user_id = $1 AND ${inPeriod}
+       GROUP BY 1
        ORDER BY date ASC`,
-      [req.user.id]
+      params
     );
 
     // Time of day patterns
@@ -182,9 +206,9 @@ router.get('/trends',
          AVG(mood_score)::NUMERIC(3,2) as avg_mood,
          COUNT(*) as count
        FROM mood_entries
-       WHERE user_id = $1 AND created_at >= NOW() - INTERVAL '${interval}'
+       WHERE user_id = $1 AND ${inPeriod}
        GROUP BY time_of_day`,
-      [req.user.id]
+      params
     );
 
     // Day of week patterns
@@ -194,42 +218,61 @@ router.get('/trends',
          AVG(mood_score)::NUMERIC(3,2) as avg_mood,
          COUNT(*) as count
        FROM mood_entries
-       WHERE user_id = $1 AND created_at >= NOW() - INTERVAL '${interval}'
+       WHERE user_id = $1 AND ${inPeriod}
        GROUP BY day_of_week
        ORDER BY day_of_week`,
-      [req.user.id]
+      params
     );
 
-    // Top activities correlation
-    const activityCorrelation = await query(
+    // Activities and triggers that reliably go with better or worse
+    // days (tested, FDR-adjusted; see services/correlations.js)
+    const { findings } = await CorrelationService.analyze(req.user, { days });
+
+    // Core emotions: how often, how strongly, and the mood they come with
+    const emotionBreakdown = await query(
       `SELECT
-         activity,
-         AVG(mood_score)::NUMERIC(3,2) as avg_mood,
-         COUNT(*) as count
+         emotion->>'primary' as emotion,
+         COUNT(*) as count,
+         AVG((emotion->>'intensity')::INTEGER)::NUMERIC(3,2) as avg_intensity,
+         AVG(mood_score)::NUMERIC(3,2) as avg_mood
        FROM mood_entries,
-         LATERAL jsonb_array_elements_text(activities) as activity
-       WHERE user_id = $1 AND created_at >= NOW() - INTERVAL '${interval}'
-       GROUP BY activity
-       HAVING COUNT(*) >= 3
-       ORDER BY avg_mood DESC
+         LATERAL jsonb_array_elements(emotions) as emotion
+       WHERE user_id = $1 AND ${inPeriod}
+       GROUP BY emotion->>'primary'
+       ORDER BY count DESC`,
+      params
+    );
+
+    // Most named specific feelings
+    const topFeelings = await query(
+      `SELECT
+         emotion->>'primary' as emotion,
+         emotion->>'secondary' as feeling,
+         COUNT(*) as count,
+         AVG((emotion->>'intensity')::INTEGER)::NUMERIC(3,2) as avg_intensity
+       FROM mood_entries,
+         LATERAL jsonb_array_elements(emotions) as emotion
+       WHERE user_id = $1 AND ${inPeriod}
+         AND emotion->>'secondary' IS NOT NULL
+       GROUP BY emotion->>'primary', emotion->>'secondary'
+       ORDER BY count DESC, avg_intensity DESC
        LIMIT 10`,
-      [req.user.id]
+      params
     );
 
-    // Top triggers
-    const triggerCorrelation = await query(
+    // Body sensations
+    const sensationCorrelation = await query(
       `SELECT
-         trigger,
+         sensation,
          AVG(mood_score)::NUMERIC(3,2) as avg_mood,
          COUNT(*) as count
        FROM mood_entries,
-         LATERAL jsonb_array_elements_text(triggers) as trigger
-       WHERE user_id = $1 AND created_at >= NOW() - INTERVAL '${interval}'
-       GROUP BY trigger
-       HAVING COUNT(*) >= 2
-       ORDER BY avg_mood ASC
+         LATERAL jsonb_array_elements_text(body_sensations) as sensation
+       WHERE user_id = $1 AND ${inPeriod}
+       GROUP BY sensation
+       ORDER BY count DESC
        LIMIT 10`,
-      [req.user.id]
+      params
     );
 
     res.json({
@@ -237,8 +280,11 @@ router.get('/trends',
       daily: dailyTrends.rows,
       by_time_of_day: timePatterns.rows,
       by_day_of_week: dayPatterns.rows,
-      positive_activities: activityCorrelation.rows,
-      common_triggers: triggerCorrelation.rows
+      positive_activities: sameDayFindings(findings, 'activity', 'better'),
+      common_triggers: sameDayFindings(findings, 'trigger', 'worse'),
+      emotions: emotionBreakdown.rows,
+      top_feelings: topFeelings.rows,
+      body_sensations: sensationCorrelation.rows
     });
   })
 );
@@ -248,12 +294,13 @@ router.get('/trends',
 // ============================================================
 router.get('/today',
   asyncHandler(async (req, res) => {
+    const local = localTime(req.user.timezone);
     const result = await query(
-      `SELECT id, mood_score, energy_level, anxiety_level, note, time_of_day, created_at
+      `SELECT id, mood_score, energy_level, anxiety_level, note, emotions, body_sensations, time_of_day, created_at
        FROM mood_entries
-       WHERE user_id = $1 AND DATE(created_at) = CURRENT_DATE
+       WHERE user_id = $1 AND ${localDateSql('created_at', '$3')} = $2
        ORDER BY created_at DESC`,
-      [req.user.id]
+      [req.user.id, local.date, local.timezone]
     );
 
     res.json({
@@ -8,6 +8,7 @@ import { query, transaction } from '../database/db.js';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, APIError } from '../middleware/errorHandler.js';
 import { ClaudeService } from '../services/claude.js';
+import { localTime, localDateSql, shiftDate } from '../services/localDay.js';
 import { logger } from '../utils/logger.js';
 import validate from '../middleware/validate.js';
 
@@ -39,16 +40,17 @@ router.get('/dashboard',
       [req.user.id]
     );
 
-    // Get today's progress
+    // Get today's progress (the user's local day: $2 date, $3 timezone)
+    const local = localTime(req.user.timezone);
     const todayStats = await query(
       `SELECT
-         (SELECT COUNT(*) FROM mood_entries WHERE user_id = $1 AND DATE(created_at) = CURRENT_DATE) as mood_logs,
-         (SELECT COUNT(*) FROM tasks WHERE user_id = $1 AND status = 'completed' AND DATE(completed_at) = CURRENT_DATE) as tasks_done,
-         (SELECT COUNT(*) FROM messages WHERE user_id = $1 AND DATE(created_at) = CURRENT_DATE) as messages,
-         (SELECT COUNT(*) FROM journal_entries WHERE user_id = $1 AND DATE(created_at) = CURRENT_DATE) as journal_entries,
-         (SELECT EXISTS(SELECT 1 FROM morning_intentions WHERE user_id = $1 AND date = CURRENT_DATE)) as morning_done,
-         (SELECT EXISTS(SELECT 1 FROM evening_reflections WHERE user_id = $1 AND date = CURRENT_DATE)) as evening_done`,
-      [req.user.id]
+         (SELECT COUNT(*) FROM mood_entries WHERE user_id = $1 AND ${localDateSql('created_at', '$3')} = $2) as mood_logs,
+         (SELECT COUNT(*) FROM tasks WHERE user_id = $1 AND status = 'completed' AND ${localDateSql('completed_at', '$3')} = $2) as tasks_done,
+         (SELECT COUNT(*) FROM messages WHERE user_id = $1 AND ${localDateSql('created_at', '$3')} = $2) as messages,
+         (SELECT COUNT(*) FROM journal_entries WHERE user_id = $1 AND ${localDateSql('created_at', '$3')} = $2) as journal_entries,
+         (SELECT EXISTS(SELECT 1 FROM morning_intentions WHERE user_id = $1 AND date = $2)) as morning_done,
+         (SELECT EXISTS(SELECT 1 FROM evening_reflections WHERE user_id = $1 AND date = $2)) as evening_done`,
+      [req.user.id, local.date, local.timezone]
     );
 
     // Calculate level based on points
@@ -161,6 +163,7 @@ router.get('/weekly-story',
     }
 
     // Gather week's data
+    const today = localTime(req.user.timezone).date;
     const weekStart = new Date();
     weekStart.setDate(weekStart.getDate() - 7);
 
@@ -220,11 +223,12 @@ router.get('/weekly-story',
       `INSERT INTO weekly_stories
        (user_id, week_start, week_end, narrative, highlights, mood_summary, achievements_earned,
         conversations_count, tasks_completed, total_points)
-       VALUES ($1, $2, CURRENT_DATE, $3, $4, $5, $6, $7, $8, 0)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 0)
        RETURNING *`,
       [
         req.user.id,
-        weekStart,
+        shiftDate(today, -7),
+        today,
         narrative,
         JSON.stringify(weekData.highlights),
         JSON.stringify({ avg: weekData.avgMood, trend: weekData.moodTrend }),
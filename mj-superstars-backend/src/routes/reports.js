@@ -0,0 +1,161 @@
+// ============================================================
+// Progress Report Routes
+// Everything except the download needs the owner's token; the
+// download is reached through a signed, expiring link so it can be
+// handed to a therapist who has no account.
+// ============================================================
+
+import { Router } from 'express';
+import { body, param, query as queryValidator } from 'express-validator';
+import { authenticate } from '../middleware/auth.js';
+import { asyncHandler, APIError } from '../middleware/errorHandler.js';
+import validate from '../middleware/validate.js';
+import jobQueue from '../services/jobQueue.js';
+import { logger } from '../utils/logger.js';
+import {
+  ReportService,
+  MAX_PERIOD_DAYS,
+  MAX_JOURNAL_ENTRIES,
+  DEFAULT_LINK_HOURS,
+  MAX_LINK_HOURS
+} from '../services/reports.js';
+
+const router = Router();
+
+// Links are absolute so they work outside the app
+const absoluteUrl = (req, path) => `${process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`}${path}`;
+
+// ============================================================
+// POST /api/reports - Generate a report
+// ============================================================
+router.post('/',
+  authenticate,
+  [
+    body('start').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+    body('end').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+    body('journal_entry_ids').optional().isArray({ max: MAX_JOURNAL_ENTRIES }),
+    body('journal_entry_ids.*').isUUID()
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const period = ReportService.resolvePeriod(req.user, req.body);
+    if (period.days < 1) {
+      throw new APIError('start must be on or before end', 400, 'VALIDATION_ERROR');
+    }
+    if (period.days > MAX_PERIOD_DAYS) {
+      throw new APIError(`A report can cover at most ${MAX_PERIOD_DAYS} days`, 400, 'VALIDATION_ERROR');
+    }
+
+    const journalEntryIds = [...new Set(req.body.journal_entry_ids || [])];
+    const owned = await ReportService.ownJournalEntries(req.user.id, journalEntryIds);
+    if (owned.length !== journalEntryIds.length) {
+      throw new APIError('Journal entry not found', 404, 'NOT_FOUND');
+    }
+
+    const report = await ReportService.create(req.user.id, { ...period, journalEntryIds });
+
+    await jobQueue.exports.generatePDFReport(report.id, req.user.id).catch(err => {
+      logger.error('Failed to queue report generation', { reportId: report.id, error: err.message });
+    });
+
+    res.status(202).json({ report });
+  })
+);
+
+// ============================================================
+// GET /api/reports - Reports still available
+// ============================================================
+router.get('/',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const reports = await ReportService.list(req.user.id);
+    res.json({ reports });
+  })
+);
+
+// ============================================================
+// GET /api/reports/:id - One report (poll until ready)
+// ============================================================
+router.get('/:id',
+  authenticate,
+  [param('id').isUUID()],
+  validate,
+  asyncHandler(async (req, res) => {
+    const report = await ReportService.get(req.user.id, req.params.id);
+    if (!report) {
+      throw new APIError('Report not found', 404, 'NOT_FOUND');
+    }
+
+    res.json({ report });
+  })
+);
+
+// ============================================================
+// POST /api/reports/:id/link - A signed download link to share
+// ============================================================
+router.post('/:id/link',
+  authenticate,
+  [
+    param('id').isUUID(),
+    body('hours').optional().isInt({ min: 1, max: MAX_LINK_HOURS }).toInt()
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const report = await ReportService.get(req.user.id, req.params.id);
+    if (!report) {
+      throw new APIError('Report not found', 404, 'NOT_FOUND');
+    }
+    if (report.status !== 'ready') {
+      throw new APIError('Report is not ready yet', 409, 'REPORT_NOT_READY');
+    }
+
+    const link = ReportService.createLink(report, { hours: req.body.hours || DEFAULT_LINK_HOURS });
+    res.json({ url: absoluteUrl(req, link.path), expires_at: link.expires_at });
+  })
+);
+
+// ============================================================
+// GET /api/reports/:id/download - The PDF, through a signed link
+// ============================================================
+router.get('/:id/download',
+  [
+    param('id').isUUID(),
+    queryValidator('expires').isInt(),
+    queryValidator('signature').isHexadecimal()
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const file = await ReportService.download(req.params.id, req.query);
+    if (!file) {
+      throw new APIError('This link has expired or is no longer valid', 410, 'LINK_EXPIRED');
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Length': String(file.body.length),
+      'Content-Disposition': `inline; filename="${file.filename}"`,
+      'Cache-Control': 'private, no-store',
+      'X-Robots-Tag': 'noindex'
+    });
+    res.send(file.body);
+  })
+);
+
+// ============================================================
+// DELETE /api/reports/:id - Delete a report; its links stop working
+// ============================================================
+router.delete('/:id',
+  authenticate,
+  [param('id').isUUID()],
+  validate,
+  asyncHandler(async (req, res) => {
+    const removed = await ReportService.remove(req.user.id, req.params.id);
+    if (!removed) {
+      throw new APIError('Report not found', 404, 'NOT_FOUND');
+    }
+
+    res.json({ success: true });
+  })
+);
+
+export default router;
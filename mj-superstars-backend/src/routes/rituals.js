@@ -9,6 +9,8 @@ import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, APIError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
 import validate from '../middleware/validate.js';
+import { localTime } from '../services/localDay.js';
+import { StreakService } from '../services/streaks.js';
 
 const router = Router();
 router.use(authenticate);
@@ -22,8 +24,8 @@ router.get('/morning/today',
   asyncHandler(async (req, res) => {
     const result = await query(
       `SELECT * FROM morning_intentions
-       WHERE user_id = $1 AND date = CURRENT_DATE`,
-      [req.user.id]
+       WHERE user_id = $1 AND date = $2`,
+      [req.user.id, localTime(req.user.timezone).date]
     );
 
     const streak = await query(
@@ -67,37 +69,21 @@ router.post('/morning',
   validate,
   asyncHandler(async (req, res) => {
     const { intention_text, focus_word, mood_score } = req.body;
+    const today = localTime(req.user.timezone).date;
 
     const result = await transaction(async (client) => {
       // Upsert intention
       const intention = await client.query(
         `INSERT INTO morning_intentions (user_id, intention_text, focus_word, mood_score, date)
-         VALUES ($1, $2, $3, $4, CURRENT_DATE)
+         VALUES ($1, $2, $3, $4, $5)
          ON CONFLICT (user_id, date)
          DO UPDATE SET intention_text = $2, focus_word = $3, mood_score = $4
          RETURNING *`,
-        [req.user.id, intention_text, focus_word || null, mood_score || null]
+        [req.user.id, intention_text, focus_word || null, mood_score || null, today]
       );
 
       // Update streak
-      await client.query(
-        `INSERT INTO user_streaks (user_id, streak_type, current_streak, longest_streak, total_completions, last_completed_date, streak_started_date)
-         VALUES ($1, 'morning_ritual', 1, 1, 1, CURRENT_DATE, CURRENT_DATE)
-         ON CONFLICT (user_id, streak_type)
-         DO UPDATE SET
-           current_streak = CASE
-             WHEN user_streaks.last_completed_date = CURRENT_DATE THEN user_streaks.current_streak
-             WHEN user_streaks.last_completed_date = CURRENT_DATE - 1 THEN user_streaks.current_streak + 1
-             ELSE 1
-           END,
-           longest_streak = GREATEST(user_streaks.longest_streak,
-             CASE WHEN user_streaks.last_completed_date = CURRENT_DATE - 1 THEN user_streaks.current_streak + 1 ELSE 1 END),
-           total_completions = user_streaks.total_completions + CASE WHEN user_streaks.last_completed_date = CURRENT_DATE THEN 0 ELSE 1 END,
-           last_completed_date = CURRENT_DATE,
-           streak_started_date = CASE WHEN user_streaks.last_completed_date < CURRENT_DATE - 1 THEN CURRENT_DATE ELSE user_streaks.streak_started_date END,
-           updated_at = NOW()`,
-        [req.user.id]
-      );
+      await StreakService.record(req.user.id, 'morning_ritual', today, { db: client });
 
       // Get updated streak
       const streak = await client.query(
@@ -135,9 +121,9 @@ router.put('/morning/reflect',
     const result = await query(
       `UPDATE morning_intentions
        SET reflection = $2, intention_met = $3, reflected_at = NOW()
-       WHERE user_id = $1 AND date = CURRENT_DATE
+       WHERE user_id = $1 AND date = $4
        RETURNING *`,
-      [req.user.id, reflection, intention_met]
+      [req.user.id, reflection, intention_met, localTime(req.user.timezone).date]
     );
 
     if (result.rows.length === 0) {
@@ -160,8 +146,8 @@ router.get('/evening/today',
   asyncHandler(async (req, res) => {
     const result = await query(
       `SELECT * FROM evening_reflections
-       WHERE user_id = $1 AND date = CURRENT_DATE`,
-      [req.user.id]
+       WHERE user_id = $1 AND date = $2`,
+      [req.user.id, localTime(req.user.timezone).date]
     );
 
     const streak = await query(
@@ -215,13 +201,14 @@ router.post('/evening',
       evening_mood,
       sleep_readiness
     } = req.body;
+    const { date: today, dayOfWeek } = localTime(req.user.timezone);
 
     const result = await transaction(async (client) => {
       // Upsert reflection
       const reflection = await client.query(
         `INSERT INTO evening_reflections
          (user_id, went_well, let_go, grateful_for, tomorrow_intention, evening_mood, sleep_readiness, date)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_DATE)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
          ON CONFLICT (user_id, date)
          DO UPDATE SET
            went_well = COALESCE($2, evening_reflections.went_well),
@@ -231,35 +218,18 @@ router.post('/evening',
            evening_mood = COALESCE($6, evening_reflections.evening_mood),
            sleep_readiness = COALESCE($7, evening_reflections.sleep_readiness)
          RETURNING *`,
-        [req.user.id, went_well, let_go, grateful_for, tomorrow_intention, evening_mood, sleep_readiness]
+        [req.user.id, went_well, let_go, grateful_for, tomorrow_intention, evening_mood, sleep_readiness, today]
       );
 
       // Update streak
-      await client.query(
-        `INSERT INTO user_streaks (user_id, streak_type, current_streak, longest_streak, total_completions, last_completed_date, streak_started_date)
-         VALUES ($1, 'evening_reflection', 1, 1, 1, CURRENT_DATE, CURRENT_DATE)
-         ON CONFLICT (user_id, streak_type)
-         DO UPDATE SET
-           current_streak = CASE
-             WHEN user_streaks.last_completed_date = CURRENT_DATE THEN user_streaks.current_streak
-             WHEN user_streaks.last_completed_date = CURRENT_DATE - 1 THEN user_streaks.current_streak + 1
-             ELSE 1
-           END,
-           longest_streak = GREATEST(user_streaks.longest_streak,
-             CASE WHEN user_streaks.last_completed_date = CURRENT_DATE - 1 THEN user_streaks.current_streak + 1 ELSE 1 END),
-           total_completions = user_streaks.total_completions + CASE WHEN user_streaks.last_completed_date = CURRENT_DATE THEN 0 ELSE 1 END,
-           last_completed_date = CURRENT_DATE,
-           streak_started_date = CASE WHEN user_streaks.last_completed_date < CURRENT_DATE - 1 THEN CURRENT_DATE ELSE user_streaks.streak_started_date END,
-           updated_at = NOW()`,
-        [req.user.id]
-      );
+      await StreakService.record(req.user.id, 'evening_reflection', today, { db: client });
 
       // Log mood if provided
       if (evening_mood) {
         await client.query(
-          `INSERT INTO mood_entries (user_id, mood_score, source, time_of_day)
-           VALUES ($1, $2, 'check_in', 'night')`,
-          [req.user.id, evening_mood]
+          `INSERT INTO mood_entries (user_id, mood_score, source, time_of_day, day_of_week)
+           VALUES ($1, $2, 'check_in', 'night', $3)`,
+          [req.user.id, evening_mood, dayOfWeek]
         );
       }
 
@@ -9,6 +9,8 @@ import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, APIError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
 import validate from '../middleware/validate.js';
+import { localTime, localDateSql } from '../services/localDay.js';
+import { StreakService } from '../services/streaks.js';
 
 const router = Router();
 router.use(authenticate);
@@ -89,20 +91,22 @@ router.get('/',
 // ============================================================
 router.get('/today',
   asyncHandler(async (req, res) => {
+    const { date: today, timezone } = localTime(req.user.timezone);
+
     const result = await query(
       `SELECT * FROM tasks
        WHERE user_id = $1
-       AND (due_date = CURRENT_DATE OR (due_date IS NULL AND status = 'pending'))
+       AND (due_date = $2 OR (due_date IS NULL AND status = 'pending'))
        ORDER BY
          CASE WHEN status = 'pending' THEN 0 WHEN status = 'in_progress' THEN 1 ELSE 2 END,
          created_at ASC`,
-      [req.user.id]
+      [req.user.id, today]
     );
 
     const completedToday = await query(
       `SELECT COUNT(*) as count FROM tasks
-       WHERE user_id = $1 AND status = 'completed' AND DATE(completed_at) = CURRENT_DATE`,
-      [req.user.id]
+       WHERE user_id = $1 AND status = 'completed' AND ${localDateSql('completed_at', '$3')} = $2`,
+      [req.user.id, today, timezone]
     );
 
     res.json({
@@ -250,22 +254,10 @@ router.post('/:id/complete',
       );
 
       // Update streak
-      await client.query(
-        `INSERT INTO user_streaks (user_id, streak_type, current_streak, longest_streak, total_completions, last_completed_date, streak_started_date)
-         VALUES ($1, 'task_completion', 1, 1, 1, CURRENT_DATE, CURRENT_DATE)
-         ON CONFLICT (user_id, streak_type)
-         DO UPDATE SET
-           current_streak = CASE
-             WHEN user_streaks.last_completed_date = CURRENT_DATE THEN user_streaks.current_streak
-             WHEN user_streaks.last_completed_date = CURRENT_DATE - 1 THEN user_streaks.current_streak + 1
-             ELSE 1
-           END,
-           longest_streak = GREATEST(user_streaks.longest_streak, user_streaks.current_streak + 1),
-           total_completions = user_streaks.total_completions + 1,
-           last_completed_date = CURRENT_DATE,
-           updated_at = NOW()`,
-        [req.user.id]
-      );
+      await StreakService.record(req.user.id, 'task_completion', localTime(req.user.timezone).date, {
+        countEveryCompletion: true,
+        db: client
+      });
 
       // Check for achievements
       const totalCompleted = await client.query(
@@ -3,10 +3,14 @@
 // ============================================================
 
 import { Router } from 'express';
-import { body } from 'express-validator';
+import { body, param, query as queryValidator } from 'express-validator';
 import { query } from '../database/db.js';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, APIError } from '../middleware/errorHandler.js';
+import { UsageService } from '../services/usage.js';
+import { listMemoriesByType, updateMemory, deleteMemory } from '../services/aiMemory.js';
+import { PERSONA_IDS, DEFAULT_PERSONA_ID, listPersonas, resolvePersona } from '../services/personas.js';
+import { isValidTimezone } from '../services/localDay.js';
 import validate from '../middleware/validate.js';
 
 const router = Router();
@@ -18,7 +22,7 @@ router.use(authenticate);
 router.get('/me',
   asyncHandler(async (req, res) => {
     const user = await query(
-      `SELECT id, email, display_name, avatar_url, timezone, onboarding_completed,
+      `SELECT id, email, display_name, avatar_url, timezone, locale, onboarding_completed,
               communication_style, is_premium, premium_expires_at, created_at, last_active_at
        FROM users WHERE id = $1`,
       [req.user.id]
@@ -42,12 +46,13 @@ router.get('/me',
 router.put('/me',
   [
     body('display_name').optional().trim().isLength({ max: 100 }),
-    body('timezone').optional().trim(),
+    body('timezone').optional().trim().custom(isValidTimezone).withMessage('Must be an IANA timezone such as Asia/Tokyo'),
+    body('locale').optional().trim().matches(/^[a-zA-Z]{2,3}([-_][a-zA-Z0-9]{2,4})?$/),
     body('avatar_url').optional().isURL()
   ],
   validate,
   asyncHandler(async (req, res) => {
-    const { display_name, timezone, avatar_url } = req.body;
+    const { display_name, timezone, locale, avatar_url } = req.body;
 
     const result = await query(
       `UPDATE users
@@ -55,28 +60,91 @@ router.put('/me',
          display_name = COALESCE($2, display_name),
          timezone = COALESCE($3, timezone),
          avatar_url = COALESCE($4, avatar_url),
+         locale = COALESCE($5, locale),
          updated_at = NOW()
        WHERE id = $1
-       RETURNING id, email, display_name, avatar_url, timezone`,
-      [req.user.id, display_name, timezone, avatar_url]
+       RETURNING id, email, display_name, avatar_url, timezone, locale`,
+      [req.user.id, display_name, timezone, avatar_url, locale]
     );
 
     res.json({ user: result.rows[0] });
   })
 );
 
+// ============================================================
+// GET /api/users/me/communication-style - Style, coach persona and the choices
+// ============================================================
+router.get('/me/communication-style',
+  asyncHandler(async (req, res) => {
+    const result = await query(
+      `SELECT communication_style FROM users WHERE id = $1`,
+      [req.user.id]
+    );
+    const style = result.rows[0]?.communication_style || {};
+
+    res.json({
+      communication_style: style,
+      persona: resolvePersona({ communicationStyle: style }).id,
+      personas: listPersonas()
+    });
+  })
+);
+
 // ============================================================
 // PUT /api/users/me/communication-style - Update communication style
+// With conversation_id, sets (or with persona: null clears) that
+// conversation's persona instead of the user's preferences
 // ============================================================
 router.put('/me/communication-style',
+  [
+    body('persona').optional().custom(value => value === null || PERSONA_IDS.includes(value))
+      .withMessage(`persona must be one of: ${PERSONA_IDS.join(', ')}`),
+    body('conversation_id').optional().isUUID(),
+    body('formality').optional().isFloat({ min: 0, max: 1 }),
+    body('emoji_usage').optional().isFloat({ min: 0, max: 1 }),
+    body('message_length').optional().isIn(['short', 'medium', 'long'])
+  ],
+  validate,
   asyncHandler(async (req, res) => {
-    const { formality, emoji_usage, message_length, tone } = req.body;
+    const { formality, emoji_usage, message_length, tone, persona, conversation_id } = req.body;
+
+    if (conversation_id) {
+      if (persona === undefined) {
+        throw new APIError('persona is required with conversation_id', 400, 'MISSING_PARAMS');
+      }
+
+      const updated = await query(
+        `UPDATE conversations SET persona_id = $3, updated_at = NOW()
+         WHERE id = $1 AND user_id = $2
+         RETURNING id, persona_id`,
+        [conversation_id, req.user.id, persona]
+      );
+      if (updated.rows.length === 0) {
+        throw new APIError('Conversation not found', 404, 'NOT_FOUND');
+      }
+
+      return res.json({
+        conversation: updated.rows[0],
+        message: 'Conversation persona updated'
+      });
+    }
+
+    // Fields left out keep their saved values, so the persona picker and
+    // the style sliders can each update without resetting the other
+    const current = await query(
+      `SELECT communication_style FROM users WHERE id = $1`,
+      [req.user.id]
+    );
+    const saved = current.rows[0]?.communication_style || {};
 
     const style = {
-      formality: formality ?? 0.5,
-      emoji_usage: emoji_usage ?? 0.5,
-      message_length: message_length ?? 'medium',
-      tone: tone ?? 'supportive'
+      formality: formality ?? saved.formality ?? 0.5,
+      emoji_usage: emoji_usage ?? saved.emoji_usage ?? 0.5,
+      message_length: message_length ?? saved.message_length ?? 'medium',
+      tone: tone ?? saved.tone ?? 'supportive',
+      persona: persona !== undefined
+        ? persona || DEFAULT_PERSONA_ID
+        : saved.persona || DEFAULT_PERSONA_ID
     };
 
     const result = await query(
@@ -145,6 +213,61 @@ router.put('/me/personalization',
   })
 );
 
+// ============================================================
+// GET /api/users/me/memories - What MJ remembers, by type
+// ============================================================
+router.get('/me/memories',
+  asyncHandler(async (req, res) => {
+    const groups = await listMemoriesByType(req.user.id);
+    res.json({ groups });
+  })
+);
+
+// ============================================================
+// PUT /api/users/me/memories/:id - Edit, pin or hide a memory
+// ============================================================
+router.put('/me/memories/:id',
+  [
+    param('id').isUUID(),
+    body('content').optional().trim().notEmpty().isLength({ max: 1000 }),
+    body('is_pinned').optional().isBoolean().toBoolean(),
+    body('never_mention').optional().isBoolean().toBoolean()
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { content, is_pinned, never_mention } = req.body;
+
+    const memory = await updateMemory(req.user.id, req.params.id, {
+      content,
+      isPinned: is_pinned,
+      neverMention: never_mention
+    });
+
+    if (!memory) {
+      throw new APIError('Memory not found', 404, 'NOT_FOUND');
+    }
+
+    res.json({ memory });
+  })
+);
+
+// ============================================================
+// DELETE /api/users/me/memories/:id - Forget a memory
+// ============================================================
+router.delete('/me/memories/:id',
+  [param('id').isUUID()],
+  validate,
+  asyncHandler(async (req, res) => {
+    const deleted = await deleteMemory(req.user.id, req.params.id);
+
+    if (!deleted) {
+      throw new APIError('Memory not found', 404, 'NOT_FOUND');
+    }
+
+    res.json({ success: true, message: 'MJ has forgotten this' });
+  })
+);
+
 // ============================================================
 // POST /api/users/me/onboarding - Complete onboarding
 // ============================================================
@@ -197,6 +320,30 @@ router.post('/me/onboarding',
   })
 );
 
+// ============================================================
+// GET /api/users/me/usage - Today's AI usage against plan quotas
+// ============================================================
+router.get('/me/usage',
+  [queryValidator('days').optional().isInt({ min: 1, max: 90 })],
+  validate,
+  asyncHandler(async (req, res) => {
+    const days = parseInt(req.query.days) || 7;
+
+    const quota = await UsageService.checkQuota(UsageService.subjectForUser(req.user));
+    const history = await UsageService.getHistory(req.user.id, days);
+
+    res.json({
+      plan: quota.plan,
+      today: quota.usage,
+      limits: quota.limits,
+      remaining: quota.remaining,
+      quota_exceeded: !quota.allowed,
+      resets_at: quota.resets_at,
+      history
+    });
+  })
+);
+
 // ============================================================
 // DELETE /api/users/me - Delete account
 // ============================================================
@@ -227,6 +374,30 @@ router.get('/me/export',
     const journal = await query(`SELECT * FROM journal_entries WHERE user_id = $1`, [req.user.id]);
     const intentions = await query(`SELECT * FROM morning_intentions WHERE user_id = $1`, [req.user.id]);
     const reflections = await query(`SELECT * FROM evening_reflections WHERE user_id = $1`, [req.user.id]);
+    const memories = await query(
+      `SELECT id, memory_type, memory_key, content, source_type, is_pinned, never_mention,
+              user_edited_at, created_at, updated_at
+       FROM ai_memories WHERE user_id = $1`,
+      [req.user.id]
+    );
+    // Same shape as the GDPR export (services/gdpr.js)
+    const assessments = await query(
+      `SELECT id, instrument, answers, raw_score, score, severity, flags, completed_at
+       FROM assessments WHERE user_id = $1 ORDER BY completed_at DESC`,
+      [req.user.id]
+    );
+    const assessmentSchedules = await query(
+      `SELECT instrument, interval_days, is_enabled, next_due_date, created_at, updated_at
+       FROM assessment_schedules WHERE user_id = $1`,
+      [req.user.id]
+    );
+
+    const reports = await query(
+      `SELECT id, status, period_start, period_end, journal_entry_ids, download_count,
+              last_downloaded_at, created_at, completed_at, expires_at
+       FROM reports WHERE user_id = $1 ORDER BY created_at DESC`,
+      [req.user.id]
+    );
 
     const exportData = {
       exported_at: new Date().toISOString(),
@@ -238,7 +409,10 @@ router.get('/me/export',
       tasks: tasks.rows,
       journal_entries: journal.rows,
       morning_intentions: intentions.rows,
-      evening_reflections: reflections.rows
+      evening_reflections: reflections.rows,
+      ai_memories: memories.rows,
+      assessments: { results: assessments.rows, schedules: assessmentSchedules.rows },
+      reports: reports.rows
     };
 
     res.setHeader('Content-Type', 'application/json');
@@ -35,6 +35,8 @@ import copingRoutes from './routes/coping.js';
 import contentRoutes from './routes/content.js';
 import notificationRoutes from './routes/notifications.js';
 import insightsRoutes from './routes/insights.js';
+import assessmentRoutes from './routes/assessments.js';
+import reportRoutes from './routes/reports.js';
 import adminRoutes from './routes/admin.js';
 import guestRoutes from './routes/guest.js';
 import guestMigrateRoutes from './routes/guest-migrate.js';
@@ -47,11 +49,13 @@ import subscriptionRoutes from './routes/subscriptions.js';
 // Import middleware
 import { errorHandler, notFound } from './middleware/errorHandler.js';
 import { authenticateSocket } from './middleware/auth.js';
+import { syncBroadcast } from './middleware/syncBroadcast.js';
 import { sentryRequestHandler, sentryErrorHandler } from './services/errorTracking.js';
 
 // Import services
 import { initializeDatabase, checkDatabaseHealth, closePool } from './database/db.js';
 import { setupSocketHandlers } from './services/socket.js';
+import { attachSocketAdapter } from './services/realtime.js';
 import { initScheduler } from './services/scheduler.js';
 import { initAPNS, shutdownAPNS } from './services/apns.js';
 import { logger } from './utils/logger.js';
@@ -117,7 +121,7 @@ app.use(cors({
   origin: getAllowedOrigins(),
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Device-Id']
 }));
 
 // Compression
@@ -231,6 +235,9 @@ app.get('/health/deep', async (req, res) => {
 // API ROUTES
 // ============================================================
 
+// Mutations are pushed to the user's other devices as `sync` events
+app.use('/api', syncBroadcast);
+
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/conversations', conversationRoutes);
@@ -243,6 +250,8 @@ app.use('/api/coping', copingRoutes);
 app.use('/api/content', contentRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/insights', insightsRoutes);
+app.use('/api/assessments', assessmentRoutes);
+app.use('/api/reports', reportRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/guest', guestRoutes);
 app.use('/api/guest', guestMigrateRoutes);
@@ -277,6 +286,8 @@ app.set('io', io);
 // Render assigns the port via env var
 const PORT = process.env.PORT || 10000;
 
+let closeSocketAdapter = async () => {};
+
 const startServer = async () => {
   try {
     await initializeDatabase();
@@ -288,6 +299,9 @@ const startServer = async () => {
     // Start notification scheduler (streak reminders, check-ins, nudges)
     initScheduler();
 
+    // Share socket rooms and presence across instances (SOCKET_ADAPTER)
+    closeSocketAdapter = await attachSocketAdapter(io);
+
     httpServer.listen(PORT, '0.0.0.0', () => {
       logger.info(`🚀 White Mike API running on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -315,6 +329,8 @@ const gracefulShutdown = async (signal) => {
       logger.info('Socket.IO connections closed');
     });
 
+    await closeSocketAdapter();
+
     // Close database pool
     await closePool();
 
@@ -3,8 +3,12 @@
 // Long-term memory and context management for personalized AI
 // ============================================================
 
-const pool = require('../config/database');
-const claude = require('./claude');
+import { query } from '../database/db.js';
+import { getProvider } from './llm/index.js';
+import { SemanticMemoryService, SOURCE_TYPES } from './semanticMemory.js';
+import { logger } from '../utils/logger.js';
+
+const MEMORY_MODEL = process.env.CLAUDE_MEMORY_MODEL || 'claude-3-5-haiku-latest';
 
 // ============================================================
 // MEMORY TYPES
@@ -32,6 +36,22 @@ const MEMORY_TYPES = {
   ONGOING_SITUATION: 'ongoing_situation' // Situations being tracked
 };
 
+// Headings for the profile memory manager
+const MEMORY_TYPE_LABELS = {
+  [MEMORY_TYPES.PERSONAL_INFO]: 'About you',
+  [MEMORY_TYPES.LIFE_CONTEXT]: 'Your life',
+  [MEMORY_TYPES.GOALS]: 'Goals',
+  [MEMORY_TYPES.CHALLENGES]: 'Challenges',
+  [MEMORY_TYPES.MOOD_PATTERN]: 'Mood patterns',
+  [MEMORY_TYPES.TRIGGER]: 'Triggers',
+  [MEMORY_TYPES.COPING_PREFERENCE]: 'What helps',
+  [MEMORY_TYPES.COMMUNICATION_STYLE]: 'How you like to talk',
+  [MEMORY_TYPES.IMPORTANT_DATE]: 'Important dates',
+  [MEMORY_TYPES.MILESTONE]: 'Milestones',
+  [MEMORY_TYPES.RECENT_TOPIC]: 'Recent topics',
+  [MEMORY_TYPES.ONGOING_SITUATION]: 'Things MJ is following up on'
+};
+
 const MEMORY_IMPORTANCE = {
   LOW: 1,
   MEDIUM: 2,
@@ -43,33 +63,20 @@ const MEMORY_IMPORTANCE = {
 // DATABASE OPERATIONS
 // ============================================================
 
-/**
- * Create memories table if not exists
- */
-async function initMemoryTable() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS user_memories (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-      type VARCHAR(50) NOT NULL,
-      key VARCHAR(255),
-      content TEXT NOT NULL,
-      importance INTEGER DEFAULT 2,
-      confidence DECIMAL(3,2) DEFAULT 1.0,
-      source VARCHAR(50),
-      expires_at TIMESTAMP,
-      last_accessed TIMESTAMP DEFAULT NOW(),
-      access_count INTEGER DEFAULT 0,
-      created_at TIMESTAMP DEFAULT NOW(),
-      updated_at TIMESTAMP DEFAULT NOW(),
-      UNIQUE(user_id, type, key)
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_memories_user ON user_memories(user_id);
-    CREATE INDEX IF NOT EXISTS idx_memories_type ON user_memories(type);
-    CREATE INDEX IF NOT EXISTS idx_memories_importance ON user_memories(importance DESC);
-  `);
-}
+// ai_memories stores importance as a 0-1 score; this service works in
+// MEMORY_IMPORTANCE levels (1-4). Rows are returned in the service's shape.
+const MEMORY_COLUMNS = `
+  id, user_id, memory_type AS type, memory_key AS key, content,
+  ROUND(importance_score * 4)::int AS importance, confidence,
+  source_type AS source, valid_until AS expires_at,
+  last_referenced_at AS last_accessed, reference_count AS access_count,
+  is_pinned, never_mention, user_edited_at, created_at, updated_at
+`;
+
+const toImportanceScore = (importance) => Math.min(Math.max(importance, 1), 4) / 4;
+
+// Weight of semantic similarity (0-1) against calculateRelevance's other terms
+const SIMILARITY_WEIGHT = 60;
 
 /**
  * Store a memory
@@ -83,59 +90,78 @@ async function storeMemory(userId, {
   source = 'conversation',
   expiresAt = null
 }) {
-  const result = await pool.query(`
-    INSERT INTO user_memories (user_id, type, key, content, importance, confidence, source, expires_at)
+  const result = await query(`
+    INSERT INTO ai_memories (user_id, memory_type, memory_key, content, importance_score, confidence, source_type, valid_until)
     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-    ON CONFLICT (user_id, type, key)
+    ON CONFLICT (user_id, memory_type, memory_key) WHERE memory_key IS NOT NULL
     DO UPDATE SET
-      content = EXCLUDED.content,
-      importance = GREATEST(user_memories.importance, EXCLUDED.importance),
-      confidence = EXCLUDED.confidence,
+      content = CASE WHEN ai_memories.user_edited_at IS NULL THEN EXCLUDED.content ELSE ai_memories.content END,
+      importance_score = GREATEST(ai_memories.importance_score, EXCLUDED.importance_score),
+      confidence = CASE WHEN ai_memories.user_edited_at IS NULL THEN EXCLUDED.confidence ELSE ai_memories.confidence END,
+      is_current = TRUE,
       updated_at = NOW()
-    RETURNING *
-  `, [userId, type, key, content, importance, confidence, source, expiresAt]);
+    RETURNING ${MEMORY_COLUMNS}
+  `, [userId, type, key, content, toImportanceScore(importance), confidence, source, expiresAt]);
+
+  const memory = result.rows[0];
+  if (memory && !memory.user_edited_at) {
+    SemanticMemoryService.indexAsync({
+      userId,
+      sourceType: SOURCE_TYPES.MEMORY,
+      sourceId: memory.id,
+      content: key ? `${key}: ${content}` : content
+    });
+  }
 
-  return result.rows[0];
+  return memory;
 }
 
 /**
  * Get memories by type
  */
 async function getMemoriesByType(userId, type) {
-  const result = await pool.query(`
-    SELECT * FROM user_memories
-    WHERE user_id = $1 AND type = $2
-    AND (expires_at IS NULL OR expires_at > NOW())
-    ORDER BY importance DESC, updated_at DESC
+  const result = await query(`
+    SELECT ${MEMORY_COLUMNS} FROM ai_memories
+    WHERE user_id = $1 AND memory_type = $2 AND is_current = TRUE
+    AND never_mention IS NOT TRUE
+    AND (valid_until IS NULL OR valid_until > NOW())
+    ORDER BY is_pinned DESC, importance_score DESC, updated_at DESC
   `, [userId, type]);
 
-  // Update access tracking
-  if (result.rows.length > 0) {
-    const ids = result.rows.map(r => r.id);
-    await pool.query(`
-      UPDATE user_memories
-      SET last_accessed = NOW(), access_count = access_count + 1
-      WHERE id = ANY($1)
-    `, [ids]);
-  }
+  await markReferenced(result.rows);
 
   return result.rows;
 }
 
 /**
- * Get all memories for a user
+ * Get all memories the coach may use. Excludes ones the user marked
+ * "never mention".
  */
 async function getAllMemories(userId) {
-  const result = await pool.query(`
-    SELECT * FROM user_memories
-    WHERE user_id = $1
-    AND (expires_at IS NULL OR expires_at > NOW())
-    ORDER BY importance DESC, updated_at DESC
+  const result = await query(`
+    SELECT ${MEMORY_COLUMNS} FROM ai_memories
+    WHERE user_id = $1 AND is_current = TRUE
+    AND never_mention IS NOT TRUE
+    AND (valid_until IS NULL OR valid_until > NOW())
+    ORDER BY is_pinned DESC, importance_score DESC, updated_at DESC
   `, [userId]);
 
   return result.rows;
 }
 
+/**
+ * Update access tracking
+ */
+async function markReferenced(memories) {
+  if (memories.length === 0) return;
+
+  await query(`
+    UPDATE ai_memories
+    SET last_referenced_at = NOW(), reference_count = reference_count + 1
+    WHERE id = ANY($1)
+  `, [memories.map(m => m.id)]);
+}
+
 /**
  * Get most relevant memories for a context
  */
@@ -148,22 +174,40 @@ async function getRelevantMemories(userId, context, limit = 10) {
     return allMemories;
   }
 
+  // Similarity to the context, when the semantic index can answer
+  const similarities = new Map();
+  if (context) {
+    try {
+      const matches = await SemanticMemoryService.search(userId, context, {
+        sourceTypes: [SOURCE_TYPES.MEMORY],
+        limit: allMemories.length
+      });
+      for (const match of matches) {
+        similarities.set(match.source_id, match.similarity);
+      }
+    } catch (err) {
+      logger.warn('Semantic memory search failed, using keyword relevance:', { userId, error: err.message });
+    }
+  }
+
   // Score memories by relevance
   const scored = allMemories.map(memory => ({
     ...memory,
-    relevanceScore: calculateRelevance(memory, context)
+    relevanceScore: calculateRelevance(memory, context, similarities.size > 0 ? (similarities.get(memory.id) ?? 0) : null)
   }));
 
-  // Sort by relevance and return top N
+  // Sort by relevance (pinned memories always make the cut) and return top N
   return scored
-    .sort((a, b) => b.relevanceScore - a.relevanceScore)
+    .sort((a, b) => (b.is_pinned === true) - (a.is_pinned === true) || b.relevanceScore - a.relevanceScore)
     .slice(0, limit);
 }
 
 /**
- * Calculate relevance of a memory to current context
+ * Calculate relevance of a memory to current context.
+ * `similarity` comes from the semantic index; without it, falls back
+ * to keyword overlap.
  */
-function calculateRelevance(memory, context) {
+function calculateRelevance(memory, context, similarity = null) {
   let score = memory.importance * 10; // Base score from importance
 
   // Recency boost (memories from last 7 days get bonus)
@@ -176,10 +220,13 @@ function calculateRelevance(memory, context) {
   score += Math.min(memory.access_count * 2, 10);
 
   // Confidence factor
-  score *= memory.confidence;
+  score *= parseFloat(memory.confidence ?? 1);
 
-  // Context matching (simple keyword overlap)
-  if (context) {
+  // Context matching
+  if (similarity !== null) {
+    score += Math.max(similarity, 0) * SIMILARITY_WEIGHT;
+  } else if (context) {
+    // Simple keyword overlap
     const contextWords = context.toLowerCase().split(/\s+/);
     const memoryWords = memory.content.toLowerCase().split(/\s+/);
     const overlap = contextWords.filter(w => memoryWords.includes(w)).length;
@@ -195,23 +242,101 @@ function calculateRelevance(memory, context) {
 }
 
 /**
- * Delete a memory
+ * Delete a memory. Returns false if it wasn't the user's.
  */
 async function deleteMemory(userId, memoryId) {
-  await pool.query(`
-    DELETE FROM user_memories
+  const result = await query(`
+    DELETE FROM ai_memories
     WHERE id = $1 AND user_id = $2
+    RETURNING id
   `, [memoryId, userId]);
+
+  if (result.rows.length === 0) return false;
+
+  SemanticMemoryService.removeAsync(SOURCE_TYPES.MEMORY, memoryId);
+  return true;
 }
 
 /**
  * Clean up expired memories
  */
 async function cleanupExpiredMemories() {
-  await pool.query(`
-    DELETE FROM user_memories
-    WHERE expires_at IS NOT NULL AND expires_at < NOW()
+  const result = await query(`
+    DELETE FROM ai_memories
+    WHERE valid_until IS NOT NULL AND valid_until < NOW()
+    RETURNING id
   `);
+
+  for (const row of result.rows) {
+    SemanticMemoryService.removeAsync(SOURCE_TYPES.MEMORY, row.id);
+  }
+}
+
+// ============================================================
+// USER MEMORY MANAGER
+// ============================================================
+
+/**
+ * Everything MJ remembers, including "never mention" memories, grouped
+ * by MEMORY_TYPES for the profile screen. Unknown types go under 'other'.
+ */
+async function listMemoriesByType(userId) {
+  const result = await query(`
+    SELECT ${MEMORY_COLUMNS} FROM ai_memories
+    WHERE user_id = $1 AND is_current = TRUE
+    AND (valid_until IS NULL OR valid_until > NOW())
+    ORDER BY is_pinned DESC, updated_at DESC
+  `, [userId]);
+
+  const known = Object.values(MEMORY_TYPES);
+  const groups = known.map(type => ({
+    type,
+    label: MEMORY_TYPE_LABELS[type],
+    memories: result.rows.filter(m => m.type === type)
+  }));
+  groups.push({
+    type: 'other',
+    label: 'Other',
+    memories: result.rows.filter(m => !known.includes(m.type))
+  });
+
+  return groups.filter(group => group.memories.length > 0);
+}
+
+/**
+ * Apply a user's edit. Editing content marks the memory user-owned so
+ * extraction won't overwrite it. Returns null if it wasn't the user's.
+ */
+async function updateMemory(userId, memoryId, { content, isPinned, neverMention }) {
+  // A memory MJ must not bring up can't also be pinned into every prompt
+  if (neverMention === true) isPinned = false;
+
+  const result = await query(`
+    UPDATE ai_memories
+    SET
+      content = COALESCE($3, content),
+      is_pinned = COALESCE($4, is_pinned),
+      never_mention = COALESCE($5, never_mention),
+      confidence = CASE WHEN $3::text IS NULL THEN confidence ELSE 1.0 END,
+      user_edited_at = CASE WHEN $3::text IS NULL THEN user_edited_at ELSE NOW() END,
+      updated_at = NOW()
+    WHERE id = $1 AND user_id = $2
+    RETURNING ${MEMORY_COLUMNS}
+  `, [memoryId, userId, content ?? null, isPinned ?? null, neverMention ?? null]);
+
+  const memory = result.rows[0];
+  if (!memory) return null;
+
+  if (content != null) {
+    SemanticMemoryService.indexAsync({
+      userId,
+      sourceType: SOURCE_TYPES.MEMORY,
+      sourceId: memory.id,
+      content: memory.key ? `${memory.key}: ${memory.content}` : memory.content
+    });
+  }
+
+  return memory;
 }
 
 // ============================================================
@@ -233,9 +358,11 @@ async function extractMemoriesFromConversation(userId, messages) {
 
   try {
     // Use Claude to extract memories
-    const response = await claude.createCompletion({
-      model: 'claude-3-5-haiku-latest',
-      max_tokens: 1000,
+    const response = await getProvider().complete({
+      model: MEMORY_MODEL,
+      maxTokens: 1000,
+      purpose: 'memory_extraction',
+      input: conversationText,
       messages: [{
         role: 'user',
         content: `Analyze this conversation and extract important information about the user that should be remembered for future conversations. Focus on:
@@ -262,7 +389,7 @@ Only return valid JSON array. If no new memories, return empty array [].`
     });
 
     // Parse the response
-    const text = response.content[0].text.trim();
+    const text = response.text.trim();
     const jsonMatch = text.match(/\[[\s\S]*\]/);
 
     if (!jsonMatch) return [];
@@ -287,7 +414,7 @@ Only return valid JSON array. If no new memories, return empty array [].`
 
     return stored;
   } catch (err) {
-    console.error('Memory extraction error:', err);
+    logger.error('Memory extraction error:', { userId, error: err.message });
     return [];
   }
 }
@@ -296,19 +423,56 @@ Only return valid JSON array. If no new memories, return empty array [].`
 // CONTEXT BUILDING FOR AI
 // ============================================================
 
+// Memories, and related journal entries / past conversations, per prompt
+const CONTEXT_MEMORY_LIMIT = 15;
+const CONTEXT_RELATED_LIMIT = 3;
+const RELATED_MIN_SIMILARITY = 0.25;
+
+const truncate = (text, max) => {
+  const flat = text.replace(/[\n\r]+/g, ' ').trim();
+  return flat.length > max ? `${flat.substring(0, max)}...` : flat;
+};
+
 /**
- * Build memory context for AI prompt
+ * Journal entries and past conversation summaries similar to the
+ * current message
  */
-async function buildMemoryContext(userId) {
-  const memories = await getAllMemories(userId);
+async function findRelatedHistory(userId, text) {
+  try {
+    return await SemanticMemoryService.search(userId, text, {
+      sourceTypes: [SOURCE_TYPES.JOURNAL, SOURCE_TYPES.CONVERSATION_SUMMARY],
+      limit: CONTEXT_RELATED_LIMIT,
+      minSimilarity: RELATED_MIN_SIMILARITY
+    });
+  } catch (err) {
+    logger.warn('Related history search failed:', { userId, error: err.message });
+    return [];
+  }
+}
 
-  if (memories.length === 0) {
+/**
+ * Build memory context for AI prompt. With `query` (usually the user's
+ * message), memories are ranked by similarity to it and related journal
+ * entries and past conversations are included.
+ */
+async function buildMemoryContext(userId, { query: text = null } = {}) {
+  const memories = text
+    ? await getRelevantMemories(userId, text, CONTEXT_MEMORY_LIMIT)
+    : await getAllMemories(userId);
+  const related = text ? await findRelatedHistory(userId, text) : [];
+
+  if (memories.length === 0 && related.length === 0) {
     return null;
   }
 
-  // Group memories by type
+  if (text) {
+    await markReferenced(memories);
+  }
+
+  // Pinned memories get their own section; the rest are grouped by type
+  const pinned = memories.filter(m => m.is_pinned);
   const grouped = {};
-  for (const memory of memories) {
+  for (const memory of memories.filter(m => !m.is_pinned)) {
     if (!grouped[memory.type]) {
       grouped[memory.type] = [];
     }
@@ -318,11 +482,19 @@ async function buildMemoryContext(userId) {
   // Build context string
   let context = "Here's what I remember about this user:\n\n";
 
+  if (pinned.length > 0) {
+    context += "**They Asked You to Keep in Mind:**\n";
+    for (const m of pinned) {
+      context += `- ${m.content}\n`;
+    }
+    context += "\n";
+  }
+
   // Personal info first
   if (grouped[MEMORY_TYPES.PERSONAL_INFO]) {
     context += "**Personal Information:**\n";
     for (const m of grouped[MEMORY_TYPES.PERSONAL_INFO]) {
-      context += `- ${m.key}: ${m.content}\n`;
+      context += `- ${m.key ? `${m.key}: ` : ''}${m.content}\n`;
     }
     context += "\n";
   }
@@ -387,34 +559,81 @@ async function buildMemoryContext(userId) {
     context += "\n";
   }
 
+  // Semantically related history
+  const journal = related.filter(r => r.source_type === SOURCE_TYPES.JOURNAL);
+  const conversations = related.filter(r => r.source_type === SOURCE_TYPES.CONVERSATION_SUMMARY);
+
+  if (journal.length > 0) {
+    context += "**Related Journal Entries:**\n";
+    for (const r of journal) {
+      context += `- ${truncate(r.content, 200)}\n`;
+    }
+    context += "\n";
+  }
+
+  if (conversations.length > 0) {
+    context += "**Related Past Conversations:**\n";
+    for (const r of conversations) {
+      context += `- ${truncate(r.content, 300)}\n`;
+    }
+    context += "\n";
+  }
+
   return context;
 }
 
+const SESSION_TOPIC_LIMIT = 5;
+
 /**
- * Generate a conversation summary for long-term storage
+ * Summarize a finished conversation for long-term storage.
+ * Returns { title, summary, topics, end_mood } (end_mood is 1-5 or null),
+ * or null when there's nothing to summarize or the reply can't be parsed.
  */
 async function summarizeConversation(messages) {
-  if (!messages || messages.length < 5) return null;
+  if (!messages || !messages.some(m => m.role === 'user')) return null;
 
   const conversationText = messages
     .map(m => `${m.role}: ${m.content}`)
     .join('\n');
 
   try {
-    const response = await claude.createCompletion({
-      model: 'claude-3-5-haiku-latest',
-      max_tokens: 500,
+    const response = await getProvider().complete({
+      model: MEMORY_MODEL,
+      maxTokens: 500,
+      purpose: 'session_summary',
+      input: conversationText,
       messages: [{
         role: 'user',
-        content: `Summarize this conversation in 2-3 sentences, focusing on the key topics discussed and any emotional context:
+        content: `Summarize this finished conversation for the user's history.
+
+${conversationText}
 
-${conversationText}`
+Return only a JSON object with:
+- title: 3-6 words naming what it was about
+- summary: 2-3 sentences focusing on the key topics discussed and any emotional context
+- topics: up to ${SESSION_TOPIC_LIMIT} short lowercase topics (e.g. "work", "sleep", "family")
+- end_mood: how the user seemed to feel by the end, 1-5, or null if unclear`
       }]
     });
 
-    return response.content[0].text.trim();
+    const jsonMatch = response.text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return null;
+
+    const parsed = JSON.parse(jsonMatch[0]);
+    if (!parsed.summary) return null;
+
+    const endMood = parseInt(parsed.end_mood);
+    return {
+      title: parsed.title ? String(parsed.title).trim().slice(0, 255) : null,
+      summary: String(parsed.summary).trim(),
+      topics: [...new Set((Array.isArray(parsed.topics) ? parsed.topics : [])
+        .map(t => String(t).trim().toLowerCase())
+        .filter(t => t.length > 0 && t.length <= 50))]
+        .slice(0, SESSION_TOPIC_LIMIT),
+      end_mood: endMood >= 1 && endMood <= 5 ? endMood : null
+    };
   } catch (err) {
-    console.error('Conversation summary error:', err);
+    logger.error('Conversation summary error:', { error: err.message });
     return null;
   }
 }
@@ -430,7 +649,7 @@ async function generateUserInsights(userId) {
   const memories = await getAllMemories(userId);
 
   // Get recent moods
-  const moodResult = await pool.query(`
+  const moodResult = await query(`
     SELECT score, factors, created_at
     FROM mood_entries
     WHERE user_id = $1
@@ -480,16 +699,36 @@ async function generateUserInsights(userId) {
 // EXPORTS
 // ============================================================
 
-module.exports = {
+export {
+  MEMORY_TYPES,
+  MEMORY_TYPE_LABELS,
+  MEMORY_IMPORTANCE,
+  storeMemory,
+  getMemoriesByType,
+  getAllMemories,
+  getRelevantMemories,
+  deleteMemory,
+  cleanupExpiredMemories,
+  listMemoriesByType,
+  updateMemory,
+  extractMemoriesFromConversation,
+  buildMemoryContext,
+  summarizeConversation,
+  generateUserInsights
+};
+
+export default {
   MEMORY_TYPES,
+  MEMORY_TYPE_LABELS,
   MEMORY_IMPORTANCE,
-  initMemoryTable,
   storeMemory,
   getMemoriesByType,
   getAllMemories,
   getRelevantMemories,
   deleteMemory,
   cleanupExpiredMemories,
+  listMemoriesByType,
+  updateMemory,
   extractMemoriesFromConversation,
   buildMemoryContext,
   summarizeConversation,
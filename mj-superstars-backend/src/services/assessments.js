@@ -0,0 +1,425 @@
+// ============================================================
+// Self-Assessments
+// Standardized questionnaires alongside the 1-5 mood scale:
+//   phq9   PHQ-9, depression symptoms over the last two weeks
+//   gad7   GAD-7, anxiety symptoms over the last two weeks
+//   who5   WHO-5, wellbeing over the last two weeks (higher is better)
+// Scoring and severity bands are done here, never trusted from the
+// client. Any answer above "Not at all" on PHQ-9 item 9 (thoughts of
+// being better off dead or of self-harm) goes through the crisis
+// pipeline. Each instrument a user has taken gets a schedule (every
+// DEFAULT_INTERVAL_DAYS unless they change it) that the scheduler
+// reminds them of.
+// ============================================================
+
+import { query } from '../database/db.js';
+import { logger } from '../utils/logger.js';
+import { CrisisService } from './crisis.js';
+import { localTime } from './localDay.js';
+
+export const DEFAULT_INTERVAL_DAYS = 14;
+export const MIN_INTERVAL_DAYS = 7;
+export const MAX_INTERVAL_DAYS = 90;
+
+const FREQUENCY_SCALE = [
+  { value: 0, label: 'Not at all' },
+  { value: 1, label: 'Several days' },
+  { value: 2, label: 'More than half the days' },
+  { value: 3, label: 'Nearly every day' }
+];
+
+const WHO5_SCALE = [
+  { value: 0, label: 'At no time' },
+  { value: 1, label: 'Some of the time' },
+  { value: 2, label: 'Less than half of the time' },
+  { value: 3, label: 'More than half of the time' },
+  { value: 4, label: 'Most of the time' },
+  { value: 5, label: 'All of the time' }
+];
+
+// bands: highest score in each band, in order. meaningfulChange: the
+// smallest change between two results that's more than noise.
+export const INSTRUMENTS = {
+  phq9: {
+    id: 'phq9',
+    name: 'PHQ-9',
+    title: 'Mood check (PHQ-9)',
+    prompt: 'Over the last 2 weeks, how often have you been bothered by any of the following problems?',
+    scale: FREQUENCY_SCALE,
+    items: [
+      'Little interest or pleasure in doing things',
+      'Feeling down, depressed, or hopeless',
+      'Trouble falling or staying asleep, or sleeping too much',
+      'Feeling tired or having little energy',
+      'Poor appetite or overeating',
+      'Feeling bad about yourself, or that you are a failure or have let yourself or your family down',
+      'Trouble concentrating on things, such as reading the newspaper or watching television',
+      'Moving or speaking so slowly that other people could have noticed, or the opposite: being so fidgety or restless that you have been moving around a lot more than usual',
+      'Thoughts that you would be better off dead, or of hurting yourself in some way'
+    ],
+    maxScore: 27,
+    higherIsBetter: false,
+    meaningfulChange: 5,
+    bands: [
+      { max: 4, severity: 'minimal', label: 'Minimal' },
+      { max: 9, severity: 'mild', label: 'Mild' },
+      { max: 14, severity: 'moderate', label: 'Moderate' },
+      { max: 19, severity: 'moderately_severe', label: 'Moderately severe' },
+      { max: 27, severity: 'severe', label: 'Severe' }
+    ],
+    // Zero-based index of the self-harm item
+    crisisItem: 8
+  },
+  gad7: {
+    id: 'gad7',
+    name: 'GAD-7',
+    title: 'Anxiety check (GAD-7)',
+    prompt: 'Over the last 2 weeks, how often have you been bothered by the following problems?',
+    scale: FREQUENCY_SCALE,
+    items: [
+      'Feeling nervous, anxious, or on edge',
+      'Not being able to stop or control worrying',
+      'Worrying too much about different things',
+      'Trouble relaxing',
+      'Being so restless that it is hard to sit still',
+      'Becoming easily annoyed or irritable',
+      'Feeling afraid, as if something awful might happen'
+    ],
+    maxScore: 21,
+    higherIsBetter: false,
+    meaningfulChange: 4,
+    bands: [
+      { max: 4, severity: 'minimal', label: 'Minimal' },
+      { max: 9, severity: 'mild', label: 'Mild' },
+      { max: 14, severity: 'moderate', label: 'Moderate' },
+      { max: 21, severity: 'severe', label: 'Severe' }
+    ]
+  },
+  who5: {
+    id: 'who5',
+    name: 'WHO-5',
+    title: 'Wellbeing check (WHO-5)',
+    prompt: 'Over the last 2 weeks, how much of the time…',
+    scale: WHO5_SCALE,
+    items: [
+      'I have felt cheerful and in good spirits',
+      'I have felt calm and relaxed',
+      'I have felt active and vigorous',
+      'I woke up feeling fresh and rested',
+      'My daily life has been filled with things that interest me'
+    ],
+    // Raw 0-25, reported as a percentage
+    multiplier: 4,
+    maxScore: 100,
+    higherIsBetter: true,
+    meaningfulChange: 10,
+    bands: [
+      { max: 28, severity: 'low', label: 'Low wellbeing' },
+      { max: 48, severity: 'reduced', label: 'Reduced wellbeing' },
+      { max: 100, severity: 'good', label: 'Good wellbeing' }
+    ]
+  }
+};
+
+export const INSTRUMENT_IDS = Object.keys(INSTRUMENTS);
+
+export const DISCLAIMER = 'These questionnaires are screening tools, not a diagnosis. If your results worry you, a doctor or therapist can help you make sense of them.';
+
+/**
+ * The questionnaire as the client renders it
+ */
+export function describeInstrument(id) {
+  const { crisisItem, multiplier, ...definition } = INSTRUMENTS[id];
+  return {
+    ...definition,
+    items: definition.items.map((text, index) => ({ index, text }))
+  };
+}
+
+/**
+ * Problems with a set of answers; empty when they're valid. Answers
+ * are one value from the scale per item, in item order.
+ */
+export function validateAnswers(id, answers) {
+  const instrument = INSTRUMENTS[id];
+  if (!instrument) return [`Unknown assessment: ${id}`];
+  if (!Array.isArray(answers)) return ['answers must be an array'];
+  if (answers.length !== instrument.items.length) {
+    return [`${instrument.name} has ${instrument.items.length} questions; got ${answers.length} answers`];
+  }
+
+  const allowed = new Set(instrument.scale.map(option => option.value));
+  return answers
+    .map((answer, index) => (allowed.has(answer) ? null : `Answer ${index + 1} must be one of ${[...allowed].join(', ')}`))
+    .filter(Boolean);
+}
+
+/**
+ * Score valid answers: { raw_score, score, max_score, severity,
+ * severity_label, flags }
+ */
+export function scoreAnswers(id, answers) {
+  const instrument = INSTRUMENTS[id];
+  const raw = answers.reduce((sum, answer) => sum + answer, 0);
+  const score = raw * (instrument.multiplier || 1);
+  const band = instrument.bands.find(b => score <= b.max);
+
+  const flags = {};
+  if (instrument.crisisItem !== undefined && answers[instrument.crisisItem] > 0) {
+    flags.self_harm = answers[instrument.crisisItem];
+  }
+
+  return {
+    raw_score: raw,
+    score,
+    max_score: instrument.maxScore,
+    severity: band.severity,
+    severity_label: band.label,
+    flags
+  };
+}
+
+/**
+ * How `current` compares with `previous` (scores): the change, and
+ * whether it's big enough to mean something
+ */
+export function compareScores(id, previous, current) {
+  if (previous == null) return null;
+  const instrument = INSTRUMENTS[id];
+  const change = current - previous;
+  const meaningful = Math.abs(change) >= instrument.meaningfulChange;
+
+  let direction = 'stable';
+  if (meaningful) {
+    direction = (change > 0) === instrument.higherIsBetter ? 'improved' : 'worsened';
+  }
+  return { change, meaningful, direction };
+}
+
+// Crisis severity for the self-harm item: "several days" is recorded
+// and followed up, more than that follows up within hours
+const selfHarmSeverity = (answer) => (answer >= 2 ? 'high' : 'medium');
+
+export const AssessmentService = {
+  /**
+   * Store and score a completed questionnaire. Returns the stored row,
+   * how it compares with the last one, and a crisis payload (or null).
+   */
+  async submit(user, id, answers, { region } = {}) {
+    const scored = scoreAnswers(id, answers);
+
+    const previous = await query(
+      `SELECT score FROM assessments
+       WHERE user_id = $1 AND instrument = $2
+       ORDER BY completed_at DESC
+       LIMIT 1`,
+      [user.id, id]
+    );
+
+    const result = await query(
+      `INSERT INTO assessments (user_id, instrument, answers, raw_score, score, severity, flags)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [user.id, id, JSON.stringify(answers), scored.raw_score, scored.score, scored.severity, JSON.stringify(scored.flags)]
+    );
+    const assessment = result.rows[0];
+
+    // Next one is due an interval from today; a first result starts the schedule
+    const local = localTime(user.timezone);
+    await query(
+      `INSERT INTO assessment_schedules (user_id, instrument, interval_days, next_due_date)
+       VALUES ($1, $2, $3, $4::date + $3::int)
+       ON CONFLICT (user_id, instrument) DO UPDATE SET
+         next_due_date = $4::date + assessment_schedules.interval_days,
+         last_reminded_at = NULL,
+         updated_at = NOW()`,
+      [user.id, id, DEFAULT_INTERVAL_DAYS, local.date]
+    );
+
+    let crisis = null;
+    if (scored.flags.self_harm) {
+      crisis = await this.escalate(user.id, assessment, scored.flags.self_harm, region);
+    }
+
+    logger.info('Assessment completed:', { userId: user.id, instrument: id, severity: scored.severity, crisis: !!crisis });
+
+    return {
+      assessment: { ...assessment, severity_label: scored.severity_label, max_score: scored.max_score },
+      comparison: compareScores(id, previous.rows[0]?.score, scored.score),
+      crisis
+    };
+  },
+
+  /**
+   * PHQ-9 item 9 endorsed: same escalation as a flagged chat message,
+   * recorded against the assessment. Never throws; the result is
+   * stored either way.
+   */
+  async escalate(userId, assessment, answer, region) {
+    try {
+      const crisis = await CrisisService.escalate({
+        assessment: {
+          severity: selfHarmSeverity(answer),
+          trigger_phrases: ['phq9_item9'],
+          detection: { assessment: { id: assessment.id, instrument: 'phq9', item: 9, answer } }
+        },
+        userId,
+        source: 'assessment',
+        region
+      });
+
+      if (crisis.event_id) {
+        await query(
+          `UPDATE assessments SET crisis_event_id = $2 WHERE id = $1`,
+          [assessment.id, crisis.event_id]
+        );
+      }
+      return crisis;
+    } catch (error) {
+      // The answer still needs resources on screen, even unrecorded
+      logger.error('Assessment crisis escalation failed:', { userId, error: error.message });
+      return CrisisService.fallbackSupport({ severity: selfHarmSeverity(answer), region });
+    }
+  },
+
+  async list(userId, { instrument, limit = 20 } = {}) {
+    const params = [userId, limit];
+    let filter = '';
+    if (instrument) {
+      params.push(instrument);
+      filter = 'AND instrument = $3';
+    }
+
+    const result = await query(
+      `SELECT id, instrument, answers, raw_score, score, severity, flags, completed_at
+       FROM assessments
+       WHERE user_id = $1 ${filter}
+       ORDER BY completed_at DESC
+       LIMIT $2`,
+      params
+    );
+    return result.rows;
+  },
+
+  /**
+   * Scores over the last `days` days per instrument, for charts, with
+   * the bands to shade and the latest change
+   */
+  async trends(userId, { days = 180 } = {}) {
+    const result = await query(
+      `SELECT id, instrument, score, severity, completed_at
+       FROM assessments
+       WHERE user_id = $1 AND completed_at >= NOW() - make_interval(days => $2)
+       ORDER BY completed_at ASC`,
+      [userId, days]
+    );
+
+    return INSTRUMENT_IDS.map(id => {
+      const { name, maxScore, higherIsBetter, bands, meaningfulChange } = INSTRUMENTS[id];
+      const points = result.rows.filter(row => row.instrument === id);
+      const latest = points[points.length - 1] || null;
+      const previous = points[points.length - 2] || null;
+
+      return {
+        instrument: id,
+        name,
+        max_score: maxScore,
+        higher_is_better: higherIsBetter,
+        meaningful_change: meaningfulChange,
+        bands,
+        points,
+        latest,
+        comparison: latest && previous ? compareScores(id, previous.score, latest.score) : null
+      };
+    });
+  },
+
+  /**
+   * Every instrument with its schedule (if any), last result and
+   * whether it's due on the user's local today
+   */
+  async schedules(user) {
+    const local = localTime(user.timezone);
+    const [schedules, latest] = await Promise.all([
+      query(
+        `SELECT instrument, interval_days, is_enabled, next_due_date::text as next_due_date
+         FROM assessment_schedules
+         WHERE user_id = $1`,
+        [user.id]
+      ),
+      query(
+        `SELECT DISTINCT ON (instrument) instrument, score, severity, completed_at
+         FROM assessments
+         WHERE user_id = $1
+         ORDER BY instrument, completed_at DESC`,
+        [user.id]
+      )
+    ]);
+
+    return INSTRUMENT_IDS.map(id => {
+      const schedule = schedules.rows.find(s => s.instrument === id) || null;
+      return {
+        instrument: id,
+        name: INSTRUMENTS[id].name,
+        title: INSTRUMENTS[id].title,
+        schedule,
+        due: !!(schedule?.is_enabled && schedule.next_due_date && schedule.next_due_date <= local.date),
+        last: latest.rows.find(l => l.instrument === id) || null
+      };
+    });
+  },
+
+  /**
+   * Turn reminders for an instrument on or off, or change how often.
+   * A new schedule is due today.
+   */
+  async updateSchedule(user, id, { interval_days, is_enabled }) {
+    const local = localTime(user.timezone);
+    const result = await query(
+      `INSERT INTO assessment_schedules (user_id, instrument, interval_days, is_enabled, next_due_date)
+       VALUES ($1, $2, COALESCE($3, $5), COALESCE($4, TRUE), $6::date)
+       ON CONFLICT (user_id, instrument) DO UPDATE SET
+         interval_days = COALESCE($3, assessment_schedules.interval_days),
+         is_enabled = COALESCE($4, assessment_schedules.is_enabled),
+         next_due_date = CASE
+           WHEN $3::int IS NULL THEN assessment_schedules.next_due_date
+           ELSE COALESCE(assessment_schedules.next_due_date - assessment_schedules.interval_days + $3::int, $6::date)
+         END,
+         updated_at = NOW()
+       RETURNING instrument, interval_days, is_enabled, next_due_date::text as next_due_date`,
+      [user.id, id, interval_days ?? null, is_enabled ?? null, DEFAULT_INTERVAL_DAYS, local.date]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Enabled schedules that have come due on the user's local today and
+   * haven't been reminded about in the last few days
+   */
+  async dueForReminder() {
+    const result = await query(
+      `SELECT s.user_id, s.instrument, s.next_due_date::text as next_due_date,
+              u.push_token, u.timezone
+       FROM assessment_schedules s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.is_enabled = TRUE
+         AND s.next_due_date IS NOT NULL
+         AND (s.last_reminded_at IS NULL OR s.last_reminded_at < NOW() - INTERVAL '3 days')
+         AND u.push_token IS NOT NULL
+         AND u.notification_settings->>'enabled' = 'true'
+         AND u.deleted_at IS NULL`
+    );
+
+    return result.rows.filter(row => row.next_due_date <= localTime(row.timezone).date);
+  },
+
+  async markReminded(userId, instruments) {
+    await query(
+      `UPDATE assessment_schedules SET last_reminded_at = NOW()
+       WHERE user_id = $1 AND instrument = ANY($2)`,
+      [userId, instruments]
+    );
+  }
+};
+
+export default AssessmentService;
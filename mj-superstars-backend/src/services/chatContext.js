@@ -0,0 +1,247 @@
+// ============================================================
+// Chat Context Service
+// Builds what Claude sees for a turn: the user's profile context
+// plus a token-budgeted message window. Turns that fall out of the
+// window are folded into a rolling summary on conversations.summary.
+// ============================================================
+
+import { query } from '../database/db.js';
+import { ClaudeService } from './claude.js';
+import { isEnabled } from './featureFlags.js';
+import { buildMemoryContext } from './aiMemory.js';
+import { SemanticMemoryService, SOURCE_TYPES } from './semanticMemory.js';
+import { MessageBranchService } from './messageBranches.js';
+import { resolvePersona } from './personas.js';
+import { localTime } from './localDay.js';
+import { logger } from '../utils/logger.js';
+
+// Input-token budgets for history + summary (the system prompt is separate)
+const CONTEXT_BUDGETS = {
+  standard: parseInt(process.env.CONTEXT_TOKEN_BUDGET) || 3000,
+  extended: parseInt(process.env.EXTENDED_CONTEXT_TOKEN_BUDGET) || 12000
+};
+
+// Upper bound on rows pulled per turn, whatever the budget
+const MAX_CONTEXT_MESSAGES = 200;
+
+// Role/formatting overhead Claude adds per message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// When folding, shrink the window to this share of the budget so the
+// summary is rewritten every few turns rather than on every message
+const FOLD_TARGET_RATIO = 0.6;
+
+/**
+ * Rough token count (~4 characters per token for English text)
+ */
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Whether a path walked with `after: summarizedUntil` runs through the
+ * last folded message, i.e. whether the rolling summary describes its
+ * earlier turns. A path that forked off before the fold (an edit or an
+ * older branch) does not.
+ */
+const passesFold = (messages, summarizedUntil, limit) => {
+  const boundary = messages[0];
+  if (!boundary || new Date(boundary.created_at) > new Date(summarizedUntil)) {
+    // Never reached the fold: a newer root, unless the walk hit its limit
+    return messages.length >= limit;
+  }
+  return new Date(boundary.created_at).getTime() === new Date(summarizedUntil).getTime();
+};
+
+/**
+ * Split chronological messages into the newest ones that fit the budget
+ * and the older overflow. The window always starts on a user turn.
+ */
+const splitWindow = (messages, budget) => {
+  let used = 0;
+  let start = messages.length;
+
+  while (start > 0) {
+    const cost = estimateTokens(messages[start - 1].content) + MESSAGE_OVERHEAD_TOKENS;
+    if (used + cost > budget) break;
+    used += cost;
+    start--;
+  }
+
+  while (start < messages.length && messages[start].role !== 'user') {
+    start++;
+  }
+
+  return {
+    kept: messages.slice(start),
+    overflow: messages.slice(0, start)
+  };
+};
+
+export const ChatContextService = {
+  /**
+   * Token budget for a user's message window. Premium users with
+   * LONGER_CONVERSATIONS get the extended window.
+   */
+  getContextBudget(user) {
+    const extended = isEnabled('longer_conversations', {
+      id: user?.id,
+      isPremium: !!user?.is_premium
+    });
+    return extended ? CONTEXT_BUDGETS.extended : CONTEXT_BUDGETS.standard;
+  },
+
+  /**
+   * Build the history window and rolling summary for the next turn.
+   * `conversation` is the conversations row (needs id, summary,
+   * summarized_until, active_branch_id). History follows the selected
+   * branch; `upTo` ends it at an earlier message instead (null for
+   * none), which is how regenerate and edit rebuild a past turn.
+   * Branches share one rolling summary; a path that doesn't run through
+   * its last folded message is rebuilt without it, and only the active
+   * branch writes a new fold back.
+   */
+  async buildConversationContext({ conversation, user, message, upTo }) {
+    const budget = this.getContextBudget(user);
+    const onActiveBranch = upTo === undefined;
+    let summary = conversation.summary || null;
+
+    const foldedAt = conversation.summarized_until || null;
+    let messages = await MessageBranchService.getPath(conversation, {
+      upTo,
+      after: foldedAt,
+      limit: MAX_CONTEXT_MESSAGES
+    });
+
+    if (foldedAt && passesFold(messages, foldedAt, MAX_CONTEXT_MESSAGES)) {
+      // Drop the folded message the walk stopped on
+      messages = messages.filter(m => new Date(m.created_at) > new Date(foldedAt));
+    } else if (foldedAt) {
+      summary = null;
+      messages = await MessageBranchService.getPath(conversation, { upTo, limit: MAX_CONTEXT_MESSAGES });
+    }
+
+    const available = Math.max(0, budget - estimateTokens(summary) - estimateTokens(message));
+    let { kept, overflow } = splitWindow(messages, available);
+
+    if (overflow.length > 0) {
+      const compact = splitWindow(messages, Math.floor(available * FOLD_TARGET_RATIO));
+      const folded = await ClaudeService.summarizeHistory({
+        previousSummary: summary,
+        messages: compact.overflow
+      });
+
+      if (folded && !onActiveBranch) {
+        // A past turn's window: use the fold without replacing the
+        // active branch's summary
+        summary = folded;
+        kept = compact.kept;
+      } else if (folded) {
+        summary = folded;
+        kept = compact.kept;
+        // Copy the exact timestamp so the next walk stops on this message
+        await query(
+          `UPDATE conversations
+           SET summary = $2,
+               summarized_until = (SELECT created_at FROM messages WHERE id = $3)
+           WHERE id = $1`,
+          [conversation.id, summary, compact.overflow[compact.overflow.length - 1].id]
+        );
+        SemanticMemoryService.indexAsync({
+          userId: conversation.user_id || user?.id,
+          sourceType: SOURCE_TYPES.CONVERSATION_SUMMARY,
+          sourceId: conversation.id,
+          content: summary
+        });
+        logger.debug('Folded conversation history into summary', {
+          conversationId: conversation.id,
+          folded: compact.overflow.length,
+          kept: kept.length
+        });
+      } else {
+        // Summarizer unavailable: send what fits and retry folding next turn
+        logger.warn('Conversation history exceeded budget without a summary', {
+          conversationId: conversation.id,
+          dropped: overflow.length
+        });
+      }
+    }
+
+    return {
+      history: kept.map(({ role, content }) => ({ role, content })),
+      summary,
+      budget
+    };
+  },
+
+  /**
+   * Profile context injected into the system prompt. `message` is the
+   * user's new message; long-term memories are ranked against it.
+   * `conversation` may override the user's coach persona.
+   */
+  async getUserContext(userId, { message = null, conversation = null } = {}) {
+    // Get name, communication style and timezone
+    const user = await query(
+      `SELECT display_name, communication_style, timezone FROM users WHERE id = $1`,
+      [userId]
+    );
+    const local = localTime(user.rows[0]?.timezone);
+
+    // Get personalization data
+    const personalization = await query(
+      `SELECT * FROM user_personalization WHERE user_id = $1`,
+      [userId]
+    );
+
+    // Get recent moods
+    const recentMoods = await query(
+      `SELECT mood_score, note, created_at FROM mood_entries
+       WHERE user_id = $1 ORDER BY created_at DESC LIMIT 5`,
+      [userId]
+    );
+
+    // Get today's tasks
+    const tasks = await query(
+      `SELECT title, status, category FROM tasks
+       WHERE user_id = $1 AND (due_date = $2 OR due_date IS NULL)
+       ORDER BY created_at DESC LIMIT 10`,
+      [userId, local.date]
+    );
+
+    // Get morning intention
+    const intention = await query(
+      `SELECT intention_text, focus_word FROM morning_intentions
+       WHERE user_id = $1 AND date = $2`,
+      [userId, local.date]
+    );
+
+    // Get streaks
+    const streaks = await query(
+      `SELECT streak_type, current_streak FROM user_streaks WHERE user_id = $1`,
+      [userId]
+    );
+
+    // Long-term memory — optional, never blocks the reply
+    let memoryContext = null;
+    try {
+      memoryContext = await buildMemoryContext(userId, { query: message });
+    } catch (err) {
+      logger.warn('Memory context unavailable:', { userId, error: err.message });
+    }
+
+    const communicationStyle = user.rows[0]?.communication_style || {};
+
+    return {
+      personalization: personalization.rows[0] || {},
+      recentMoods: recentMoods.rows,
+      todayTasks: tasks.rows,
+      morningIntention: intention.rows[0] || null,
+      streaks: streaks.rows,
+      userName: user.rows[0]?.display_name || 'friend',
+      communicationStyle,
+      persona: resolvePersona({ conversation, communicationStyle }).id,
+      timezone: local.timezone,
+      memoryContext
+    };
+  }
+};
+
+export default ChatContextService;
@@ -0,0 +1,383 @@
+// ============================================================
+// Coach Tools Service
+// Claude tool definitions for tasks, moods, coping exercises and
+// morning intentions. Tool calls are stored as pending actions and
+// only written once the user confirms the card in chat.
+// ============================================================
+
+import { query, transaction } from '../database/db.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { localTime, localTimeForUser } from './localDay.js';
+import { StreakService } from './streaks.js';
+
+const TASK_CATEGORIES = ['self_care', 'work', 'health', 'social', 'personal'];
+const TASK_DIFFICULTIES = ['tiny', 'small', 'medium', 'large'];
+const COPING_CATEGORIES = ['breathing', 'grounding', 'distraction', 'social', 'physical'];
+
+// Mirrors the quick exercises in GET /api/coping/quick for users with no saved tools
+const FALLBACK_EXERCISES = {
+  breathing: {
+    name: '4-7-8 Breathing',
+    category: 'breathing',
+    duration_minutes: 1,
+    steps: [
+      'Breathe in through your nose for 4 seconds',
+      'Hold your breath for 7 seconds',
+      'Exhale slowly through your mouth for 8 seconds',
+      'Repeat 3 times'
+    ]
+  },
+  grounding: {
+    name: '5-4-3-2-1 Grounding',
+    category: 'grounding',
+    duration_minutes: 2,
+    steps: [
+      'Notice 5 things you can SEE',
+      'Notice 4 things you can TOUCH',
+      'Notice 3 things you can HEAR',
+      'Notice 2 things you can SMELL',
+      'Notice 1 thing you can TASTE'
+    ]
+  }
+};
+
+const invalid = (message) => new APIError(message, 400, 'INVALID_ACTION');
+
+const optionalString = (value, max) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') throw invalid('Expected text');
+  return value.trim().slice(0, max);
+};
+
+const optionalScore = (value, field) => {
+  if (value === undefined || value === null) return null;
+  const score = Number(value);
+  if (!Number.isInteger(score) || score < 1 || score > 5) throw invalid(`${field} must be 1-5`);
+  return score;
+};
+
+// ============================================================
+// Tool registry: Claude schema + validation + execution
+// ============================================================
+
+const TOOLS = {
+  create_task: {
+    definition: {
+      name: 'create_task',
+      description: "Propose adding a task to the user's list. Use for concrete next steps, ideally the smallest doable version.",
+      input_schema: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', description: 'Short, actionable task title (max 255 chars)' },
+          description: { type: 'string' },
+          category: { type: 'string', enum: TASK_CATEGORIES },
+          difficulty: { type: 'string', enum: TASK_DIFFICULTIES },
+          due_date: { type: 'string', description: 'YYYY-MM-DD, only if the user gave a day' },
+          estimated_minutes: { type: 'integer', minimum: 1, maximum: 480 }
+        },
+        required: ['title']
+      }
+    },
+
+    validate(input) {
+      const title = optionalString(input.title, 255);
+      if (!title) throw invalid('Task title is required');
+      if (input.category && !TASK_CATEGORIES.includes(input.category)) throw invalid('Invalid task category');
+      if (input.difficulty && !TASK_DIFFICULTIES.includes(input.difficulty)) throw invalid('Invalid task difficulty');
+      if (input.due_date && !/^\d{4}-\d{2}-\d{2}$/.test(input.due_date)) throw invalid('due_date must be YYYY-MM-DD');
+
+      const minutes = input.estimated_minutes == null ? null : Number(input.estimated_minutes);
+      if (minutes !== null && (!Number.isInteger(minutes) || minutes < 1 || minutes > 480)) {
+        throw invalid('estimated_minutes must be 1-480');
+      }
+
+      return {
+        title,
+        description: optionalString(input.description, 2000),
+        category: input.category || null,
+        difficulty: input.difficulty || 'small',
+        due_date: input.due_date || null,
+        estimated_minutes: minutes
+      };
+    },
+
+    async execute(userId, input, { conversationId }) {
+      const result = await query(
+        `INSERT INTO tasks
+         (user_id, title, description, category, difficulty, due_date, estimated_minutes, suggested_by_mj, suggestion_context)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, true, $8)
+         RETURNING *`,
+        [userId, input.title, input.description, input.category, input.difficulty,
+          input.due_date, input.estimated_minutes, `conversation:${conversationId}`]
+      );
+      return { task: result.rows[0] };
+    }
+  },
+
+  log_mood: {
+    definition: {
+      name: 'log_mood',
+      description: 'Propose logging a mood check-in when the user has clearly told you how they feel.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          mood_score: { type: 'integer', minimum: 1, maximum: 5, description: '1 = very low, 5 = great' },
+          energy_level: { type: 'integer', minimum: 1, maximum: 5 },
+          anxiety_level: { type: 'integer', minimum: 1, maximum: 5 },
+          note: { type: 'string', description: "Short note in the user's words" }
+        },
+        required: ['mood_score']
+      }
+    },
+
+    validate(input) {
+      const mood_score = optionalScore(input.mood_score, 'mood_score');
+      if (!mood_score) throw invalid('mood_score is required');
+
+      return {
+        mood_score,
+        energy_level: optionalScore(input.energy_level, 'energy_level'),
+        anxiety_level: optionalScore(input.anxiety_level, 'anxiety_level'),
+        note: optionalString(input.note, 1000)
+      };
+    },
+
+    async execute(userId, input, { conversationId, local }) {
+      const result = await query(
+        `INSERT INTO mood_entries
+         (user_id, mood_score, energy_level, anxiety_level, note, source, conversation_id, time_of_day, day_of_week)
+         VALUES ($1, $2, $3, $4, $5, 'conversation', $6, $7, $8)
+         RETURNING *`,
+        [userId, input.mood_score, input.energy_level, input.anxiety_level, input.note, conversationId, local.timeOfDay, local.dayOfWeek]
+      );
+      return { entry: result.rows[0] };
+    }
+  },
+
+  start_coping_exercise: {
+    definition: {
+      name: 'start_coping_exercise',
+      description: 'Propose a short coping exercise (breathing, grounding, ...) when the user is anxious, overwhelmed or stuck.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          category: { type: 'string', enum: COPING_CATEGORIES },
+          tool_name: { type: 'string', description: "Specific exercise name from the user's toolkit, if known" },
+          reason: { type: 'string', description: 'One line on why this could help right now' }
+        },
+        required: ['category']
+      }
+    },
+
+    validate(input) {
+      if (!COPING_CATEGORIES.includes(input.category)) throw invalid('Invalid coping category');
+      return {
+        category: input.category,
+        tool_name: optionalString(input.tool_name, 100),
+        reason: optionalString(input.reason, 200)
+      };
+    },
+
+    async execute(userId, input) {
+      // Prefer the user's own tools, then their most effective, then defaults
+      const toolResult = await query(
+        `SELECT * FROM coping_tools
+         WHERE (user_id = $1 OR user_id IS NULL)
+           AND (category = $2 OR ($3::text IS NOT NULL AND LOWER(name) = LOWER($3)))
+         ORDER BY (LOWER(name) = LOWER(COALESCE($3, ''))) DESC,
+                  (user_id IS NOT NULL) DESC,
+                  avg_effectiveness DESC NULLS LAST
+         LIMIT 1`,
+        [userId, input.category, input.tool_name]
+      );
+
+      const tool = toolResult.rows[0];
+      if (!tool) {
+        return { tool: FALLBACK_EXERCISES[input.category] || FALLBACK_EXERCISES.breathing, usage: null };
+      }
+
+      const usage = await query(
+        `INSERT INTO coping_tool_uses (tool_id, user_id, notes)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [tool.id, userId, 'Started from chat']
+      );
+      await query(
+        `UPDATE coping_tools SET times_used = times_used + 1 WHERE id = $1`,
+        [tool.id]
+      );
+
+      return { tool, usage: usage.rows[0] };
+    }
+  },
+
+  set_morning_intention: {
+    definition: {
+      name: 'set_morning_intention',
+      description: "Propose setting today's morning intention when the user states what they want today to be about.",
+      input_schema: {
+        type: 'object',
+        properties: {
+          intention_text: { type: 'string', description: 'The intention in one sentence (max 500 chars)' },
+          focus_word: { type: 'string', description: 'Optional single focus word' }
+        },
+        required: ['intention_text']
+      }
+    },
+
+    validate(input) {
+      const intention_text = optionalString(input.intention_text, 500);
+      if (!intention_text) throw invalid('intention_text is required');
+      return { intention_text, focus_word: optionalString(input.focus_word, 50) };
+    },
+
+    async execute(userId, input, { local }) {
+      return transaction(async (client) => {
+        const intention = await client.query(
+          `INSERT INTO morning_intentions (user_id, intention_text, focus_word, date)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (user_id, date)
+           DO UPDATE SET intention_text = $2, focus_word = COALESCE($3, morning_intentions.focus_word)
+           RETURNING *`,
+          [userId, input.intention_text, input.focus_word, local.date]
+        );
+
+        // Same streak bookkeeping as POST /api/rituals/morning
+        await StreakService.record(userId, 'morning_ritual', local.date, { db: client });
+
+        return { intention: intention.rows[0] };
+      });
+    }
+  }
+};
+
+// Tool definitions in Claude's schema, passed as `tools` to the provider
+export const COACH_TOOLS = Object.values(TOOLS).map(tool => tool.definition);
+
+const ACTION_COLUMNS = 'id, conversation_id, message_id, tool_name, input, status, result, error, created_at, resolved_at';
+
+export const CoachToolService = {
+  /**
+   * Store the model's tool calls as pending actions on the assistant message.
+   * Invalid or unknown calls are dropped rather than shown to the user.
+   */
+  async proposeActions({ userId, conversationId, messageId, toolCalls = [] }) {
+    const actions = [];
+
+    for (const call of toolCalls) {
+      const tool = TOOLS[call.name];
+      if (!tool) {
+        logger.warn('Ignoring unknown coach tool call', { tool: call.name });
+        continue;
+      }
+
+      let input;
+      try {
+        input = tool.validate(call.input || {});
+      } catch (error) {
+        logger.warn('Ignoring invalid coach tool call', { tool: call.name, error: error.message });
+        continue;
+      }
+
+      const result = await query(
+        `INSERT INTO coach_actions (user_id, conversation_id, message_id, tool_name, tool_call_id, input)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${ACTION_COLUMNS}`,
+        [userId, conversationId, messageId, call.name, call.id || null, JSON.stringify(input)]
+      );
+      actions.push(result.rows[0]);
+    }
+
+    return actions;
+  },
+
+  /**
+   * All actions proposed in a conversation, oldest first
+   */
+  async getActions(userId, conversationId) {
+    const result = await query(
+      `SELECT ${ACTION_COLUMNS} FROM coach_actions
+       WHERE user_id = $1 AND conversation_id = $2
+       ORDER BY created_at ASC`,
+      [userId, conversationId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Run a pending action. `edits` lets the user tweak the card (e.g. the
+   * task title) before confirming; the merged input is re-validated.
+   * Dated writes use the user's local day (`timezone`, else looked up).
+   */
+  async confirmAction(userId, conversationId, actionId, edits = {}, { timezone } = {}) {
+    const pending = await this.getPendingAction(userId, conversationId, actionId);
+    const tool = TOOLS[pending.tool_name];
+    const input = tool.validate({ ...pending.input, ...edits });
+
+    // Claim the action so a double tap can't write twice
+    const claimed = await query(
+      `UPDATE coach_actions SET status = 'confirmed', input = $2, resolved_at = NOW()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING id`,
+      [actionId, JSON.stringify(input)]
+    );
+    if (claimed.rows.length === 0) {
+      throw new APIError('Action already resolved', 409, 'ACTION_RESOLVED');
+    }
+
+    try {
+      const local = timezone !== undefined ? localTime(timezone) : await localTimeForUser(userId);
+      const output = await tool.execute(userId, input, { conversationId, local });
+      const result = await query(
+        `UPDATE coach_actions SET result = $2 WHERE id = $1
+         RETURNING ${ACTION_COLUMNS}`,
+        [actionId, JSON.stringify(output)]
+      );
+
+      logger.info('Coach action confirmed', { userId, tool: pending.tool_name });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Coach action failed', { userId, tool: pending.tool_name, error: error.message });
+      await query(
+        `UPDATE coach_actions SET status = 'failed', error = $2 WHERE id = $1`,
+        [actionId, error.message]
+      );
+      throw new APIError('Failed to complete action', 500, 'ACTION_FAILED');
+    }
+  },
+
+  async dismissAction(userId, conversationId, actionId) {
+    await this.getPendingAction(userId, conversationId, actionId);
+
+    const result = await query(
+      `UPDATE coach_actions SET status = 'dismissed', resolved_at = NOW()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING ${ACTION_COLUMNS}`,
+      [actionId]
+    );
+    if (result.rows.length === 0) {
+      throw new APIError('Action already resolved', 409, 'ACTION_RESOLVED');
+    }
+    return result.rows[0];
+  },
+
+  async getPendingAction(userId, conversationId, actionId) {
+    const result = await query(
+      `SELECT ${ACTION_COLUMNS} FROM coach_actions
+       WHERE id = $1 AND user_id = $2 AND conversation_id = $3`,
+      [actionId, userId, conversationId]
+    );
+
+    const action = result.rows[0];
+    if (!action) {
+      throw new APIError('Action not found', 404, 'NOT_FOUND');
+    }
+    if (action.status !== 'pending') {
+      throw new APIError('Action already resolved', 409, 'ACTION_RESOLVED');
+    }
+    return action;
+  }
+};
+
+export default CoachToolService;
@@ -0,0 +1,175 @@
+// ============================================================
+// Conversation Search Service
+// Postgres full-text search over the messages on each conversation's
+// active branch and its title, summary, topics and tags, with highlighted snippets and
+// date / mood / tag filters. Demo mode answers the same query from
+// the in-memory store in database/mock-db.js.
+// ============================================================
+
+import { query } from '../database/db.js';
+
+// ts_headline wraps matches in these; toSegments() turns them into
+// [{ text, match }] so clients never render raw HTML
+export const HIGHLIGHT_START = '⟦';
+export const HIGHLIGHT_END = '⟧';
+
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "`;
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * Split a highlighted string into plain and matched runs
+ */
+export const toSegments = (text) => {
+  if (!text) return null;
+
+  const segments = [];
+  const pattern = new RegExp(`${HIGHLIGHT_START}([^${HIGHLIGHT_END}]*)${HIGHLIGHT_END}`, 'g');
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > last) segments.push({ text: text.slice(last, match.index), match: false });
+    segments.push({ text: match[1], match: true });
+    last = pattern.lastIndex;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last), match: false });
+
+  return segments.some(s => s.match) ? segments : null;
+};
+
+/**
+ * Lowercase, trim, dedupe
+ */
+export const normalizeTags = (tags = []) => [...new Set(
+  tags
+    .map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, ' '))
+    .filter(tag => tag.length > 0)
+    .map(tag => tag.slice(0, MAX_TAG_LENGTH))
+)].slice(0, MAX_TAGS);
+
+const toResult = (row) => ({
+  id: row.id,
+  title: row.title,
+  summary: row.summary,
+  topics: row.topics || [],
+  tags: row.tags || [],
+  initial_mood: row.initial_mood,
+  final_mood: row.final_mood,
+  started_at: row.started_at,
+  message_count: row.message_count,
+  rank: row.rank != null ? parseFloat(row.rank) : null,
+  match: row.message_id ? {
+    message_id: row.message_id,
+    role: row.message_role,
+    created_at: row.message_created_at
+  } : null,
+  highlights: {
+    title: toSegments(row.title_highlight),
+    summary: toSegments(row.summary_highlight),
+    message: toSegments(row.message_highlight)
+  }
+});
+
+export const ConversationSearchService = {
+  /**
+   * Search a user's conversations. All filters are optional; without
+   * `q` it returns filtered conversations, newest first.
+   *
+   * Parameter order is fixed ($1 user, $2 q, $3 from, $4 to,
+   * $5 mood_min, $6 mood_max, $7 tags, $8 limit, $9 offset) so the
+   * mock database can interpret the same call.
+   */
+  async search(userId, { q = '', from = null, to = null, moodMin = null, moodMax = null, tags = [], limit = 20, offset = 0 } = {}) {
+    const text = q.trim();
+    const tagFilter = normalizeTags(tags);
+
+    const result = await query(
+      `WITH search AS (
+         SELECT CASE WHEN $2 = '' THEN NULL ELSE websearch_to_tsquery('english', $2) END AS tsq
+       )
+       SELECT c.id, c.title, c.summary, c.topics, c.tags, c.initial_mood, c.final_mood,
+              c.started_at, c.message_count,
+              best.id AS message_id, best.role AS message_role, best.created_at AS message_created_at,
+              CASE WHEN s.tsq IS NULL THEN NULL
+                   ELSE ts_headline('english', COALESCE(c.title, ''), s.tsq, '${HEADLINE_OPTIONS}') END AS title_highlight,
+              CASE WHEN s.tsq IS NULL THEN NULL
+                   ELSE ts_headline('english', COALESCE(c.summary, ''), s.tsq, '${HEADLINE_OPTIONS}') END AS summary_highlight,
+              CASE WHEN best.id IS NULL THEN NULL
+                   ELSE ts_headline('english', best.content, s.tsq, '${HEADLINE_OPTIONS}') END AS message_highlight,
+              CASE WHEN s.tsq IS NULL THEN NULL
+                   ELSE ts_rank(c.search_vector, s.tsq) * 2 + COALESCE(best.rank, 0) END AS rank,
+              COUNT(*) OVER() AS total_count
+       FROM conversations c
+       CROSS JOIN search s
+       LEFT JOIN LATERAL (
+         -- Only the path the conversation shows, not edited-away branches
+         WITH RECURSIVE active_path AS (
+           SELECT id, parent_id FROM messages
+           WHERE s.tsq IS NOT NULL
+             AND id = (
+               SELECT id FROM messages
+               WHERE conversation_id = c.id AND branch_id = COALESCE(c.active_branch_id, c.id)
+               ORDER BY created_at DESC, id DESC
+               LIMIT 1
+             )
+           UNION ALL
+           SELECT m.id, m.parent_id
+           FROM messages m
+           JOIN active_path ON m.id = active_path.parent_id
+         )
+         SELECT m.id, m.role, m.content, m.created_at, ts_rank(m.search_vector, s.tsq) AS rank
+         FROM messages m
+         JOIN active_path USING (id)
+         WHERE m.search_vector @@ s.tsq
+         ORDER BY rank DESC, m.created_at DESC
+         LIMIT 1
+       ) best ON TRUE
+       WHERE c.user_id = $1
+         AND (s.tsq IS NULL OR c.search_vector @@ s.tsq OR best.id IS NOT NULL)
+         AND ($3::timestamptz IS NULL OR c.started_at >= $3)
+         AND ($4::timestamptz IS NULL OR c.started_at < $4)
+         AND ($5::int IS NULL OR COALESCE(c.final_mood, c.initial_mood) >= $5)
+         AND ($6::int IS NULL OR COALESCE(c.final_mood, c.initial_mood) <= $6)
+         AND c.tags @> $7::jsonb
+       ORDER BY rank DESC NULLS LAST, c.started_at DESC
+       LIMIT $8 OFFSET $9`,
+      [userId, text, from, to, moodMin, moodMax, JSON.stringify(tagFilter), limit, offset]
+    );
+
+    return {
+      results: result.rows.map(toResult),
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  },
+
+  /**
+   * Replace a conversation's tags. Returns null if it isn't the user's.
+   */
+  async setTags(userId, conversationId, tags) {
+    const result = await query(
+      `UPDATE conversations SET tags = $3::jsonb
+       WHERE id = $1 AND user_id = $2
+       RETURNING id, tags`,
+      [conversationId, userId, JSON.stringify(normalizeTags(tags))]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Every tag the user has used, most used first
+   */
+  async listTags(userId) {
+    const result = await query(
+      `SELECT tag, COUNT(*)::int AS count
+       FROM conversations, jsonb_array_elements_text(tags) AS tag
+       WHERE user_id = $1
+       GROUP BY tag
+       ORDER BY count DESC, tag`,
+      [userId]
+    );
+    return result.rows;
+  }
+};
+
+export default ConversationSearchService;
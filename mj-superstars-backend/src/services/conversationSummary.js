@@ -0,0 +1,154 @@
+// ============================================================
+// Conversation Summary Service
+// End-of-session processing, run by the `ai` job queue when a
+// conversation ends: title, summary, topics and mood delta, then
+// links the conversation into a thread with related past ones.
+// ============================================================
+
+import { query } from '../database/db.js';
+import { summarizeConversation, extractMemoriesFromConversation } from './aiMemory.js';
+import { SemanticMemoryService, SOURCE_TYPES } from './semanticMemory.js';
+import { MessageBranchService } from './messageBranches.js';
+import { logger } from '../utils/logger.js';
+
+// A past conversation joins the thread if its summary is this close...
+export const THREAD_MIN_SIMILARITY = 0.5;
+// ...or it shares this many topics
+export const THREAD_MIN_SHARED_TOPICS = 2;
+const THREAD_LOOKBACK_DAYS = 90;
+const THREAD_CANDIDATE_LIMIT = 20;
+
+/**
+ * Mood at the start and end of a session. Explicit check-in moods win
+ * over per-message detection; the summary's end_mood fills the gap.
+ */
+export const moodDelta = (conversation, messages, endMoodFromSummary = null) => {
+  const detected = messages.map(m => m.mood_detected).filter(m => m != null);
+  const start = conversation.initial_mood ?? detected[0] ?? null;
+  const end = conversation.final_mood ?? endMoodFromSummary ?? (detected.length > 1 ? detected[detected.length - 1] : null);
+  return start != null && end != null ? end - start : null;
+};
+
+export const ConversationSummaryService = {
+  /**
+   * Summarize a finished conversation and thread it. Safe to re-run.
+   * `keepSummary` leaves a summary the user wrote themselves untouched.
+   */
+  async process({ conversationId, userId, keepSummary = false }) {
+    const convResult = await query(
+      `SELECT id, user_id, title, summary, topics, initial_mood, final_mood, thread_id,
+              active_branch_id, started_at
+       FROM conversations
+       WHERE id = $1 AND user_id = $2`,
+      [conversationId, userId]
+    );
+    const conversation = convResult.rows[0];
+    if (!conversation) return { skipped: 'not_found' };
+
+    // Only the branch the user settled on
+    const messages = await MessageBranchService.getPath(conversation);
+
+    const session = await summarizeConversation(messages);
+    if (!session) return { skipped: 'nothing_to_summarize' };
+
+    const summary = keepSummary && conversation.summary ? conversation.summary : session.summary;
+    const delta = moodDelta(conversation, messages, session.end_mood);
+    const threadId = conversation.thread_id
+      || await this.findThread(userId, conversationId, summary, session.topics);
+
+    const updated = await query(
+      `UPDATE conversations
+       SET title = COALESCE(title, $3),
+           summary = $4,
+           topics = $5,
+           final_mood = COALESCE(final_mood, $6),
+           mood_delta = $7,
+           thread_id = $8,
+           summarized_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING id, title, summary, topics, final_mood, mood_delta, thread_id`,
+      [conversationId, userId, session.title, summary, JSON.stringify(session.topics),
+        session.end_mood, delta, threadId]
+    );
+
+    await SemanticMemoryService.index({
+      userId,
+      sourceType: SOURCE_TYPES.CONVERSATION_SUMMARY,
+      sourceId: conversationId,
+      content: summary
+    });
+
+    // Memory extraction is best-effort; the summary is already saved
+    extractMemoriesFromConversation(userId, messages).catch(err =>
+      logger.warn('End-of-session memory extraction failed', { conversationId, error: err.message })
+    );
+
+    return { conversation: updated.rows[0] || null };
+  },
+
+  /**
+   * Pick the thread for a conversation: the closest recent summarized
+   * conversation by summary similarity or shared topics. A match that
+   * isn't threaded yet starts a thread named after itself. Returns
+   * null when nothing is related enough.
+   */
+  async findThread(userId, conversationId, summary, topics = []) {
+    const candidates = await query(
+      `SELECT id, thread_id, topics
+       FROM conversations
+       WHERE user_id = $1 AND id <> $2 AND summarized_at IS NOT NULL
+         AND started_at >= NOW() - INTERVAL '${THREAD_LOOKBACK_DAYS} days'
+       ORDER BY started_at DESC
+       LIMIT ${THREAD_CANDIDATE_LIMIT}`,
+      [userId, conversationId]
+    );
+    if (candidates.rows.length === 0) return null;
+
+    let similarities = new Map();
+    try {
+      const related = await SemanticMemoryService.search(userId, summary, {
+        sourceTypes: [SOURCE_TYPES.CONVERSATION_SUMMARY],
+        limit: THREAD_CANDIDATE_LIMIT
+      });
+      similarities = new Map(related.map(r => [r.source_id, r.similarity]));
+    } catch (err) {
+      logger.warn('Thread similarity search failed, using topics only', { error: err.message });
+    }
+
+    const best = candidates.rows
+      .filter(c => c.id !== conversationId)
+      .map(c => {
+        const shared = (c.topics || []).filter(t => topics.includes(t)).length;
+        const similarity = similarities.get(c.id) ?? 0;
+        return { ...c, shared, similarity, score: similarity + shared * 0.1 };
+      })
+      .filter(c => c.similarity >= THREAD_MIN_SIMILARITY || c.shared >= THREAD_MIN_SHARED_TOPICS)
+      .sort((a, b) => b.score - a.score)[0];
+
+    if (!best) return null;
+    if (best.thread_id) return best.thread_id;
+
+    await query(
+      `UPDATE conversations SET thread_id = $1 WHERE id = $1 AND user_id = $2 AND thread_id IS NULL`,
+      [best.id, userId]
+    );
+    return best.id;
+  },
+
+  /**
+   * Other conversations in the same thread, newest first
+   */
+  async getThread(userId, threadId, excludeId = null) {
+    const result = await query(
+      `SELECT id, title, summary, topics, started_at, mood_delta
+       FROM conversations
+       WHERE user_id = $1 AND thread_id = $2 AND ($3::uuid IS NULL OR id <> $3)
+       ORDER BY started_at DESC
+       LIMIT 10`,
+      [userId, threadId, excludeId]
+    );
+    return result.rows;
+  }
+};
+
+export default ConversationSummaryService;
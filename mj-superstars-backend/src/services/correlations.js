@@ -0,0 +1,208 @@
+// ============================================================
+// Correlation Engine
+// What actually goes with a user's better and worse days. Works on
+// local days rather than single entries (three logs on a good day are
+// one good day) and tests:
+//   activities / triggers   days with it vs. days without
+//   lagged                  yesterday's activity or trigger vs. today
+//   tasks                   days with a completed task vs. without,
+//                           and mood before vs. after completing one
+//   coping tools            mood before vs. after each use
+// Every test is run, then Benjamini-Hochberg adjusts the p-values for
+// how many were run; only findings under FDR_ALPHA with at least a
+// small effect size are returned.
+// ============================================================
+
+import { query } from '../database/db.js';
+import { localTime, localDateSql, shiftDate } from './localDay.js';
+import { round, welchTest, pairedTest, benjaminiHochberg } from './stats.js';
+
+// Fewest days (or before/after pairs) on each side of a comparison
+export const MIN_SAMPLE = 5;
+export const FDR_ALPHA = 0.05;
+// Cohen's "small" effect
+export const MIN_EFFECT_SIZE = 0.2;
+export const DEFAULT_WINDOW_DAYS = 90;
+
+// date -> { moods, activities, triggers }, from mood entries carrying
+// their local date
+function groupByDay(entries) {
+  const days = new Map();
+  for (const entry of entries) {
+    if (!days.has(entry.date)) {
+      days.set(entry.date, { moods: [], activities: new Set(), triggers: new Set() });
+    }
+    const day = days.get(entry.date);
+    day.moods.push(Number(entry.mood_score));
+    for (const activity of entry.activities || []) day.activities.add(activity);
+    for (const trigger of entry.triggers || []) day.triggers.add(trigger);
+  }
+  return new Map([...days].map(([date, day]) => [date, { ...day, mood: day.moods.reduce((a, b) => a + b, 0) / day.moods.length }]));
+}
+
+// Days-with vs. days-without tests for each activity or trigger,
+// same day (lag 0) or the day before (lag 1)
+function factorTests(days, kind, lag) {
+  const field = kind === 'activity' ? 'activities' : 'triggers';
+  const comparable = [...days.entries()]
+    .map(([date, day]) => ({ mood: day.mood, source: days.get(shiftDate(date, -lag)) }))
+    .filter(d => d.source);
+
+  const factors = new Set(comparable.flatMap(d => [...d.source[field]]));
+  const tests = [];
+  for (const factor of factors) {
+    const withFactor = comparable.filter(d => d.source[field].has(factor)).map(d => d.mood);
+    const without = comparable.filter(d => !d.source[field].has(factor)).map(d => d.mood);
+    if (withFactor.length < MIN_SAMPLE || without.length < MIN_SAMPLE) continue;
+
+    tests.push({ kind, factor, lag_days: lag, ...welchTest(withFactor, without) });
+  }
+  return tests;
+}
+
+function taskTests(days, completions) {
+  const tests = [];
+
+  const completionDays = new Set(completions.map(c => c.date));
+  const withTasks = [...days].filter(([date]) => completionDays.has(date)).map(([, day]) => day.mood);
+  const without = [...days].filter(([date]) => !completionDays.has(date)).map(([, day]) => day.mood);
+  if (withTasks.length >= MIN_SAMPLE && without.length >= MIN_SAMPLE) {
+    tests.push({ kind: 'task_day', factor: 'completed_a_task', lag_days: 0, ...welchTest(withTasks, without) });
+  }
+
+  const rated = completions.filter(c => c.mood_before != null && c.mood_after != null);
+  const byCategory = new Map([['all', rated]]);
+  for (const completion of rated) {
+    if (!completion.category) continue;
+    if (!byCategory.has(completion.category)) byCategory.set(completion.category, []);
+    byCategory.get(completion.category).push(completion);
+  }
+  for (const [category, pairs] of byCategory) {
+    if (pairs.length < MIN_SAMPLE) continue;
+    tests.push({
+      kind: 'task_completion',
+      factor: category,
+      ...pairedTest(pairs.map(c => ({ before: Number(c.mood_before), after: Number(c.mood_after) })))
+    });
+  }
+  return tests;
+}
+
+function copingTests(uses) {
+  const byTool = new Map();
+  for (const use of uses) {
+    if (use.mood_before == null || use.mood_after == null) continue;
+    if (!byTool.has(use.tool_id)) byTool.set(use.tool_id, { name: use.name, pairs: [] });
+    byTool.get(use.tool_id).pairs.push({ before: Number(use.mood_before), after: Number(use.mood_after) });
+  }
+
+  return [...byTool]
+    .filter(([, tool]) => tool.pairs.length >= MIN_SAMPLE)
+    .map(([toolId, tool]) => ({ kind: 'coping_tool', factor: tool.name, tool_id: toolId, ...pairedTest(tool.pairs) }));
+}
+
+function present(test, qValue) {
+  const { mean_with, mean_without, difference, mean_change, ci_low, ci_high, effect_size, p_value, ...rest } = test;
+  const finding = {
+    ...rest,
+    direction: effect_size > 0 ? 'better' : 'worse',
+    effect_size: round(effect_size),
+    ci_low: round(ci_low),
+    ci_high: round(ci_high),
+    p_value: round(p_value, 4),
+    q_value: round(qValue, 4)
+  };
+  if (difference !== undefined) {
+    Object.assign(finding, { mean_with: round(mean_with), mean_without: round(mean_without), difference: round(difference) });
+  } else {
+    finding.mean_change = round(mean_change);
+  }
+  return finding;
+}
+
+/**
+ * Run every test on plain data (no database):
+ *   entries          [{ date, mood_score, activities, triggers }]
+ *   taskCompletions  [{ date, mood_before, mood_after, category }]
+ *   copingUses       [{ tool_id, name, mood_before, mood_after }]
+ * Returns the findings that survive the FDR adjustment, strongest
+ * first, and how many tests were run.
+ */
+export function findCorrelations({ entries, taskCompletions = [], copingUses = [] }) {
+  const days = groupByDay(entries);
+
+  const tests = [
+    ...factorTests(days, 'activity', 0),
+    ...factorTests(days, 'trigger', 0),
+    ...factorTests(days, 'activity', 1),
+    ...factorTests(days, 'trigger', 1),
+    ...taskTests(days, taskCompletions),
+    ...copingTests(copingUses)
+  ];
+  const qValues = benjaminiHochberg(tests.map(t => t.p_value));
+
+  const findings = tests
+    .map((test, i) => ({ test, q: qValues[i] }))
+    .filter(({ test, q }) => q <= FDR_ALPHA && Math.abs(test.effect_size) >= MIN_EFFECT_SIZE)
+    .map(({ test, q }) => present(test, q))
+    .sort((a, b) => Math.abs(b.effect_size) - Math.abs(a.effect_size));
+
+  return {
+    days_logged: days.size,
+    tests_run: tests.length,
+    findings
+  };
+}
+
+/** Same-day activity or trigger findings in one direction */
+export function sameDayFindings(findings, kind, direction) {
+  return findings.filter(f => f.kind === kind && f.lag_days === 0 && f.direction === direction);
+}
+
+export const CorrelationService = {
+  /**
+   * Findings for a user ({ id, timezone }) over their last `days`
+   * local days
+   */
+  async analyze(user, { days = DEFAULT_WINDOW_DAYS } = {}) {
+    const local = localTime(user.timezone);
+    const params = [user.id, shiftDate(local.date, 1 - days), local.timezone];
+    const since = (column) => `${column} >= ($2::date::timestamp AT TIME ZONE $3)`;
+
+    const [entries, completions, uses] = await Promise.all([
+      query(
+        `SELECT ${localDateSql('created_at', '$3')}::text as date, mood_score, activities, triggers
+         FROM mood_entries
+         WHERE user_id = $1 AND ${since('created_at')}`,
+        params
+      ),
+      query(
+        `SELECT ${localDateSql('tc.completed_at', '$3')}::text as date, tc.mood_before, tc.mood_after, t.category
+         FROM task_completions tc
+         LEFT JOIN tasks t ON t.id = tc.task_id
+         WHERE tc.user_id = $1 AND ${since('tc.completed_at')}`,
+        params
+      ),
+      query(
+        `SELECT ctu.tool_id, ct.name, ctu.mood_before, ctu.mood_after
+         FROM coping_tool_uses ctu
+         JOIN coping_tools ct ON ct.id = ctu.tool_id
+         WHERE ctu.user_id = $1 AND ${since('ctu.used_at')}
+           AND ctu.mood_before IS NOT NULL AND ctu.mood_after IS NOT NULL`,
+        params
+      )
+    ]);
+
+    return {
+      period_days: days,
+      ...findCorrelations({
+        entries: entries.rows,
+        taskCompletions: completions.rows,
+        copingUses: uses.rows
+      }),
+      thresholds: { min_sample: MIN_SAMPLE, fdr_alpha: FDR_ALPHA, min_effect_size: MIN_EFFECT_SIZE }
+    };
+  }
+};
+
+export default CorrelationService;
@@ -0,0 +1,350 @@
+// ============================================================
+// Crisis Detection Pipeline
+// Runs on every user message (REST, socket and guest):
+//   1. screen     - deterministic phrase screen, always on, no I/O
+//   2. classifier - model check via ClaudeService.detectCrisis
+//   3. escalate   - record a crisis_events row, activate the user's
+//                   safety plan and schedule a follow-up check-in
+// ============================================================
+
+import { query } from '../database/db.js';
+import { ClaudeService } from './claude.js';
+import { CrisisResourceService } from './crisisResources.js';
+import { DIRECTORY_VERSION, INTERNATIONAL_FALLBACK } from './crisisDirectory.js';
+import { logger } from '../utils/logger.js';
+
+export const SEVERITY_LEVELS = ['none', 'low', 'medium', 'high', 'critical'];
+
+// Severity at which MJ switches to crisis support and an event is recorded
+const ESCALATION_SEVERITY = 'medium';
+
+// When the classifier runs: 'flagged' (screen found something), 'always' or 'off'
+const CLASSIFIER_MODE = process.env.CRISIS_CLASSIFIER || 'flagged';
+
+// Hours until the follow-up check-in, by severity
+const FOLLOW_UP_HOURS = {
+  medium: 24,
+  high: 4,
+  critical: 1
+};
+
+// Phrase screen, most severe first. Matched against a normalized,
+// lowercased copy of the message.
+const SCREEN_PHRASES = {
+  critical: [
+    'going to kill myself', 'gonna kill myself', 'about to kill myself',
+    'have a plan to die', 'wrote a suicide note', 'saying goodbye forever',
+    'tonight is the night', 'took a bunch of pills', 'overdose tonight'
+  ],
+  high: [
+    'suicide', 'suicidal', 'kill myself', 'end my life', 'end it all',
+    'want to die', "don't want to live", 'no reason to live',
+    'better off dead', 'take my own life'
+  ],
+  medium: [
+    'self-harm', 'self harm', 'hurt myself', 'cutting myself', 'cut myself',
+    'better off without me', "can't go on", 'disappear forever'
+  ],
+  low: [
+    'hopeless', 'worthless', "what's the point", 'no point anymore',
+    "can't do this anymore", 'nobody would care', 'give up on everything'
+  ]
+};
+
+// Safety plan sections surfaced to the user and to the prompt
+const SAFETY_PLAN_SECTIONS = [
+  'warning_signs', 'internal_coping', 'external_coping', 'support_contacts',
+  'professional_contacts', 'environment_safety_steps', 'reasons_for_living'
+];
+
+export const severityRank = (severity) => Math.max(0, SEVERITY_LEVELS.indexOf(severity));
+
+const maxSeverity = (a, b) => (severityRank(b) > severityRank(a) ? b : a);
+
+const normalize = (text) => text
+  .toLowerCase()
+  .replace(/[‘’]/g, "'")
+  .replace(/\s+/g, ' ');
+
+/**
+ * Layer 1: phrase screen. Cheap enough to run on every message.
+ */
+export function screenMessage(message) {
+  const text = normalize(message || '');
+  const triggers = [];
+  let severity = 'none';
+
+  for (const level of ['critical', 'high', 'medium', 'low']) {
+    for (const phrase of SCREEN_PHRASES[level]) {
+      if (text.includes(phrase)) {
+        triggers.push(phrase);
+        severity = maxSeverity(severity, level);
+      }
+    }
+  }
+
+  return { severity, triggers };
+}
+
+function shouldClassify(screen) {
+  if (CLASSIFIER_MODE === 'off') return false;
+  if (CLASSIFIER_MODE === 'always') return true;
+  return screen.severity !== 'none';
+}
+
+function followUpTime(severity, from = new Date()) {
+  const hours = FOLLOW_UP_HOURS[severity];
+  return hours ? new Date(from.getTime() + hours * 60 * 60 * 1000) : null;
+}
+
+const toArray = (value) => (Array.isArray(value) ? value : []);
+
+export const CrisisService = {
+  /**
+   * Score a message. The classifier can only raise severity, never
+   * lower what the screen found.
+   */
+  async assess(message) {
+    const screen = screenMessage(message);
+    let classifier = null;
+
+    if (shouldClassify(screen)) {
+      classifier = await ClaudeService.detectCrisis(message);
+    }
+
+    let severity = screen.severity;
+    if (classifier?.is_crisis && SEVERITY_LEVELS.includes(classifier.severity)) {
+      severity = maxSeverity(severity, classifier.severity);
+    }
+
+    const triggerPhrases = [...new Set([
+      ...screen.triggers,
+      ...toArray(classifier?.indicators).filter(i => typeof i === 'string')
+    ])];
+
+    return {
+      severity,
+      is_crisis: severityRank(severity) >= severityRank(ESCALATION_SEVERITY),
+      trigger_phrases: triggerPhrases,
+      detection: {
+        screen,
+        classifier: classifier && {
+          is_crisis: !!classifier.is_crisis,
+          severity: classifier.severity,
+          recommended_action: classifier.recommended_action
+        }
+      }
+    };
+  },
+
+  async getSafetyPlan(userId) {
+    const result = await query(
+      `SELECT * FROM safety_plans WHERE user_id = $1`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * The user's own crisis lines first, then the directory's lines for
+   * their country and language. `region` carries locale/timezone hints
+   * (guests send them with the request).
+   */
+  async getResources({ safetyPlan, userId, region = {} }) {
+    const directory = userId
+      ? await CrisisResourceService.getResourcesForUser(userId, region)
+      : await CrisisResourceService.getResources(region);
+
+    const own = toArray(safetyPlan?.crisis_lines).map(line => (
+      typeof line === 'string' ? { name: line, type: 'personal' } : { type: 'personal', ...line }
+    ));
+
+    // Lines saved from the directory into a safety plan shouldn't show twice
+    const ownContacts = new Set(own.map(line => line.contact).filter(Boolean));
+    const resources = [...own, ...directory.resources.filter(r => !ownContacts.has(r.contact))];
+
+    return {
+      resources,
+      country: directory.country,
+      version: directory.source === 'admin' ? `${directory.country}@${directory.version}` : directory.version
+    };
+  },
+
+  /**
+   * Resources plus the user's safety plan sections (null for guests or
+   * users without a plan)
+   */
+  async loadSupport({ userId = null, region }) {
+    let safetyPlan = null;
+    if (userId) {
+      try {
+        safetyPlan = await this.getSafetyPlan(userId);
+      } catch (error) {
+        logger.error('Failed to load safety plan:', { userId, error: error.message });
+      }
+    }
+
+    const { resources, country, version: resourcesVersion } = await this.getResources({ safetyPlan, userId, region });
+    const planContent = safetyPlan
+      ? Object.fromEntries(SAFETY_PLAN_SECTIONS.map(key => [key, toArray(safetyPlan[key])]))
+      : null;
+
+    return { resources, country, resourcesVersion, planContent };
+  },
+
+  /**
+   * Layer 3: record the event, activate the safety plan and schedule
+   * the follow-up. Returns the `crisis` payload sent to the client and
+   * threaded into the system prompt.
+   */
+  async escalate({ assessment, userId = null, conversationId = null, messageId = null, source, region }) {
+    const { resources, country, resourcesVersion, planContent } = await this.loadSupport({ userId, region });
+
+    // Guests can't be reached later, so they only get resources
+    const followUpAt = userId ? followUpTime(assessment.severity) : null;
+
+    let eventId = null;
+    try {
+      const result = await query(
+        `INSERT INTO crisis_events (user_id, conversation_id, message_id, source, severity,
+           trigger_phrases, detection, resources_shown, resources_version, safety_plan_activated, follow_up_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING id`,
+        [
+          userId,
+          conversationId,
+          messageId,
+          source,
+          assessment.severity,
+          JSON.stringify(assessment.trigger_phrases),
+          JSON.stringify(assessment.detection),
+          JSON.stringify(resources),
+          resourcesVersion,
+          !!planContent,
+          followUpAt
+        ]
+      );
+      eventId = result.rows[0]?.id || null;
+    } catch (error) {
+      // Never let bookkeeping stop the user from seeing resources
+      logger.error('Failed to record crisis event:', { userId, error: error.message });
+    }
+
+    logger.warn('Crisis detected', { userId, conversationId, severity: assessment.severity, source, eventId });
+
+    return {
+      event_id: eventId,
+      severity: assessment.severity,
+      country,
+      resources,
+      resources_version: resourcesVersion,
+      safety_plan: planContent,
+      follow_up_at: followUpAt ? followUpAt.toISOString() : null
+    };
+  },
+
+  /**
+   * Crisis payload from the built-in directory alone, for when escalate
+   * itself failed (e.g. the database is down). Nothing is recorded and
+   * no safety plan is loaded, but the user still sees resources for
+   * their region. Never throws.
+   */
+  async fallbackSupport({ severity, region = {} }) {
+    let directory;
+    try {
+      directory = await CrisisResourceService.getResources(region);
+    } catch (error) {
+      logger.error('Failed to load fallback crisis resources:', error.message);
+      directory = { country: null, resources: INTERNATIONAL_FALLBACK.resources, version: DIRECTORY_VERSION };
+    }
+
+    return {
+      event_id: null,
+      severity,
+      country: directory.country,
+      resources: directory.resources,
+      resources_version: directory.version,
+      safety_plan: null,
+      follow_up_at: null
+    };
+  },
+
+  /**
+   * Full pipeline for one user message. Returns null unless the message
+   * crosses the escalation threshold. Never throws: a failed check must
+   * not block the chat reply.
+   */
+  async evaluate({ message, userId = null, conversationId = null, messageId = null, source, region }) {
+    try {
+      const assessment = await this.assess(message);
+      if (!assessment.is_crisis) return null;
+
+      return await this.escalate({ assessment, userId, conversationId, messageId, source, region });
+    } catch (error) {
+      logger.error('Crisis pipeline failed:', { userId, source, error: error.message });
+      return null;
+    }
+  },
+
+  /**
+   * Crisis payload for a message that was already escalated, e.g. when
+   * MJ's reply to it is regenerated. Doesn't record a second event or
+   * follow-up. Returns null if the message wasn't flagged.
+   */
+  async supportForMessage({ messageId, userId, region }) {
+    try {
+      const result = await query(
+        `SELECT id, severity, follow_up_at FROM crisis_events
+         WHERE message_id = $1 AND user_id = $2
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [messageId, userId]
+      );
+      const event = result.rows[0];
+      if (!event) return null;
+
+      const { resources, country, resourcesVersion, planContent } = await this.loadSupport({ userId, region });
+      return {
+        event_id: event.id,
+        severity: event.severity,
+        country,
+        resources,
+        resources_version: resourcesVersion,
+        safety_plan: planContent,
+        follow_up_at: event.follow_up_at ? new Date(event.follow_up_at).toISOString() : null
+      };
+    } catch (error) {
+      logger.error('Failed to load crisis support for message:', { userId, messageId, error: error.message });
+      return null;
+    }
+  },
+
+  /**
+   * Follow-ups whose time has come, oldest first
+   */
+  async getDueFollowUps(limit = 100) {
+    const result = await query(
+      `SELECT id, user_id, conversation_id, severity, follow_up_at
+       FROM crisis_events
+       WHERE followed_up = FALSE
+         AND follow_up_at IS NOT NULL
+         AND follow_up_at <= NOW()
+         AND user_id IS NOT NULL
+       ORDER BY follow_up_at ASC
+       LIMIT $1`,
+      [limit]
+    );
+    return result.rows;
+  },
+
+  async markFollowedUp(eventId) {
+    await query(
+      `UPDATE crisis_events
+       SET followed_up = TRUE, followed_up_at = NOW()
+       WHERE id = $1`,
+      [eventId]
+    );
+  }
+};
+
+export default CrisisService;
@@ -0,0 +1,170 @@
+// ============================================================
+// Built-in Crisis Resource Directory
+// Bump DIRECTORY_VERSION whenever an entry changes. Admin edits made
+// through /api/admin/crisis-resources are stored in the
+// crisis_resources table and take precedence per country.
+// ============================================================
+
+export const DIRECTORY_VERSION = '2026-10-01';
+
+// Entry: { name, type: 'hotline' | 'text' | 'chat', contact, hours, languages, url? }
+export const CRISIS_DIRECTORY = {
+  US: {
+    name: 'United States',
+    emergency: '911',
+    resources: [
+      { name: '988 Suicide & Crisis Lifeline', type: 'hotline', contact: '988', hours: '24/7', languages: ['en'], url: 'https://988lifeline.org' },
+      { name: 'Crisis Text Line', type: 'text', contact: 'Text HOME to 741741', hours: '24/7', languages: ['en'], url: 'https://www.crisistextline.org' },
+      { name: '988 Lifeline en Español', type: 'hotline', contact: '988 (opción 2)', hours: '24/7', languages: ['es'], url: 'https://988lifeline.org/es' },
+      { name: '988 Lifeline en Español (texto)', type: 'text', contact: 'Envía AYUDA al 988', hours: '24/7', languages: ['es'] }
+    ]
+  },
+  CA: {
+    name: 'Canada',
+    emergency: '911',
+    resources: [
+      { name: '9-8-8 Suicide Crisis Helpline', type: 'hotline', contact: '988', hours: '24/7', languages: ['en', 'fr'], url: 'https://988.ca' },
+      { name: '9-8-8 Suicide Crisis Helpline (text)', type: 'text', contact: 'Text 988', hours: '24/7', languages: ['en', 'fr'] },
+      { name: 'Kids Help Phone', type: 'text', contact: 'Text CONNECT to 686868', hours: '24/7', languages: ['en'], url: 'https://kidshelpphone.ca' },
+      { name: 'Jeunesse, J\'écoute', type: 'text', contact: 'Texte PARLER au 686868', hours: '24/7', languages: ['fr'] }
+    ]
+  },
+  GB: {
+    name: 'United Kingdom',
+    emergency: '999',
+    resources: [
+      { name: 'Samaritans', type: 'hotline', contact: '116 123', hours: '24/7', languages: ['en'], url: 'https://www.samaritans.org' },
+      { name: 'Shout', type: 'text', contact: 'Text SHOUT to 85258', hours: '24/7', languages: ['en'], url: 'https://giveusashout.org' }
+    ]
+  },
+  IE: {
+    name: 'Ireland',
+    emergency: '112',
+    resources: [
+      { name: 'Samaritans Ireland', type: 'hotline', contact: '116 123', hours: '24/7', languages: ['en'], url: 'https://www.samaritans.org/ireland' },
+      { name: '50808', type: 'text', contact: 'Text HELLO to 50808', hours: '24/7', languages: ['en'], url: 'https://text50808.ie' }
+    ]
+  },
+  AU: {
+    name: 'Australia',
+    emergency: '000',
+    resources: [
+      { name: 'Lifeline', type: 'hotline', contact: '13 11 14', hours: '24/7', languages: ['en'], url: 'https://www.lifeline.org.au' },
+      { name: 'Lifeline Text', type: 'text', contact: 'Text 0477 13 11 14', hours: '24/7', languages: ['en'] },
+      { name: 'Beyond Blue', type: 'hotline', contact: '1300 22 4636', hours: '24/7', languages: ['en'], url: 'https://www.beyondblue.org.au' }
+    ]
+  },
+  NZ: {
+    name: 'New Zealand',
+    emergency: '111',
+    resources: [
+      { name: '1737 Need to talk?', type: 'hotline', contact: 'Call or text 1737', hours: '24/7', languages: ['en'], url: 'https://1737.org.nz' },
+      { name: 'Lifeline Aotearoa', type: 'hotline', contact: '0800 543 354', hours: '24/7', languages: ['en'] }
+    ]
+  },
+  IN: {
+    name: 'India',
+    emergency: '112',
+    resources: [
+      { name: 'Tele-MANAS', type: 'hotline', contact: '14416', hours: '24/7', languages: ['en', 'hi'], url: 'https://telemanas.mohfw.gov.in' }
+    ]
+  },
+  MX: {
+    name: 'México',
+    emergency: '911',
+    resources: [
+      { name: 'Línea de la Vida', type: 'hotline', contact: '800 911 2000', hours: '24/7', languages: ['es'] }
+    ]
+  },
+  ES: {
+    name: 'España',
+    emergency: '112',
+    resources: [
+      { name: 'Línea 024', type: 'hotline', contact: '024', hours: '24/7', languages: ['es'] }
+    ]
+  },
+  FR: {
+    name: 'France',
+    emergency: '112',
+    resources: [
+      { name: '3114 — Prévention du suicide', type: 'hotline', contact: '3114', hours: '24/7', languages: ['fr'], url: 'https://3114.fr' }
+    ]
+  },
+  DE: {
+    name: 'Deutschland',
+    emergency: '112',
+    resources: [
+      { name: 'TelefonSeelsorge', type: 'hotline', contact: '0800 111 0 111', hours: '24/7', languages: ['de'], url: 'https://www.telefonseelsorge.de' }
+    ]
+  },
+  BR: {
+    name: 'Brasil',
+    emergency: '192',
+    resources: [
+      { name: 'CVV — Centro de Valorização da Vida', type: 'hotline', contact: '188', hours: '24/7', languages: ['pt'], url: 'https://cvv.org.br' }
+    ]
+  }
+};
+
+// Used when we can't place the user in a covered country
+export const INTERNATIONAL_FALLBACK = {
+  name: 'International',
+  emergency: null,
+  resources: [
+    { name: 'Find A Helpline', type: 'chat', contact: 'findahelpline.com', hours: '24/7', languages: ['en'], url: 'https://findahelpline.com' }
+  ]
+};
+
+// IANA timezone -> country, for users without a locale region.
+// Zones not listed fall back by prefix (see TIMEZONE_PREFIXES).
+export const TIMEZONE_COUNTRIES = {
+  'America/New_York': 'US',
+  'America/Chicago': 'US',
+  'America/Denver': 'US',
+  'America/Phoenix': 'US',
+  'America/Los_Angeles': 'US',
+  'America/Anchorage': 'US',
+  'America/Detroit': 'US',
+  'America/Boise': 'US',
+  'Pacific/Honolulu': 'US',
+  'America/Toronto': 'CA',
+  'America/Vancouver': 'CA',
+  'America/Edmonton': 'CA',
+  'America/Winnipeg': 'CA',
+  'America/Halifax': 'CA',
+  'America/St_Johns': 'CA',
+  'America/Regina': 'CA',
+  'America/Mexico_City': 'MX',
+  'America/Monterrey': 'MX',
+  'America/Tijuana': 'MX',
+  'America/Cancun': 'MX',
+  'America/Sao_Paulo': 'BR',
+  'America/Fortaleza': 'BR',
+  'America/Manaus': 'BR',
+  'Europe/London': 'GB',
+  'Europe/Dublin': 'IE',
+  'Europe/Madrid': 'ES',
+  'Atlantic/Canary': 'ES',
+  'Europe/Paris': 'FR',
+  'Europe/Berlin': 'DE',
+  'Asia/Kolkata': 'IN',
+  'Asia/Calcutta': 'IN',
+  'Pacific/Auckland': 'NZ'
+};
+
+export const TIMEZONE_PREFIXES = {
+  'US/': 'US',
+  'America/Indiana/': 'US',
+  'America/Kentucky/': 'US',
+  'America/North_Dakota/': 'US',
+  'Canada/': 'CA',
+  'Australia/': 'AU'
+};
+
+export default {
+  DIRECTORY_VERSION,
+  CRISIS_DIRECTORY,
+  INTERNATIONAL_FALLBACK,
+  TIMEZONE_COUNTRIES,
+  TIMEZONE_PREFIXES
+};
@@ -0,0 +1,205 @@
+// ============================================================
+// Crisis Resource Service
+// Picks hotlines and text lines for a user's country and language
+// from the built-in directory plus admin edits (crisis_resources).
+// ============================================================
+
+import { query } from '../database/db.js';
+import { logger } from '../utils/logger.js';
+import {
+  DIRECTORY_VERSION,
+  CRISIS_DIRECTORY,
+  INTERNATIONAL_FALLBACK,
+  TIMEZONE_COUNTRIES,
+  TIMEZONE_PREFIXES
+} from './crisisDirectory.js';
+
+const RESOURCE_TYPES = ['hotline', 'text', 'chat'];
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+let overrideCache = null;
+let overrideCacheAt = 0;
+
+// 'en-US', 'en_us', 'es-419' -> { language: 'en', region: 'US' | null }
+function parseLocale(locale) {
+  if (!locale || typeof locale !== 'string') return { language: null, region: null };
+  const [language, region] = locale.trim().replace('_', '-').split('-');
+  return {
+    language: /^[a-z]{2,3}$/i.test(language || '') ? language.toLowerCase() : null,
+    region: /^[a-z]{2}$/i.test(region || '') ? region.toUpperCase() : null
+  };
+}
+
+function countryForTimezone(timezone) {
+  if (!timezone) return null;
+  if (TIMEZONE_COUNTRIES[timezone]) return TIMEZONE_COUNTRIES[timezone];
+  const prefix = Object.keys(TIMEZONE_PREFIXES).find(p => timezone.startsWith(p));
+  return prefix ? TIMEZONE_PREFIXES[prefix] : null;
+}
+
+async function loadOverrides() {
+  if (overrideCache && Date.now() - overrideCacheAt < CACHE_TTL_MS) return overrideCache;
+
+  try {
+    const result = await query(
+      `SELECT DISTINCT ON (country) country, version, data, updated_by, created_at
+       FROM crisis_resources
+       ORDER BY country, version DESC`
+    );
+    overrideCache = Object.fromEntries(result.rows.map(row => [row.country.trim(), row]));
+  } catch (error) {
+    // The built-in directory is always usable on its own
+    logger.warn('Failed to load crisis resource overrides:', error.message);
+    overrideCache = overrideCache || {};
+  }
+  overrideCacheAt = Date.now();
+  return overrideCache;
+}
+
+export const CrisisResourceService = {
+  parseLocale,
+
+  /**
+   * Country from the locale's region, else the timezone. Language from
+   * the locale, else the Accept-Language header.
+   */
+  resolveRegion({ locale, timezone, acceptLanguage } = {}) {
+    const fromLocale = parseLocale(locale);
+    const fromHeader = parseLocale((acceptLanguage || '').split(',')[0].split(';')[0]);
+
+    return {
+      country: fromLocale.region || countryForTimezone(timezone) || fromHeader.region || null,
+      language: fromLocale.language || fromHeader.language || 'en'
+    };
+  },
+
+  /**
+   * One country's entry, admin edits first. Null if it isn't covered.
+   */
+  async getCountry(country) {
+    const overrides = await loadOverrides();
+    const override = overrides[country];
+
+    if (override) {
+      return { country, ...override.data, version: override.version, source: 'admin' };
+    }
+    if (CRISIS_DIRECTORY[country]) {
+      return { country, ...CRISIS_DIRECTORY[country], version: DIRECTORY_VERSION, source: 'builtin' };
+    }
+    return null;
+  },
+
+  /**
+   * Resources for a region, in the user's language when the country has
+   * any, with the local emergency number last.
+   *   getResources({ locale: 'fr-CA' }) -> { country: 'CA', language: 'fr', resources: [...] }
+   */
+  async getResources(regionHints = {}) {
+    const { country, language } = this.resolveRegion(regionHints);
+    const entry = (country && await this.getCountry(country))
+      || { country: null, ...INTERNATIONAL_FALLBACK, version: DIRECTORY_VERSION, source: 'builtin' };
+
+    const inLanguage = entry.resources.filter(r => !r.languages?.length || r.languages.includes(language));
+    const resources = (inLanguage.length ? inLanguage : entry.resources).map(r => ({ ...r }));
+
+    if (entry.emergency) {
+      resources.push({ name: 'Emergency services', type: 'hotline', contact: entry.emergency, hours: '24/7' });
+    }
+
+    return {
+      country: entry.country,
+      language,
+      emergency: entry.emergency,
+      resources,
+      version: entry.version,
+      source: entry.source
+    };
+  },
+
+  /**
+   * Resources for a signed-in user, from their saved locale and timezone
+   */
+  async getResourcesForUser(userId, extraHints = {}) {
+    let user = {};
+    try {
+      const result = await query(`SELECT locale, timezone FROM users WHERE id = $1`, [userId]);
+      user = result.rows[0] || {};
+    } catch (error) {
+      logger.warn('Failed to load user region for crisis resources:', error.message);
+    }
+    return this.getResources({ ...extraHints, locale: user.locale || extraHints.locale, timezone: user.timezone || extraHints.timezone });
+  },
+
+  /**
+   * Full directory with admin edits applied (admin view)
+   */
+  async getDirectory() {
+    const overrides = await loadOverrides();
+    const countries = [...new Set([...Object.keys(CRISIS_DIRECTORY), ...Object.keys(overrides)])].sort();
+
+    return {
+      version: DIRECTORY_VERSION,
+      countries: await Promise.all(countries.map(country => this.getCountry(country))),
+      fallback: INTERNATIONAL_FALLBACK
+    };
+  },
+
+  /**
+   * Returns a list of problems with an admin-submitted country entry
+   */
+  validateEntry(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object') return ['Entry must be an object'];
+    if (!data.name || typeof data.name !== 'string') errors.push('name is required');
+    if (data.emergency != null && typeof data.emergency !== 'string') errors.push('emergency must be a string');
+    if (!Array.isArray(data.resources) || data.resources.length === 0) {
+      errors.push('resources must be a non-empty array');
+      return errors;
+    }
+
+    data.resources.forEach((r, i) => {
+      if (!r?.name || typeof r.name !== 'string') errors.push(`resources[${i}].name is required`);
+      if (!r?.contact || typeof r.contact !== 'string') errors.push(`resources[${i}].contact is required`);
+      if (!RESOURCE_TYPES.includes(r?.type)) errors.push(`resources[${i}].type must be one of ${RESOURCE_TYPES.join(', ')}`);
+      if (r?.languages && (!Array.isArray(r.languages) || r.languages.some(l => !/^[a-z]{2,3}$/.test(l)))) {
+        errors.push(`resources[${i}].languages must be ISO 639 codes`);
+      }
+    });
+    return errors;
+  },
+
+  /**
+   * Store a new version of a country's entry
+   */
+  async updateCountry(country, data, updatedBy = 'admin') {
+    const entry = {
+      name: data.name,
+      emergency: data.emergency || null,
+      resources: data.resources.map(r => ({
+        name: r.name,
+        type: r.type,
+        contact: r.contact,
+        hours: r.hours || null,
+        languages: r.languages || [],
+        ...(r.url ? { url: r.url } : {})
+      }))
+    };
+
+    const result = await query(
+      `INSERT INTO crisis_resources (country, version, data, updated_by)
+       VALUES ($1, COALESCE((SELECT MAX(version) FROM crisis_resources WHERE country = $1), 0) + 1, $2, $3)
+       RETURNING country, version, data, updated_by, created_at`,
+      [country, JSON.stringify(entry), updatedBy]
+    );
+
+    overrideCache = null;
+    logger.info('Crisis resources updated', { country, version: result.rows[0]?.version });
+    return result.rows[0];
+  },
+
+  clearCache() {
+    overrideCache = null;
+  }
+};
+
+export default CrisisResourceService;
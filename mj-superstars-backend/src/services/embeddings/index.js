@@ -0,0 +1,83 @@
+// ============================================================
+// Embedder Registry
+// Text embeddings for semantic memory retrieval.
+//
+// Embedder interface:
+//   name: string            - stored with every vector; vectors from
+//                             different embedders are never compared
+//   isConfigured(): boolean
+//   embed(texts, { inputType: 'document' | 'query' }) -> number[][]
+//
+// EMBEDDING_PROVIDER picks one explicitly; otherwise Voyage when a key
+// is set and the pure-JS local embedder everywhere else (offline, demo
+// mode, tests).
+// ============================================================
+
+import { logger } from '../../utils/logger.js';
+import { localEmbedder } from './local.js';
+import { voyageEmbedder } from './voyage.js';
+
+const embedders = new Map([
+  ['local', localEmbedder],
+  ['voyage', voyageEmbedder]
+]);
+
+let activeEmbedder = null;
+
+const resolveEmbedder = () => {
+  const requested = process.env.EMBEDDING_PROVIDER;
+  if (requested) {
+    const embedder = embedders.get(requested);
+    if (!embedder) {
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${requested}". Available: ${[...embedders.keys()].join(', ')}`);
+    }
+    return embedder;
+  }
+
+  if (process.env.NODE_ENV !== 'test' && voyageEmbedder.isConfigured()) {
+    return voyageEmbedder;
+  }
+  return localEmbedder;
+};
+
+export const getEmbedder = () => {
+  if (!activeEmbedder) {
+    activeEmbedder = resolveEmbedder();
+    logger.info(`Embedder: ${activeEmbedder.name}`);
+  }
+  return activeEmbedder;
+};
+
+/**
+ * Register an additional embedder under a short name
+ */
+export const registerEmbedder = (key, embedder) => {
+  embedders.set(key, embedder);
+};
+
+/**
+ * Force a specific embedder (tests) or pass null to re-resolve from env
+ */
+export const setEmbedder = (keyOrEmbedder) => {
+  if (keyOrEmbedder === null) {
+    activeEmbedder = null;
+    return;
+  }
+  activeEmbedder = typeof keyOrEmbedder === 'string'
+    ? embedders.get(keyOrEmbedder)
+    : keyOrEmbedder;
+};
+
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+export default { getEmbedder, registerEmbedder, setEmbedder, cosineSimilarity };
@@ -0,0 +1,113 @@
+// ============================================================
+// Local Embedder - pure JS, no network, deterministic
+// Feature-hashes stemmed words, word pairs and character trigrams
+// into a fixed-size vector. A small concept map folds common
+// wellness phrasings together ("anxious", "on edge", "nervous")
+// so memories match messages that say the same thing differently.
+// ============================================================
+
+const DIMENSIONS = parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS) || 384;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'then', 'so', 'to', 'of', 'in', 'on', 'at', 'for',
+  'with', 'about', 'from', 'by', 'as', 'is', 'am', 'are', 'was', 'were', 'be', 'been', 'being',
+  'i', 'me', 'my', 'myself', 'you', 'your', 'we', 'our', 'they', 'their', 'it', 'its', 'this',
+  'that', 'these', 'those', 'do', 'does', 'did', 'have', 'has', 'had', 'just', 'really', 'very',
+  'can', 'could', 'would', 'should', 'will', 'im', 'ive', 'dont', 'user', 'users'
+]);
+
+// Word -> shared concept token, added alongside the word itself
+const CONCEPTS = {
+  anxiety: ['anxious', 'anxiety', 'nervous', 'worried', 'worry', 'panic', 'panicking', 'uneasy', 'edge', 'stressed', 'stress', 'overwhelmed'],
+  sadness: ['sad', 'down', 'depressed', 'depression', 'low', 'blue', 'empty', 'hopeless', 'crying', 'cry'],
+  anger: ['angry', 'mad', 'furious', 'frustrated', 'irritated', 'annoyed', 'resentful'],
+  work: ['work', 'job', 'boss', 'manager', 'office', 'career', 'coworker', 'colleague', 'deadline', 'meeting', 'shift'],
+  sleep: ['sleep', 'insomnia', 'tired', 'exhausted', 'rest', 'nap', 'bed', 'bedtime', 'awake'],
+  family: ['family', 'mom', 'mother', 'dad', 'father', 'parents', 'sister', 'brother', 'sibling', 'son', 'daughter', 'kids', 'children'],
+  partner: ['partner', 'boyfriend', 'girlfriend', 'husband', 'wife', 'spouse', 'fiance', 'fiancee', 'dating', 'relationship'],
+  friends: ['friend', 'friends', 'buddy', 'bestie', 'lonely', 'loneliness', 'isolated'],
+  exercise: ['exercise', 'gym', 'run', 'running', 'workout', 'walk', 'walking', 'yoga', 'lifting', 'fitness'],
+  school: ['school', 'class', 'exam', 'exams', 'test', 'homework', 'college', 'university', 'study', 'studying'],
+  money: ['money', 'rent', 'bills', 'debt', 'budget', 'paycheck', 'broke', 'finances'],
+  health: ['health', 'doctor', 'therapy', 'therapist', 'medication', 'meds', 'sick', 'illness', 'pain'],
+  breathing: ['breathing', 'breath', 'breathe', 'breaths', 'meditation', 'meditate', 'mindful', 'mindfulness', 'grounding']
+};
+
+const CONCEPT_OF = new Map(
+  Object.entries(CONCEPTS).flatMap(([concept, words]) => words.map(w => [w, `concept:${concept}`]))
+);
+
+// Crude suffix stripping — enough to match "meetings"/"meeting", "worried"/"worry"
+const stem = (word) => {
+  if (word.length <= 4) return word;
+  return word
+    .replace(/(ies|ied)$/, 'y')
+    .replace(/(ing|edly|ed|ly|ness|ment|s)$/, '');
+};
+
+// FNV-1a, 32-bit
+const hash = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .replace(/[‘’']/g, '')
+  .split(/[^a-z0-9]+/)
+  .filter(w => w && !STOPWORDS.has(w));
+
+function featuresOf(text) {
+  const words = tokenize(text);
+  const features = new Map();
+  const add = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+
+  words.forEach((word, i) => {
+    const stemmed = stem(word);
+    add(`w:${stemmed}`, 1);
+
+    const concept = CONCEPT_OF.get(word) || CONCEPT_OF.get(stemmed);
+    if (concept) add(concept, 1.5);
+
+    if (i > 0) add(`b:${stem(words[i - 1])}_${stemmed}`, 0.5);
+
+    const padded = `#${stemmed}#`;
+    for (let j = 0; j < padded.length - 2; j++) {
+      add(`c:${padded.slice(j, j + 3)}`, 0.2);
+    }
+  });
+
+  return features;
+}
+
+export function embedText(text) {
+  const vector = new Array(DIMENSIONS).fill(0);
+
+  for (const [feature, count] of featuresOf(text)) {
+    const h = hash(feature);
+    const sign = (h & 1) ? 1 : -1;
+    vector[(h >>> 1) % DIMENSIONS] += sign * Math.log1p(count); // sublinear term weight
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map(v => v / norm) : vector;
+}
+
+export const localEmbedder = {
+  name: `local-hash-v1-${DIMENSIONS}`,
+  dimensions: DIMENSIONS,
+
+  isConfigured() {
+    return true;
+  },
+
+  async embed(texts) {
+    return texts.map(embedText);
+  }
+};
+
+export default localEmbedder;
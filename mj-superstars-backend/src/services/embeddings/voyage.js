@@ -0,0 +1,49 @@
+// ============================================================
+// Voyage AI Embedder
+// Hosted embeddings over HTTPS; enabled with VOYAGE_API_KEY.
+// ============================================================
+
+const MODEL = process.env.VOYAGE_EMBEDDING_MODEL || 'voyage-3-lite';
+const API_URL = 'https://api.voyageai.com/v1/embeddings';
+const BATCH_SIZE = 64;
+
+export const voyageEmbedder = {
+  name: `voyage-${MODEL}`,
+
+  isConfigured() {
+    return Boolean(process.env.VOYAGE_API_KEY);
+  },
+
+  async embed(texts, { inputType = 'document' } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Voyage embeddings not configured. Set VOYAGE_API_KEY environment variable.');
+    }
+
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      const response = await fetch(API_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${process.env.VOYAGE_API_KEY}`
+        },
+        body: JSON.stringify({
+          model: MODEL,
+          input: texts.slice(i, i + BATCH_SIZE),
+          input_type: inputType
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Voyage embeddings request failed: ${response.status}`);
+      }
+
+      const { data } = await response.json();
+      data.sort((a, b) => a.index - b.index).forEach(item => vectors.push(item.embedding));
+    }
+
+    return vectors;
+  }
+};
+
+export default voyageEmbedder;
@@ -0,0 +1,99 @@
+// ============================================================
+// Emotion Taxonomy
+// The feelings wheel behind structured mood entries: seven core
+// emotions, each with the more specific feelings that sit around
+// it, plus the body sensations a user can tag. Entries store
+// emotions as [{ primary, secondary, intensity }] and sensations as
+// a list of ids. The frontend keeps a copy of these ids in
+// src/utils/emotions.js; change both together.
+// ============================================================
+
+export const EMOTION_WHEEL = {
+  happy: ['content', 'proud', 'hopeful', 'grateful', 'playful', 'peaceful', 'excited', 'confident'],
+  sad: ['lonely', 'disappointed', 'hurt', 'hopeless', 'grieving', 'guilty', 'empty'],
+  angry: ['frustrated', 'irritated', 'resentful', 'jealous', 'betrayed', 'critical'],
+  fearful: ['anxious', 'worried', 'overwhelmed', 'insecure', 'panicked', 'helpless'],
+  surprised: ['confused', 'amazed', 'startled', 'moved'],
+  disgusted: ['ashamed', 'embarrassed', 'disapproving', 'repelled'],
+  bad: ['tired', 'stressed', 'bored', 'numb', 'restless']
+};
+
+export const PRIMARY_EMOTIONS = Object.keys(EMOTION_WHEEL);
+
+export const BODY_SENSATIONS = [
+  'tight_chest', 'racing_heart', 'shallow_breathing', 'butterflies', 'nausea',
+  'tense_shoulders', 'clenched_jaw', 'headache', 'heavy_limbs', 'fatigue',
+  'jittery', 'sweating', 'lump_in_throat', 'numbness', 'warmth',
+  'lightness', 'relaxed', 'energized'
+];
+
+export const MAX_EMOTIONS = 5;
+export const MAX_BODY_SENSATIONS = 10;
+export const DEFAULT_INTENSITY = 3;
+
+const isIntensity = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+
+/**
+ * Problems with a list of emotions; empty when it's valid. Each entry
+ * needs a primary from the wheel, an optional secondary that belongs
+ * to it, and an optional intensity from 1 to 5.
+ */
+export function validateEmotions(emotions) {
+  if (!Array.isArray(emotions)) return ['emotions must be an array'];
+  if (emotions.length > MAX_EMOTIONS) return [`At most ${MAX_EMOTIONS} emotions per entry`];
+
+  const errors = [];
+  emotions.forEach((emotion, i) => {
+    if (!emotion || typeof emotion !== 'object') {
+      errors.push(`emotions[${i}] must be an object`);
+      return;
+    }
+    const { primary, secondary, intensity } = emotion;
+    if (!EMOTION_WHEEL[primary]) {
+      errors.push(`emotions[${i}].primary must be one of ${PRIMARY_EMOTIONS.join(', ')}`);
+      return;
+    }
+    if (secondary != null && !EMOTION_WHEEL[primary].includes(secondary)) {
+      errors.push(`emotions[${i}].secondary "${secondary}" is not a kind of ${primary}`);
+    }
+    if (intensity != null && !isIntensity(intensity)) {
+      errors.push(`emotions[${i}].intensity must be a whole number from 1 to 5`);
+    }
+  });
+  return errors;
+}
+
+export function validateBodySensations(sensations) {
+  if (!Array.isArray(sensations)) return ['body_sensations must be an array'];
+  if (sensations.length > MAX_BODY_SENSATIONS) return [`At most ${MAX_BODY_SENSATIONS} body sensations per entry`];
+
+  const unknown = sensations.filter(s => !BODY_SENSATIONS.includes(s));
+  return unknown.length > 0 ? [`Unknown body sensations: ${unknown.join(', ')}`] : [];
+}
+
+/**
+ * The stored form of a list of emotions: unknown entries dropped,
+ * intensity defaulted, one entry per feeling (the later one wins).
+ * Lenient, so it also cleans data that was never validated, such as
+ * guest moods being migrated.
+ */
+export function normalizeEmotions(emotions) {
+  if (!Array.isArray(emotions)) return [];
+
+  const byFeeling = new Map();
+  for (const emotion of emotions) {
+    if (!emotion || !EMOTION_WHEEL[emotion.primary]) continue;
+    const secondary = EMOTION_WHEEL[emotion.primary].includes(emotion.secondary) ? emotion.secondary : null;
+    byFeeling.set(`${emotion.primary}:${secondary}`, {
+      primary: emotion.primary,
+      secondary,
+      intensity: isIntensity(emotion.intensity) ? emotion.intensity : DEFAULT_INTENSITY
+    });
+  }
+  return [...byFeeling.values()].slice(0, MAX_EMOTIONS);
+}
+
+export function normalizeBodySensations(sensations) {
+  if (!Array.isArray(sensations)) return [];
+  return [...new Set(sensations.filter(s => BODY_SENSATIONS.includes(s)))].slice(0, MAX_BODY_SENSATIONS);
+}
@@ -0,0 +1,92 @@
+// ============================================================
+// Event Log Service
+// Numbers the events sent to a user's devices with a per-user,
+// monotonic sequence and keeps them for EVENT_RETENTION_HOURS, so a
+// device that lost its connection can `resume` and get what it
+// missed. Ephemeral events (streamed chunks, typing, presence) are
+// not logged; RealtimeService decides what goes through here.
+// ============================================================
+
+import { query } from '../database/db.js';
+
+const EVENT_RETENTION_HOURS = parseInt(process.env.EVENT_RETENTION_HOURS) || 24;
+export const MAX_REPLAY_EVENTS = 500;
+
+export const EventLogService = {
+  /**
+   * Store an event under the user's next sequence number and return
+   * it. `deviceId` limits replay to that device.
+   */
+  async record(userId, event, payload, { deviceId = null } = {}) {
+    const result = await query(
+      `WITH next AS (
+         INSERT INTO user_event_sequences (user_id, last_seq) VALUES ($1, 1)
+         ON CONFLICT (user_id) DO UPDATE SET last_seq = user_event_sequences.last_seq + 1
+         RETURNING last_seq
+       )
+       INSERT INTO socket_events (user_id, seq, event, payload, device_id)
+       SELECT $1, last_seq, $2, $3, $4 FROM next
+       RETURNING seq`,
+      [userId, event, JSON.stringify(payload ?? {}), deviceId]
+    );
+    return result.rows[0] ? Number(result.rows[0].seq) : null;
+  },
+
+  /**
+   * The user's latest sequence number (0 before their first event)
+   */
+  async currentSeq(userId) {
+    const result = await query(
+      `SELECT last_seq FROM user_event_sequences WHERE user_id = $1`,
+      [userId]
+    );
+    return result.rows[0] ? Number(result.rows[0].last_seq) : 0;
+  },
+
+  /**
+   * Events after `lastSeq` for this device, oldest first.
+   * `truncated` means some of them are gone (pruned, or more than
+   * MAX_REPLAY_EVENTS) and the client should refetch its data instead.
+   */
+  async since(userId, lastSeq, { deviceId = null } = {}) {
+    const [events, bounds] = await Promise.all([
+      query(
+        `SELECT seq, event, payload FROM socket_events
+         WHERE user_id = $1 AND seq > $2 AND (device_id IS NULL OR device_id = $3)
+         ORDER BY seq
+         LIMIT $4`,
+        [userId, lastSeq, deviceId, MAX_REPLAY_EVENTS + 1]
+      ),
+      query(
+        `SELECT s.last_seq, (SELECT MIN(seq) FROM socket_events e WHERE e.user_id = s.user_id) AS first_seq
+         FROM user_event_sequences s
+         WHERE s.user_id = $1`,
+        [userId]
+      )
+    ]);
+
+    const currentSeq = bounds.rows[0] ? Number(bounds.rows[0].last_seq) : 0;
+    const firstSeq = bounds.rows[0]?.first_seq != null ? Number(bounds.rows[0].first_seq) : currentSeq + 1;
+    const rows = events.rows.slice(0, MAX_REPLAY_EVENTS);
+
+    return {
+      events: rows.map(row => ({ seq: Number(row.seq), event: row.event, payload: row.payload })),
+      currentSeq,
+      truncated: events.rows.length > MAX_REPLAY_EVENTS
+        || lastSeq > currentSeq
+        || (lastSeq < currentSeq && firstSeq > lastSeq + 1)
+    };
+  },
+
+  /**
+   * Drop events past the retention window. Run by the scheduler.
+   */
+  async prune() {
+    await query(
+      `DELETE FROM socket_events WHERE created_at < NOW() - make_interval(hours => $1)`,
+      [EVENT_RETENTION_HOURS]
+    );
+  }
+};
+
+export default EventLogService;
@@ -0,0 +1,299 @@
+// ============================================================
+// Feed Ingest Service
+// Fetches the feeds listed in `feeds` on their own interval and
+// stores new items in `feed_items`, where TrendingService reads
+// them. Fetches are conditional (ETag / Last-Modified), so an
+// unchanged feed costs one 304. Each fetch updates the feed's
+// health; failing feeds back off exponentially instead of being
+// hammered every tick.
+// ============================================================
+
+import crypto from 'crypto';
+import { query } from '../database/db.js';
+import { logger } from '../utils/logger.js';
+import { parseFeed } from './feeds/parser.js';
+import { screenHeadline } from './feeds/safety.js';
+
+const USER_AGENT = 'MJSuperstars/1.0 (Mental Health App)';
+const ACCEPT = 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.5';
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_FEED_BYTES = 2 * 1024 * 1024;
+const MAX_ITEMS_PER_FETCH = 50;
+const MAX_BACKOFF_MINUTES = 24 * 60;
+const FAILING_AFTER = 3;
+const ITEM_RETENTION_DAYS = parseInt(process.env.FEED_ITEM_RETENTION_DAYS) || 30;
+
+export const MIN_FETCH_INTERVAL_MINUTES = 15;
+export const MAX_FETCH_INTERVAL_MINUTES = 7 * 24 * 60;
+
+const EDITABLE_FIELDS = ['url', 'label', 'category', 'is_active', 'fetch_interval_minutes'];
+
+// Same story, different feed: compare titles without case or punctuation
+export const titleHash = (title) => crypto
+  .createHash('sha1')
+  .update(title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim())
+  .digest('hex');
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Interval doubles with each consecutive failure, capped at a day
+const nextFetchAt = (feed) => {
+  if (!feed.last_fetched_at) return new Date(0);
+  const backoff = Math.min(
+    feed.fetch_interval_minutes * 2 ** Math.min(feed.consecutive_failures || 0, 10),
+    Math.max(MAX_BACKOFF_MINUTES, feed.fetch_interval_minutes)
+  );
+  return new Date(new Date(feed.last_fetched_at).getTime() + backoff * 60 * 1000);
+};
+
+const withHealth = (feed) => ({
+  ...feed,
+  health: FeedIngestService.health(feed),
+  next_fetch_at: feed.is_active ? nextFetchAt(feed).toISOString() : null
+});
+
+async function recordSuccess(feed, { status, etag, lastModified, format }) {
+  await query(
+    `UPDATE feeds SET
+       last_fetched_at = NOW(),
+       last_success_at = NOW(),
+       last_status = $2,
+       etag = $3,
+       last_modified = $4,
+       format = COALESCE($5, format),
+       last_error = NULL,
+       consecutive_failures = 0,
+       updated_at = NOW()
+     WHERE id = $1`,
+    [feed.id, status, etag || null, lastModified || null, format || null]
+  );
+}
+
+async function recordFailure(feed, { status, error }) {
+  await query(
+    `UPDATE feeds SET
+       last_fetched_at = NOW(),
+       last_status = $2,
+       last_error = $3,
+       consecutive_failures = consecutive_failures + 1,
+       updated_at = NOW()
+     WHERE id = $1`,
+    [feed.id, status, error.slice(0, 500)]
+  );
+}
+
+// Returns how many items were new. Items another feed already carried
+// (same normalized title) are skipped.
+async function storeItems(feed, items) {
+  let inserted = 0;
+  for (const item of items) {
+    const screen = screenHeadline(item);
+    const result = await query(
+      `INSERT INTO feed_items (feed_id, guid, title, summary, link, published_at, title_hash, is_safe, safety_reason)
+       SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9
+       WHERE NOT EXISTS (SELECT 1 FROM feed_items WHERE title_hash = $7 AND feed_id <> $1)
+       ON CONFLICT (feed_id, guid) DO NOTHING
+       RETURNING id`,
+      [feed.id, item.guid, item.title, item.summary || null, item.link, item.published_at, titleHash(item.title), screen.safe, screen.reason]
+    );
+    inserted += result.rows.length;
+  }
+  return inserted;
+}
+
+export const FeedIngestService = {
+  /**
+   * 'paused' (inactive), 'pending' (never fetched), 'healthy',
+   * 'degraded' (recent failures) or 'failing' (FAILING_AFTER in a row)
+   */
+  health(feed) {
+    if (!feed.is_active) return 'paused';
+    if (!feed.last_fetched_at) return 'pending';
+    if (!feed.consecutive_failures) return 'healthy';
+    return feed.consecutive_failures >= FAILING_AFTER ? 'failing' : 'degraded';
+  },
+
+  /**
+   * Fetch one feed and store what's new. Never throws; the outcome is
+   * recorded on the feed and returned.
+   */
+  async refreshFeed(feed) {
+    const headers = { 'User-Agent': USER_AGENT, Accept: ACCEPT };
+    if (feed.etag) headers['If-None-Match'] = feed.etag;
+    if (feed.last_modified) headers['If-Modified-Since'] = feed.last_modified;
+
+    let status = null;
+    try {
+      const response = await fetch(feed.url, { headers, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+      status = response.status;
+
+      if (status === 304) {
+        await recordSuccess(feed, { status, etag: feed.etag, lastModified: feed.last_modified });
+        return { feed_id: feed.id, status: 'not_modified', new_items: 0 };
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP ${status}`);
+      }
+      if (parseInt(response.headers.get('content-length')) > MAX_FEED_BYTES) {
+        throw new Error('Feed is larger than 2MB');
+      }
+
+      const body = await response.text();
+      if (body.length > MAX_FEED_BYTES) {
+        throw new Error('Feed is larger than 2MB');
+      }
+
+      const parsed = parseFeed(body, { contentType: response.headers.get('content-type') || '' });
+      const newItems = await storeItems(feed, parsed.items.slice(0, MAX_ITEMS_PER_FETCH));
+
+      await recordSuccess(feed, {
+        status,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        format: parsed.format
+      });
+
+      return { feed_id: feed.id, status: 'updated', items: parsed.items.length, new_items: newItems };
+    } catch (error) {
+      const message = error.name === 'TimeoutError' ? `Timed out after ${FETCH_TIMEOUT_MS / 1000}s` : error.message;
+      logger.warn(`Feed fetch failed: ${feed.url}`, { feedId: feed.id, error: message });
+      await recordFailure(feed, { status, error: message }).catch(err => {
+        logger.error('Failed to record feed failure:', { feedId: feed.id, error: err.message });
+      });
+      return { feed_id: feed.id, status: 'failed', error: message };
+    }
+  },
+
+  /**
+   * Refresh every active feed whose interval (with backoff) has passed,
+   * then drop items past the retention window. Run by the scheduler.
+   */
+  async refreshDue(now = new Date()) {
+    const result = await query(`SELECT * FROM feeds WHERE is_active = TRUE`);
+    const due = result.rows.filter(feed => nextFetchAt(feed) <= now);
+
+    const outcomes = await Promise.all(due.map(feed => this.refreshFeed(feed)));
+
+    await query(
+      `DELETE FROM feed_items WHERE fetched_at < NOW() - make_interval(days => $1)`,
+      [ITEM_RETENTION_DAYS]
+    );
+
+    if (outcomes.length > 0) {
+      const added = outcomes.reduce((sum, o) => sum + (o.new_items || 0), 0);
+      logger.info(`Refreshed ${outcomes.length} feeds, ${added} new items`);
+    }
+    return outcomes;
+  },
+
+  // ============================================================
+  // Admin
+  // ============================================================
+
+  /**
+   * Problems with a feed definition; empty when it's valid. `partial`
+   * allows fields to be missing (updates).
+   */
+  validateFeed(body, { partial = false } = {}) {
+    const errors = [];
+    const has = (field) => body?.[field] !== undefined;
+
+    if (!body || typeof body !== 'object') return ['Body must be an object'];
+    if ((!partial || has('url')) && !(typeof body.url === 'string' && isHttpUrl(body.url))) {
+      errors.push('url must be an http(s) URL');
+    }
+    if ((!partial || has('label')) && !(typeof body.label === 'string' && body.label.trim() && body.label.length <= 100)) {
+      errors.push('label is required (at most 100 characters)');
+    }
+    if ((!partial || has('category')) && !(typeof body.category === 'string' && /^[a-z][a-z_]{0,49}$/.test(body.category))) {
+      errors.push('category must be a snake_case identifier');
+    }
+    if (has('is_active') && typeof body.is_active !== 'boolean') {
+      errors.push('is_active must be a boolean');
+    }
+    if (has('fetch_interval_minutes')) {
+      const interval = body.fetch_interval_minutes;
+      if (!Number.isInteger(interval) || interval < MIN_FETCH_INTERVAL_MINUTES || interval > MAX_FETCH_INTERVAL_MINUTES) {
+        errors.push(`fetch_interval_minutes must be a whole number from ${MIN_FETCH_INTERVAL_MINUTES} to ${MAX_FETCH_INTERVAL_MINUTES}`);
+      }
+    }
+    return errors;
+  },
+
+  async listFeeds() {
+    const result = await query(
+      `SELECT f.*,
+         (SELECT COUNT(*) FROM feed_items i WHERE i.feed_id = f.id)::int AS item_count,
+         (SELECT COUNT(*) FROM feed_items i WHERE i.feed_id = f.id AND NOT i.is_safe)::int AS filtered_count
+       FROM feeds f
+       ORDER BY f.created_at`
+    );
+    return result.rows.map(withHealth);
+  },
+
+  async getFeed(id) {
+    const result = await query(`SELECT * FROM feeds WHERE id = $1`, [id]);
+    return result.rows[0] ? withHealth(result.rows[0]) : null;
+  },
+
+  async createFeed({ url, label, category, is_active = true, fetch_interval_minutes = 240 }) {
+    const result = await query(
+      `INSERT INTO feeds (url, label, category, is_active, fetch_interval_minutes)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [url, label.trim(), category, is_active, fetch_interval_minutes]
+    );
+    return withHealth(result.rows[0]);
+  },
+
+  /**
+   * Update the given fields. A new URL is a new source, so its cache
+   * validators and failure count start over.
+   */
+  async updateFeed(id, fields) {
+    const updates = EDITABLE_FIELDS.filter(field => fields[field] !== undefined);
+    if (updates.length === 0) return this.getFeed(id);
+
+    const sets = updates.map((field, i) => `${field} = $${i + 2}`);
+    if (fields.url !== undefined) {
+      sets.push('etag = NULL', 'last_modified = NULL', 'format = NULL', 'consecutive_failures = 0', 'last_error = NULL');
+    }
+
+    const result = await query(
+      `UPDATE feeds SET ${sets.join(', ')}, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, ...updates.map(field => (field === 'label' ? fields.label.trim() : fields[field]))]
+    );
+    return result.rows[0] ? withHealth(result.rows[0]) : null;
+  },
+
+  async deleteFeed(id) {
+    const result = await query(`DELETE FROM feeds WHERE id = $1 RETURNING id`, [id]);
+    return result.rows.length > 0;
+  },
+
+  /**
+   * A feed's latest items, filtered ones included, for reviewing what
+   * the safety screen is catching
+   */
+  async listItems(feedId, { limit = 50 } = {}) {
+    const result = await query(
+      `SELECT id, guid, title, summary, link, published_at, is_safe, safety_reason, fetched_at
+       FROM feed_items
+       WHERE feed_id = $1
+       ORDER BY COALESCE(published_at, fetched_at) DESC
+       LIMIT $2`,
+      [feedId, limit]
+    );
+    return result.rows;
+  }
+};
+
+export default FeedIngestService;
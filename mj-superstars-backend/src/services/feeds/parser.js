@@ -0,0 +1,174 @@
+// ============================================================
+// Feed Parser
+// RSS 2.0 (and RSS 1.0/RDF), Atom 1.0 and JSON Feed 1.x into one
+// shape:
+//   { format, title, items: [{ guid, title, summary, link, published_at }] }
+// Titles and summaries come back as plain text. Throws on anything
+// that isn't a feed so the ingester can record it on the feed.
+// ============================================================
+
+import crypto from 'crypto';
+import { parseXml, decodeEntities, child, children, textContent } from './xml.js';
+
+const MAX_TITLE_LENGTH = 300;
+const MAX_SUMMARY_LENGTH = 500;
+const MAX_GUID_LENGTH = 500;
+
+// Publish dates this far ahead are a broken clock, not news from the future
+const FUTURE_TOLERANCE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * HTML (escaped or not) to a single line of plain text
+ */
+export const toPlainText = (html) => decodeEntities(
+  (html || '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+)
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text);
+
+const httpUrl = (value) => {
+  try {
+    const url = new URL((value || '').trim());
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value.trim());
+  if (Number.isNaN(date.getTime()) || date.getTime() > Date.now() + FUTURE_TOLERANCE_MS) return null;
+  return date.toISOString();
+};
+
+// Items without a guid are identified by what they say
+const fallbackGuid = (item) => crypto
+  .createHash('sha1')
+  .update(`${item.link || ''}\n${item.title}\n${item.published_at || ''}`)
+  .digest('hex');
+
+function normalizeItem({ guid, title, summary, link, published }) {
+  const item = {
+    title: truncate(toPlainText(title), MAX_TITLE_LENGTH),
+    summary: truncate(toPlainText(summary), MAX_SUMMARY_LENGTH),
+    link: httpUrl(link),
+    published_at: parseDate(published)
+  };
+  if (!item.title) return null;
+  item.guid = truncate((guid || '').trim(), MAX_GUID_LENGTH) || item.link || fallbackGuid(item);
+  return item;
+}
+
+// ============================================================
+// RSS
+// ============================================================
+
+function parseRss(root) {
+  const channel = child(root, 'channel');
+  // RSS 1.0 puts items beside the channel rather than inside it
+  const items = [...children(channel, 'item'), ...children(root, 'item')];
+
+  return {
+    format: 'rss',
+    title: toPlainText(textContent(child(channel, 'title'))),
+    items: items.map(item => {
+      const guid = child(item, 'guid');
+      // <atom:link> shares the local name; the bare <link> is the article
+      const link = item.children.find(c => c.name.toLowerCase() === 'link');
+      const permalink = guid && guid.attrs.ispermalink !== 'false' ? textContent(guid) : null;
+
+      return normalizeItem({
+        guid: textContent(guid) || item.attrs['rdf:about'],
+        title: textContent(child(item, 'title')),
+        summary: textContent(child(item, 'description')) || textContent(child(item, 'content:encoded')),
+        link: textContent(link) || permalink || item.attrs['rdf:about'],
+        published: textContent(child(item, 'pubdate', 'dc:date'))
+      });
+    })
+  };
+}
+
+// ============================================================
+// Atom
+// ============================================================
+
+function atomLink(entry) {
+  const links = children(entry, 'link');
+  const alternate = links.find(l => !l.attrs.rel || l.attrs.rel === 'alternate') || links[0];
+  return alternate?.attrs.href || null;
+}
+
+function parseAtom(root) {
+  return {
+    format: 'atom',
+    title: toPlainText(textContent(child(root, 'title'))),
+    items: children(root, 'entry').map(entry => normalizeItem({
+      guid: textContent(child(entry, 'id')),
+      title: textContent(child(entry, 'title')),
+      summary: textContent(child(entry, 'summary')) || textContent(child(entry, 'content')),
+      link: atomLink(entry),
+      published: textContent(child(entry, 'published', 'updated'))
+    }))
+  };
+}
+
+// ============================================================
+// JSON Feed
+// ============================================================
+
+function parseJsonFeed(body) {
+  let feed;
+  try {
+    feed = JSON.parse(body);
+  } catch {
+    throw new Error('Invalid JSON feed');
+  }
+  if (!feed || !String(feed.version || '').startsWith('https://jsonfeed.org/version/') || !Array.isArray(feed.items)) {
+    throw new Error('Not a JSON Feed (missing version or items)');
+  }
+
+  return {
+    format: 'json',
+    title: toPlainText(String(feed.title || '')),
+    items: feed.items.map(item => normalizeItem({
+      guid: item.id !== undefined ? String(item.id) : null,
+      title: String(item.title || ''),
+      summary: String(item.summary || item.content_text || item.content_html || ''),
+      link: item.url || item.external_url,
+      published: item.date_published || item.date_modified
+    }))
+  };
+}
+
+function parseXmlFeed(text) {
+  const root = parseXml(text).children[0];
+  if (root?.local === 'rss' || root?.local === 'rdf') return parseRss(root);
+  if (root?.local === 'feed') return parseAtom(root);
+  throw new Error(root ? `Not a feed: <${root.name}>` : 'Not a feed: no root element');
+}
+
+// ============================================================
+// Entry point
+// ============================================================
+
+/**
+ * Parse a feed body. The Content-Type only breaks ties; the document
+ * itself decides the format.
+ */
+export function parseFeed(body, { contentType = '' } = {}) {
+  const text = String(body || '').replace(/^\uFEFF/, '').trim();
+  if (!text) throw new Error('Empty feed');
+
+  const parsed = text.startsWith('{') || (/json/i.test(contentType) && !text.startsWith('<'))
+    ? parseJsonFeed(text)
+    : parseXmlFeed(text);
+
+  return { ...parsed, items: parsed.items.filter(Boolean) };
+}
+
+export default { parseFeed, toPlainText };
@@ -0,0 +1,43 @@
+// ============================================================
+// Headline Safety Screen
+// Trending topics end up in MJ's prompt, and MJ may bring them up
+// with someone who is already struggling. Headlines about suicide,
+// violence, abuse, disasters or war are kept out of that pool. The
+// screen is deliberately broad ("suicide prevention" is filtered
+// too): a missed good story costs little, a bad one surfacing in a
+// fragile moment costs a lot. Filtered items are still stored with
+// their reason so admins can see what the screen is catching.
+// ============================================================
+
+export const DISTRESSING_TOPICS = {
+  suicide_self_harm: [
+    /\bsuicid/i, /\bself[- ]harm/i, /\bself[- ]injur/i, /\bkill(?:s|ed|ing)? (?:him|her|them)sel(?:f|ves)\b/i,
+    /\btook (?:his|her|their) own life\b/i, /\boverdos/i
+  ],
+  violence: [
+    /\bshoot(?:ing|ings|er)\b/i, /\bgunm[ae]n\b/i, /\bmurder/i, /\bstabb/i, /\bterror/i,
+    /\bmassacre/i, /\bhostage/i, /\bbomb(?:ing|ings|ed)?\b/i, /\bhomicide/i
+  ],
+  abuse: [/\babuse/i, /\brape\b/i, /\braped\b/i, /\bsexual assault/i, /\btraffick/i, /\bgrooming\b/i],
+  death_disaster: [
+    /\bdeath toll\b/i, /\bkill(?:s|ed|ing)\b/i, /\bdead\b/i, /\bdies\b/i, /\bdied\b/i, /\bfatal/i,
+    /\bearthquake/i, /\bhurricane/i, /\bwildfire/i, /\btsunami/i, /\bfamine\b/i
+  ],
+  war: [/\bwar\b/i, /\bairstrikes?\b/i, /\binvasion\b/i, /\bmissile/i],
+  eating_disorder: [/\banorexi/i, /\bbulimi/i, /\beating disorder/i, /\bpro-ana\b/i]
+};
+
+/**
+ * { safe, reason } for an item; reason is the first matching topic
+ */
+export function screenHeadline({ title = '', summary = '' } = {}) {
+  const text = `${title}\n${summary}`;
+  for (const [topic, patterns] of Object.entries(DISTRESSING_TOPICS)) {
+    if (patterns.some(pattern => pattern.test(text))) {
+      return { safe: false, reason: topic };
+    }
+  }
+  return { safe: true, reason: null };
+}
+
+export default { screenHeadline, DISTRESSING_TOPICS };
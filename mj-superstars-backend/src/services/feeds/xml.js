@@ -0,0 +1,151 @@
+// ============================================================
+// Minimal XML Reader
+// Enough XML for syndication feeds, with no dependency: elements,
+// attributes, namespaces (kept as prefixes), CDATA, comments,
+// processing instructions, DOCTYPE and character references.
+// Forgiving of the malformed markup real feeds ship: stray closing
+// tags are ignored and unclosed ones are closed by their parent.
+// ============================================================
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  ndash: '–', mdash: '—', hellip: '…', copy: '©', reg: '®', trade: '™'
+};
+
+export const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  }
+  return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+const element = (name, attrs = {}) => ({
+  name,
+  local: name.slice(name.indexOf(':') + 1).toLowerCase(),
+  attrs,
+  children: [],
+  nodes: [],
+  text: ''
+});
+
+const ATTRIBUTE = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+function parseAttributes(source) {
+  const attrs = {};
+  for (const [, name, double, single, bare] of source.matchAll(ATTRIBUTE)) {
+    attrs[name.toLowerCase()] = decodeEntities(double ?? single ?? bare ?? '');
+  }
+  return attrs;
+}
+
+// Index of the '>' closing a tag that starts at `from`, skipping quoted values
+function tagEnd(xml, from) {
+  let quote = null;
+  for (let i = from; i < xml.length; i++) {
+    const c = xml[i];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === '"' || c === '\'') {
+      quote = c;
+    } else if (c === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse a document into { name: '#document', children: [root] }.
+ * Each element is { name, local, attrs, children, nodes, text } where
+ * `local` is the lowercased name without its namespace prefix, `nodes`
+ * interleaves text and child elements in document order, and `text` is
+ * the element's own text (see textContent for descendants).
+ */
+export function parseXml(xml) {
+  const doc = element('#document');
+  const stack = [doc];
+  const top = () => stack[stack.length - 1];
+  const addText = (text) => {
+    top().text += text;
+    top().nodes.push(text);
+  };
+  let i = 0;
+
+  while (i < xml.length) {
+    const lt = xml.indexOf('<', i);
+    if (lt === -1) {
+      addText(decodeEntities(xml.slice(i)));
+      break;
+    }
+    if (lt > i) addText(decodeEntities(xml.slice(i, lt)));
+
+    if (xml.startsWith('<!--', lt)) {
+      const end = xml.indexOf('-->', lt + 4);
+      i = end === -1 ? xml.length : end + 3;
+    } else if (xml.startsWith('<![CDATA[', lt)) {
+      const end = xml.indexOf(']]>', lt + 9);
+      addText(xml.slice(lt + 9, end === -1 ? xml.length : end));
+      i = end === -1 ? xml.length : end + 3;
+    } else if (xml.startsWith('<?', lt)) {
+      const end = xml.indexOf('?>', lt + 2);
+      i = end === -1 ? xml.length : end + 2;
+    } else if (xml.startsWith('<!', lt)) {
+      // DOCTYPE, possibly with an internal subset in [...]
+      const bracket = xml.indexOf('[', lt);
+      const close = xml.indexOf('>', lt);
+      const end = bracket !== -1 && bracket < close ? xml.indexOf(']>', bracket) + 1 : close;
+      i = end <= 0 ? xml.length : end + 1;
+    } else {
+      const end = tagEnd(xml, lt + 1);
+      if (end === -1) break;
+      const tag = xml.slice(lt + 1, end);
+      i = end + 1;
+
+      if (tag[0] === '/') {
+        const name = tag.slice(1).trim();
+        const open = stack.map(el => el.name).lastIndexOf(name);
+        if (open > 0) stack.length = open;
+        continue;
+      }
+
+      const selfClosing = tag.endsWith('/');
+      const body = selfClosing ? tag.slice(0, -1) : tag;
+      const nameEnd = body.search(/\s|$/);
+      const el = element(body.slice(0, nameEnd), parseAttributes(body.slice(nameEnd)));
+      top().children.push(el);
+      top().nodes.push(el);
+      if (!selfClosing) stack.push(el);
+    }
+  }
+
+  return doc;
+}
+
+const matches = (el, name) => el.local === name || el.name.toLowerCase() === name;
+
+/**
+ * First child matching any of `names` (local name like 'title', or a
+ * prefixed one like 'content:encoded' to pin the namespace)
+ */
+export const child = (el, ...names) => {
+  for (const name of names) {
+    const found = el?.children.find(c => matches(c, name));
+    if (found) return found;
+  }
+  return null;
+};
+
+export const children = (el, name) => (el?.children || []).filter(c => matches(c, name));
+
+/**
+ * All text inside an element, descendants included
+ */
+export const textContent = (el) => {
+  if (!el) return '';
+  const collect = (node) => (typeof node === 'string' ? node : node.nodes.map(collect).join(''));
+  return collect(el).trim();
+};
+
+export default { parseXml, decodeEntities, child, children, textContent };
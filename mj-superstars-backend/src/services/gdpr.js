@@ -7,6 +7,8 @@ import pool from '../database/db.js';
 import { logger } from '../utils/logger.js';
 import crypto from 'crypto';
 import { Readable } from 'stream';
+import { VoiceMessageService } from './voiceMessages.js';
+import { ReportService } from './reports.js';
 
 // ============================================================
 // CONFIGURATION
@@ -38,7 +40,10 @@ async function exportUserData(userId) {
       moods: await getUserMoods(client, userId),
       conversations: await getUserConversations(client, userId),
       journalEntries: await getUserJournalEntries(client, userId),
+      aiMemories: await getUserMemories(client, userId),
       tasks: await getUserTasks(client, userId),
+      assessments: await getUserAssessments(client, userId),
+      reports: await getUserReports(client, userId),
       healthData: await getUserHealthData(client, userId),
       subscriptionHistory: await getSubscriptionHistory(client, userId),
       notifications: await getUserNotificationSettings(client, userId),
@@ -154,6 +159,16 @@ async function getUserJournalEntries(client, userId) {
   return result.rows;
 }
 
+async function getUserMemories(client, userId) {
+  const result = await client.query(
+    `SELECT id, memory_type, memory_key, content, source_type, is_pinned,
+            never_mention, user_edited_at, created_at, updated_at
+     FROM ai_memories WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+  return result.rows;
+}
+
 async function getUserTasks(client, userId) {
   const result = await client.query(
     `SELECT id, title, description, status, priority, due_date,
@@ -164,6 +179,30 @@ async function getUserTasks(client, userId) {
   return result.rows;
 }
 
+async function getUserAssessments(client, userId) {
+  const results = await client.query(
+    `SELECT id, instrument, answers, raw_score, score, severity, flags, completed_at
+     FROM assessments WHERE user_id = $1 ORDER BY completed_at DESC`,
+    [userId]
+  );
+  const schedules = await client.query(
+    `SELECT instrument, interval_days, is_enabled, next_due_date, created_at, updated_at
+     FROM assessment_schedules WHERE user_id = $1`,
+    [userId]
+  );
+  return { results: results.rows, schedules: schedules.rows };
+}
+
+async function getUserReports(client, userId) {
+  const result = await client.query(
+    `SELECT id, status, period_start, period_end, journal_entry_ids, download_count,
+            last_downloaded_at, created_at, completed_at, expires_at
+     FROM reports WHERE user_id = $1 ORDER BY created_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
 async function getUserHealthData(client, userId) {
   const result = await client.query(
     `SELECT id, date, steps, sleep_hours, sleep_quality,
@@ -245,6 +284,15 @@ async function deleteUserData(userId, options = {}) {
 
     logger.info(`User data deleted: ${userId} (${hardDelete ? 'hard' : 'soft'})`);
 
+    // Voice recordings and report PDFs live outside the database; a
+    // failure here is logged rather than undoing the committed deletion
+    await VoiceMessageService.removeForUser(userId).catch(err => {
+      logger.error('Failed to remove voice recordings:', { userId, error: err.message });
+    });
+    await ReportService.removeForUser(userId).catch(err => {
+      logger.error('Failed to remove progress reports:', { userId, error: err.message });
+    });
+
     return {
       success: true,
       deletionId,
@@ -278,7 +326,7 @@ async function softDeleteUserData(client, userId) {
 
   // Anonymize conversation content
   await client.query(
-    `UPDATE messages SET content = '[deleted]'
+    `UPDATE messages SET content = '[deleted]', audio_url = NULL
      WHERE conversation_id IN (SELECT id FROM conversations WHERE user_id = $1)`,
     [userId]
   );
@@ -308,6 +356,47 @@ async function softDeleteUserData(client, userId) {
     `DELETE FROM ai_memories WHERE user_id = $1`,
     [userId]
   );
+
+  // Delete memory embeddings (copies of journal and conversation text);
+  // the table only exists where pgvector is installed
+  if (await tableExists(client, 'memory_embeddings')) {
+    await client.query(
+      `DELETE FROM memory_embeddings WHERE user_id = $1`,
+      [userId]
+    );
+  }
+
+  // Delete questionnaire answers (health data)
+  await client.query(
+    `DELETE FROM assessments WHERE user_id = $1`,
+    [userId]
+  );
+  await client.query(
+    `DELETE FROM assessment_schedules WHERE user_id = $1`,
+    [userId]
+  );
+
+  // Delete progress reports (copies of the above)
+  await client.query(
+    `DELETE FROM reports WHERE user_id = $1`,
+    [userId]
+  );
+
+  // Delete the socket replay log and idempotency keys (copies of messages)
+  await client.query(
+    `DELETE FROM socket_events WHERE user_id = $1`,
+    [userId]
+  );
+  await client.query(
+    `DELETE FROM idempotency_keys WHERE user_id = $1`,
+    [userId]
+  );
+}
+
+// Optional tables (memory_embeddings needs pgvector) may be missing
+async function tableExists(client, table) {
+  const result = await client.query(`SELECT to_regclass($1) IS NOT NULL AS exists`, [table]);
+  return result.rows[0]?.exists === true;
 }
 
 async function hardDeleteUserData(client, userId) {
@@ -315,12 +404,19 @@ async function hardDeleteUserData(client, userId) {
   const deleteTables = [
     'analytics_events',
     'user_devices',
+    'memory_embeddings',
+    'socket_events',
+    'idempotency_keys',
+    'user_event_sequences',
     'ai_memories',
     'messages',
     'conversations',
     'moods',
     'journal_entries',
     'tasks',
+    'assessments',
+    'assessment_schedules',
+    'reports',
     'health_summaries',
     'subscription_history',
     'notifications',
@@ -330,6 +426,7 @@ async function hardDeleteUserData(client, userId) {
   ];
 
   for (const table of deleteTables) {
+    if (table === 'memory_embeddings' && !await tableExists(client, table)) continue;
     await client.query(`DELETE FROM ${table} WHERE user_id = $1`, [userId]);
   }
 
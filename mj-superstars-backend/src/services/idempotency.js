@@ -0,0 +1,66 @@
+// ============================================================
+// Idempotency Service
+// Clients attach an idempotency_key to socket writes (send_message,
+// quick_mood, complete_task) and reuse it when retrying after a
+// dropped connection or a missed ack. The first attempt claims the
+// key; a retry gets the stored response instead of writing twice.
+// ============================================================
+
+import { query } from '../database/db.js';
+
+const KEY_PATTERN = /^[A-Za-z0-9_:-]{8,100}$/;
+const KEY_RETENTION_HOURS = 24;
+
+export const IdempotencyService = {
+  isValidKey(key) {
+    return typeof key === 'string' && KEY_PATTERN.test(key);
+  },
+
+  /**
+   * { claimed: true } for the first use of a key, otherwise
+   * { claimed: false, response } where response is null while the
+   * first attempt is still running
+   */
+  async claim(userId, key, event) {
+    const inserted = await query(
+      `INSERT INTO idempotency_keys (user_id, idempotency_key, event)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, idempotency_key) DO NOTHING
+       RETURNING idempotency_key`,
+      [userId, key, event]
+    );
+    if (inserted.rows.length > 0) return { claimed: true };
+
+    const existing = await query(
+      `SELECT response FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2`,
+      [userId, key]
+    );
+    return { claimed: false, response: existing.rows[0]?.response ?? null };
+  },
+
+  async complete(userId, key, response) {
+    await query(
+      `UPDATE idempotency_keys SET response = $3 WHERE user_id = $1 AND idempotency_key = $2`,
+      [userId, key, JSON.stringify(response)]
+    );
+  },
+
+  /**
+   * Give the key back after a failure so the client's retry runs again
+   */
+  async release(userId, key) {
+    await query(
+      `DELETE FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2 AND response IS NULL`,
+      [userId, key]
+    );
+  },
+
+  async prune() {
+    await query(
+      `DELETE FROM idempotency_keys WHERE created_at < NOW() - make_interval(hours => $1)`,
+      [KEY_RETENTION_HOURS]
+    );
+  }
+};
+
+export default IdempotencyService;
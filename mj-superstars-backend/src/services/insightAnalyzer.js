@@ -0,0 +1,255 @@
+// ============================================================
+// Insight Analyzer
+// Looks over a user's recent local days and writes user_insights
+// rows when something stands out:
+//   mood_decline     mood trending down over the last three weeks
+//   mood_drop        a day far below the user's usual range
+//   engagement_drop  a regular user who has gone quiet this week
+//   good_stretch     a week clearly better than the month before it
+// Each row carries the numbers behind it in `data`. A dedupe key
+// (type + the day it's about) and a per-type cooldown keep the same
+// finding from being written twice; the scheduler runs this once a
+// day per user.
+// ============================================================
+
+import { query } from '../database/db.js';
+import { logger } from '../utils/logger.js';
+import { localTime, localDateSql, shiftDate, daysBetween } from './localDay.js';
+import { NotificationService } from './notifications.js';
+import { mean, round, variance, MIN_SD, welchTest, linearTrend } from './stats.js';
+
+const HISTORY_DAYS = 42;
+const DECLINE_WINDOW_DAYS = 21;
+const DECLINE_MIN_DAYS = 10;
+// Fitted drop across the decline window, in mood points
+const DECLINE_MIN_DROP = 0.75;
+const BASELINE_MIN_DAYS = 10;
+const DROP_MIN_Z = 2;
+const DROP_MIN_POINTS = 1.5;
+const STRETCH_MIN_DAYS = 5;
+const STRETCH_MIN_LIFT = 0.5;
+// Active days in the four weeks before this one, and at most this week
+const ENGAGEMENT_REGULAR_DAYS = 12;
+const ENGAGEMENT_QUIET_DAYS = 1;
+const SIGNIFICANCE = 0.05;
+
+export const INSIGHT_TYPES = {
+  mood_decline: {
+    cooldownDays: 7,
+    title: 'Things have been getting heavier',
+    description: "Your mood has been trending down over the last few weeks. That's worth noticing, and it doesn't have to be carried alone. Want to talk through what's been going on?",
+    push: { title: 'Checking in 💙', body: "I've noticed the last few weeks have felt heavier. I'm here if you want to talk." }
+  },
+  mood_drop: {
+    cooldownDays: 3,
+    title: 'A harder day than usual',
+    description: "Today was well below your usual range. Hard days happen, and they pass. A coping tool or a quick chat might help take the edge off.",
+    push: { title: 'Thinking of you 💙', body: 'Today looked like a tough one. Want to take a few minutes together?' }
+  },
+  engagement_drop: {
+    cooldownDays: 14,
+    title: "It's been a quieter week",
+    description: "You usually check in most days, and this week has been quieter. No pressure at all. Whenever you're ready, I'm here.",
+    push: null
+  },
+  good_stretch: {
+    cooldownDays: 14,
+    title: "You're on a good stretch",
+    description: "This past week has been clearly better than the month before it. Take a moment to notice what's been helping, so you can come back to it.",
+    push: { title: 'A good week 🌟', body: "Your mood has been lifting this week. Come see what's been working." }
+  }
+};
+
+const inRange = (date, from, to) => date >= from && date <= to;
+
+function detectDecline(moods, today) {
+  const from = shiftDate(today, 1 - DECLINE_WINDOW_DAYS);
+  const points = [...moods]
+    .filter(([date]) => inRange(date, from, today))
+    .map(([date, mood]) => ({ x: daysBetween(from, date), y: mood }));
+  if (points.length < DECLINE_MIN_DAYS) return null;
+
+  const trend = linearTrend(points);
+  const drop = trend.slope * (DECLINE_WINDOW_DAYS - 1);
+  if (trend.p_value > SIGNIFICANCE || drop > -DECLINE_MIN_DROP) return null;
+
+  return {
+    type: 'mood_decline',
+    date: today,
+    data: {
+      window_days: DECLINE_WINDOW_DAYS,
+      days_logged: trend.n,
+      slope_per_week: round(trend.slope * 7),
+      fitted_start: round(trend.intercept),
+      fitted_end: round(trend.intercept + drop),
+      p_value: round(trend.p_value)
+    }
+  };
+}
+
+function detectDrop(moods, today) {
+  const latest = [today, shiftDate(today, -1)].find(date => moods.has(date));
+  if (!latest) return null;
+
+  const baseline = [...moods]
+    .filter(([date]) => inRange(date, shiftDate(latest, -28), shiftDate(latest, -1)))
+    .map(([, mood]) => mood);
+  if (baseline.length < BASELINE_MIN_DAYS) return null;
+
+  const usual = mean(baseline);
+  const sd = Math.max(MIN_SD, Math.sqrt(variance(baseline)));
+  const mood = moods.get(latest);
+  const z = (mood - usual) / sd;
+  if (z > -DROP_MIN_Z || usual - mood < DROP_MIN_POINTS) return null;
+
+  return {
+    type: 'mood_drop',
+    date: latest,
+    data: { mood: round(mood), usual_mood: round(usual), baseline_days: baseline.length, z_score: round(z) }
+  };
+}
+
+function detectGoodStretch(moods, today) {
+  const weekStart = shiftDate(today, -6);
+  const recent = [...moods].filter(([date]) => inRange(date, weekStart, today)).map(([, mood]) => mood);
+  const before = [...moods]
+    .filter(([date]) => inRange(date, shiftDate(weekStart, -28), shiftDate(weekStart, -1)))
+    .map(([, mood]) => mood);
+  if (recent.length < STRETCH_MIN_DAYS || before.length < BASELINE_MIN_DAYS) return null;
+
+  const test = welchTest(recent, before);
+  if (test.p_value > SIGNIFICANCE || test.difference < STRETCH_MIN_LIFT) return null;
+
+  return {
+    type: 'good_stretch',
+    date: today,
+    data: {
+      week_mood: round(test.mean_with),
+      usual_mood: round(test.mean_without),
+      lift: round(test.difference),
+      ci_low: round(test.ci_low),
+      ci_high: round(test.ci_high),
+      p_value: round(test.p_value)
+    }
+  };
+}
+
+function detectEngagementDrop(activeDays, today) {
+  const weekStart = shiftDate(today, -6);
+  const recent = activeDays.filter(date => inRange(date, weekStart, today));
+  const before = activeDays.filter(date => inRange(date, shiftDate(weekStart, -28), shiftDate(weekStart, -1)));
+  if (before.length < ENGAGEMENT_REGULAR_DAYS || recent.length > ENGAGEMENT_QUIET_DAYS) return null;
+
+  const lastActive = [...activeDays].sort().pop();
+  return {
+    type: 'engagement_drop',
+    date: weekStart,
+    data: {
+      active_days_before: before.length,
+      active_days_this_week: recent.length,
+      last_active_date: lastActive,
+      days_since_active: daysBetween(lastActive, today)
+    }
+  };
+}
+
+/**
+ * What stands out in plain data (no database):
+ *   daily       [{ date, avg_mood }] local days with mood entries
+ *   activeDays  local dates with any mood entry or conversation
+ *   today       the user's local date
+ * Returns [{ type, date, data }], date being the day the finding is
+ * about (part of its dedupe key).
+ */
+export function detectAnomalies({ daily, activeDays = [], today }) {
+  const moods = new Map(daily.map(d => [d.date, Number(d.avg_mood)]));
+  const active = [...new Set([...activeDays, ...moods.keys()])];
+
+  return [
+    detectDecline(moods, today),
+    detectDrop(moods, today),
+    detectGoodStretch(moods, today),
+    detectEngagementDrop(active, today)
+  ].filter(Boolean);
+}
+
+export const InsightAnalyzer = {
+  /**
+   * Analyze one user ({ id, timezone }) and store anything new.
+   * With `notify`, pushes the insights that have a push message.
+   * Returns the rows written.
+   */
+  async analyzeUser(user, { notify = false } = {}) {
+    const local = localTime(user.timezone);
+    const params = [user.id, shiftDate(local.date, 1 - HISTORY_DAYS), local.timezone];
+    const since = (column) => `${column} >= ($2::date::timestamp AT TIME ZONE $3)`;
+
+    const [daily, conversationDays] = await Promise.all([
+      query(
+        `SELECT ${localDateSql('created_at', '$3')}::text as date, AVG(mood_score)::float as avg_mood
+         FROM mood_entries
+         WHERE user_id = $1 AND ${since('created_at')}
+         GROUP BY 1`,
+        params
+      ),
+      query(
+        `SELECT DISTINCT ${localDateSql('started_at', '$3')}::text as date
+         FROM conversations
+         WHERE user_id = $1 AND ${since('started_at')}`,
+        params
+      )
+    ]);
+
+    const findings = detectAnomalies({
+      daily: daily.rows,
+      activeDays: conversationDays.rows.map(r => r.date),
+      today: local.date
+    });
+
+    const created = [];
+    for (const finding of findings) {
+      const type = INSIGHT_TYPES[finding.type];
+
+      // Skipped when the same finding is already stored, or one of this
+      // type is still inside its cooldown
+      const result = await query(
+        `INSERT INTO user_insights (user_id, insight_type, title, description, data, dedupe_key)
+         SELECT $1, $2, $3, $4, $5, $6
+         WHERE NOT EXISTS (
+           SELECT 1 FROM user_insights
+           WHERE user_id = $1 AND insight_type = $2
+             AND generated_at > NOW() - make_interval(days => $7)
+         )
+         ON CONFLICT (user_id, dedupe_key) DO NOTHING
+         RETURNING *`,
+        [
+          user.id,
+          finding.type,
+          type.title,
+          type.description,
+          JSON.stringify({ ...finding.data, date: finding.date }),
+          `${finding.type}:${finding.date}`,
+          type.cooldownDays
+        ]
+      );
+      if (result.rows.length === 0) continue;
+
+      const insight = result.rows[0];
+      created.push(insight);
+      logger.info('Insight generated:', { userId: user.id, type: finding.type });
+
+      if (notify && type.push) {
+        await NotificationService.sendToUser(user.id, type.push, {
+          type: 'insight',
+          action: 'open_insights',
+          insightId: insight.id,
+          insightType: finding.type
+        }).catch(err => logger.warn('Insight push failed:', err.message));
+      }
+    }
+
+    return created;
+  }
+};
+
+export default InsightAnalyzer;
@@ -180,6 +180,7 @@ const JobTypes = {
   PROCESS_AI_RESPONSE: 'process_ai_response',
   GENERATE_INSIGHTS: 'generate_insights',
   SUMMARIZE_JOURNAL: 'summarize_journal',
+  SUMMARIZE_CONVERSATION: 'summarize_conversation',
 
   // Analytics
   TRACK_EVENT: 'track_event',
@@ -389,6 +390,24 @@ const aiJobs = {
       entryIds,
     });
   },
+
+  /**
+   * End-of-session summary, mood delta and threading for a conversation
+   */
+  async summarizeConversation(conversationId, userId, { keepSummary = false } = {}) {
+    const data = { conversationId, userId, keepSummary };
+
+    if (!bullAvailable) {
+      // No worker without Redis - run in-process so dev/demo still get summaries
+      const { ConversationSummaryService } = await import('./conversationSummary.js');
+      ConversationSummaryService.process(data).catch(err =>
+        logger.error('Inline conversation summary failed', { conversationId, error: err.message })
+      );
+      return { id: `inline-${Date.now()}`, queue: { name: 'ai' }, data, opts: {} };
+    }
+
+    return addJob('ai', JobTypes.SUMMARIZE_CONVERSATION, data);
+  },
 };
 
 // ============================================================
@@ -481,13 +500,23 @@ const exportJobs = {
   },
 
   /**
-   * Generate PDF report
+   * Render a progress report PDF recorded by ReportService.create
    */
-  async generatePDFReport(userId, reportType, dateRange) {
-    return addJob('exports', JobTypes.GENERATE_PDF_REPORT, {
-      userId,
-      reportType,
-      dateRange,
+  async generatePDFReport(reportId, userId) {
+    const data = { reportId, userId };
+
+    if (!bullAvailable) {
+      // No worker without Redis - render in-process so reports still arrive
+      const { ReportService } = await import('./reports.js');
+      ReportService.generate(data).catch(err =>
+        logger.error('Inline report generation failed', { reportId, error: err.message })
+      );
+      return { id: `inline-${Date.now()}`, queue: { name: 'exports' }, data, opts: {} };
+    }
+
+    return addJob('exports', JobTypes.GENERATE_PDF_REPORT, data, {
+      attempts: 2,
+      timeout: 2 * 60 * 1000, // 2 minute timeout
     });
   },
 };
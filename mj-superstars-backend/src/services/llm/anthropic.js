@@ -0,0 +1,125 @@
+// ============================================================
+// LLM Provider - Anthropic (Claude) Adapter
+// ============================================================
+
+import { logger } from '../../utils/logger.js';
+
+let client = null;
+
+const getClient = async () => {
+  if (client) return client;
+
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey || apiKey === 'demo-mode') {
+    throw new Error('Claude API not configured. Set ANTHROPIC_API_KEY environment variable.');
+  }
+
+  const { default: Anthropic } = await import('@anthropic-ai/sdk');
+  client = new Anthropic({ apiKey });
+  return client;
+};
+
+const toText = (content = []) => content
+  .filter(block => block.type === 'text')
+  .map(block => block.text)
+  .join('');
+
+const toToolCalls = (content = []) => content
+  .filter(block => block.type === 'tool_use')
+  .map(block => ({ id: block.id, name: block.name, input: block.input || {} }));
+
+export const anthropicProvider = {
+  name: 'anthropic',
+
+  /**
+   * Whether this provider can serve requests in the current environment
+   */
+  isConfigured() {
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    return Boolean(apiKey && apiKey !== 'demo-mode');
+  },
+
+  /**
+   * Single-shot completion
+   */
+  async complete({ model, system, messages, maxTokens, tools }) {
+    const anthropic = await getClient();
+
+    const response = await anthropic.messages.create({
+      model,
+      max_tokens: maxTokens,
+      ...(system && { system }),
+      ...(tools?.length && { tools }),
+      messages
+    });
+
+    return {
+      text: toText(response.content),
+      toolCalls: toToolCalls(response.content),
+      stopReason: response.stop_reason,
+      usage: {
+        input_tokens: response.usage?.input_tokens || 0,
+        output_tokens: response.usage?.output_tokens || 0
+      }
+    };
+  },
+
+  /**
+   * Streaming completion. Calls onText(delta) per chunk. Aborting via
+   * signal resolves (rather than rejects) with aborted: true and the
+   * partial text/usage received so far.
+   */
+  async stream({ model, system, messages, maxTokens, tools, onText, signal }) {
+    const anthropic = await getClient();
+
+    let text = '';
+    const usage = { input_tokens: 0, output_tokens: 0 };
+
+    if (signal?.aborted) {
+      return { text, usage, aborted: true };
+    }
+
+    const stream = anthropic.messages.stream({
+      model,
+      max_tokens: maxTokens,
+      ...(system && { system }),
+      ...(tools?.length && { tools }),
+      messages
+    });
+
+    const abort = () => stream.abort();
+    signal?.addEventListener('abort', abort, { once: true });
+
+    stream.on('text', (delta) => {
+      text += delta;
+      onText?.(delta);
+    });
+
+    // Track usage from raw events so it survives an abort
+    stream.on('streamEvent', (event) => {
+      if (event.type === 'message_start') {
+        usage.input_tokens = event.message.usage?.input_tokens || 0;
+        usage.output_tokens = event.message.usage?.output_tokens || 0;
+      } else if (event.type === 'message_delta') {
+        usage.output_tokens = event.usage?.output_tokens ?? usage.output_tokens;
+      }
+    });
+
+    try {
+      const final = await stream.finalMessage();
+      return { text, usage, aborted: false, toolCalls: toToolCalls(final.content), stopReason: final.stop_reason };
+    } catch (error) {
+      if (signal?.aborted) {
+        logger.debug('Anthropic stream aborted', { chars: text.length });
+        return { text, usage, aborted: true };
+      }
+      error.partialText = text;
+      error.usage = usage;
+      throw error;
+    } finally {
+      signal?.removeEventListener('abort', abort);
+    }
+  }
+};
+
+export default anthropicProvider;
@@ -0,0 +1,228 @@
+// ============================================================
+// LLM Provider - Fake Coach (offline, deterministic)
+// Used for demo mode, the mock DB and Jest so the full chat
+// pipeline runs without network access or an API key.
+// ============================================================
+
+import {
+  CHAT_FIXTURES,
+  WEEKLY_STORY_FIXTURE,
+  AFFIRMATION_FIXTURE,
+  JOURNAL_PROMPT_FIXTURE,
+  SUMMARY_FIXTURE,
+  CRISIS_PHRASES
+} from './fakeCoachFixtures.js';
+
+const CHUNK_DELAY_MS = parseInt(process.env.FAKE_LLM_CHUNK_DELAY_MS) || 0;
+
+const POSITIVE_WORDS = ['great', 'amazing', 'awesome', 'happy', 'proud', 'excited', 'finished', 'completed', 'did it', 'accomplished'];
+const NEGATIVE_WORDS = ['sad', 'anxious', 'stressed', 'angry', 'frustrated', 'awful', 'worried', 'lonely', 'overwhelmed', 'exhausted', 'hurt'];
+const PARALYSIS_WORDS = ['procrastinat', "can't start", 'cant start', 'stuck', 'too much to do', 'so many tasks', 'paralyzed'];
+const SESSION_TOPICS = {
+  work: ['work', 'job', 'boss', 'deadline', 'meeting', 'coworker', 'manager'],
+  family: ['sister', 'brother', 'mom', 'dad', 'parents', 'family', 'son', 'daughter'],
+  relationships: ['partner', 'wife', 'husband', 'boyfriend', 'girlfriend', 'friend', 'dating'],
+  sleep: ['sleep', 'insomnia', 'tired', 'awake'],
+  anxiety: ['anxious', 'nervous', 'panic', 'worried', 'worry'],
+  health: ['doctor', 'sick', 'exercise', 'run', 'gym', 'therapy'],
+  school: ['exam', 'class', 'school', 'homework', 'study']
+};
+const RELATIONSHIPS = ['sister', 'brother', 'mom', 'dad', 'partner', 'wife', 'husband', 'boyfriend', 'girlfriend', 'friend', 'boss', 'son', 'daughter'];
+
+// Stable string hash so the same input always picks the same variant
+const hash = (text) => {
+  let h = 0;
+  for (let i = 0; i < text.length; i++) {
+    h = (h * 31 + text.charCodeAt(i)) | 0;
+  }
+  return Math.abs(h);
+};
+
+const pick = (variants, seed) => variants[hash(seed) % variants.length];
+
+// Rough token estimate (~4 chars/token) so usage accounting still works
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const lastUserText = (messages = []) => {
+  const last = [...messages].reverse().find(m => m.role === 'user');
+  if (!last) return '';
+  return typeof last.content === 'string'
+    ? last.content
+    : (last.content || []).filter(b => b.type === 'text').map(b => b.text).join(' ');
+};
+
+/**
+ * Classify a user message into one of the fixture intents
+ */
+export const classifyIntent = (text) => {
+  const msg = (text || '').toLowerCase();
+  const count = (words) => words.filter(w => msg.includes(w)).length;
+
+  if (CRISIS_PHRASES.some(p => msg.includes(p))) return 'crisis';
+  if (count(PARALYSIS_WORDS) > 0) return 'task_paralysis';
+  if (count(NEGATIVE_WORDS) >= 2 || (count(NEGATIVE_WORDS) === 1 && msg.length > 80)) return 'venting';
+  if (count(POSITIVE_WORDS) > 0) return 'sharing_win';
+  if (msg.includes('advice') || msg.includes('should i') || msg.includes('help me')) return 'seeking_advice';
+  if (msg.includes('?')) return 'asking_question';
+  return 'casual_chat';
+};
+
+// ============================================================
+// Purpose-specific responders
+// ============================================================
+
+const responders = {
+  chat(input) {
+    return pick(CHAT_FIXTURES[classifyIntent(input)], input);
+  },
+
+  personalization(input) {
+    const extractions = [];
+    const pattern = new RegExp(`\\b[Mm]y (${RELATIONSHIPS.join('|')})(?:,)? ([A-Z][a-z]+)`, 'g');
+    for (const match of input.matchAll(pattern)) {
+      extractions.push({ type: 'person', data: { name: match[2], relationship: match[1] }, confidence: 0.8 });
+    }
+    const job = input.match(/\bI work (?:as|at) (?:an? )?([\w\s]{2,40}?)(?:[.,!]|$)/i);
+    if (job) {
+      extractions.push({ type: 'work', data: { job: job[1].trim() }, confidence: 0.7 });
+    }
+    return JSON.stringify(extractions);
+  },
+
+  crisis(input) {
+    const msg = input.toLowerCase();
+    const indicators = CRISIS_PHRASES.filter(p => msg.includes(p));
+    const isCrisis = indicators.length > 0;
+    return JSON.stringify({
+      is_crisis: isCrisis,
+      severity: isCrisis ? 'high' : 'none',
+      indicators,
+      recommended_action: isCrisis ? 'immediate_resources' : 'continue_support'
+    });
+  },
+
+  memory_extraction(input) {
+    const memories = [];
+    const job = input.match(/\bI work (?:as|at) (?:an? )?([\w\s]{2,40}?)(?:[.,!\n]|$)/i);
+    if (job) {
+      memories.push({ type: 'life_context', key: 'job', content: `Works ${job[0].match(/\bas\b/i) ? 'as' : 'at'} ${job[1].trim()}`, importance: 3, confidence: 0.8 });
+    }
+    const goal = input.match(/\bI want to ([^.!?\n]{3,80})/i);
+    if (goal) {
+      memories.push({ type: 'goals', key: `goal_${hash(goal[1]) % 1000}`, content: `Wants to ${goal[1].trim()}`, importance: 3, confidence: 0.7 });
+    }
+    return JSON.stringify(memories);
+  },
+
+  weekly_story: () => WEEKLY_STORY_FIXTURE,
+  affirmation: () => AFFIRMATION_FIXTURE,
+  journal_prompt: () => JOURNAL_PROMPT_FIXTURE,
+  summary: () => SUMMARY_FIXTURE,
+
+  session_summary(input) {
+    const userLines = input.split('\n').filter(line => line.startsWith('user:'));
+    const userText = userLines.join(' ').toLowerCase();
+    const topics = Object.entries(SESSION_TOPICS)
+      .filter(([, words]) => words.some(w => new RegExp(`\\b${w}`).test(userText)))
+      .map(([topic]) => topic);
+    const ending = classifyIntent(userLines[userLines.length - 1] || '');
+    const endMood = { sharing_win: 4, casual_chat: 3, asking_question: 3, seeking_advice: 3, task_paralysis: 2, venting: 2, crisis: 1 }[ending];
+    return JSON.stringify({
+      title: topics.length > 0 ? `Talking through ${topics.slice(0, 2).join(' and ')}` : 'Checking in',
+      summary: topics.length > 0
+        ? `Talked about ${topics.join(' and ')}: "${(userLines[0] || '').slice('user: '.length, 160)}"`
+        : SUMMARY_FIXTURE,
+      topics,
+      end_mood: endMood
+    });
+  }
+};
+
+// Phrases that make the fake coach propose a tool call (chat only)
+const TOOL_TRIGGERS = [
+  {
+    name: 'create_task',
+    pattern: /\b(?:remind me to|add (?:a )?task(?: to)?|i need to|i have to)\s+([^.!?\n]{3,80})/i,
+    input: (m) => ({ title: m[1].trim().replace(/^./, c => c.toUpperCase()), difficulty: 'small' })
+  },
+  {
+    name: 'log_mood',
+    pattern: /\b([1-5])\s*(?:\/|out of)\s*5\b/i,
+    input: (m, text) => ({ mood_score: parseInt(m[1]), note: text.slice(0, 200) })
+  },
+  {
+    name: 'set_morning_intention',
+    pattern: /\b(?:my )?(?:intention|focus) (?:for )?today (?:is|will be) (?:to )?([^.!?\n]{3,120})/i,
+    input: (m) => ({ intention_text: m[1].trim() })
+  },
+  {
+    name: 'start_coping_exercise',
+    pattern: /\b(panic|anxious|can't breathe|overwhelmed)\b/i,
+    input: (m) => ({ category: m[1].toLowerCase() === 'overwhelmed' ? 'grounding' : 'breathing', reason: `You mentioned feeling ${m[1].toLowerCase()}` })
+  }
+];
+
+const proposeToolCalls = (text, tools = []) => {
+  const available = new Set(tools.map(t => t.name));
+  return TOOL_TRIGGERS
+    .filter(trigger => available.has(trigger.name))
+    .map(trigger => ({ trigger, match: text.match(trigger.pattern) }))
+    .filter(({ match }) => match)
+    .map(({ trigger, match }) => ({
+      id: `fake_tool_${hash(trigger.name + text)}`,
+      name: trigger.name,
+      input: trigger.input(match, text)
+    }));
+};
+
+const respond = ({ purpose = 'chat', input, messages }) => {
+  const text = input ?? lastUserText(messages);
+  const responder = responders[purpose] || responders.chat;
+  return responder(text);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const fakeCoachProvider = {
+  name: 'fake',
+
+  isConfigured() {
+    return true;
+  },
+
+  async complete({ purpose, input, system, messages, tools }) {
+    const text = respond({ purpose, input, messages });
+    const promptText = (system || '') + messages.map(m => (typeof m.content === 'string' ? m.content : '')).join('\n');
+    const toolCalls = tools?.length ? proposeToolCalls(input ?? lastUserText(messages), tools) : [];
+
+    return {
+      text,
+      toolCalls,
+      stopReason: toolCalls.length ? 'tool_use' : 'end_turn',
+      usage: {
+        input_tokens: estimateTokens(promptText),
+        output_tokens: estimateTokens(text)
+      }
+    };
+  },
+
+  async stream({ purpose, input, system, messages, tools, onText, signal }) {
+    const { text: full, usage, toolCalls, stopReason } = await this.complete({ purpose, input, system, messages, tools });
+
+    // Emit word-by-word so clients exercise the same chunk handling
+    const chunks = full.match(/\S+\s*/g) || [];
+    let text = '';
+    for (const chunk of chunks) {
+      if (signal?.aborted) {
+        return { text, usage: { ...usage, output_tokens: estimateTokens(text) }, aborted: true };
+      }
+      text += chunk;
+      onText?.(chunk);
+      if (CHUNK_DELAY_MS) await sleep(CHUNK_DELAY_MS);
+    }
+
+    return { text, usage, aborted: false, toolCalls, stopReason };
+  }
+};
+
+export default fakeCoachProvider;
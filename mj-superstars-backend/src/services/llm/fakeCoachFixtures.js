@@ -0,0 +1,55 @@
+// ============================================================
+// Fake Coach Fixtures
+// Scripted responses for the offline LLM provider, keyed by intent.
+// Keep these short and in White Mike's voice so demo mode feels real.
+// ============================================================
+
+export const CHAT_FIXTURES = {
+  crisis: [
+    "I'm really glad you told me, and I'm taking this seriously. You don't have to carry this alone right now. Please reach out to the 988 Suicide & Crisis Lifeline (call or text 988) or text HOME to 741741 — they're there 24/7. Can you tell me if you're safe right now?"
+  ],
+  venting: [
+    "I hear you. That is a LOT to be holding at once, and it makes sense you're feeling it. Let's set it all down for a second — what's the one piece of this that's weighing on you the most right now?",
+    "That sounds genuinely heavy. No fixing yet — I just want you to know it's real and it counts. When you're ready: what's one tiny thing that would make the next hour a little lighter?"
+  ],
+  sharing_win: [
+    "YOOO! You actually did it?! That's a W and I need you to let it sink in for a second 🔥 How does it feel? And what's the next quick win we're stacking on top of it?",
+    "LET'S GO!! That's one more in the win column. That's not luck — that's reps paying off. What's next on the board?"
+  ],
+  seeking_advice: [
+    "OK let's game-plan this. First question: what's the SMALLEST version of this you could do in the next 10 minutes? We start there, get the momentum, then build.",
+    "Real talk — I think you already know part of the answer. What does your gut say? Tell me that and we'll chunk it into steps together."
+  ],
+  asking_question: [
+    "Great question. Here's how I'd break it down: start with what's in your control, pick the easiest piece, and knock it out first. What part of this feels most in your control right now?"
+  ],
+  task_paralysis: [
+    "Your brain is trying to carry everything at once — that's a paralyzed brain, not a broken one. Let's strip it down to ONE thing. Which task on your list could you finish in 5 minutes? That's our first rep."
+  ],
+  casual_chat: [
+    "Hey! Good to see you 👋 What's the vibe today — are we tackling something, celebrating something, or just checking in?",
+    "I'm here! What's on your mind today? Give me the real version, not the polite one 😄"
+  ]
+};
+
+export const WEEKLY_STORY_FIXTURE = "You kept showing up for yourself this week, and that's the whole game. One moment stood out: you followed through even when it would've been easier not to. Carry that same energy into next week — one rep at a time.";
+
+export const AFFIRMATION_FIXTURE = "You've handled hard days before, and you're building the strength to handle this one too.";
+
+export const JOURNAL_PROMPT_FIXTURE = "What's one moment from today you'd like to remember, and what does it say about who you're becoming?";
+
+export const SUMMARY_FIXTURE = "The user checked in about how they're doing and talked through what's on their mind. MJ helped them focus on one small next step.";
+
+export const CRISIS_PHRASES = [
+  'suicide', 'kill myself', 'end it all', 'self-harm', 'hurt myself',
+  "don't want to live", 'want to die', 'no reason to live'
+];
+
+export default {
+  CHAT_FIXTURES,
+  WEEKLY_STORY_FIXTURE,
+  AFFIRMATION_FIXTURE,
+  JOURNAL_PROMPT_FIXTURE,
+  SUMMARY_FIXTURE,
+  CRISIS_PHRASES
+};
@@ -0,0 +1,91 @@
+// ============================================================
+// LLM Provider Registry
+// Every AI call goes through getProvider() so the backend can run
+// against Claude in production and the offline fake coach in demo
+// mode and tests.
+//
+// Provider interface:
+//   name: string
+//   isConfigured(): boolean
+//   complete({ model, system, messages, maxTokens, tools, purpose, input })
+//     -> { text, toolCalls: [{ id, name, input }], usage: { input_tokens, output_tokens }, stopReason }
+//   stream({ ...same, onText, signal })
+//     -> { text, toolCalls, usage, aborted, stopReason }
+//     A stream that fails partway rejects with `partialText` and
+//     `usage` (tokens spent so far) set on the error.
+//
+// `tools` uses Anthropic's tool schema ({ name, description, input_schema });
+// other adapters translate it. Tool calls are returned, never executed here.
+//
+// `purpose` ('chat', 'personalization', 'crisis', 'memory_extraction',
+// 'weekly_story', 'affirmation', 'journal_prompt', 'summary',
+// 'session_summary') and `input` (the raw user text) are hints only real
+// providers can ignore; the fake coach uses them to pick a fixture.
+// ============================================================
+
+import { logger } from '../../utils/logger.js';
+import { anthropicProvider } from './anthropic.js';
+import { fakeCoachProvider } from './fakeCoach.js';
+
+const providers = new Map([
+  [anthropicProvider.name, anthropicProvider],
+  [fakeCoachProvider.name, fakeCoachProvider]
+]);
+
+let activeProvider = null;
+
+/**
+ * Pick a provider: LLM_PROVIDER wins; otherwise the fake coach under
+ * tests or in demo mode, and Claude everywhere else. Without a key Claude
+ * rejects every call, so a misconfigured deploy fails loudly instead of
+ * serving canned replies (and US-only crisis lines) to real users.
+ */
+const resolveProvider = () => {
+  const requested = process.env.LLM_PROVIDER;
+  if (requested) {
+    const provider = providers.get(requested);
+    if (!provider) {
+      throw new Error(`Unknown LLM_PROVIDER "${requested}". Available: ${[...providers.keys()].join(', ')}`);
+    }
+    return provider;
+  }
+
+  if (process.env.NODE_ENV === 'test' || process.env.ANTHROPIC_API_KEY === 'demo-mode') {
+    return fakeCoachProvider;
+  }
+
+  if (!anthropicProvider.isConfigured()) {
+    logger.warn('⚠️  ANTHROPIC_API_KEY not configured — AI chat features disabled');
+  }
+  return anthropicProvider;
+};
+
+export const getProvider = () => {
+  if (!activeProvider) {
+    activeProvider = resolveProvider();
+    logger.info(`LLM provider: ${activeProvider.name}`);
+  }
+  return activeProvider;
+};
+
+/**
+ * Register an additional provider (e.g. another vendor's adapter)
+ */
+export const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Force a specific provider (tests) or pass null to re-resolve from env
+ */
+export const setProvider = (nameOrProvider) => {
+  if (nameOrProvider === null) {
+    activeProvider = null;
+    return;
+  }
+  activeProvider = typeof nameOrProvider === 'string'
+    ? providers.get(nameOrProvider)
+    : nameOrProvider;
+};
+
+export default { getProvider, registerProvider, setProvider };
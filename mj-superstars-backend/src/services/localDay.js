@@ -0,0 +1,117 @@
+// ============================================================
+// Local Day
+// "Today" is the user's calendar day, not the server's. Everything
+// that buckets by day (streaks, "today" lists, one-ritual-per-day,
+// daily trends) takes its date and timezone from here, so a user in
+// Tokyo or Honolulu sees their own midnight.
+//
+// In SQL, compare dates rather than CURRENT_DATE:
+//   WHERE date = $2                                  -- local DATE columns
+//   WHERE ${localDateSql('created_at', '$3')} = $2   -- timestamps
+// ============================================================
+
+import { query } from '../database/db.js';
+import { logger } from '../utils/logger.js';
+
+export const DEFAULT_TIMEZONE = 'America/New_York';
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const validTimezones = new Map();
+
+/**
+ * The timezone to use for a stored users.timezone value. Unknown or
+ * missing zones fall back to DEFAULT_TIMEZONE (the column default).
+ */
+export function resolveTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return DEFAULT_TIMEZONE;
+  if (!validTimezones.has(timezone)) {
+    let valid = true;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      valid = false;
+    }
+    validTimezones.set(timezone, valid);
+  }
+  return validTimezones.get(timezone) ? timezone : DEFAULT_TIMEZONE;
+}
+
+export const isValidTimezone = (timezone) =>
+  typeof timezone === 'string' && resolveTimezone(timezone) === timezone;
+
+// 'morning' (5-12), 'afternoon' (12-17), 'evening' (17-21) or 'night'
+export function timeOfDay(hour) {
+  if (hour >= 5 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 17) return 'afternoon';
+  if (hour >= 17 && hour < 21) return 'evening';
+  return 'night';
+}
+
+// 'YYYY-MM-DD' moved by whole days
+export function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+// Whole days from one 'YYYY-MM-DD' to another (0 for the same day)
+export const daysBetween = (from, to) =>
+  Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+
+/**
+ * The wall clock in a timezone at `at`:
+ * { timezone, date: 'YYYY-MM-DD', yesterday, hour, minute, dayOfWeek (0 = Sunday), timeOfDay }
+ */
+export function localTime(timezone, at = new Date()) {
+  const zone = resolveTimezone(timezone);
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23'
+    }).formatToParts(at).map(p => [p.type, p.value])
+  );
+
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  const hour = parseInt(parts.hour);
+  return {
+    timezone: zone,
+    date,
+    yesterday: shiftDate(date, -1),
+    hour,
+    minute: parseInt(parts.minute),
+    dayOfWeek: WEEKDAYS[parts.weekday],
+    timeOfDay: timeOfDay(hour)
+  };
+}
+
+/**
+ * SQL for the local calendar date of a timestamptz column, with the
+ * timezone bound as a parameter: localDateSql('created_at', '$2')
+ */
+export const localDateSql = (column, timezoneParam) => `(${column} AT TIME ZONE ${timezoneParam})::date`;
+
+/**
+ * Local time for a user. Takes the user row when it's at hand
+ * (req.user and socket.user carry timezone), otherwise looks it up.
+ */
+export async function localTimeForUser(userOrId, at = new Date()) {
+  if (userOrId && typeof userOrId === 'object' && 'timezone' in userOrId) {
+    return localTime(userOrId.timezone, at);
+  }
+
+  const userId = typeof userOrId === 'object' ? userOrId?.id : userOrId;
+  try {
+    const result = await query(`SELECT timezone FROM users WHERE id = $1`, [userId]);
+    return localTime(result.rows[0]?.timezone, at);
+  } catch (error) {
+    logger.warn('Failed to load user timezone:', { userId, error: error.message });
+    return localTime(null, at);
+  }
+}
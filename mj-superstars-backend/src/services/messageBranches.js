@@ -0,0 +1,190 @@
+// ============================================================
+// Message Branch Service
+// Regenerated replies and edited messages are kept as alternatives
+// instead of overwriting history. Every message points at its parent;
+// a branch is a run of messages written one after another (the main
+// line's branch_id is the conversation id). The conversation's
+// active_branch_id decides which path the chat shows and which
+// history the context builder sends to Claude.
+// ============================================================
+
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../database/db.js';
+
+const MESSAGE_COLUMNS = `id, parent_id, branch_id, role, content, mood_detected, topics, intent,
+  is_voice, audio_url, audio_duration, created_at`;
+
+export const MessageBranchService = {
+  /**
+   * The branch a conversation is currently on
+   */
+  activeBranchId(conversation) {
+    return conversation.active_branch_id || conversation.id;
+  },
+
+  /**
+   * Messages on the path ending at `upTo` (default: the newest message
+   * on the active branch), oldest first. `upTo: null` means the path is
+   * empty, e.g. when regenerating the reply to the first message.
+   * `after` stops the walk at messages already folded into a summary:
+   * the first message at or before it is the last one returned, so
+   * callers can see where the path crossed the fold.
+   */
+  async getPath(conversation, { upTo, after = null, limit = 200 } = {}) {
+    if (upTo === null) return [];
+
+    const result = await query(
+      `WITH RECURSIVE path AS (
+         SELECT ${MESSAGE_COLUMNS}, 1 AS depth
+         FROM messages
+         WHERE id = COALESCE($2::uuid, (
+                 SELECT id FROM messages
+                 WHERE conversation_id = $1 AND branch_id = $3
+                 ORDER BY created_at DESC, id DESC
+                 LIMIT 1
+               ))
+           AND conversation_id = $1
+         UNION ALL
+         SELECT m.id, m.parent_id, m.branch_id, m.role, m.content, m.mood_detected, m.topics, m.intent,
+                m.is_voice, m.audio_url, m.audio_duration, m.created_at, path.depth + 1
+         FROM messages m
+         JOIN path ON m.id = path.parent_id
+         WHERE path.depth < $5
+           AND ($4::timestamptz IS NULL OR path.created_at > $4)
+       )
+       SELECT * FROM path
+       ORDER BY depth`,
+      [conversation.id, upTo || null, this.activeBranchId(conversation), after, limit]
+    );
+
+    // Newest first from the walk; callers want chronological order
+    return result.rows.reverse();
+  },
+
+  async getMessage(conversationId, messageId) {
+    const result = await query(
+      `SELECT ${MESSAGE_COLUMNS} FROM messages
+       WHERE id = $1 AND conversation_id = $2`,
+      [messageId, conversationId]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Mark each message that has alternatives with
+   * `alternatives: { index, count, ids }` (ids in creation order) so
+   * clients can flip between them. Others get `alternatives: null`.
+   */
+  async withAlternatives(conversationId, messages) {
+    if (messages.length === 0) return messages;
+
+    const parentIds = messages.map(m => m.parent_id).filter(Boolean);
+    const result = await query(
+      `SELECT id, parent_id, role FROM messages
+       WHERE conversation_id = $1 AND (parent_id = ANY($2::uuid[]) OR parent_id IS NULL)
+       ORDER BY created_at, id`,
+      [conversationId, parentIds]
+    );
+
+    const siblings = new Map();
+    for (const row of result.rows) {
+      const key = `${row.parent_id || 'root'}:${row.role}`;
+      if (!siblings.has(key)) siblings.set(key, []);
+      siblings.get(key).push(row.id);
+    }
+
+    return messages.map(message => {
+      const ids = siblings.get(`${message.parent_id || 'root'}:${message.role}`) || [];
+      return {
+        ...message,
+        alternatives: ids.length > 1
+          ? { index: ids.indexOf(message.id), count: ids.length, ids }
+          : null
+      };
+    });
+  },
+
+  /**
+   * Save MJ's reply to `parentId` (the user message being answered) on
+   * the parent's branch and stamp the conversation with the prompt
+   * version that wrote it. Used by both the REST and socket chat paths.
+   */
+  async saveReply({ conversationId, userId, response, parentId = null }) {
+    const result = await query(
+      `INSERT INTO messages (conversation_id, user_id, role, content, mood_detected, topics, intent, input_tokens, output_tokens, parent_id)
+       VALUES ($1, $2, 'assistant', $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id, parent_id, branch_id, content, mood_detected, topics, intent, created_at`,
+      [
+        conversationId,
+        userId,
+        response.content,
+        response.mood_detected,
+        JSON.stringify(response.topics || []),
+        response.intent,
+        response.usage?.input_tokens,
+        response.usage?.output_tokens,
+        parentId
+      ]
+    );
+
+    await query(
+      `UPDATE conversations SET updated_at = NOW(), prompt_version = COALESCE($2, prompt_version) WHERE id = $1`,
+      [conversationId, response.prompt_version || null]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Insert the first message of a new branch as an alternative to the
+   * existing children of `parentId`, and switch the conversation to it.
+   */
+  async startBranch({ conversationId, userId, parentId, role, content, fields = {} }) {
+    const id = uuidv4();
+    const result = await query(
+      `INSERT INTO messages (conversation_id, user_id, role, content, id, branch_id, parent_id,
+         mood_detected, topics, intent, input_tokens, output_tokens)
+       VALUES ($1, $2, $3, $4, $5, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING ${MESSAGE_COLUMNS}`,
+      [
+        conversationId,
+        userId,
+        role,
+        content,
+        id,
+        parentId,
+        fields.mood_detected ?? null,
+        JSON.stringify(fields.topics || []),
+        fields.intent ?? null,
+        fields.input_tokens ?? null,
+        fields.output_tokens ?? null
+      ]
+    );
+
+    await query(
+      `UPDATE conversations SET active_branch_id = $2, updated_at = NOW() WHERE id = $1`,
+      [conversationId, id]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Show the branch a message belongs to. Returns null if the message
+   * isn't in the conversation.
+   */
+  async selectBranch(conversation, messageId) {
+    const message = await this.getMessage(conversation.id, messageId);
+    if (!message) return null;
+
+    const branchId = message.branch_id || conversation.id;
+    await query(
+      `UPDATE conversations SET active_branch_id = $2 WHERE id = $1`,
+      [conversation.id, branchId === conversation.id ? null : branchId]
+    );
+
+    return { ...conversation, active_branch_id: branchId === conversation.id ? null : branchId };
+  }
+};
+
+export default MessageBranchService;
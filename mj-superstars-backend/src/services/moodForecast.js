@@ -0,0 +1,223 @@
+// ============================================================
+// Mood Forecast Service (MOOD_PREDICTIONS flag)
+// Predicts the next few days' mood from the user's own history:
+//   baseline      recency-weighted average of daily mood
+//   day of week   how each weekday usually sits against the average
+//   sleep         last night's sleep_readiness (evening reflection),
+//                 for tomorrow only
+//   task load     tasks due that day
+// Each effect is shrunk towards zero while there's little data, and
+// the band around a prediction comes from how well the same model
+// fits the user's past days. Days are the user's local days.
+// ============================================================
+
+import { query } from '../database/db.js';
+import { localTime, localDateSql, shiftDate, daysBetween } from './localDay.js';
+import { mean, round } from './stats.js';
+
+export const MIN_DAYS_LOGGED = 7;
+export const MAX_HORIZON_DAYS = 7;
+const HISTORY_DAYS = 90;
+const BASELINE_HALF_LIFE_DAYS = 7;
+// Pseudo-count pulling weekday averages towards the overall mean
+const WEEKDAY_SHRINK = 3;
+// Paired days needed before sleep or task load counts at all
+const MIN_PAIRS = 5;
+const MAX_SLOPE = 0.5;
+// 80% band
+const BAND_Z = 1.28;
+const MIN_RESIDUAL_SD = 0.3;
+// A predicted dip is at least this far below the baseline
+export const DIP_THRESHOLD = 0.5;
+
+const clampMood = (value) => Math.min(5, Math.max(1, value));
+const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// Least-squares slope of y on x, shrunk by sample size and capped.
+// Returns { slope: 0 } when there's too little (or no varying) data.
+function shrunkSlope(pairs) {
+  if (pairs.length < MIN_PAIRS) return { slope: 0, center: 0 };
+  const xMean = mean(pairs.map(p => p.x));
+  const yMean = mean(pairs.map(p => p.y));
+  let covariance = 0;
+  let variance = 0;
+  for (const { x, y } of pairs) {
+    covariance += (x - xMean) * (y - yMean);
+    variance += (x - xMean) ** 2;
+  }
+  if (variance === 0) return { slope: 0, center: xMean };
+
+  const shrink = pairs.length / (pairs.length + MIN_PAIRS);
+  const slope = Math.max(-MAX_SLOPE, Math.min(MAX_SLOPE, (covariance / variance) * shrink));
+  return { slope, center: xMean };
+}
+
+/**
+ * The forecast itself, from plain data (no database):
+ *   daily       [{ date: 'YYYY-MM-DD', avg_mood }] local days with entries
+ *   sleep       { 'YYYY-MM-DD': sleep_readiness } evening reflections
+ *   tasksDue    { 'YYYY-MM-DD': count } tasks due, past and upcoming
+ *   timeOfDay   [{ time_of_day, avg_mood, count }]
+ *   today       the user's local date
+ *   horizon     days to predict, starting tomorrow
+ */
+export function buildForecast({ daily, sleep = {}, tasksDue = {}, timeOfDay = [], today, horizon = 3 }) {
+  const days = daily
+    .map(d => ({ date: d.date, mood: Number(d.avg_mood) }))
+    .filter(d => Number.isFinite(d.mood));
+
+  if (days.length < MIN_DAYS_LOGGED) {
+    return {
+      status: 'not_enough_data',
+      days_logged: days.length,
+      days_needed: MIN_DAYS_LOGGED,
+      forecast: []
+    };
+  }
+
+  const overall = mean(days.map(d => d.mood));
+
+  // Recency-weighted baseline
+  let weighted = 0;
+  let weights = 0;
+  for (const { date, mood } of days) {
+    const weight = 0.5 ** (daysBetween(date, today) / BASELINE_HALF_LIFE_DAYS);
+    weighted += mood * weight;
+    weights += weight;
+  }
+  const baseline = weighted / weights;
+
+  // Weekday effects
+  const weekdayTotals = Array.from({ length: 7 }, () => ({ sum: 0, count: 0 }));
+  for (const { date, mood } of days) {
+    const bucket = weekdayTotals[dayOfWeek(date)];
+    bucket.sum += mood - overall;
+    bucket.count += 1;
+  }
+  const weekdayEffect = weekdayTotals.map(({ sum, count }) => sum / (count + WEEKDAY_SHRINK));
+
+  // What's left after the weekday pattern, against sleep and task load
+  const residuals = days.map(d => ({ ...d, residual: d.mood - overall - weekdayEffect[dayOfWeek(d.date)] }));
+  const sleepModel = shrunkSlope(residuals
+    .filter(d => sleep[shiftDate(d.date, -1)] != null)
+    .map(d => ({ x: Number(sleep[shiftDate(d.date, -1)]), y: d.residual })));
+  const taskModel = shrunkSlope(residuals.map(d => ({ x: Number(tasksDue[d.date] || 0), y: d.residual })));
+
+  // In-sample error sets the band width
+  const errors = residuals.map(d => {
+    const sleepScore = sleep[shiftDate(d.date, -1)];
+    const sleepTerm = sleepScore != null ? sleepModel.slope * (sleepScore - sleepModel.center) : 0;
+    const taskTerm = taskModel.slope * ((tasksDue[d.date] || 0) - taskModel.center);
+    return d.residual - sleepTerm - taskTerm;
+  });
+  const residualSd = Math.max(
+    MIN_RESIDUAL_SD,
+    Math.sqrt(errors.reduce((sum, e) => sum + e ** 2, 0) / Math.max(1, errors.length - 1))
+  );
+
+  const forecast = [];
+  for (let h = 1; h <= horizon; h++) {
+    const date = shiftDate(today, h);
+    const tasks = Number(tasksDue[date] || 0);
+    const lastNightSleep = h === 1 ? sleep[today] : null;
+
+    const factors = {
+      day_of_week: weekdayEffect[dayOfWeek(date)],
+      sleep: lastNightSleep != null ? sleepModel.slope * (lastNightSleep - sleepModel.center) : 0,
+      tasks: taskModel.slope * (tasks - taskModel.center)
+    };
+    const predicted = clampMood(baseline + factors.day_of_week + factors.sleep + factors.tasks);
+    const spread = BAND_Z * residualSd * Math.sqrt(1 + (h - 1) / MAX_HORIZON_DAYS);
+
+    forecast.push({
+      date,
+      day_of_week: dayOfWeek(date),
+      predicted_mood: round(predicted),
+      low: round(clampMood(predicted - spread)),
+      high: round(clampMood(predicted + spread)),
+      dip: predicted <= baseline - DIP_THRESHOLD,
+      tasks_due: tasks,
+      factors: {
+        day_of_week: round(factors.day_of_week),
+        sleep: round(factors.sleep),
+        tasks: round(factors.tasks)
+      }
+    });
+  }
+
+  const reliableTimes = timeOfDay.filter(t => Number(t.count) >= 3);
+  const hardest = reliableTimes.length > 1
+    ? reliableTimes.reduce((low, t) => (Number(t.avg_mood) < Number(low.avg_mood) ? t : low))
+    : null;
+
+  let confidence = 'high';
+  if (days.length < 14) confidence = 'low';
+  else if (days.length < 30 || residualSd > 1) confidence = 'medium';
+
+  return {
+    status: 'ok',
+    baseline: round(baseline),
+    confidence,
+    days_logged: days.length,
+    hardest_time_of_day: hardest?.time_of_day || null,
+    forecast
+  };
+}
+
+export const MoodForecastService = {
+  /**
+   * Forecast for a user ({ id, timezone }) over the next `horizon` days
+   */
+  async forecast(user, { horizon = 3 } = {}) {
+    const local = localTime(user.timezone);
+    const days = Math.min(Math.max(parseInt(horizon) || 3, 1), MAX_HORIZON_DAYS);
+    const since = shiftDate(local.date, -HISTORY_DAYS);
+    const until = shiftDate(local.date, days);
+
+    const [daily, timeOfDay, sleep, tasks] = await Promise.all([
+      query(
+        `SELECT ${localDateSql('created_at', '$2')}::text as date, AVG(mood_score)::float as avg_mood
+         FROM mood_entries
+         WHERE user_id = $1 AND created_at >= ($3::date::timestamp AT TIME ZONE $2)
+         GROUP BY 1
+         ORDER BY 1`,
+        [user.id, local.timezone, since]
+      ),
+      query(
+        `SELECT time_of_day, AVG(mood_score)::float as avg_mood, COUNT(*)::int as count
+         FROM mood_entries
+         WHERE user_id = $1 AND created_at >= ($3::date::timestamp AT TIME ZONE $2) AND time_of_day IS NOT NULL
+         GROUP BY time_of_day`,
+        [user.id, local.timezone, since]
+      ),
+      query(
+        `SELECT date::text as date, sleep_readiness
+         FROM evening_reflections
+         WHERE user_id = $1 AND date >= $2 AND sleep_readiness IS NOT NULL`,
+        [user.id, since]
+      ),
+      query(
+        `SELECT due_date::text as date, COUNT(*)::int as count
+         FROM tasks
+         WHERE user_id = $1 AND due_date BETWEEN $2 AND $3 AND status <> 'skipped'
+         GROUP BY due_date`,
+        [user.id, since, until]
+      )
+    ]);
+
+    return {
+      ...buildForecast({
+        daily: daily.rows,
+        timeOfDay: timeOfDay.rows,
+        sleep: Object.fromEntries(sleep.rows.map(r => [r.date, r.sleep_readiness])),
+        tasksDue: Object.fromEntries(tasks.rows.map(r => [r.date, r.count])),
+        today: local.date,
+        horizon: days
+      }),
+      timezone: local.timezone,
+      generated_at: new Date().toISOString()
+    };
+  }
+};
+
+export default MoodForecastService;
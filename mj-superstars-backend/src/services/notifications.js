@@ -6,6 +6,7 @@ import webPush from 'web-push';
 import { query } from '../database/db.js';
 import { logger } from '../utils/logger.js';
 import { sendToUserIOS } from './apns.js';
+import { localTime } from './localDay.js';
 
 // Configure web-push
 if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
@@ -199,41 +200,24 @@ export const NotificationService = {
       `SELECT sc.*, u.display_name, u.timezone
        FROM scheduled_checkins sc
        JOIN users u ON sc.user_id = u.id
-       WHERE sc.is_active = true
-       AND (sc.last_sent_at IS NULL OR sc.last_sent_at < CURRENT_DATE)`
+       WHERE sc.is_active = true`
     );
 
     let processed = 0;
 
     for (const checkin of allCheckIns.rows) {
       try {
-        const tz = checkin.timezone || 'America/New_York';
-        const now = new Date();
+        const local = localTime(checkin.timezone);
+        const userTime = `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`;
 
-        // Get current time in user's timezone
-        const formatter = new Intl.DateTimeFormat('en-US', {
-          timeZone: tz,
-          hour: '2-digit',
-          minute: '2-digit',
-          hour12: false,
-        });
-        const parts = formatter.formatToParts(now);
-        const userHour = parseInt(parts.find(p => p.type === 'hour')?.value || '0');
-        const userMinute = parseInt(parts.find(p => p.type === 'minute')?.value || '0');
-        const userTime = `${userHour.toString().padStart(2, '0')}:${userMinute.toString().padStart(2, '0')}`;
-
-        // Get day of week in user's timezone
-        const dayFormatter = new Intl.DateTimeFormat('en-US', {
-          timeZone: tz,
-          weekday: 'short',
-        });
-        const dayStr = dayFormatter.format(now);
-        const dayMap = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
-        const userDayOfWeek = dayMap[dayStr] ?? now.getUTCDay();
+        // Once per local day
+        if (checkin.last_sent_at && localTime(checkin.timezone, new Date(checkin.last_sent_at)).date === local.date) {
+          continue;
+        }
 
         // Check if this check-in is due now in the user's timezone
         if (checkin.scheduled_time === userTime &&
-            checkin.days_of_week.includes(userDayOfWeek)) {
+            checkin.days_of_week.includes(local.dayOfWeek)) {
           await this.sendCheckIn(checkin.user_id, checkin.checkin_type);
           await query(
             `UPDATE scheduled_checkins SET last_sent_at = NOW() WHERE id = $1`,
@@ -0,0 +1,246 @@
+// ============================================================
+// PDF Writer
+// Just enough PDF 1.4 to lay out text-and-chart documents with no
+// dependencies: the built-in Helvetica fonts (nothing embedded),
+// lines, rectangles and filled circles, and one compressed content
+// stream per page. Coordinates are points from the top-left corner;
+// text is positioned by its baseline.
+// ============================================================
+
+import zlib from 'zlib';
+
+export const PAGE_SIZES = {
+  a4: [595.28, 841.89],
+  letter: [612, 792]
+};
+
+const FONT_RESOURCES = { regular: 'F1', bold: 'F2' };
+
+// Helvetica advance widths (thousandths of an em) for ' ' through '~'
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+// Close enough for accented Latin-1 letters and punctuation
+const DEFAULT_WIDTH = 556;
+
+// WinAnsiEncoding bytes for characters outside Latin-1
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+/**
+ * Text as WinAnsi byte values. Characters the standard fonts can't
+ * draw become '?', except emoji and joiners, which are dropped.
+ */
+export function encodeText(text) {
+  const bytes = [];
+  for (const char of String(text ?? '')) {
+    const code = char.codePointAt(0);
+    if (char === '\t') bytes.push(32);
+    else if (code < 32 || (code >= 0x7f && code < 0xa0)) continue;
+    else if (code < 0x100) bytes.push(code);
+    else if (WIN_ANSI_EXTRAS[char]) bytes.push(WIN_ANSI_EXTRAS[char]);
+    else if (code > 0xffff || (code >= 0x2600 && code < 0x2800) || code === 0xfe0f || code === 0x200d) continue;
+    else bytes.push(63);
+  }
+  return bytes;
+}
+
+const charWidth = (font, byte) => (byte >= 32 && byte <= 126 ? WIDTHS[font][byte - 32] : DEFAULT_WIDTH);
+
+export function textWidth(text, { font = 'regular', size = 10 } = {}) {
+  return encodeText(text).reduce((sum, byte) => sum + charWidth(font, byte), 0) * size / 1000;
+}
+
+/**
+ * Break text into lines no wider than maxWidth. Newlines start a new
+ * line; a word too long for a line on its own is split.
+ */
+export function wrapText(text, maxWidth, style = {}) {
+  const lines = [];
+  for (const paragraph of String(text ?? '').split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, style) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (textWidth(line, style) > maxWidth) {
+        let cut = line.length - 1;
+        while (cut > 1 && textWidth(line.slice(0, cut), style) > maxWidth) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+const num = (value) => String(Math.round(value * 100) / 100);
+const hex = (bytes) => bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+
+// '#rrggbb' as PDF color operands
+const rgb = (color) => {
+  const value = parseInt(color.slice(1), 16);
+  return [value >> 16, (value >> 8) & 0xff, value & 0xff].map(c => num(c / 255)).join(' ');
+};
+
+const pdfDate = (date) => `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+
+/**
+ * A document with one blank page. Drawing calls go to the current
+ * page; addPage() starts a new one and setPage() goes back to an
+ * earlier one (for footers). toBuffer() serializes the lot.
+ */
+export function createPdf({ size = 'a4', title = '', createdAt = new Date() } = {}) {
+  const [width, height] = PAGE_SIZES[size];
+  const pages = [];
+  let ops = null;
+  const flip = (y) => height - y;
+
+  const doc = {
+    width,
+    height,
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      return doc;
+    },
+
+    setPage(index) {
+      ops = pages[index];
+      return doc;
+    },
+
+    text(value, x, y, { font = 'regular', size: fontSize = 10, color = '#000000' } = {}) {
+      const bytes = encodeText(value);
+      if (bytes.length > 0) {
+        ops.push(`BT /${FONT_RESOURCES[font]} ${num(fontSize)} Tf ${rgb(color)} rg ${num(x)} ${num(flip(y))} Td <${hex(bytes)}> Tj ET`);
+      }
+      return doc;
+    },
+
+    line(x1, y1, x2, y2, { color = '#000000', lineWidth = 1, dash = null } = {}) {
+      const dashOp = dash ? `[${dash.map(num).join(' ')}] 0 d ` : '';
+      ops.push(`q ${rgb(color)} RG ${num(lineWidth)} w ${dashOp}${num(x1)} ${num(flip(y1))} m ${num(x2)} ${num(flip(y2))} l S Q`);
+      return doc;
+    },
+
+    polyline(points, { color = '#000000', lineWidth = 1 } = {}) {
+      if (points.length < 2) return doc;
+      const path = points
+        .map(([x, y], i) => `${num(x)} ${num(flip(y))} ${i === 0 ? 'm' : 'l'}`)
+        .join(' ');
+      ops.push(`q ${rgb(color)} RG ${num(lineWidth)} w 1 j 1 J ${path} S Q`);
+      return doc;
+    },
+
+    rect(x, y, w, h, { fill = null, stroke = null, lineWidth = 1 } = {}) {
+      const paint = fill && stroke ? 'B' : (fill ? 'f' : 'S');
+      const colors = `${fill ? `${rgb(fill)} rg ` : ''}${stroke ? `${rgb(stroke)} RG ${num(lineWidth)} w ` : ''}`;
+      ops.push(`q ${colors}${num(x)} ${num(flip(y + h))} ${num(w)} ${num(h)} re ${paint} Q`);
+      return doc;
+    },
+
+    circle(cx, cy, r, { fill = '#000000' } = {}) {
+      // Four Bézier quarter arcs
+      const k = r * 0.5523;
+      const y = flip(cy);
+      const path = [
+        `${num(cx + r)} ${num(y)} m`,
+        `${num(cx + r)} ${num(y + k)} ${num(cx + k)} ${num(y + r)} ${num(cx)} ${num(y + r)} c`,
+        `${num(cx - k)} ${num(y + r)} ${num(cx - r)} ${num(y + k)} ${num(cx - r)} ${num(y)} c`,
+        `${num(cx - r)} ${num(y - k)} ${num(cx - k)} ${num(y - r)} ${num(cx)} ${num(y - r)} c`,
+        `${num(cx + k)} ${num(y - r)} ${num(cx + r)} ${num(y - k)} ${num(cx + r)} ${num(y)} c`
+      ].join(' ');
+      ops.push(`q ${rgb(fill)} rg ${path} f Q`);
+      return doc;
+    },
+
+    toBuffer() {
+      const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        null, // page tree, once the page objects are numbered
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Title <${hex(encodeText(title))}> /Producer (MJ's Superstars) /CreationDate (${pdfDate(createdAt)}) >>`
+      ];
+
+      const kids = [];
+      for (const pageOps of pages) {
+        const content = zlib.deflateSync(Buffer.from(pageOps.join('\n'), 'latin1'));
+        const pageNumber = objects.length + 1;
+        kids.push(`${pageNumber} 0 R`);
+        objects.push(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageNumber + 1} 0 R >>`,
+          Buffer.concat([
+            Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+            content,
+            Buffer.from('\nendstream', 'latin1')
+          ])
+        );
+      }
+      objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${pages.length} >>`;
+
+      const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      let length = chunks[0].length;
+      const offsets = objects.map((object, i) => {
+        const offset = length;
+        const body = Buffer.isBuffer(object) ? object : Buffer.from(object, 'latin1');
+        const chunk = Buffer.concat([
+          Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+          body,
+          Buffer.from('\nendobj\n', 'latin1')
+        ]);
+        chunks.push(chunk);
+        length += chunk.length;
+        return offset;
+      });
+
+      const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>`,
+        'startxref',
+        String(length),
+        '%%EOF\n'
+      ].join('\n');
+      chunks.push(Buffer.from(xref, 'latin1'));
+
+      return Buffer.concat(chunks);
+    }
+  };
+
+  return doc.addPage();
+}
+
+export default { createPdf, encodeText, textWidth, wrapText, PAGE_SIZES };
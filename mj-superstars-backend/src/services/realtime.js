@@ -0,0 +1,192 @@
+// ============================================================
+// Realtime Service
+// Per-device presence and cross-device sync over Socket.IO.
+// Every socket of a user joins `user:${userId}`; presence is read
+// from the sockets in that room through the adapter, so with the
+// Redis adapter it covers every server instance, not just this one.
+// Events that change what a device shows carry a per-user `seq` and
+// are logged (EventLogService) so a reconnecting device can resume.
+// ============================================================
+
+import { createClient } from 'redis';
+import { EventLogService } from './eventLog.js';
+import { logger } from '../utils/logger.js';
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const PLATFORMS = ['ios', 'android', 'web'];
+
+// fetchSockets waits this long for other instances to answer
+const ADAPTER_REQUEST_TIMEOUT_MS = 3000;
+
+// Replayed on `resume`; everything else (chunks, typing, presence) is
+// only useful live
+export const SEQUENCED_EVENTS = new Set([
+  'message_saved', 'mj_response_done', 'mj_response', 'new_message', 'crisis_support',
+  'voice_transcribed', 'mood_logged', 'task_completed', 'sync'
+]);
+
+export const userRoom = (userId) => `user:${userId}`;
+
+// Per-user chain so this process emits a user's events in seq order
+const deliveryChains = new Map();
+
+function deliver(userId, event, data, deviceId, send) {
+  if (!SEQUENCED_EVENTS.has(event)) {
+    send(data);
+    return Promise.resolve(null);
+  }
+
+  const previous = deliveryChains.get(userId) || Promise.resolve();
+  const next = previous.then(async () => {
+    let seq = null;
+    try {
+      seq = await EventLogService.record(userId, event, data, { deviceId });
+    } catch (error) {
+      // Still deliver live; the event just can't be replayed
+      logger.warn('Failed to log socket event:', { userId, event, error: error.message });
+    }
+    try {
+      send(seq ? { ...data, seq } : data);
+    } catch (error) {
+      logger.error('Socket event delivery failed:', { userId, event, error: error.message });
+    }
+    return seq;
+  });
+
+  deliveryChains.set(userId, next);
+  next.finally(() => {
+    if (deliveryChains.get(userId) === next) deliveryChains.delete(userId);
+  });
+  return next;
+}
+
+/**
+ * The device a socket belongs to, from the handshake auth
+ * ({ token, deviceId, platform, appVersion }). Clients that don't
+ * send a deviceId count as a device per connection.
+ */
+export function deviceFromHandshake(socket) {
+  const auth = socket.handshake?.auth || {};
+  const platform = String(auth.platform || '').toLowerCase();
+  return {
+    device_id: DEVICE_ID_PATTERN.test(auth.deviceId || '') ? auth.deviceId : socket.id,
+    platform: PLATFORMS.includes(platform) ? platform : 'unknown',
+    app_version: typeof auth.appVersion === 'string' ? auth.appVersion.slice(0, 32) : null
+  };
+}
+
+/**
+ * Use the Redis adapter so rooms, broadcasts and presence span every
+ * instance (SOCKET_ADAPTER=redis, connecting to REDIS_URL). The
+ * default in-memory adapter only sees this process. Returns a
+ * function that closes the connections.
+ */
+export async function attachSocketAdapter(io) {
+  const adapter = process.env.SOCKET_ADAPTER || 'memory';
+  if (adapter === 'memory') return async () => {};
+  if (adapter !== 'redis') {
+    throw new Error(`Unknown SOCKET_ADAPTER "${adapter}" (expected redis or memory)`);
+  }
+
+  const { createAdapter } = await import('@socket.io/redis-adapter');
+  const pubClient = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+  const subClient = pubClient.duplicate();
+  for (const client of [pubClient, subClient]) {
+    client.on('error', (err) => logger.error('Socket adapter Redis error:', err.message));
+  }
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  io.adapter(createAdapter(pubClient, subClient, { requestsTimeout: ADAPTER_REQUEST_TIMEOUT_MS }));
+  logger.info('Socket.IO using the Redis adapter');
+
+  return async () => {
+    await Promise.allSettled([pubClient.quit(), subClient.quit()]);
+  };
+}
+
+export const RealtimeService = {
+  /**
+   * A user's connected devices, most recently active first. Tabs or
+   * reconnects from one device are folded into one entry.
+   */
+  async listDevices(io, userId) {
+    const sockets = await io.in(userRoom(userId)).fetchSockets();
+    const devices = new Map();
+
+    for (const { data } of sockets) {
+      if (!data?.device) continue;
+      const existing = devices.get(data.device.device_id);
+      if (existing) {
+        existing.connections += 1;
+        if (data.connectedAt < existing.connected_at) existing.connected_at = data.connectedAt;
+        if (data.lastActiveAt > existing.last_active_at) existing.last_active_at = data.lastActiveAt;
+      } else {
+        devices.set(data.device.device_id, {
+          ...data.device,
+          connected_at: data.connectedAt,
+          last_active_at: data.lastActiveAt,
+          connections: 1
+        });
+      }
+    }
+
+    return [...devices.values()].sort((a, b) => b.last_active_at.localeCompare(a.last_active_at));
+  },
+
+  async isOnline(io, userId) {
+    const sockets = await io.in(userRoom(userId)).fetchSockets();
+    return sockets.length > 0;
+  },
+
+  /**
+   * Tell every device of a user who is connected. Never throws;
+   * presence is best effort.
+   */
+  async broadcastPresence(io, userId) {
+    try {
+      const devices = await this.listDevices(io, userId);
+      io.to(userRoom(userId)).emit('presence_changed', { devices });
+    } catch (error) {
+      logger.warn('Presence broadcast failed:', { userId, error: error.message });
+    }
+  },
+
+  /**
+   * Emit to every device of a user, on any instance. `except` skips
+   * one socket (the one that caused the event). Resolves with the
+   * event's seq, or null when it isn't sequenced.
+   */
+  emitToUser(io, userId, event, data, { except } = {}) {
+    if (!io) return Promise.resolve(null);
+    return deliver(userId, event, data, null, (payload) => {
+      const target = io.to(userRoom(userId));
+      (except ? target.except(except.id) : target).emit(event, payload);
+    });
+  },
+
+  /**
+   * Emit to one socket; sequenced events are replayed only to the
+   * same device
+   */
+  emitToSocket(socket, event, data) {
+    return deliver(socket.data.userId, event, data, socket.data.device?.device_id, (payload) => {
+      socket.emit(event, payload);
+    });
+  },
+
+  /**
+   * Send a socket the events it missed since `lastSeq`, flagged
+   * `replayed: true`. Returns { replayed, last_seq, truncated }.
+   */
+  async replay(socket, lastSeq) {
+    const { events, currentSeq, truncated } = await EventLogService.since(socket.data.userId, lastSeq, {
+      deviceId: socket.data.device?.device_id
+    });
+    for (const { seq, event, payload } of events) {
+      socket.emit(event, { ...payload, seq, replayed: true });
+    }
+    return { replayed: events.length, last_seq: currentSeq, truncated };
+  }
+};
+
+export default RealtimeService;
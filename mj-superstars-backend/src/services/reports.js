@@ -0,0 +1,721 @@
+// ============================================================
+// Progress Reports
+// A PDF a user can hand to their therapist or doctor: mood over a
+// period, self-assessment scores, ritual consistency, and only the
+// journal entries they pick. Rendered in-process (src/services/pdf.js)
+// by the exports queue, kept in blob storage for
+// REPORT_RETENTION_DAYS, and shared through download links signed
+// with REPORT_LINK_SECRET that stop working on their own. Deleting a
+// report kills every link to it.
+// ============================================================
+
+import crypto from 'crypto';
+import { query } from '../database/db.js';
+import { logger } from '../utils/logger.js';
+import { getStorage } from './storage/index.js';
+import { NotificationService } from './notifications.js';
+import { INSTRUMENTS, compareScores } from './assessments.js';
+import { localTime, localDateSql, shiftDate, daysBetween } from './localDay.js';
+import { mean, round } from './stats.js';
+import { createPdf, wrapText } from './pdf.js';
+
+export const DEFAULT_PERIOD_DAYS = 90;
+export const MAX_PERIOD_DAYS = 365;
+export const MAX_JOURNAL_ENTRIES = 10;
+export const DEFAULT_LINK_HOURS = 72;
+export const MAX_LINK_HOURS = 30 * 24;
+const REPORT_RETENTION_DAYS = parseInt(process.env.REPORT_RETENTION_DAYS) || 30;
+// Longer journal entries are cut here
+const EXCERPT_CHARS = 2000;
+
+const storageKey = (userId, reportId) => `reports/${userId}/${reportId}.pdf`;
+
+// Days in a period, counting both its first and last day
+const daysInPeriod = (start, end) => daysBetween(start, end) + 1;
+
+// ============================================================
+// SIGNED DOWNLOAD LINKS
+// ============================================================
+
+const linkSecret = () => {
+  const secret = process.env.REPORT_LINK_SECRET || process.env.JWT_SECRET;
+  if (secret) return secret;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('REPORT_LINK_SECRET or JWT_SECRET is required to sign report links');
+  }
+  return 'dev-only-report-link-secret';
+};
+
+/**
+ * Signature for a download link to `reportId` valid until `expires`
+ * (Unix seconds)
+ */
+export function signDownload(reportId, expires) {
+  return crypto.createHmac('sha256', linkSecret()).update(`${reportId}.${expires}`).digest('hex');
+}
+
+export function verifyDownload(reportId, expires, signature, now = Date.now()) {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt * 1000 <= now) return false;
+
+  try {
+    return crypto.timingSafeEqual(
+      Buffer.from(String(signature)),
+      Buffer.from(signDownload(reportId, expiresAt))
+    );
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================
+// SUMMARIES
+// ============================================================
+
+/**
+ * Daily averages ({ date, avg_mood }) in date order: overall average,
+ * best and worst days, and first half against second half of the
+ * logged days
+ */
+export function summarizeMood(daily) {
+  if (daily.length === 0) return null;
+
+  const values = daily.map(d => d.avg_mood);
+  const half = Math.floor(values.length / 2);
+  const byMood = [...daily].sort((a, b) => a.avg_mood - b.avg_mood);
+
+  return {
+    days_logged: daily.length,
+    average: round(mean(values), 2),
+    lowest: byMood[0],
+    highest: byMood[byMood.length - 1],
+    first_half: half >= 2 ? round(mean(values.slice(0, half)), 2) : null,
+    second_half: half >= 2 ? round(mean(values.slice(values.length - half)), 2) : null
+  };
+}
+
+/**
+ * How consistently morning intentions and evening reflections were
+ * kept between `start` and `end`, overall and per week from `start`
+ */
+export function summarizeRituals({ morning, evening, start, end }) {
+  const periodDays = daysInPeriod(start, end);
+  const morningDays = new Set(morning.map(m => m.date));
+  const eveningDays = new Set(evening.map(e => e.date));
+  const activeDays = new Set([...morningDays, ...eveningDays]);
+  const reflected = morning.filter(m => m.intention_met !== null && m.intention_met !== undefined);
+
+  let longestRun = 0;
+  let run = 0;
+  const weeks = [];
+  for (let i = 0; i < periodDays; i++) {
+    const date = shiftDate(start, i);
+    run = activeDays.has(date) ? run + 1 : 0;
+    longestRun = Math.max(longestRun, run);
+
+    if (i % 7 === 0) weeks.push({ start: date, days: 0, active_days: 0 });
+    const week = weeks[weeks.length - 1];
+    week.days++;
+    if (activeDays.has(date)) week.active_days++;
+  }
+
+  return {
+    period_days: periodDays,
+    morning_days: morningDays.size,
+    evening_days: eveningDays.size,
+    active_days: activeDays.size,
+    consistency: Math.round((activeDays.size / periodDays) * 100),
+    intentions_reflected: reflected.length,
+    intentions_met: reflected.filter(m => m.intention_met).length,
+    longest_run: longestRun,
+    weeks
+  };
+}
+
+// ============================================================
+// RENDERING
+// ============================================================
+
+const MARGIN = 50;
+const COLORS = {
+  text: '#1e293b',
+  muted: '#64748b',
+  accent: '#0284c7',
+  rule: '#cbd5e1',
+  grid: '#e2e8f0',
+  warning: '#b91c1c'
+};
+// Severity band tints from best to worst
+const BAND_TINTS = ['#d1fae5', '#ecfccb', '#fef9c3', '#ffedd5', '#fee2e2'];
+
+const formatDate = (date) => new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', {
+  month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+});
+
+const shortDate = (date) => new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', {
+  month: 'short', day: 'numeric', timeZone: 'UTC'
+});
+
+function bandTints(bands, higherIsBetter) {
+  const ordered = higherIsBetter ? [...bands].reverse() : bands;
+  const step = (BAND_TINTS.length - 1) / Math.max(ordered.length - 1, 1);
+  const tints = ordered.map((_, i) => BAND_TINTS[Math.round(i * step)]);
+  return higherIsBetter ? tints.reverse() : tints;
+}
+
+// A cursor down the page that starts a new page when something won't fit
+function pageFlow(pdf) {
+  const width = pdf.width - MARGIN * 2;
+  const bottom = pdf.height - MARGIN - 20;
+  let y = MARGIN;
+
+  const flow = {
+    width,
+    get y() {
+      return y;
+    },
+
+    space(height) {
+      if (y + height > bottom) {
+        pdf.addPage();
+        y = MARGIN;
+      }
+      return y;
+    },
+
+    gap(height) {
+      y += height;
+    },
+
+    heading(text) {
+      flow.space(60);
+      y += 26;
+      pdf.text(text, MARGIN, y, { font: 'bold', size: 14, color: COLORS.text });
+      y += 8;
+      pdf.line(MARGIN, y, MARGIN + width, y, { color: COLORS.rule, lineWidth: 0.75 });
+      y += 6;
+    },
+
+    subheading(text) {
+      flow.space(40);
+      y += 18;
+      pdf.text(text, MARGIN, y, { font: 'bold', size: 11, color: COLORS.text });
+      y += 2;
+    },
+
+    paragraph(text, { size = 10, font = 'regular', color = COLORS.text, indent = 0 } = {}) {
+      const lineHeight = size * 1.4;
+      for (const line of wrapText(text, width - indent, { font, size })) {
+        flow.space(lineHeight);
+        y += lineHeight;
+        pdf.text(line, MARGIN + indent, y, { font, size, color });
+      }
+    },
+
+    // Label / value pairs, two columns
+    facts(rows) {
+      for (const [label, value] of rows) {
+        flow.space(15);
+        y += 15;
+        pdf.text(label, MARGIN, y, { size: 10, color: COLORS.muted });
+        pdf.text(value, MARGIN + 170, y, { size: 10, color: COLORS.text });
+      }
+    },
+
+    table(columns, rows) {
+      const header = () => {
+        y += 15;
+        columns.forEach(({ label, x }) => pdf.text(label, MARGIN + x, y, { font: 'bold', size: 9, color: COLORS.muted }));
+        y += 4;
+        pdf.line(MARGIN, y, MARGIN + width, y, { color: COLORS.grid, lineWidth: 0.5 });
+      };
+      flow.space(40);
+      header();
+      for (const row of rows) {
+        if (y + 14 > bottom) {
+          pdf.addPage();
+          y = MARGIN;
+          header();
+        }
+        y += 14;
+        columns.forEach(({ x }, i) => pdf.text(row[i], MARGIN + x, y, {
+          size: 9,
+          color: row.color?.[i] || COLORS.text
+        }));
+      }
+    },
+
+    /**
+     * Line chart. points: [{ t (0-1 along the x axis), value }];
+     * bands: [{ from, to, fill }] shaded behind the line
+     */
+    chart({ points, min, max, ticks, bands = [], startLabel, endLabel, height = 120 }) {
+      const labelWidth = 26;
+      flow.space(height + 30);
+      const top = y + 10;
+      const left = MARGIN + labelWidth;
+      const plotWidth = width - labelWidth;
+      const yFor = (value) => top + height * (1 - (value - min) / (max - min));
+      const xFor = (t) => left + plotWidth * t;
+
+      for (const band of bands) {
+        pdf.rect(left, yFor(band.to), plotWidth, yFor(band.from) - yFor(band.to), { fill: band.fill });
+      }
+      for (const tick of ticks) {
+        pdf.line(left, yFor(tick), left + plotWidth, yFor(tick), { color: COLORS.grid, lineWidth: 0.5 });
+        pdf.text(String(tick), MARGIN, yFor(tick) + 3, { size: 8, color: COLORS.muted });
+      }
+      pdf.rect(left, top, plotWidth, height, { stroke: COLORS.rule, lineWidth: 0.5 });
+
+      pdf.polyline(points.map(p => [xFor(p.t), yFor(p.value)]), { color: COLORS.accent, lineWidth: 1.5 });
+      if (points.length <= 60) {
+        points.forEach(p => pdf.circle(xFor(p.t), yFor(p.value), 2, { fill: COLORS.accent }));
+      }
+
+      y = top + height + 12;
+      if (startLabel) pdf.text(startLabel, left, y, { size: 8, color: COLORS.muted });
+      if (endLabel) pdf.text(endLabel, left + plotWidth - 40, y, { size: 8, color: COLORS.muted });
+      y += 4;
+    },
+
+    // Weekly bars of `value` out of `of`
+    bars({ items, height = 60 }) {
+      flow.space(height + 30);
+      const top = y + 10;
+      const slot = width / Math.max(items.length, 1);
+      const barWidth = Math.min(slot * 0.7, 24);
+
+      items.forEach((item, i) => {
+        const x = MARGIN + slot * i + (slot - barWidth) / 2;
+        pdf.rect(x, top, barWidth, height, { fill: '#f1f5f9' });
+        const filled = item.of > 0 ? height * (item.value / item.of) : 0;
+        if (filled > 0) pdf.rect(x, top + height - filled, barWidth, filled, { fill: COLORS.accent });
+      });
+
+      y = top + height + 12;
+      if (items.length > 0) {
+        pdf.text(items[0].label, MARGIN, y, { size: 8, color: COLORS.muted });
+        pdf.text(items[items.length - 1].label, MARGIN + width - 40, y, { size: 8, color: COLORS.muted });
+      }
+      y += 4;
+    }
+  };
+
+  return flow;
+}
+
+function renderMood(flow, { daily, summary, start, end }) {
+  flow.heading('Mood');
+  if (!summary) {
+    flow.paragraph('No mood entries in this period.', { color: COLORS.muted });
+    return;
+  }
+
+  const span = daysBetween(start, end) || 1;
+  flow.chart({
+    points: daily.map(d => ({ t: daysBetween(start, d.date) / span, value: d.avg_mood })),
+    min: 1,
+    max: 5,
+    ticks: [1, 2, 3, 4, 5],
+    startLabel: shortDate(start),
+    endLabel: shortDate(end)
+  });
+
+  const rows = [
+    ['Days logged', `${summary.days_logged} of ${daysInPeriod(start, end)}`],
+    ['Average (1-5 scale)', summary.average.toFixed(2)],
+    ['Lowest day', `${summary.lowest.avg_mood.toFixed(1)} on ${formatDate(summary.lowest.date)}`],
+    ['Highest day', `${summary.highest.avg_mood.toFixed(1)} on ${formatDate(summary.highest.date)}`]
+  ];
+  if (summary.first_half !== null) {
+    rows.push(['First half / second half', `${summary.first_half.toFixed(2)} / ${summary.second_half.toFixed(2)}`]);
+  }
+  flow.facts(rows);
+}
+
+function renderAssessments(flow, { assessments, start, end }) {
+  flow.heading('Self-assessment scores');
+  const taken = Object.keys(INSTRUMENTS).filter(id => assessments.some(a => a.instrument === id));
+  if (taken.length === 0) {
+    flow.paragraph('No questionnaires completed in this period.', { color: COLORS.muted });
+    return;
+  }
+
+  const span = daysBetween(start, end) || 1;
+  for (const id of taken) {
+    const { name, maxScore, bands, higherIsBetter } = INSTRUMENTS[id];
+    const results = assessments.filter(a => a.instrument === id);
+    const latest = results[results.length - 1];
+    const band = bands.find(b => b.severity === latest.severity);
+
+    flow.subheading(`${name}${higherIsBetter ? ' (higher is better)' : ''}`);
+    let summary = `Latest ${latest.score} of ${maxScore} (${band?.label || latest.severity}) on ${formatDate(latest.date)}.`;
+    if (results.length > 1) {
+      const comparison = compareScores(id, results[0].score, latest.score);
+      const change = `${comparison.change > 0 ? '+' : ''}${comparison.change}`;
+      summary += ` Change since ${formatDate(results[0].date)}: ${change}`
+        + (comparison.meaningful ? `, a meaningful ${comparison.direction === 'improved' ? 'improvement' : 'worsening'}.` : ', within the usual range of variation.');
+    }
+    flow.paragraph(summary);
+
+    if (results.length > 1) {
+      const tints = bandTints(bands, higherIsBetter);
+      flow.chart({
+        points: results.map(r => ({ t: daysBetween(start, r.date) / span, value: r.score })),
+        min: 0,
+        max: maxScore,
+        ticks: [0, ...bands.map(b => b.max)],
+        bands: bands.map((b, i) => ({ from: i === 0 ? 0 : bands[i - 1].max, to: b.max, fill: tints[i] })),
+        startLabel: shortDate(start),
+        endLabel: shortDate(end),
+        height: 100
+      });
+    }
+
+    const selfHarm = results.some(r => r.flags?.self_harm);
+    const columns = [
+      { label: 'Date', x: 0 },
+      { label: 'Score', x: 110 },
+      { label: 'Severity', x: 170 }
+    ];
+    if (selfHarm) columns.push({ label: 'Item 9', x: 300 });
+
+    flow.table(columns, results.map(r => {
+      const row = [formatDate(r.date), `${r.score}/${maxScore}`, bands.find(b => b.severity === r.severity)?.label || r.severity];
+      if (selfHarm) {
+        row.push(r.flags?.self_harm ? `Endorsed (${r.flags.self_harm}/3)` : '-');
+        if (r.flags?.self_harm) row.color = [null, null, null, COLORS.warning];
+      }
+      return row;
+    }));
+
+    if (selfHarm) {
+      flow.gap(4);
+      flow.paragraph('PHQ-9 item 9 asks about thoughts of being better off dead or of self-harm. The app showed crisis resources each time it was endorsed.', {
+        size: 8.5, color: COLORS.muted
+      });
+    }
+  }
+}
+
+function renderRituals(flow, rituals) {
+  flow.heading('Daily rituals');
+  if (rituals.active_days === 0) {
+    flow.paragraph('No morning intentions or evening reflections in this period.', { color: COLORS.muted });
+    return;
+  }
+
+  flow.facts([
+    ['Morning intentions', `${rituals.morning_days} of ${rituals.period_days} days`],
+    ['Evening reflections', `${rituals.evening_days} of ${rituals.period_days} days`],
+    ['Days with either', `${rituals.active_days} (${rituals.consistency}%)`],
+    ['Longest run', `${rituals.longest_run} day${rituals.longest_run === 1 ? '' : 's'} in a row`],
+    ['Intentions met', rituals.intentions_reflected > 0
+      ? `${rituals.intentions_met} of ${rituals.intentions_reflected} reflected on`
+      : 'Not reflected on']
+  ]);
+
+  if (rituals.weeks.length > 1) {
+    flow.gap(8);
+    flow.paragraph('Days with a ritual, week by week', { size: 9, color: COLORS.muted });
+    flow.bars({
+      items: rituals.weeks.map(w => ({ value: w.active_days, of: w.days, label: shortDate(w.start) }))
+    });
+  }
+}
+
+function renderJournal(flow, entries) {
+  if (entries.length === 0) return;
+
+  flow.heading('Journal excerpts');
+  flow.paragraph('Chosen by the author to share.', { size: 9, color: COLORS.muted });
+
+  for (const entry of entries) {
+    flow.subheading(entry.title || formatDate(entry.date));
+    const meta = [entry.title ? formatDate(entry.date) : null, entry.mood_score ? `mood ${entry.mood_score}/5` : null]
+      .filter(Boolean)
+      .join(' · ');
+    if (meta) flow.paragraph(meta, { size: 9, color: COLORS.muted });
+    if (entry.prompt_text) flow.paragraph(`Prompt: ${entry.prompt_text}`, { size: 9, color: COLORS.muted });
+
+    const content = entry.content.length > EXCERPT_CHARS
+      ? `${entry.content.slice(0, EXCERPT_CHARS).trimEnd()}… (shortened)`
+      : entry.content;
+    flow.gap(4);
+    flow.paragraph(content);
+  }
+}
+
+/**
+ * The report as a PDF buffer. data: { name, start, end, generatedAt,
+ * daily, assessments, rituals, journal }
+ */
+export function renderReport(data) {
+  const { name, start, end, generatedAt = new Date() } = data;
+  const pdf = createPdf({ title: `Progress report, ${formatDate(start)} to ${formatDate(end)}`, createdAt: generatedAt });
+  const flow = pageFlow(pdf);
+
+  flow.gap(10);
+  pdf.text('Progress report', MARGIN, flow.y + 12, { font: 'bold', size: 20, color: COLORS.text });
+  flow.gap(22);
+  flow.paragraph(`${name ? `${name} · ` : ''}${formatDate(start)} to ${formatDate(end)}`, { size: 11, color: COLORS.muted });
+  flow.gap(6);
+  flow.paragraph(
+    'Self-reported in the MJ\'s Superstars app. Mood is rated 1 (lowest) to 5 (highest); daily values are the average of that day\'s check-ins. '
+    + 'Questionnaires are screening tools, not a diagnosis.',
+    { size: 9, color: COLORS.muted }
+  );
+
+  renderMood(flow, { daily: data.daily, summary: summarizeMood(data.daily), start, end });
+  renderAssessments(flow, { assessments: data.assessments, start, end });
+  renderRituals(flow, data.rituals);
+  renderJournal(flow, data.journal);
+
+  const generated = `Generated ${generatedAt.toISOString().slice(0, 10)}`;
+  for (let i = 0; i < pdf.pageCount; i++) {
+    pdf.setPage(i);
+    const y = pdf.height - MARGIN / 2;
+    pdf.text(generated, MARGIN, y, { size: 8, color: COLORS.muted });
+    pdf.text(`Page ${i + 1} of ${pdf.pageCount}`, pdf.width - MARGIN - 50, y, { size: 8, color: COLORS.muted });
+  }
+
+  return pdf.toBuffer();
+}
+
+// ============================================================
+// SERVICE
+// ============================================================
+
+const REPORT_COLUMNS = `id, status, period_start::text as period_start, period_end::text as period_end,
+  journal_entry_ids, size_bytes, download_count, last_downloaded_at, created_at, completed_at, expires_at`;
+
+// Within a local-date period, for timestamptz columns ($2 start, $3 end, $4 timezone)
+const inPeriod = (column) =>
+  `${column} >= ($2::date::timestamp AT TIME ZONE $4) AND ${column} < (($3::date + 1)::timestamp AT TIME ZONE $4)`;
+
+export const ReportService = {
+  /**
+   * The period a request asks for, on the user's local calendar:
+   * defaults to the last DEFAULT_PERIOD_DAYS days, never past today
+   */
+  resolvePeriod(user, { start, end } = {}) {
+    const today = localTime(user.timezone).date;
+    const periodEnd = end && end < today ? end : today;
+    const periodStart = start || shiftDate(periodEnd, -(DEFAULT_PERIOD_DAYS - 1));
+    return { start: periodStart, end: periodEnd, days: daysInPeriod(periodStart, periodEnd) };
+  },
+
+  /**
+   * Which of `ids` are the user's own journal entries
+   */
+  async ownJournalEntries(userId, ids) {
+    if (ids.length === 0) return [];
+    const result = await query(
+      `SELECT id FROM journal_entries WHERE user_id = $1 AND id = ANY($2)`,
+      [userId, ids]
+    );
+    return result.rows.map(r => r.id);
+  },
+
+  /**
+   * Record a report to generate. The caller queues the rendering.
+   */
+  async create(userId, { start, end, journalEntryIds = [] }) {
+    const result = await query(
+      `INSERT INTO reports (user_id, period_start, period_end, journal_entry_ids, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+       RETURNING ${REPORT_COLUMNS}`,
+      [userId, start, end, journalEntryIds, REPORT_RETENTION_DAYS]
+    );
+    return result.rows[0];
+  },
+
+  async gather(report) {
+    const { user_id: userId, period_start: start, period_end: end } = report;
+    const { timezone } = localTime(report.timezone);
+    const window = [userId, start, end, timezone];
+
+    const [moods, assessments, morning, evening, journal] = await Promise.all([
+      query(
+        `SELECT ${localDateSql('created_at', '$4')}::text as date, AVG(mood_score)::float as avg_mood
+         FROM mood_entries
+         WHERE user_id = $1 AND ${inPeriod('created_at')}
+         GROUP BY 1
+         ORDER BY 1`,
+        window
+      ),
+      query(
+        `SELECT instrument, score, severity, flags, ${localDateSql('completed_at', '$4')}::text as date
+         FROM assessments
+         WHERE user_id = $1 AND ${inPeriod('completed_at')}
+         ORDER BY completed_at`,
+        window
+      ),
+      query(
+        `SELECT date::text as date, intention_met FROM morning_intentions
+         WHERE user_id = $1 AND date BETWEEN $2 AND $3`,
+        [userId, start, end]
+      ),
+      query(
+        `SELECT date::text as date FROM evening_reflections
+         WHERE user_id = $1 AND date BETWEEN $2 AND $3`,
+        [userId, start, end]
+      ),
+      report.journal_entry_ids?.length
+        ? query(
+          `SELECT title, content, prompt_text, mood_score, ${localDateSql('created_at', '$3')}::text as date
+           FROM journal_entries
+           WHERE user_id = $1 AND id = ANY($2)
+           ORDER BY created_at`,
+          [userId, report.journal_entry_ids, timezone]
+        )
+        : { rows: [] }
+    ]);
+
+    return {
+      name: report.display_name,
+      start,
+      end,
+      daily: moods.rows,
+      assessments: assessments.rows,
+      rituals: summarizeRituals({ morning: morning.rows, evening: evening.rows, start, end }),
+      journal: journal.rows
+    };
+  },
+
+  /**
+   * Render and store a pending report, then let the user know. Run by
+   * the exports queue (or inline without Redis).
+   */
+  async generate({ reportId }) {
+    const result = await query(
+      `SELECT r.id, r.user_id, r.status, r.period_start::text as period_start, r.period_end::text as period_end,
+              r.journal_entry_ids, u.display_name, u.timezone
+       FROM reports r
+       JOIN users u ON u.id = r.user_id
+       WHERE r.id = $1`,
+      [reportId]
+    );
+    const report = result.rows[0];
+    if (!report || report.status === 'ready') return { skipped: true };
+
+    try {
+      const pdf = renderReport(await this.gather(report));
+      const key = storageKey(report.user_id, report.id);
+      await getStorage().put(key, pdf, { contentType: 'application/pdf' });
+
+      await query(
+        `UPDATE reports SET status = 'ready', storage_key = $2, size_bytes = $3, error = NULL, completed_at = NOW()
+         WHERE id = $1`,
+        [report.id, key, pdf.length]
+      );
+    } catch (error) {
+      await query(
+        `UPDATE reports SET status = 'failed', error = $2 WHERE id = $1`,
+        [report.id, error.message]
+      );
+      throw error;
+    }
+
+    await NotificationService.sendToUser(report.user_id, {
+      title: 'Your progress report is ready',
+      body: 'Open it to read it or share a link with your therapist.'
+    }, { type: 'report_ready', action: 'open_reports', reportId: report.id }).catch(err =>
+      logger.warn('Report ready notification failed:', { reportId, error: err.message }));
+
+    logger.info('Progress report generated:', { userId: report.user_id, reportId: report.id });
+    return { reportId: report.id };
+  },
+
+  async list(userId) {
+    const result = await query(
+      `SELECT ${REPORT_COLUMNS} FROM reports
+       WHERE user_id = $1 AND expires_at > NOW()
+       ORDER BY created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  },
+
+  async get(userId, id) {
+    const result = await query(
+      `SELECT ${REPORT_COLUMNS} FROM reports
+       WHERE id = $1 AND user_id = $2 AND expires_at > NOW()`,
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * A signed download path for a ready report, good for `hours` or
+   * until the report itself expires, whichever comes first
+   */
+  createLink(report, { hours = DEFAULT_LINK_HOURS, now = Date.now() } = {}) {
+    const expires = Math.floor(Math.min(now + hours * 3600 * 1000, new Date(report.expires_at).getTime()) / 1000);
+    const signature = signDownload(report.id, expires);
+    return {
+      path: `/api/reports/${report.id}/download?expires=${expires}&signature=${signature}`,
+      expires_at: new Date(expires * 1000).toISOString()
+    };
+  },
+
+  /**
+   * The PDF behind a signed link, or null when the link or the report
+   * is no longer valid. Counts the download.
+   */
+  async download(id, { expires, signature }) {
+    if (!verifyDownload(id, expires, signature)) return null;
+
+    const result = await query(
+      `UPDATE reports SET download_count = download_count + 1, last_downloaded_at = NOW()
+       WHERE id = $1 AND status = 'ready' AND expires_at > NOW()
+       RETURNING storage_key, period_start::text as period_start, period_end::text as period_end`,
+      [id]
+    );
+    const report = result.rows[0];
+    if (!report) return null;
+
+    const object = await getStorage().get(report.storage_key);
+    if (!object) return null;
+
+    return {
+      body: object.body,
+      filename: `progress-report-${report.period_start}-to-${report.period_end}.pdf`
+    };
+  },
+
+  async remove(userId, id) {
+    const result = await query(
+      `DELETE FROM reports WHERE id = $1 AND user_id = $2 RETURNING storage_key`,
+      [id, userId]
+    );
+    if (result.rows.length === 0) return false;
+
+    if (result.rows[0].storage_key) {
+      await getStorage().remove(result.rows[0].storage_key);
+    }
+    return true;
+  },
+
+  async removeForUser(userId) {
+    return getStorage().removePrefix(`reports/${userId}/`);
+  },
+
+  /**
+   * Drop reports past retention, files first. Run by the scheduler.
+   */
+  async prune() {
+    const result = await query(
+      `DELETE FROM reports WHERE expires_at <= NOW() RETURNING storage_key`
+    );
+    for (const { storage_key: key } of result.rows) {
+      if (key) {
+        await getStorage().remove(key).catch(err =>
+          logger.warn('Failed to remove expired report:', { key, error: err.message }));
+      }
+    }
+    return result.rows.length;
+  }
+};
+
+export default ReportService;
@@ -5,6 +5,17 @@
 
 import { query } from '../database/db.js';
 import { NotificationService } from './notifications.js';
+import { CrisisService } from './crisis.js';
+import { CrisisResourceService } from './crisisResources.js';
+import { FeedIngestService } from './feedIngest.js';
+import { EventLogService } from './eventLog.js';
+import { IdempotencyService } from './idempotency.js';
+import { localTime, localDateSql } from './localDay.js';
+import { MoodForecastService, MIN_DAYS_LOGGED } from './moodForecast.js';
+import { features } from './featureFlags.js';
+import { InsightAnalyzer } from './insightAnalyzer.js';
+import { AssessmentService, INSTRUMENTS } from './assessments.js';
+import { ReportService } from './reports.js';
 import { logger } from '../utils/logger.js';
 
 // Helper wrappers to match the API the scheduler functions expect
@@ -82,6 +93,23 @@ const NOTIFICATION_TEMPLATES = {
       "Amazing progress! You've unlocked something special."
     ]
   },
+  moodForecast: {
+    title: "A gentle heads-up 💙",
+    bodies: [
+      "Tomorrow might feel a little heavier than usual. Plan something kind for yourself?",
+      "Your patterns suggest tomorrow could be tougher. An early night might help.",
+      "Looks like tomorrow may be a harder day. I'll be here if you want to talk it through.",
+      "A heads-up from your mood patterns: go easy on yourself tomorrow."
+    ]
+  },
+  assessmentDue: {
+    title: "Time for your check-in 📋",
+    bodies: [
+      "It's been a couple of weeks. A few quick questions help you see how things are changing.",
+      "Your regular check-in is ready. It only takes a couple of minutes.",
+      "A quick questionnaire is due. Your answers build a clearer picture over time."
+    ]
+  },
   weeklyInsight: {
     title: "Your Weekly Insight 📊",
     bodies: [
@@ -105,48 +133,6 @@ function getRandomMessage(templateKey) {
   };
 }
 
-/**
- * Get the current hour and minute in a user's timezone.
- * Falls back to America/New_York if timezone is invalid.
- */
-function getUserLocalTime(timezone) {
-  try {
-    const now = new Date();
-    const formatter = new Intl.DateTimeFormat('en-US', {
-      timeZone: timezone || 'America/New_York',
-      hour: 'numeric',
-      minute: 'numeric',
-      hour12: false,
-    });
-    const parts = formatter.formatToParts(now);
-    const hour = parseInt(parts.find(p => p.type === 'hour')?.value || '0');
-    const minute = parseInt(parts.find(p => p.type === 'minute')?.value || '0');
-    return { hour, minute, dayOfWeek: getDayOfWeekInTimezone(timezone) };
-  } catch {
-    // Invalid timezone — fall back to server time
-    const now = new Date();
-    return { hour: now.getUTCHours(), minute: now.getUTCMinutes(), dayOfWeek: now.getUTCDay() };
-  }
-}
-
-/**
- * Get day of week (0=Sunday) in the user's timezone.
- */
-function getDayOfWeekInTimezone(timezone) {
-  try {
-    const now = new Date();
-    const formatter = new Intl.DateTimeFormat('en-US', {
-      timeZone: timezone || 'America/New_York',
-      weekday: 'short',
-    });
-    const day = formatter.format(now);
-    const dayMap = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
-    return dayMap[day] ?? now.getUTCDay();
-  } catch {
-    return new Date().getUTCDay();
-  }
-}
-
 // Check if user should receive notification based on quiet hours
 async function isQuietHours(userId) {
   try {
@@ -158,8 +144,7 @@ async function isQuietHours(userId) {
     const settings = result.rows[0]?.notification_settings;
     if (!settings?.quietHours?.enabled) return false;
 
-    const userTimezone = result.rows[0]?.timezone || 'America/New_York';
-    const { hour, minute } = getUserLocalTime(userTimezone);
+    const { hour, minute } = localTime(result.rows[0]?.timezone);
     const currentTime = hour * 60 + minute;
 
     const [startHour, startMin] = settings.quietHours.start.split(':').map(Number);
@@ -199,7 +184,7 @@ async function getMorningCheckInUsers() {
     `);
     // Filter by user's local time being between 8-10 AM
     return result.rows.filter(user => {
-      const { hour } = getUserLocalTime(user.timezone);
+      const { hour } = localTime(user.timezone);
       return hour >= 8 && hour < 10;
     });
   } catch (err) {
@@ -213,23 +198,21 @@ async function getStreakReminderUsers() {
   try {
     const result = await query(`
       SELECT u.id, u.push_token, u.display_name, u.notification_settings,
-             u.timezone, s.current_streak
+             u.timezone, s.current_streak,
+             (SELECT MAX(m.created_at) FROM mood_entries m WHERE m.user_id = u.id) as last_mood_at
       FROM users u
       JOIN user_streaks s ON u.id = s.user_id
       WHERE u.push_token IS NOT NULL
         AND u.notification_settings->>'enabled' = 'true'
         AND u.notification_settings->'streakReminder'->>'enabled' = 'true'
         AND s.current_streak > 0
-        AND NOT EXISTS (
-          SELECT 1 FROM mood_entries m
-          WHERE m.user_id = u.id
-            AND m.created_at > CURRENT_DATE
-        )
     `);
-    // Filter by user's local time being between 7-9 PM
+    // Filter by user's local time being between 7-9 PM, with no mood
+    // logged yet on their local today
     return result.rows.filter(user => {
-      const { hour } = getUserLocalTime(user.timezone);
-      return hour >= 19 && hour < 21;
+      const { hour, date } = localTime(user.timezone);
+      const loggedToday = user.last_mood_at && localTime(user.timezone, new Date(user.last_mood_at)).date === date;
+      return hour >= 19 && hour < 21 && !loggedToday;
     });
   } catch (err) {
     logger.error('Error getting streak reminder users:', err);
@@ -268,7 +251,7 @@ async function getInactiveUsers(daysSinceActivity = 2) {
 
     // Filter by user's local time being between 1-3 PM
     return result.rows.filter(user => {
-      const { hour } = getUserLocalTime(user.timezone);
+      const { hour } = localTime(user.timezone);
       return hour >= 13 && hour < 15;
     });
   } catch (err) {
@@ -331,7 +314,7 @@ export async function sendEveningReflections() {
 
   for (const user of result.rows) {
     // Only send if it's 8-10 PM in the user's timezone
-    const { hour } = getUserLocalTime(user.timezone);
+    const { hour } = localTime(user.timezone);
     if (hour < 20 || hour >= 22) continue;
 
     if (await isQuietHours(user.id)) continue;
@@ -466,6 +449,203 @@ export async function sendAchievementNotification(userId, achievement) {
   }
 }
 
+// Check back in after a crisis event. Leaves a message from MJ in the
+// conversation (so it's there without push) and sends a push; quiet hours
+// defer it to the next tick rather than skipping it.
+const CRISIS_FOLLOW_UP = {
+  title: 'Checking in 💙',
+  body: "I've been thinking about you since we talked. How are you doing right now?",
+  message: (line) => `Hey, I wanted to check back in after our last conversation. How are you doing right now? Whatever the answer is, I'm here${line ? ` — and if things feel heavy again, ${line.name} (${line.contact}) is there any time` : ''}.`
+};
+
+export async function sendCrisisFollowUps() {
+  const events = await CrisisService.getDueFollowUps();
+  let sent = 0;
+
+  for (const event of events) {
+    if (await isQuietHours(event.user_id)) continue;
+
+    try {
+      if (event.conversation_id) {
+        const { resources } = await CrisisResourceService.getResourcesForUser(event.user_id);
+        await query(
+          `INSERT INTO messages (conversation_id, user_id, role, content, intent)
+           VALUES ($1, $2, 'assistant', $3, 'crisis_follow_up')`,
+          [event.conversation_id, event.user_id, CRISIS_FOLLOW_UP.message(resources[0])]
+        );
+      }
+
+      await NotificationService.sendToUser(event.user_id, {
+        title: CRISIS_FOLLOW_UP.title,
+        body: CRISIS_FOLLOW_UP.body
+      }, {
+        type: 'crisis_follow_up',
+        action: 'open_chat',
+        conversationId: event.conversation_id
+      });
+
+      await CrisisService.markFollowedUp(event.id);
+      sent++;
+    } catch (err) {
+      logger.error('Crisis follow-up failed:', { eventId: event.id, error: err.message });
+    }
+  }
+
+  if (sent > 0) {
+    logger.info(`Sent ${sent} crisis follow-ups`);
+  }
+
+  return sent;
+}
+
+// Heads-up the evening before a predicted dip (mood_predictions flag,
+// 6-9 PM local). Only fires when the forecast is at least medium
+// confidence, and at most once a day.
+export async function sendMoodForecastNudges() {
+  const result = await query(`
+    SELECT u.id, u.push_token, u.timezone, u.is_premium
+    FROM users u
+    WHERE u.push_token IS NOT NULL
+      AND u.notification_settings->>'enabled' = 'true'
+      AND u.notification_settings->'moodForecast'->>'enabled' IS DISTINCT FROM 'false'
+      AND (
+        SELECT COUNT(DISTINCT ${localDateSql('m.created_at', 'u.timezone')}) FROM mood_entries m
+        WHERE m.user_id = u.id AND m.created_at > NOW() - INTERVAL '90 days'
+      ) >= $1
+      AND NOT EXISTS (
+        SELECT 1 FROM notification_history n
+        WHERE n.user_id = u.id
+          AND n.notification_type = 'mood_forecast'
+          AND n.sent_at > NOW() - INTERVAL '20 hours'
+      )
+  `, [MIN_DAYS_LOGGED]);
+
+  const notifications = [];
+
+  for (const user of result.rows) {
+    const { hour } = localTime(user.timezone);
+    if (hour < 18 || hour >= 21) continue;
+    if (!features.moodPredictions({ id: user.id, isPremium: user.is_premium })) continue;
+    if (await isQuietHours(user.id)) continue;
+
+    try {
+      const { status, confidence, forecast } = await MoodForecastService.forecast(user, { horizon: 1 });
+      const tomorrow = forecast[0];
+      if (status !== 'ok' || confidence === 'low' || !tomorrow?.dip) continue;
+
+      const message = getRandomMessage('moodForecast');
+      if (!message) continue;
+
+      notifications.push({
+        userId: user.id,
+        token: user.push_token,
+        title: message.title,
+        body: message.body,
+        data: {
+          type: 'mood_forecast',
+          action: 'open_insights',
+          date: tomorrow.date
+        }
+      });
+    } catch (err) {
+      logger.error('Mood forecast failed:', { userId: user.id, error: err.message });
+    }
+  }
+
+  if (notifications.length > 0) {
+    await sendBulkNotifications(notifications);
+    logger.info(`Sent ${notifications.length} mood forecast nudges`);
+  }
+
+  return notifications.length;
+}
+
+// Look for declines, drops, quiet weeks and good stretches during the
+// user's 5 PM hour and store them as insights. The analyzer skips
+// anything already stored, so later ticks in the hour add nothing.
+// Pushes go out unless the user turned insight notifications off or
+// it's their quiet hours.
+export async function generateInsights() {
+  const result = await query(`
+    SELECT u.id, u.timezone,
+           (u.notification_settings->>'enabled' = 'true'
+             AND u.notification_settings->'insights'->>'enabled' IS DISTINCT FROM 'false') as push_insights
+    FROM users u
+    WHERE u.is_active = true
+      AND u.deleted_at IS NULL
+      AND EXISTS (
+        SELECT 1 FROM mood_entries m
+        WHERE m.user_id = u.id
+          AND m.created_at > NOW() - INTERVAL '42 days'
+      )
+  `);
+
+  let generated = 0;
+
+  for (const user of result.rows) {
+    if (localTime(user.timezone).hour !== 17) continue;
+
+    try {
+      const notify = user.push_insights === true && !(await isQuietHours(user.id));
+
+      const insights = await InsightAnalyzer.analyzeUser(user, { notify });
+      generated += insights.length;
+    } catch (err) {
+      logger.error('Insight analysis failed:', { userId: user.id, error: err.message });
+    }
+  }
+
+  if (generated > 0) {
+    logger.info(`Generated ${generated} insights`);
+  }
+
+  return generated;
+}
+
+// Remind users of questionnaires that have come due (10 AM-noon
+// local). One push per user, however many are due; the schedule
+// isn't reminded again for a few days.
+export async function sendAssessmentReminders() {
+  const due = await AssessmentService.dueForReminder();
+
+  const byUser = new Map();
+  for (const row of due) {
+    const { hour } = localTime(row.timezone);
+    if (hour < 10 || hour >= 12) continue;
+    if (!byUser.has(row.user_id)) byUser.set(row.user_id, { token: row.push_token, instruments: [] });
+    byUser.get(row.user_id).instruments.push(row.instrument);
+  }
+
+  const notifications = [];
+
+  for (const [userId, { token, instruments }] of byUser) {
+    if (await isQuietHours(userId)) continue;
+
+    const message = getRandomMessage('assessmentDue');
+    if (!message) continue;
+
+    notifications.push({
+      userId,
+      token,
+      title: message.title,
+      body: `${message.body} (${instruments.map(id => INSTRUMENTS[id].name).join(', ')})`,
+      data: {
+        type: 'assessment_due',
+        action: 'open_assessments',
+        instruments
+      }
+    });
+    await AssessmentService.markReminded(userId, instruments);
+  }
+
+  if (notifications.length > 0) {
+    await sendBulkNotifications(notifications);
+    logger.info(`Sent ${notifications.length} assessment reminders`);
+  }
+
+  return notifications.length;
+}
+
 // Send weekly insight notification (timezone-aware: Sunday 9-11 AM local)
 export async function sendWeeklyInsights() {
   logger.info('Starting weekly insight notifications');
@@ -486,7 +666,7 @@ export async function sendWeeklyInsights() {
 
   for (const user of result.rows) {
     // Only send on Sunday 9-11 AM in user's local timezone
-    const { hour, dayOfWeek } = getUserLocalTime(user.timezone);
+    const { hour, dayOfWeek } = localTime(user.timezone);
     if (dayOfWeek !== 0 || hour < 9 || hour >= 11) continue;
 
     const message = getRandomMessage('weeklyInsight');
@@ -526,21 +706,12 @@ export function initScheduler() {
   const lastRunMap = new Map();
 
   const shouldRun = (jobName, userId, userTimezone) => {
-    const { hour, minute } = getUserLocalTime(userTimezone);
-    const localDate = new Intl.DateTimeFormat('en-CA', {
-      timeZone: userTimezone || 'America/New_York',
-    }).format(new Date()); // "2026-02-07" format
-
     const key = `${jobName}:${userId}`;
-    if (lastRunMap.get(key) === localDate) return false;
-    return true;
+    return lastRunMap.get(key) !== localTime(userTimezone).date;
   };
 
   const markRan = (jobName, userId, userTimezone) => {
-    const localDate = new Intl.DateTimeFormat('en-CA', {
-      timeZone: userTimezone || 'America/New_York',
-    }).format(new Date());
-    lastRunMap.set(`${jobName}:${userId}`, localDate);
+    lastRunMap.set(`${jobName}:${userId}`, localTime(userTimezone).date);
 
     // Prune old entries (keep map from growing indefinitely)
     if (lastRunMap.size > 10000) {
@@ -570,10 +741,40 @@ export function initScheduler() {
       await sendGentleNudges().catch(err =>
         logger.error('Gentle nudges failed:', err.message));
 
+      // Mood forecast heads-ups: evening before a predicted dip (6-9 PM locally)
+      await sendMoodForecastNudges().catch(err =>
+        logger.error('Mood forecast nudges failed:', err.message));
+
+      // Generated insights: during the 5 PM hour locally
+      await generateInsights().catch(err =>
+        logger.error('Insight generation failed:', err.message));
+
+      // Questionnaires that have come due: 10 AM-noon locally
+      await sendAssessmentReminders().catch(err =>
+        logger.error('Assessment reminders failed:', err.message));
+
       // Weekly insights: Sunday 9-11 AM locally
       await sendWeeklyInsights().catch(err =>
         logger.error('Weekly insights failed:', err.message));
 
+      // Crisis follow-ups: whenever they come due
+      await sendCrisisFollowUps().catch(err =>
+        logger.error('Crisis follow-ups failed:', err.message));
+
+      // Trending feeds: each on its own interval, failing ones backed off
+      await FeedIngestService.refreshDue().catch(err =>
+        logger.error('Feed refresh failed:', err.message));
+
+      // Socket replay log and idempotency keys past retention
+      await EventLogService.prune().catch(err =>
+        logger.error('Socket event prune failed:', err.message));
+      await IdempotencyService.prune().catch(err =>
+        logger.error('Idempotency key prune failed:', err.message));
+
+      // Progress report PDFs past retention
+      await ReportService.prune().catch(err =>
+        logger.error('Report prune failed:', err.message));
+
     } catch (err) {
       logger.error('Scheduler tick error:', err);
     }
@@ -586,6 +787,7 @@ export function initScheduler() {
       await sendGentleNudges().catch(() => {});
       await sendStreakReminders().catch(() => {});
       await sendEveningReflections().catch(() => {});
+      await FeedIngestService.refreshDue().catch(() => {});
     } catch (err) {
       logger.error('Scheduler startup check error:', err);
     }
@@ -596,8 +798,12 @@ export function initScheduler() {
     sendEveningReflections,
     sendStreakReminders,
     sendGentleNudges,
+    sendMoodForecastNudges,
+    generateInsights,
+    sendAssessmentReminders,
     sendWeeklyInsights,
-    sendAchievementNotification
+    sendAchievementNotification,
+    sendCrisisFollowUps
   };
 }
 
@@ -607,6 +813,10 @@ export default {
   sendEveningReflections,
   sendStreakReminders,
   sendGentleNudges,
+  sendMoodForecastNudges,
+  generateInsights,
+  sendAssessmentReminders,
   sendWeeklyInsights,
-  sendAchievementNotification
+  sendAchievementNotification,
+  sendCrisisFollowUps
 };
@@ -0,0 +1,223 @@
+// ============================================================
+// Semantic Memory Index
+// Embeds what MJ knows about a user — AI memories, journal entries
+// and conversation summaries — and retrieves them by similarity.
+//
+// Vectors live in Postgres (pgvector, memory_embeddings table) or,
+// in mock-database mode, in an in-process index. VECTOR_STORE
+// (pgvector | memory) overrides the choice.
+// ============================================================
+
+import { query } from '../database/db.js';
+import { getEmbedder, cosineSimilarity } from './embeddings/index.js';
+import { logger } from '../utils/logger.js';
+
+export const SOURCE_TYPES = {
+  MEMORY: 'memory',
+  JOURNAL: 'journal',
+  CONVERSATION_SUMMARY: 'conversation_summary'
+};
+
+// Long inputs are truncated before embedding
+const MAX_EMBED_CHARS = 2000;
+
+const toVectorLiteral = (embedding) => `[${embedding.join(',')}]`;
+
+// ============================================================
+// VECTOR STORES
+// ============================================================
+
+const pgVectorStore = {
+  name: 'pgvector',
+
+  async upsert({ userId, sourceType, sourceId, content, embedder, embedding }) {
+    await query(
+      `INSERT INTO memory_embeddings (user_id, source_type, source_id, content, embedder, embedding)
+       VALUES ($1, $2, $3, $4, $5, $6::vector)
+       ON CONFLICT (source_type, source_id, embedder)
+       DO UPDATE SET content = EXCLUDED.content, embedding = EXCLUDED.embedding, updated_at = NOW()`,
+      [userId, sourceType, sourceId, content, embedder, toVectorLiteral(embedding)]
+    );
+  },
+
+  async remove(sourceType, sourceId) {
+    await query(
+      `DELETE FROM memory_embeddings WHERE source_type = $1 AND source_id = $2`,
+      [sourceType, sourceId]
+    );
+  },
+
+  async search({ userId, embedder, embedding, sourceTypes, limit }) {
+    const result = await query(
+      `SELECT source_type, source_id, content,
+              1 - (embedding <=> $3::vector) AS similarity
+       FROM memory_embeddings
+       WHERE user_id = $1 AND embedder = $2 AND source_type = ANY($4)
+       ORDER BY embedding <=> $3::vector
+       LIMIT $5`,
+      [userId, embedder, toVectorLiteral(embedding), sourceTypes, limit]
+    );
+    return result.rows.map(row => ({ ...row, similarity: parseFloat(row.similarity) }));
+  }
+};
+
+const createMemoryVectorStore = () => {
+  const entries = new Map();
+  const keyOf = (sourceType, sourceId, embedder) => `${sourceType}:${sourceId}:${embedder}`;
+
+  return {
+    name: 'memory',
+
+    async upsert({ userId, sourceType, sourceId, content, embedder, embedding }) {
+      entries.set(keyOf(sourceType, sourceId, embedder), {
+        user_id: userId, source_type: sourceType, source_id: sourceId, content, embedder, embedding
+      });
+    },
+
+    async remove(sourceType, sourceId) {
+      for (const [key, entry] of entries) {
+        if (entry.source_type === sourceType && entry.source_id === sourceId) entries.delete(key);
+      }
+    },
+
+    async search({ userId, embedder, embedding, sourceTypes, limit }) {
+      return [...entries.values()]
+        .filter(e => e.user_id === userId && e.embedder === embedder && sourceTypes.includes(e.source_type))
+        .map(e => ({
+          source_type: e.source_type,
+          source_id: e.source_id,
+          content: e.content,
+          similarity: cosineSimilarity(embedding, e.embedding)
+        }))
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit);
+    },
+
+    clear() {
+      entries.clear();
+    }
+  };
+};
+
+const memoryVectorStore = createMemoryVectorStore();
+
+let activeStore = null;
+
+// Mirrors the mock-mode check in database/db.js
+const usingMockDatabase = () => process.env.USE_MOCK_DB === 'true' || process.env.ANTHROPIC_API_KEY === 'demo-mode';
+
+const getStore = () => {
+  if (!activeStore) {
+    const requested = process.env.VECTOR_STORE || (usingMockDatabase() ? 'memory' : 'pgvector');
+    activeStore = requested === 'memory' ? memoryVectorStore : pgVectorStore;
+  }
+  return activeStore;
+};
+
+// ============================================================
+// SERVICE
+// ============================================================
+
+export const SemanticMemoryService = {
+  /**
+   * Embed and store one item, replacing its previous vector
+   */
+  async index({ userId, sourceType, sourceId, content }) {
+    if (!content || !content.trim()) return false;
+
+    const embedder = getEmbedder();
+    const text = content.slice(0, MAX_EMBED_CHARS);
+    const [embedding] = await embedder.embed([text], { inputType: 'document' });
+
+    await getStore().upsert({ userId, sourceType, sourceId, content: text, embedder: embedder.name, embedding });
+    return true;
+  },
+
+  /**
+   * Fire-and-forget variant for request paths
+   */
+  indexAsync(item) {
+    this.index(item).catch(err => {
+      logger.warn('Semantic indexing failed:', { sourceType: item.sourceType, sourceId: item.sourceId, error: err.message });
+    });
+  },
+
+  async remove(sourceType, sourceId) {
+    await getStore().remove(sourceType, sourceId);
+  },
+
+  removeAsync(sourceType, sourceId) {
+    this.remove(sourceType, sourceId).catch(err => {
+      logger.warn('Semantic index removal failed:', { sourceType, sourceId, error: err.message });
+    });
+  },
+
+  /**
+   * Most similar items for a user, best first:
+   *   [{ source_type, source_id, content, similarity }]
+   */
+  async search(userId, text, {
+    sourceTypes = Object.values(SOURCE_TYPES),
+    limit = 10,
+    minSimilarity = 0
+  } = {}) {
+    if (!text || !text.trim()) return [];
+
+    const embedder = getEmbedder();
+    const [embedding] = await embedder.embed([text.slice(0, MAX_EMBED_CHARS)], { inputType: 'query' });
+
+    const results = await getStore().search({
+      userId, embedder: embedder.name, embedding, sourceTypes, limit
+    });
+    return results.filter(r => r.similarity >= minSimilarity);
+  },
+
+  /**
+   * Re-embed everything for one user (backfill, or after switching embedder)
+   */
+  async reindexUser(userId) {
+    const counts = { memory: 0, journal: 0, conversation_summary: 0 };
+
+    const memories = await query(
+      `SELECT id, content FROM ai_memories
+       WHERE user_id = $1 AND is_current = TRUE`,
+      [userId]
+    );
+    const journal = await query(
+      `SELECT id, content FROM journal_entries WHERE user_id = $1`,
+      [userId]
+    );
+    const summaries = await query(
+      `SELECT id, summary AS content FROM conversations
+       WHERE user_id = $1 AND summary IS NOT NULL`,
+      [userId]
+    );
+
+    const batches = [
+      [SOURCE_TYPES.MEMORY, memories.rows],
+      [SOURCE_TYPES.JOURNAL, journal.rows],
+      [SOURCE_TYPES.CONVERSATION_SUMMARY, summaries.rows]
+    ];
+
+    for (const [sourceType, rows] of batches) {
+      for (const row of rows) {
+        if (await this.index({ userId, sourceType, sourceId: row.id, content: row.content })) {
+          counts[sourceType]++;
+        }
+      }
+    }
+
+    return counts;
+  },
+
+  /**
+   * Force a store (tests) or pass null to re-resolve from env
+   */
+  setStore(store) {
+    activeStore = store === 'memory' ? memoryVectorStore : store;
+  },
+
+  memoryStore: memoryVectorStore
+};
+
+export default SemanticMemoryService;
@@ -4,58 +4,159 @@
 
 import { query } from '../database/db.js';
 import { ClaudeService } from './claude.js';
+import { ChatContextService } from './chatContext.js';
+import { UsageService } from './usage.js';
+import { CoachToolService, COACH_TOOLS } from './coachTools.js';
+import { CrisisService } from './crisis.js';
+import { MessageBranchService } from './messageBranches.js';
+import { VoiceMessageService, MAX_AUDIO_SECONDS } from './voiceMessages.js';
+import { RealtimeService, deviceFromHandshake, userRoom } from './realtime.js';
+import { EventLogService } from './eventLog.js';
+import { IdempotencyService } from './idempotency.js';
+import { localTime } from './localDay.js';
 import { logger } from '../utils/logger.js';
 
 // UUID regex for validation
 const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 const MAX_CONTENT_LENGTH = 10000;
 
-// Store active connections
-const activeConnections = new Map();
-
 export const setupSocketHandlers = (io) => {
   io.on('connection', (socket) => {
     const user = socket.user;
     logger.info('Socket connected:', { userId: user.id, socketId: socket.id });
 
-    // Join user's personal room
-    socket.join(`user:${user.id}`);
-    activeConnections.set(socket.id, { userId: user.id, connectedAt: new Date() });
+    // Every device of the user shares this room; presence is read from it
+    const room = userRoom(user.id);
+    const connectedAt = new Date().toISOString();
+    socket.data.userId = user.id;
+    socket.data.device = deviceFromHandshake(socket);
+    socket.data.connectedAt = connectedAt;
+    socket.data.lastActiveAt = connectedAt;
+    socket.join(room);
+
+    // Any event from the client counts as activity
+    socket.onAny(() => {
+      socket.data.lastActiveAt = new Date().toISOString();
+    });
+
+    // In-flight streamed replies for this socket, keyed by conversation
+    const pendingResponses = new Map();
+
+    // Writes answer through the Socket.IO ack when the client passes one:
+    // { ok: true, ... } or { ok: false, error, code? }. Clients without
+    // acks get the old `error` event instead.
+    const reject = (ack, message, extra = {}) => {
+      if (typeof ack === 'function') ack({ ok: false, error: message, ...extra });
+      else socket.emit('error', { message, ...extra });
+    };
+    const accept = (ack, result = {}) => {
+      if (typeof ack === 'function') ack({ ok: true, ...result });
+    };
+
+    // Claims a write's idempotency_key. A retry of a write that already
+    // ran is answered with the stored response ({ duplicate: true }, or
+    // { pending: true } while the first attempt is running) and gets false.
+    const claimKey = async (key, event, ack) => {
+      const { claimed, response } = await IdempotencyService.claim(user.id, key, event);
+      if (!claimed) {
+        accept(ack, { duplicate: true, ...(response || { pending: true }) });
+      }
+      return claimed;
+    };
+    const releaseKey = (key) => {
+      if (!key) return;
+      IdempotencyService.release(user.id, key).catch(err => {
+        logger.error('Failed to release idempotency key:', { userId: user.id, error: err.message });
+      });
+    };
 
     // ============================================================
     // PRESENCE
     // ============================================================
 
-    // Emit online status
-    socket.emit('connected', {
-      userId: user.id,
-      displayName: user.display_name,
-      timestamp: new Date()
+    // Emit online status, with the latest event seq as the baseline for
+    // a later `resume`
+    EventLogService.currentSeq(user.id)
+      .catch(err => {
+        logger.warn('Failed to read event sequence:', { userId: user.id, error: err.message });
+        return null;
+      })
+      .then(lastSeq => socket.emit('connected', {
+        userId: user.id,
+        displayName: user.display_name,
+        deviceId: socket.data.device.device_id,
+        last_seq: lastSeq,
+        timestamp: new Date()
+      }));
+    RealtimeService.broadcastPresence(io, user.id);
+
+    // The user's connected devices, across every server instance
+    socket.on('get_presence', async (callback) => {
+      if (typeof callback !== 'function') return;
+      try {
+        callback({ devices: await RealtimeService.listDevices(io, user.id) });
+      } catch (error) {
+        logger.error('Presence lookup failed:', error);
+        callback({ error: 'Failed to load presence' });
+      }
+    });
+
+    // ============================================================
+    // RESUME
+    // ============================================================
+
+    // Replay sequenced events this device missed since `last_seq`. The
+    // ack's `truncated` means some are gone and the client should refetch.
+    socket.on('resume', async (data, ack) => {
+      const { last_seq } = data || {};
+      if (!Number.isInteger(last_seq) || last_seq < 0) {
+        return reject(ack, 'Invalid last_seq');
+      }
+
+      try {
+        accept(ack, await RealtimeService.replay(socket, last_seq));
+      } catch (error) {
+        logger.error('Socket resume error:', error);
+        reject(ack, 'Failed to resume');
+      }
     });
 
     // ============================================================
     // REAL-TIME CHAT
     // ============================================================
 
-    // Handle real-time message sending
-    socket.on('send_message', async (data) => {
+    // Handle real-time message sending. Acked once the user's message is
+    // saved; the reply follows as events.
+    socket.on('send_message', async (data, ack) => {
+      const { idempotency_key } = data || {};
+      let keyClaimed = false;
+      let saved = false;
+
       try {
-        const { conversation_id, content, is_voice = false } = data || {};
+        const { conversation_id, content, is_voice = false, audio_url = null, audio_duration = null } = data || {};
 
         // Validate conversation_id is a UUID
         if (!conversation_id || !UUID_REGEX.test(conversation_id)) {
-          socket.emit('error', { message: 'Invalid or missing conversation_id' });
-          return;
+          return reject(ack, 'Invalid or missing conversation_id');
         }
 
         // Validate content is a non-empty string within limits
         if (!content || typeof content !== 'string' || content.trim().length === 0) {
-          socket.emit('error', { message: 'Content cannot be empty' });
-          return;
+          return reject(ack, 'Content cannot be empty');
         }
         if (content.length > MAX_CONTENT_LENGTH) {
-          socket.emit('error', { message: `Content exceeds ${MAX_CONTENT_LENGTH} character limit` });
-          return;
+          return reject(ack, `Content exceeds ${MAX_CONTENT_LENGTH} character limit`);
+        }
+
+        // Audio comes from POST /api/conversations/:id/voice?reply=false
+        if (audio_url !== null && !VoiceMessageService.isOwnAudioUrl(conversation_id, audio_url)) {
+          return reject(ack, 'Invalid audio_url');
+        }
+        if (audio_duration !== null && !(Number.isInteger(audio_duration) && audio_duration >= 0 && audio_duration <= MAX_AUDIO_SECONDS)) {
+          return reject(ack, 'Invalid audio_duration');
+        }
+        if (idempotency_key !== undefined && !IdempotencyService.isValidKey(idempotency_key)) {
+          return reject(ack, 'Invalid idempotency_key');
         }
 
         // Verify conversation belongs to user
@@ -65,80 +166,150 @@ export const setupSocketHandlers = (io) => {
         );
 
         if (convResult.rows.length === 0) {
-          socket.emit('error', { message: 'Conversation not found' });
-          return;
+          return reject(ack, 'Conversation not found');
+        }
+
+        // Enforce the daily AI quota before spending any tokens
+        const usageSubject = UsageService.subjectForUser(user);
+        const quota = await UsageService.checkQuota(usageSubject);
+        if (!quota.allowed) {
+          // The message isn't saved, but it still gets its crisis check
+          const crisis = await CrisisService.evaluate({
+            message: content,
+            userId: user.id,
+            conversationId: conversation_id,
+            source: 'socket'
+          });
+          return reject(ack, quota.reason === 'messages' ? 'Daily message limit reached' : 'Daily AI usage limit reached', {
+            code: 'QUOTA_EXCEEDED',
+            quota,
+            crisis
+          });
         }
 
-        // Get user context
-        const userContext = await getUserContext(user.id);
+        // A retried send (same key) must not save the message twice
+        if (idempotency_key) {
+          if (!await claimKey(idempotency_key, 'send_message', ack)) return;
+          keyClaimed = true;
+        }
 
-        // Get conversation history
-        const historyResult = await query(
-          `SELECT role, content FROM messages
-           WHERE conversation_id = $1
-           ORDER BY created_at DESC
-           LIMIT 20`,
-          [conversation_id]
-        );
-        const history = historyResult.rows.reverse();
+        // Get user context plus a token-budgeted history window
+        const baseContext = await ChatContextService.getUserContext(user.id, { message: content, conversation: convResult.rows[0] });
+        const { history, summary } = await ChatContextService.buildConversationContext({
+          conversation: convResult.rows[0],
+          user,
+          message: content
+        });
 
         // Save user message
         const userMsgResult = await query(
-          `INSERT INTO messages (conversation_id, user_id, role, content, is_voice)
-           VALUES ($1, $2, 'user', $3, $4)
+          `INSERT INTO messages (conversation_id, user_id, role, content, is_voice, audio_url, audio_duration)
+           VALUES ($1, $2, 'user', $3, $4, $5, $6)
            RETURNING id, created_at`,
-          [conversation_id, user.id, content, is_voice]
+          [conversation_id, user.id, content, Boolean(is_voice || audio_url), audio_url, audio_duration]
         );
 
         // Emit user message confirmation
-        socket.emit('message_saved', {
+        const savedMessage = {
           id: userMsgResult.rows[0].id,
           role: 'user',
           content,
+          is_voice: Boolean(is_voice || audio_url),
+          audio_url,
+          audio_duration,
           created_at: userMsgResult.rows[0].created_at
-        });
+        };
+        saved = true;
+        RealtimeService.emitToSocket(socket, 'message_saved', savedMessage);
+        RealtimeService.emitToUser(io, user.id, 'new_message', { conversation_id, message: savedMessage }, { except: socket });
 
-        // Emit typing indicator
-        socket.emit('mj_typing', { conversation_id });
+        if (keyClaimed) {
+          await IdempotencyService.complete(user.id, idempotency_key, { conversation_id, message: savedMessage });
+        }
+        accept(ack, { conversation_id, message: savedMessage });
 
-        // Get response from Claude
-        const claudeResponse = await ClaudeService.chat({
+        // Crisis check runs before the reply; resources are shown right away
+        const crisis = await CrisisService.evaluate({
           message: content,
-          history,
-          userContext,
           userId: user.id,
-          conversationId: conversation_id
+          conversationId: conversation_id,
+          messageId: userMsgResult.rows[0].id,
+          source: 'socket'
         });
+        if (crisis) {
+          RealtimeService.emitToSocket(socket, 'crisis_support', { conversation_id, ...crisis });
+        }
 
-        // Save MJ response
-        const mjMsgResult = await query(
-          `INSERT INTO messages (conversation_id, user_id, role, content, mood_detected, topics, intent, input_tokens, output_tokens)
-           VALUES ($1, $2, 'assistant', $3, $4, $5, $6, $7, $8)
-           RETURNING id, content, mood_detected, topics, intent, created_at`,
-          [
-            conversation_id,
-            user.id,
-            claudeResponse.content,
-            claudeResponse.mood_detected,
-            JSON.stringify(claudeResponse.topics || []),
-            claudeResponse.intent,
-            claudeResponse.usage?.input_tokens,
-            claudeResponse.usage?.output_tokens
-          ]
-        );
+        const userContext = { ...baseContext, conversationSummary: summary, crisisSupport: crisis };
 
-        // Update conversation
-        await query(
-          `UPDATE conversations SET updated_at = NOW() WHERE id = $1`,
-          [conversation_id]
-        );
+        // Emit typing indicator
+        socket.emit('mj_typing', { conversation_id });
+
+        // Stream response from Claude chunk by chunk
+        const controller = new AbortController();
+        pendingResponses.set(conversation_id, controller);
+
+        let claudeResponse;
+        try {
+          claudeResponse = await ClaudeService.chatStream({
+            message: content,
+            history,
+            userContext,
+            userId: user.id,
+            conversationId: conversation_id,
+            tools: COACH_TOOLS,
+            signal: controller.signal,
+            onText: (text) => socket.emit('mj_response_chunk', { conversation_id, text })
+          });
+        } finally {
+          pendingResponses.delete(conversation_id);
+        }
+
+        // Save whatever was generated, even if the stream was cut short
+        let mjMessage = null;
+        if (claudeResponse.content) {
+          mjMessage = await MessageBranchService.saveReply({
+            conversationId: conversation_id,
+            userId: user.id,
+            response: claudeResponse,
+            parentId: userMsgResult.rows[0].id
+          });
+        }
 
-        // Emit MJ response
-        socket.emit('mj_response', {
-          message: mjMsgResult.rows[0],
-          suggestions: claudeResponse.suggestions || []
+        UsageService.recordUsage(usageSubject, claudeResponse.usage).catch(err => {
+          logger.error('Failed to record AI usage:', { userId: user.id, error: err.message });
         });
 
+        // Tool calls become confirmation cards; confirmed over REST
+        const actions = mjMessage
+          ? await CoachToolService.proposeActions({
+            userId: user.id,
+            conversationId: conversation_id,
+            messageId: mjMessage.id,
+            toolCalls: claudeResponse.toolCalls
+          })
+          : [];
+
+        const donePayload = {
+          conversation_id,
+          message: mjMessage,
+          suggestions: claudeResponse.suggestions || [],
+          actions,
+          crisis,
+          aborted: claudeResponse.aborted,
+          truncated: claudeResponse.truncated || false
+        };
+        RealtimeService.emitToSocket(socket, 'mj_response_done', donePayload);
+
+        // Legacy single-shot event for clients that don't consume chunks
+        if (mjMessage) {
+          RealtimeService.emitToSocket(socket, 'mj_response', {
+            message: mjMessage,
+            suggestions: donePayload.suggestions
+          });
+          RealtimeService.emitToUser(io, user.id, 'new_message', { conversation_id, message: mjMessage }, { except: socket });
+        }
+
         // Extract personalization asynchronously (don't block, but log errors)
         extractPersonalizationAsync(user.id, userMsgResult.rows[0].id, content).catch(err => {
           logger.error('Socket personalization extraction failed:', { userId: user.id, error: err.message });
@@ -146,10 +317,22 @@ export const setupSocketHandlers = (io) => {
 
       } catch (error) {
         logger.error('Socket send_message error:', error);
-        socket.emit('error', { message: 'Failed to process message' });
+        // Once the message is saved the send was acked; only the reply failed
+        if (saved) {
+          socket.emit('error', { message: 'Failed to process message' });
+        } else {
+          if (keyClaimed) releaseKey(idempotency_key);
+          reject(ack, 'Failed to process message');
+        }
       }
     });
 
+    // Stop an in-flight reply; the partial response is still saved
+    socket.on('cancel_response', (data) => {
+      const { conversation_id } = data || {};
+      pendingResponses.get(conversation_id)?.abort();
+    });
+
     // ============================================================
     // TYPING INDICATORS
     // ============================================================
@@ -198,36 +381,45 @@ export const setupSocketHandlers = (io) => {
     // MOOD CHECK-IN (Quick mood log via socket)
     // ============================================================
 
-    socket.on('quick_mood', async (data) => {
+    socket.on('quick_mood', async (data, ack) => {
+      const { mood_score, note, idempotency_key } = data || {};
+      if (typeof mood_score !== 'number' || mood_score < 1 || mood_score > 10) {
+        return reject(ack, 'Mood score must be 1-10');
+      }
+      if (idempotency_key !== undefined && !IdempotencyService.isValidKey(idempotency_key)) {
+        return reject(ack, 'Invalid idempotency_key');
+      }
+
+      let keyClaimed = false;
       try {
-        const { mood_score, note } = data || {};
-        if (typeof mood_score !== 'number' || mood_score < 1 || mood_score > 10) {
-          socket.emit('error', { message: 'Mood score must be 1-10' });
-          return;
+        if (idempotency_key) {
+          if (!await claimKey(idempotency_key, 'quick_mood', ack)) return;
+          keyClaimed = true;
         }
 
-        const hour = new Date().getHours();
-        let time_of_day;
-        if (hour >= 5 && hour < 12) time_of_day = 'morning';
-        else if (hour >= 12 && hour < 17) time_of_day = 'afternoon';
-        else if (hour >= 17 && hour < 21) time_of_day = 'evening';
-        else time_of_day = 'night';
-
+        const local = localTime(user.timezone);
         const result = await query(
-          `INSERT INTO mood_entries (user_id, mood_score, note, source, time_of_day)
-           VALUES ($1, $2, $3, 'widget', $4)
+          `INSERT INTO mood_entries (user_id, mood_score, note, source, time_of_day, day_of_week)
+           VALUES ($1, $2, $3, 'widget', $4, $5)
            RETURNING *`,
-          [user.id, mood_score, note || null, time_of_day]
+          [user.id, mood_score, note || null, local.timeOfDay, local.dayOfWeek]
         );
 
-        socket.emit('mood_logged', {
-          entry: result.rows[0],
+        const entry = result.rows[0];
+        if (keyClaimed) {
+          await IdempotencyService.complete(user.id, idempotency_key, { entry });
+        }
+        accept(ack, { entry });
+
+        RealtimeService.emitToUser(io, user.id, 'mood_logged', {
+          entry,
           message: 'Mood logged!'
         });
 
       } catch (error) {
         logger.error('Quick mood error:', error);
-        socket.emit('error', { message: 'Failed to log mood' });
+        if (keyClaimed) releaseKey(idempotency_key);
+        reject(ack, 'Failed to log mood');
       }
     });
 
@@ -235,12 +427,20 @@ export const setupSocketHandlers = (io) => {
     // TASK QUICK ACTIONS
     // ============================================================
 
-    socket.on('complete_task', async (data) => {
+    socket.on('complete_task', async (data, ack) => {
+      const { task_id, idempotency_key } = data || {};
+      if (!task_id || !UUID_REGEX.test(task_id)) {
+        return reject(ack, 'Invalid task_id');
+      }
+      if (idempotency_key !== undefined && !IdempotencyService.isValidKey(idempotency_key)) {
+        return reject(ack, 'Invalid idempotency_key');
+      }
+
+      let keyClaimed = false;
       try {
-        const { task_id } = data || {};
-        if (!task_id || !UUID_REGEX.test(task_id)) {
-          socket.emit('error', { message: 'Invalid task_id' });
-          return;
+        if (idempotency_key) {
+          if (!await claimKey(idempotency_key, 'complete_task', ack)) return;
+          keyClaimed = true;
         }
 
         const result = await query(
@@ -250,16 +450,26 @@ export const setupSocketHandlers = (io) => {
           [task_id, user.id]
         );
 
-        if (result.rows.length > 0) {
-          socket.emit('task_completed', {
-            task: result.rows[0],
-            message: 'Task completed! 🎉'
-          });
+        if (result.rows.length === 0) {
+          if (keyClaimed) releaseKey(idempotency_key);
+          return reject(ack, 'Task not found', { code: 'NOT_FOUND' });
         }
 
+        const task = result.rows[0];
+        if (keyClaimed) {
+          await IdempotencyService.complete(user.id, idempotency_key, { task });
+        }
+        accept(ack, { task });
+
+        RealtimeService.emitToUser(io, user.id, 'task_completed', {
+          task,
+          message: 'Task completed! 🎉'
+        });
+
       } catch (error) {
         logger.error('Complete task error:', error);
-        socket.emit('error', { message: 'Failed to complete task' });
+        if (keyClaimed) releaseKey(idempotency_key);
+        reject(ack, 'Failed to complete task');
       }
     });
 
@@ -274,7 +484,11 @@ export const setupSocketHandlers = (io) => {
         reason
       });
 
-      activeConnections.delete(socket.id);
+      RealtimeService.broadcastPresence(io, user.id);
+
+      // Replies still streaming are left to finish: they're saved and
+      // logged, and the device gets them when it reconnects and resumes.
+      // Only cancel_response stops one.
 
       // Update last active
       query(
@@ -289,7 +503,7 @@ export const setupSocketHandlers = (io) => {
   // ============================================================
 
   io.broadcastToUser = (userId, event, data) => {
-    io.to(`user:${userId}`).emit(event, data);
+    RealtimeService.emitToUser(io, userId, event, data);
   };
 
   io.broadcastToConversation = (conversationId, event, data) => {
@@ -303,52 +517,6 @@ export const setupSocketHandlers = (io) => {
 // HELPER FUNCTIONS
 // ============================================================
 
-async function getUserContext(userId) {
-  const personalization = await query(
-    `SELECT * FROM user_personalization WHERE user_id = $1`,
-    [userId]
-  );
-
-  const recentMoods = await query(
-    `SELECT mood_score, note, created_at FROM mood_entries
-     WHERE user_id = $1 ORDER BY created_at DESC LIMIT 5`,
-    [userId]
-  );
-
-  const tasks = await query(
-    `SELECT title, status, category FROM tasks
-     WHERE user_id = $1 AND (due_date = CURRENT_DATE OR due_date IS NULL)
-     ORDER BY created_at DESC LIMIT 10`,
-    [userId]
-  );
-
-  const intention = await query(
-    `SELECT intention_text, focus_word FROM morning_intentions
-     WHERE user_id = $1 AND date = CURRENT_DATE`,
-    [userId]
-  );
-
-  const streaks = await query(
-    `SELECT streak_type, current_streak FROM user_streaks WHERE user_id = $1`,
-    [userId]
-  );
-
-  const user = await query(
-    `SELECT display_name, communication_style FROM users WHERE id = $1`,
-    [userId]
-  );
-
-  return {
-    personalization: personalization.rows[0] || {},
-    recentMoods: recentMoods.rows,
-    todayTasks: tasks.rows,
-    morningIntention: intention.rows[0] || null,
-    streaks: streaks.rows,
-    userName: user.rows[0]?.display_name || 'friend',
-    communicationStyle: user.rows[0]?.communication_style || {}
-  };
-}
-
 async function extractPersonalizationAsync(userId, messageId, content) {
   try {
     const extractions = await ClaudeService.extractPersonalization(content);
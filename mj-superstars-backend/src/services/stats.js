@@ -0,0 +1,199 @@
+// ============================================================
+// Statistics
+// Small-sample tests behind the correlation engine and the insight
+// analyzer: Welch's t-test for "days with X vs. days without", a
+// paired t-test for before/after ratings, a trend line with a slope
+// test, Student's t distribution for p-values and confidence
+// intervals, and Benjamini-Hochberg to control false discoveries when
+// many factors are tested at once.
+// ============================================================
+
+// Ratings are whole points on a 1-5 scale, so a run of identical
+// ratings is never treated as less uncertain than half a point.
+export const MIN_SD = 0.5;
+
+export const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/** Round to `places` decimals for API responses */
+export const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/** Sample variance (n - 1) */
+export function variance(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+}
+
+const sdFloor = (values) => Math.max(MIN_SD, Math.sqrt(variance(values)));
+
+// Lanczos approximation
+function logGamma(x) {
+  const c = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const coefficient of c) series += coefficient / ++y;
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Continued fraction for the incomplete beta function (Lentz)
+function betaContinuedFraction(x, a, b) {
+  const TINY = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return h;
+}
+
+/** Regularized incomplete beta I_x(a, b) */
+export function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(x, a, b) / a
+    : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/** Two-sided p-value for a t statistic */
+export function tTestP(t, df) {
+  if (!Number.isFinite(t)) return 0;
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/** Critical t for a two-sided confidence level (0.95 -> ~1.96 for large df) */
+export function tCritical(df, confidence = 0.95) {
+  const alpha = 1 - confidence;
+  let low = 0;
+  let high = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (tTestP(mid, df) > alpha) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Welch's t-test, `withFactor` against `without`: the difference in
+ * means with its confidence interval, Hedges' g and a two-sided p.
+ */
+export function welchTest(withFactor, without, confidence = 0.95) {
+  const nA = withFactor.length;
+  const nB = without.length;
+  const sdA = sdFloor(withFactor);
+  const sdB = sdFloor(without);
+  const seA = sdA ** 2 / nA;
+  const seB = sdB ** 2 / nB;
+  const se = Math.sqrt(seA + seB);
+  const df = (seA + seB) ** 2 / (seA ** 2 / (nA - 1) + seB ** 2 / (nB - 1));
+
+  const difference = mean(withFactor) - mean(without);
+  const margin = tCritical(df, confidence) * se;
+  const pooledSd = Math.sqrt(((nA - 1) * sdA ** 2 + (nB - 1) * sdB ** 2) / (nA + nB - 2));
+  const correction = 1 - 3 / (4 * (nA + nB) - 9);
+
+  return {
+    n: nA,
+    n_without: nB,
+    mean_with: mean(withFactor),
+    mean_without: mean(without),
+    difference,
+    ci_low: difference - margin,
+    ci_high: difference + margin,
+    effect_size: (difference / pooledSd) * correction,
+    p_value: tTestP(difference / se, df)
+  };
+}
+
+/**
+ * Paired t-test on before/after ratings: the mean change with its
+ * confidence interval, Cohen's d_z and a two-sided p.
+ */
+export function pairedTest(pairs, confidence = 0.95) {
+  const changes = pairs.map(({ before, after }) => after - before);
+  const n = changes.length;
+  const sd = sdFloor(changes);
+  const se = sd / Math.sqrt(n);
+  const change = mean(changes);
+  const margin = tCritical(n - 1, confidence) * se;
+
+  return {
+    n,
+    mean_change: change,
+    ci_low: change - margin,
+    ci_high: change + margin,
+    effect_size: change / sd,
+    p_value: tTestP(change / se, n - 1)
+  };
+}
+
+/**
+ * Least-squares line through [{ x, y }] with a two-sided p for the
+ * slope being non-zero
+ */
+export function linearTrend(points) {
+  const n = points.length;
+  const xMean = mean(points.map(p => p.x));
+  const yMean = mean(points.map(p => p.y));
+  let sxx = 0;
+  let sxy = 0;
+  for (const { x, y } of points) {
+    sxx += (x - xMean) ** 2;
+    sxy += (x - xMean) * (y - yMean);
+  }
+  const slope = sxx === 0 ? 0 : sxy / sxx;
+  const intercept = yMean - slope * xMean;
+  const residual = points.reduce((sum, { x, y }) => sum + (y - intercept - slope * x) ** 2, 0);
+  const se = n > 2 && sxx > 0 ? Math.sqrt(residual / (n - 2) / sxx) : 0;
+
+  let pValue = 1;
+  if (se > 0) pValue = tTestP(slope / se, n - 2);
+  else if (slope !== 0) pValue = 0;
+
+  return { n, slope, intercept, p_value: pValue };
+}
+
+/**
+ * Benjamini-Hochberg adjusted p-values (q-values), in input order
+ */
+export function benjaminiHochberg(pValues) {
+  const m = pValues.length;
+  const order = pValues.map((p, i) => ({ p, i })).sort((a, b) => a.p - b.p);
+  const q = new Array(m);
+  let running = 1;
+  for (let rank = m; rank >= 1; rank--) {
+    const { p, i } = order[rank - 1];
+    running = Math.min(running, (p * m) / rank);
+    q[i] = running;
+  }
+  return q;
+}
@@ -0,0 +1,75 @@
+// ============================================================
+// Storage Registry
+// Blob storage for user uploads (voice message audio) and generated
+// progress reports.
+//
+// Storage interface:
+//   name: string
+//   isConfigured(): boolean
+//   put(key, buffer, { contentType }) -> void
+//   get(key) -> { body: Buffer, contentType } | null
+//   remove(key) -> void
+//   removePrefix(prefix) -> number of objects removed
+//
+// Keys are slash-separated paths ("voice/<user>/<conversation>/<file>",
+// "reports/<user>/<report>.pdf").
+// STORAGE_DRIVER picks one explicitly; otherwise S3 when a bucket is
+// configured and the local disk everywhere else (dev, demo mode, tests).
+// ============================================================
+
+import { logger } from '../../utils/logger.js';
+import { localDiskStorage } from './local.js';
+import { s3Storage } from './s3.js';
+
+const drivers = new Map([
+  ['local', localDiskStorage],
+  ['s3', s3Storage]
+]);
+
+let activeStorage = null;
+
+const resolveStorage = () => {
+  const requested = process.env.STORAGE_DRIVER;
+  if (requested) {
+    const storage = drivers.get(requested);
+    if (!storage) {
+      throw new Error(`Unknown STORAGE_DRIVER "${requested}". Available: ${[...drivers.keys()].join(', ')}`);
+    }
+    return storage;
+  }
+
+  if (process.env.NODE_ENV !== 'test' && s3Storage.isConfigured()) {
+    return s3Storage;
+  }
+  return localDiskStorage;
+};
+
+export const getStorage = () => {
+  if (!activeStorage) {
+    activeStorage = resolveStorage();
+    logger.info(`Storage: ${activeStorage.name}`);
+  }
+  return activeStorage;
+};
+
+/**
+ * Register an additional storage driver under a short name
+ */
+export const registerStorage = (key, storage) => {
+  drivers.set(key, storage);
+};
+
+/**
+ * Force a specific driver (tests) or pass null to re-resolve from env
+ */
+export const setStorage = (keyOrStorage) => {
+  if (keyOrStorage === null) {
+    activeStorage = null;
+    return;
+  }
+  activeStorage = typeof keyOrStorage === 'string'
+    ? drivers.get(keyOrStorage)
+    : keyOrStorage;
+};
+
+export default { getStorage, registerStorage, setStorage };
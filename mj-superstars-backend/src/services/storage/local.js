@@ -0,0 +1,72 @@
+// ============================================================
+// Local Disk Storage
+// Files under STORAGE_LOCAL_DIR (default ./uploads). Fine for a single
+// server; use S3 once there is more than one instance.
+// ============================================================
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const rootDir = () => path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+
+// Keys never leave the storage root
+const resolveKey = (key) => {
+  const root = rootDir();
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return file;
+};
+
+export const localDiskStorage = {
+  name: 'local',
+
+  isConfigured() {
+    return true;
+  },
+
+  async put(key, buffer, { contentType } = {}) {
+    const file = resolveKey(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    if (contentType) {
+      await fs.writeFile(`${file}.type`, contentType);
+    }
+  },
+
+  async get(key) {
+    const file = resolveKey(key);
+    try {
+      const body = await fs.readFile(file);
+      const contentType = await fs.readFile(`${file}.type`, 'utf8').catch(() => null);
+      return { body, contentType };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  async remove(key) {
+    const file = resolveKey(key);
+    await fs.rm(file, { force: true });
+    await fs.rm(`${file}.type`, { force: true });
+  },
+
+  async removePrefix(prefix) {
+    const dir = resolveKey(prefix.replace(/\/+$/, ''));
+    let count = 0;
+    const walk = async (current) => {
+      const entries = await fs.readdir(current, { withFileTypes: true }).catch(() => []);
+      for (const entry of entries) {
+        if (entry.isDirectory()) await walk(path.join(current, entry.name));
+        else if (!entry.name.endsWith('.type')) count++;
+      }
+    };
+    await walk(dir);
+    await fs.rm(dir, { recursive: true, force: true });
+    return count;
+  }
+};
+
+export default localDiskStorage;
@@ -0,0 +1,153 @@
+// ============================================================
+// S3-Compatible Storage
+// AWS S3, Cloudflare R2, MinIO and friends over plain HTTPS with
+// Signature V4 — no SDK. Enabled with S3_BUCKET plus credentials.
+// Setting S3_ENDPOINT switches to path-style URLs, which most non-AWS
+// providers expect; S3_FORCE_PATH_STYLE=true|false overrides either way.
+// ============================================================
+
+import crypto from 'crypto';
+
+const config = () => {
+  const region = process.env.S3_REGION || 'us-east-1';
+  return {
+    bucket: process.env.S3_BUCKET,
+    region,
+    endpoint: (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, ''),
+    pathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : Boolean(process.env.S3_ENDPOINT),
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  };
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, which SigV4 requires and encodeURIComponent misses
+const encode = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split('/').map(encode).join('/');
+
+/**
+ * Signed fetch against the bucket. `key` is the object key ('' for
+ * bucket-level calls such as ListObjectsV2).
+ */
+const request = async (method, key, { query = {}, body, headers = {} } = {}) => {
+  const { bucket, region, endpoint, pathStyle, accessKeyId, secretAccessKey } = config();
+  const base = new URL(endpoint);
+  const host = pathStyle ? base.host : `${bucket}.${base.host}`;
+  const canonicalUri = pathStyle
+    ? `${base.pathname.replace(/\/+$/, '')}/${encode(bucket)}/${encodeKey(key)}`
+    : `/${encodeKey(key)}`;
+  const canonicalQuery = Object.keys(query).sort()
+    .map(name => `${encode(name)}=${encode(String(query[name]))}`)
+    .join('&');
+
+  const now = new Date();
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256(body || '');
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)])),
+    host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const signedHeaders = Object.keys(signed).sort();
+  const canonicalRequest = [
+    method,
+    canonicalUri,
+    canonicalQuery,
+    signedHeaders.map(name => `${name}:${signed[name].trim()}\n`).join(''),
+    signedHeaders.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const { host: _host, ...sendHeaders } = signed;
+  return fetch(`${base.protocol}//${host}${canonicalUri}${canonicalQuery ? `?${canonicalQuery}` : ''}`, {
+    method,
+    body,
+    headers: {
+      ...sendHeaders,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+    }
+  });
+};
+
+const decodeXml = (text) =>
+  text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, '\'').replace(/&amp;/g, '&');
+
+export const s3Storage = {
+  name: 's3',
+
+  isConfigured() {
+    const { bucket, accessKeyId, secretAccessKey } = config();
+    return Boolean(bucket && accessKeyId && secretAccessKey);
+  },
+
+  async put(key, buffer, { contentType = 'application/octet-stream' } = {}) {
+    const response = await request('PUT', key, { body: buffer, headers: { 'Content-Type': contentType } });
+    if (!response.ok) {
+      throw new Error(`S3 upload failed: ${response.status}`);
+    }
+  },
+
+  async get(key) {
+    const response = await request('GET', key);
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`S3 download failed: ${response.status}`);
+    }
+    return {
+      body: Buffer.from(await response.arrayBuffer()),
+      contentType: response.headers.get('content-type')
+    };
+  },
+
+  async remove(key) {
+    const response = await request('DELETE', key);
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`S3 delete failed: ${response.status}`);
+    }
+  },
+
+  async removePrefix(prefix) {
+    let count = 0;
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': 2, prefix };
+      if (continuationToken) query['continuation-token'] = continuationToken;
+      const response = await request('GET', '', { query });
+      if (!response.ok) {
+        throw new Error(`S3 list failed: ${response.status}`);
+      }
+
+      const xml = await response.text();
+      const keys = [...xml.matchAll(/<Key>([^<]*)<\/Key>/g)].map(m => decodeXml(m[1]));
+      for (const key of keys) {
+        await this.remove(key);
+        count++;
+      }
+
+      const next = xml.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/);
+      continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(xml) && next ? decodeXml(next[1]) : null;
+    } while (continuationToken);
+
+    return count;
+  }
+};
+
+export default s3Storage;
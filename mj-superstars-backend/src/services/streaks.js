@@ -0,0 +1,51 @@
+// ============================================================
+// Streak Service
+// One upsert for every streak type, counted in the user's local
+// days (see localDay.js).
+// ============================================================
+
+import { query } from '../database/db.js';
+
+export const StreakService = {
+  /**
+   * Count `date` (the user's local 'YYYY-MM-DD') towards a streak.
+   * A second completion on the same day keeps the streak as is; the
+   * day after extends it; a gap starts over. A last_completed_date
+   * ahead of `date` (the user moved west) counts as the same day.
+   *
+   * `countEveryCompletion` adds each completion to total_completions
+   * (tasks, conversations) instead of each day (rituals).
+   * Pass `db` (a transaction client) to run inside a transaction.
+   */
+  async record(userId, streakType, date, { countEveryCompletion = false, db = { query } } = {}) {
+    await db.query(
+      `INSERT INTO user_streaks (user_id, streak_type, current_streak, longest_streak, total_completions, last_completed_date, streak_started_date)
+       VALUES ($1, $2, 1, 1, 1, $3::date, $3::date)
+       ON CONFLICT (user_id, streak_type)
+       DO UPDATE SET
+         current_streak = CASE
+           WHEN user_streaks.last_completed_date >= $3::date THEN user_streaks.current_streak
+           WHEN user_streaks.last_completed_date = $3::date - 1 THEN user_streaks.current_streak + 1
+           ELSE 1
+         END,
+         longest_streak = GREATEST(user_streaks.longest_streak, CASE
+           WHEN user_streaks.last_completed_date >= $3::date THEN user_streaks.current_streak
+           WHEN user_streaks.last_completed_date = $3::date - 1 THEN user_streaks.current_streak + 1
+           ELSE 1
+         END),
+         total_completions = user_streaks.total_completions + CASE
+           WHEN $4 OR user_streaks.last_completed_date IS NULL OR user_streaks.last_completed_date < $3::date THEN 1
+           ELSE 0
+         END,
+         last_completed_date = GREATEST(user_streaks.last_completed_date, $3::date),
+         streak_started_date = CASE
+           WHEN user_streaks.last_completed_date IS NULL OR user_streaks.last_completed_date < $3::date - 1 THEN $3::date
+           ELSE user_streaks.streak_started_date
+         END,
+         updated_at = NOW()`,
+      [userId, streakType, date, countEveryCompletion]
+    );
+  }
+};
+
+export default StreakService;
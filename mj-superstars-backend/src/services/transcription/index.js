@@ -0,0 +1,79 @@
+// ============================================================
+// Transcription Registry
+// Speech-to-text for voice messages.
+//
+// Transcriber interface:
+//   name: string
+//   isConfigured(): boolean
+//   transcribe(buffer, { mimeType, filename, language, hint })
+//     -> { text, language?, duration? }
+//
+// `hint` is text the client already has (on-device dictation); only
+// the local stub uses it. TRANSCRIPTION_PROVIDER picks one explicitly;
+// otherwise Whisper when a key is set and the local stub everywhere
+// else. The stub only counts as configured in tests, development and
+// demo mode, so production without a key has no transcriber and
+// voice messages are refused (see isTranscriptionAvailable).
+// ============================================================
+
+import { logger } from '../../utils/logger.js';
+import { localTranscriber } from './local.js';
+import { whisperTranscriber } from './whisper.js';
+
+const transcribers = new Map([
+  ['local', localTranscriber],
+  ['whisper', whisperTranscriber]
+]);
+
+let activeTranscriber = null;
+
+const resolveTranscriber = () => {
+  const requested = process.env.TRANSCRIPTION_PROVIDER;
+  if (requested) {
+    const transcriber = transcribers.get(requested);
+    if (!transcriber) {
+      throw new Error(`Unknown TRANSCRIPTION_PROVIDER "${requested}". Available: ${[...transcribers.keys()].join(', ')}`);
+    }
+    return transcriber;
+  }
+
+  if (process.env.NODE_ENV !== 'test' && whisperTranscriber.isConfigured()) {
+    return whisperTranscriber;
+  }
+  return localTranscriber;
+};
+
+export const getTranscriber = () => {
+  if (!activeTranscriber) {
+    activeTranscriber = resolveTranscriber();
+    logger.info(`Transcriber: ${activeTranscriber.name}`);
+  }
+  return activeTranscriber;
+};
+
+/**
+ * Whether voice messages can be transcribed for real right now
+ */
+export const isTranscriptionAvailable = () => getTranscriber().isConfigured();
+
+/**
+ * Register an additional transcriber under a short name
+ */
+export const registerTranscriber = (key, transcriber) => {
+  transcribers.set(key, transcriber);
+};
+
+/**
+ * Force a specific transcriber (tests) or pass null to re-resolve from env
+ */
+export const setTranscriber = (keyOrTranscriber) => {
+  if (keyOrTranscriber === null) {
+    activeTranscriber = null;
+    return;
+  }
+  activeTranscriber = typeof keyOrTranscriber === 'string'
+    ? transcribers.get(keyOrTranscriber)
+    : keyOrTranscriber;
+};
+
+export default { getTranscriber, isTranscriptionAvailable, registerTranscriber, setTranscriber };
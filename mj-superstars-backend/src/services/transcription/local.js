@@ -0,0 +1,27 @@
+// ============================================================
+// Local Transcriber - offline stub
+// Never listens to the audio. Returns the client's own dictation
+// hint when there is one, otherwise LOCAL_TRANSCRIPT (or a fixed
+// line), so voice messages work end-to-end without a speech API.
+// Only available in tests, development and demo mode: anywhere else
+// its made-up words would reach MJ and the crisis check as if the
+// user had said them.
+// ============================================================
+
+const DEFAULT_TRANSCRIPT = 'This is a voice message.';
+
+export const localTranscriber = {
+  name: 'local',
+
+  isConfigured() {
+    return ['test', 'development'].includes(process.env.NODE_ENV)
+      || process.env.ANTHROPIC_API_KEY === 'demo-mode';
+  },
+
+  async transcribe(buffer, { hint } = {}) {
+    const text = (hint || process.env.LOCAL_TRANSCRIPT || DEFAULT_TRANSCRIPT).trim();
+    return { text, language: null, duration: null };
+  }
+};
+
+export default localTranscriber;
@@ -0,0 +1,51 @@
+// ============================================================
+// Whisper Transcriber
+// OpenAI-compatible /audio/transcriptions endpoint (OpenAI, Groq,
+// a self-hosted faster-whisper server). Enabled with
+// TRANSCRIPTION_API_KEY or OPENAI_API_KEY; TRANSCRIPTION_API_URL
+// points it somewhere other than OpenAI.
+// ============================================================
+
+const MODEL = process.env.TRANSCRIPTION_MODEL || 'whisper-1';
+const API_URL = process.env.TRANSCRIPTION_API_URL || 'https://api.openai.com/v1/audio/transcriptions';
+
+const apiKey = () => process.env.TRANSCRIPTION_API_KEY || process.env.OPENAI_API_KEY;
+
+export const whisperTranscriber = {
+  name: `whisper-${MODEL}`,
+
+  isConfigured() {
+    return Boolean(apiKey());
+  },
+
+  async transcribe(buffer, { mimeType, filename = 'audio', language } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Transcription not configured. Set TRANSCRIPTION_API_KEY environment variable.');
+    }
+
+    const form = new FormData();
+    form.append('file', new Blob([buffer], { type: mimeType }), filename);
+    form.append('model', MODEL);
+    form.append('response_format', 'verbose_json');
+    if (language) form.append('language', language);
+
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${apiKey()}` },
+      body: form
+    });
+
+    if (!response.ok) {
+      throw new Error(`Transcription request failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return {
+      text: (data.text || '').trim(),
+      language: data.language || null,
+      duration: typeof data.duration === 'number' ? data.duration : null
+    };
+  }
+};
+
+export default whisperTranscriber;
@@ -0,0 +1,210 @@
+// ============================================================
+// AI Usage Metering Service
+// Tallies chat messages and Claude tokens per user (or guest) per
+// UTC day and enforces the plan's daily quotas.
+// ============================================================
+
+import { query } from '../database/db.js';
+import { features } from './featureFlags.js';
+
+// Daily token ceilings per plan (input + output)
+const DAILY_TOKEN_LIMITS = {
+  guest: parseInt(process.env.GUEST_DAILY_TOKEN_LIMIT) || 30000,
+  free: parseInt(process.env.FREE_DAILY_TOKEN_LIMIT) || 60000,
+  premium: parseInt(process.env.PREMIUM_DAILY_TOKEN_LIMIT) || 600000
+};
+
+const GUEST_DAILY_MESSAGE_LIMIT = parseInt(process.env.GUEST_DAILY_MESSAGE_LIMIT) || 10;
+
+// USD per million tokens, for cost estimates in the admin rollup
+const TOKEN_PRICES = {
+  input: parseFloat(process.env.CLAUDE_INPUT_PRICE_PER_MTOK) || 3,
+  output: parseFloat(process.env.CLAUDE_OUTPUT_PRICE_PER_MTOK) || 15
+};
+
+const usageDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+const nextReset = (date = new Date()) => new Date(Date.UTC(
+  date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1
+));
+
+const estimateCost = (inputTokens, outputTokens) => Number(
+  ((inputTokens * TOKEN_PRICES.input + outputTokens * TOKEN_PRICES.output) / 1e6).toFixed(4)
+);
+
+export const UsageService = {
+  /**
+   * Metering subject for an authenticated user
+   */
+  subjectForUser(user) {
+    return { key: user.id, userId: user.id, plan: user.is_premium ? 'premium' : 'free' };
+  },
+
+  /**
+   * Metering subject for a guest — keyed by IP since session ids are client-minted
+   */
+  subjectForGuest(req) {
+    return { key: `guest:${req.ip}`, userId: null, plan: 'guest' };
+  },
+
+  getLimits(plan) {
+    const messages = plan === 'guest'
+      ? GUEST_DAILY_MESSAGE_LIMIT
+      : features.maxMessages({ isPremium: plan === 'premium' });
+
+    return { messages, tokens: DAILY_TOKEN_LIMITS[plan] };
+  },
+
+  /**
+   * Today's tally for a subject
+   */
+  async getUsage(subject) {
+    const result = await query(
+      `SELECT message_count, input_tokens, output_tokens
+       FROM ai_usage_daily
+       WHERE subject_key = $1 AND usage_date = $2`,
+      [subject.key, usageDay()]
+    );
+    const row = result.rows[0] || {};
+
+    return {
+      messages: parseInt(row.message_count) || 0,
+      input_tokens: parseInt(row.input_tokens) || 0,
+      output_tokens: parseInt(row.output_tokens) || 0
+    };
+  },
+
+  /**
+   * Compare today's usage against the plan's limits
+   */
+  async checkQuota(subject) {
+    const usage = await this.getUsage(subject);
+    const limits = this.getLimits(subject.plan);
+    const tokens = usage.input_tokens + usage.output_tokens;
+
+    let reason = null;
+    if (usage.messages >= limits.messages) reason = 'messages';
+    else if (tokens >= limits.tokens) reason = 'tokens';
+
+    return {
+      allowed: !reason,
+      reason,
+      plan: subject.plan,
+      usage,
+      limits,
+      remaining: {
+        messages: Math.max(0, limits.messages - usage.messages),
+        tokens: Math.max(0, limits.tokens - tokens)
+      },
+      resets_at: nextReset().toISOString()
+    };
+  },
+
+  /**
+   * Add one chat turn (and its token usage) to today's tally
+   */
+  async recordUsage(subject, usage = {}) {
+    await query(
+      `INSERT INTO ai_usage_daily (subject_key, user_id, usage_date, message_count, input_tokens, output_tokens)
+       VALUES ($1, $2, $3, 1, $4, $5)
+       ON CONFLICT (subject_key, usage_date)
+       DO UPDATE SET
+         message_count = ai_usage_daily.message_count + 1,
+         input_tokens = ai_usage_daily.input_tokens + EXCLUDED.input_tokens,
+         output_tokens = ai_usage_daily.output_tokens + EXCLUDED.output_tokens,
+         updated_at = NOW()`,
+      [subject.key, subject.userId, usageDay(), usage.input_tokens || 0, usage.output_tokens || 0]
+    );
+  },
+
+  /**
+   * Per-day history for a user, newest first
+   */
+  async getHistory(userId, days = 7) {
+    const result = await query(
+      `SELECT usage_date, message_count, input_tokens, output_tokens
+       FROM ai_usage_daily
+       WHERE user_id = $1 AND usage_date > $2::date - $3::int
+       ORDER BY usage_date DESC`,
+      [userId, usageDay(), days]
+    );
+
+    return result.rows.map(row => ({
+      date: usageDay(new Date(row.usage_date)),
+      messages: parseInt(row.message_count),
+      input_tokens: parseInt(row.input_tokens),
+      output_tokens: parseInt(row.output_tokens)
+    }));
+  },
+
+  /**
+   * Admin rollup: daily totals and the heaviest users over a window
+   */
+  async getRollup(days = 7) {
+    const today = usageDay();
+
+    const daily = await query(
+      `SELECT usage_date,
+              COUNT(*) FILTER (WHERE user_id IS NOT NULL) AS users,
+              COUNT(*) FILTER (WHERE user_id IS NULL) AS guests,
+              SUM(message_count) AS messages,
+              SUM(input_tokens) AS input_tokens,
+              SUM(output_tokens) AS output_tokens
+       FROM ai_usage_daily
+       WHERE usage_date > $1::date - $2::int
+       GROUP BY usage_date
+       ORDER BY usage_date DESC`,
+      [today, days]
+    );
+
+    const topUsers = await query(
+      `SELECT a.user_id, u.email, u.is_premium,
+              SUM(a.message_count) AS messages,
+              SUM(a.input_tokens) AS input_tokens,
+              SUM(a.output_tokens) AS output_tokens
+       FROM ai_usage_daily a
+       JOIN users u ON u.id = a.user_id
+       WHERE a.usage_date > $1::date - $2::int
+       GROUP BY a.user_id, u.email, u.is_premium
+       ORDER BY SUM(a.input_tokens + a.output_tokens) DESC
+       LIMIT 20`,
+      [today, days]
+    );
+
+    const withCost = (row) => {
+      const input = parseInt(row.input_tokens) || 0;
+      const output = parseInt(row.output_tokens) || 0;
+      return {
+        messages: parseInt(row.messages) || 0,
+        input_tokens: input,
+        output_tokens: output,
+        estimated_cost_usd: estimateCost(input, output)
+      };
+    };
+
+    const dailyRows = daily.rows.map(row => ({
+      date: usageDay(new Date(row.usage_date)),
+      users: parseInt(row.users),
+      guests: parseInt(row.guests),
+      ...withCost(row)
+    }));
+
+    return {
+      days,
+      totals: withCost(dailyRows.reduce((sum, row) => ({
+        messages: sum.messages + row.messages,
+        input_tokens: sum.input_tokens + row.input_tokens,
+        output_tokens: sum.output_tokens + row.output_tokens
+      }), { messages: 0, input_tokens: 0, output_tokens: 0 })),
+      daily: dailyRows,
+      top_users: topUsers.rows.map(row => ({
+        user_id: row.user_id,
+        email: row.email,
+        is_premium: row.is_premium,
+        ...withCost(row)
+      }))
+    };
+  }
+};
+
+export default UsageService;
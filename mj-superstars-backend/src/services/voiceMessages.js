@@ -0,0 +1,159 @@
+// ============================================================
+// Voice Message Service
+// Audio for voice messages: format checks, storage under the
+// owner's prefix, and transcription. The transcript becomes the
+// message content; the audio is served back through
+// GET /api/conversations/:id/audio/:file, never from a public URL.
+// ============================================================
+
+import { v4 as uuidv4 } from 'uuid';
+import { getStorage } from './storage/index.js';
+import { getTranscriber, isTranscriptionAvailable } from './transcription/index.js';
+
+export const MAX_AUDIO_BYTES = parseInt(process.env.MAX_AUDIO_BYTES) || 10 * 1024 * 1024;
+export const MAX_AUDIO_SECONDS = parseInt(process.env.MAX_AUDIO_SECONDS) || 300;
+
+// On-device dictation sent alongside the audio (X-Transcript-Hint);
+// headers are size-limited, so this stays well under Node's 16KB
+export const MAX_HINT_LENGTH = 2000;
+
+const ascii = (buffer, start, end) => buffer.subarray(start, end).toString('latin1');
+
+// Declared Content-Type -> format, plus the file signature it must carry
+export const AUDIO_FORMATS = {
+  webm: {
+    mimeTypes: ['audio/webm'],
+    contentType: 'audio/webm',
+    sniff: (b) => b.length >= 4 && b[0] === 0x1a && b[1] === 0x45 && b[2] === 0xdf && b[3] === 0xa3
+  },
+  ogg: {
+    mimeTypes: ['audio/ogg', 'audio/opus'],
+    contentType: 'audio/ogg',
+    sniff: (b) => ascii(b, 0, 4) === 'OggS'
+  },
+  wav: {
+    mimeTypes: ['audio/wav', 'audio/x-wav', 'audio/wave'],
+    contentType: 'audio/wav',
+    sniff: (b) => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'WAVE'
+  },
+  mp3: {
+    mimeTypes: ['audio/mpeg', 'audio/mp3'],
+    contentType: 'audio/mpeg',
+    sniff: (b) => ascii(b, 0, 3) === 'ID3' || (b.length >= 2 && b[0] === 0xff && (b[1] & 0xe0) === 0xe0)
+  },
+  m4a: {
+    mimeTypes: ['audio/mp4', 'audio/m4a', 'audio/x-m4a', 'audio/aac'],
+    contentType: 'audio/mp4',
+    sniff: (b) => ascii(b, 4, 8) === 'ftyp'
+  }
+};
+
+export const AUDIO_MIME_TYPES = Object.values(AUDIO_FORMATS).flatMap(f => f.mimeTypes);
+
+const FILE_PATTERN = new RegExp(`^[0-9a-f-]{36}\\.(${Object.keys(AUDIO_FORMATS).join('|')})$`);
+
+const storageKey = (userId, conversationId, file) => `voice/${userId}/${conversationId}/${file}`;
+
+export const VoiceMessageService = {
+  /**
+   * Format for a Content-Type header ("audio/webm;codecs=opus" -> webm)
+   */
+  formatForMimeType(mimeType) {
+    const base = (mimeType || '').split(';')[0].trim().toLowerCase();
+    return Object.keys(AUDIO_FORMATS).find(ext => AUDIO_FORMATS[ext].mimeTypes.includes(base)) || null;
+  },
+
+  /**
+   * Whether the bytes really are the declared format
+   */
+  matchesFormat(buffer, format) {
+    return Boolean(AUDIO_FORMATS[format]?.sniff(buffer));
+  },
+
+  isAudioFile(file) {
+    return FILE_PATTERN.test(file || '');
+  },
+
+  audioUrl(conversationId, file) {
+    return `/api/conversations/${conversationId}/audio/${file}`;
+  },
+
+  /**
+   * True for URLs this service handed out for the conversation, the
+   * only audio_url a client may attach to a message
+   */
+  isOwnAudioUrl(conversationId, url) {
+    const prefix = this.audioUrl(conversationId, '');
+    return typeof url === 'string' && url.startsWith(prefix) && this.isAudioFile(url.slice(prefix.length));
+  },
+
+  /**
+   * Save an upload. Returns the file name and the URL to store on the message.
+   */
+  async store({ userId, conversationId, buffer, format }) {
+    const file = `${uuidv4()}.${format}`;
+    await getStorage().put(storageKey(userId, conversationId, file), buffer, {
+      contentType: AUDIO_FORMATS[format].contentType
+    });
+    return { file, audioUrl: this.audioUrl(conversationId, file) };
+  },
+
+  canTranscribe() {
+    return isTranscriptionAvailable();
+  },
+
+  /**
+   * The dictation hint from the X-Transcript-Hint header (percent-encoded
+   * UTF-8). Kept out of the URL so access logs never see what was said.
+   * Returns undefined without one and null when it is malformed or too long.
+   */
+  readHint(req) {
+    const raw = req.get('x-transcript-hint');
+    if (raw === undefined) return undefined;
+    try {
+      const hint = decodeURIComponent(raw);
+      return hint.length <= MAX_HINT_LENGTH ? hint : null;
+    } catch {
+      return null;
+    }
+  },
+
+  async transcribe(buffer, { format, language, hint } = {}) {
+    const result = await getTranscriber().transcribe(buffer, {
+      mimeType: AUDIO_FORMATS[format].contentType,
+      filename: `voice.${format}`,
+      language,
+      hint
+    });
+    return {
+      text: (result.text || '').trim(),
+      language: result.language || null,
+      duration: result.duration ?? null
+    };
+  },
+
+  /**
+   * Audio for playback, or null. Callers check conversation ownership;
+   * the key is built from the requester's id, so another user's files
+   * are never reachable.
+   */
+  async read(userId, conversationId, file) {
+    if (!this.isAudioFile(file)) return null;
+    const object = await getStorage().get(storageKey(userId, conversationId, file));
+    if (!object) return null;
+    return {
+      body: object.body,
+      contentType: object.contentType || AUDIO_FORMATS[file.split('.').pop()].contentType
+    };
+  },
+
+  async removeConversation(userId, conversationId) {
+    return getStorage().removePrefix(`voice/${userId}/${conversationId}/`);
+  },
+
+  async removeForUser(userId) {
+    return getStorage().removePrefix(`voice/${userId}/`);
+  }
+};
+
+export default VoiceMessageService;
@@ -153,6 +153,17 @@ const aiProcessors = {
 
     return { success: true, userId, entryCount: entryIds.length };
   },
+
+  async [JobTypes.SUMMARIZE_CONVERSATION](job) {
+    const { conversationId } = job.data;
+    logger.debug(`Summarizing conversation ${conversationId}`);
+
+    const { ConversationSummaryService } = await import('../services/conversationSummary.js');
+
+    const { conversation, skipped } = await ConversationSummaryService.process(job.data);
+
+    return { success: true, conversationId, threadId: conversation?.thread_id || null, skipped };
+  },
 };
 
 // ============================================================
@@ -285,14 +296,14 @@ const exportProcessors = {
   },
 
   async [JobTypes.GENERATE_PDF_REPORT](job) {
-    const { userId, reportType, dateRange } = job.data;
-    logger.debug(`Generating PDF report for user ${userId}`);
+    const { reportId, userId } = job.data;
+    logger.debug(`Generating PDF report ${reportId} for user ${userId}`);
+
+    const { ReportService } = await import('../services/reports.js');
 
-    // Generate PDF report
-    // Store in cloud storage
-    // Notify user
+    const { skipped } = await ReportService.generate(job.data);
 
-    return { success: true, userId, reportType };
+    return { success: true, userId, reportId, skipped: !!skipped };
   },
 };
 
@@ -0,0 +1,345 @@
+// ============================================================
+// MJ's Superstars - Self-Assessments
+// PHQ-9, GAD-7 and WHO-5: take a questionnaire, see the scored
+// result, and follow scores over time against the severity bands.
+// The server does all the scoring; this only renders it.
+// ============================================================
+
+import React, { useState, useEffect } from 'react';
+import { AssessmentAPI } from '../services/api';
+import CrisisCard from './CrisisCard';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 120;
+const CHART_PADDING = 6;
+
+// Band shading from best to worst
+const BAND_COLORS = ['#10b981', '#84cc16', '#eab308', '#f97316', '#ef4444'];
+
+// One color per band, so the best band is always green whichever way
+// the instrument runs
+function bandColors(bands, higherIsBetter) {
+  const ordered = higherIsBetter ? [...bands].reverse() : bands;
+  const step = (BAND_COLORS.length - 1) / Math.max(ordered.length - 1, 1);
+  const colors = ordered.map((_, i) => BAND_COLORS[Math.round(i * step)]);
+  return higherIsBetter ? colors.reverse() : colors;
+}
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+function ComparisonNote({ comparison }) {
+  if (!comparison) return null;
+  if (!comparison.meaningful) {
+    return <p className="text-slate-400 text-xs">About the same as last time</p>;
+  }
+  const improved = comparison.direction === 'improved';
+  return (
+    <p className={`text-xs ${improved ? 'text-emerald-400' : 'text-amber-400'}`}>
+      {improved ? 'Better' : 'Harder'} than last time ({comparison.change > 0 ? '+' : ''}{comparison.change})
+    </p>
+  );
+}
+
+// Scores over time on top of the instrument's severity bands
+export function AssessmentTrendChart({ trend }) {
+  const { points, bands, max_score: maxScore, higher_is_better: higherIsBetter } = trend;
+  if (points.length === 0) return null;
+
+  const colors = bandColors(bands, higherIsBetter);
+  const plotHeight = CHART_HEIGHT - CHART_PADDING * 2;
+  const y = (score) => CHART_PADDING + plotHeight * (1 - score / maxScore);
+
+  const times = points.map(p => new Date(p.completed_at).getTime());
+  const first = times[0];
+  const span = times[times.length - 1] - first;
+  const x = (time) => (span === 0
+    ? CHART_WIDTH / 2
+    : CHART_PADDING + (CHART_WIDTH - CHART_PADDING * 2) * ((time - first) / span));
+
+  const line = points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${x(times[i])} ${y(p.score)}`).join(' ');
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      className="w-full h-auto"
+      role="img"
+      aria-label={`${trend.name} scores over time`}
+    >
+      {bands.map((band, i) => {
+        const low = i === 0 ? 0 : bands[i - 1].max;
+        return (
+          <rect
+            key={band.severity}
+            x={0}
+            y={y(band.max)}
+            width={CHART_WIDTH}
+            height={y(low) - y(band.max)}
+            fill={colors[i]}
+            opacity={0.12}
+          >
+            <title>{band.label}</title>
+          </rect>
+        );
+      })}
+      <path d={line} fill="none" stroke="#38bdf8" strokeWidth={2} strokeLinejoin="round" />
+      {points.map((p, i) => (
+        <circle key={p.id} cx={x(times[i])} cy={y(p.score)} r={3.5} fill="#38bdf8">
+          <title>{`${formatDate(p.completed_at)}: ${p.score}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+// One questionnaire, one question at a time, then the scored result
+export function AssessmentForm({ instrument, disclaimer, onDone, onCancel }) {
+  const [answers, setAnswers] = useState([]);
+  const [result, setResult] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const index = answers.length;
+  const complete = index === instrument.items.length;
+
+  const answer = (value) => {
+    if (complete) return;
+    setAnswers([...answers, value]);
+  };
+
+  const submit = async () => {
+    setSubmitting(true);
+    setError('');
+    try {
+      setResult(await AssessmentAPI.submit(instrument.id, answers));
+    } catch (err) {
+      setError(err.message || 'Could not save your answers');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (result) {
+    const { assessment, comparison, crisis } = result;
+    return (
+      <div className="bg-slate-700/50 rounded-xl p-4">
+        <p className="text-slate-400 text-xs uppercase tracking-wide">{instrument.name}</p>
+        <p className="text-white text-2xl font-bold mt-1">
+          {assessment.score}
+          <span className="text-slate-400 text-sm font-normal"> / {assessment.max_score}</span>
+        </p>
+        <p className="text-sky-300 text-sm">{assessment.severity_label}</p>
+        <ComparisonNote comparison={comparison} />
+        {crisis && <CrisisCard crisis={crisis} />}
+        <p className="text-slate-500 text-xs mt-3">{result.disclaimer || disclaimer}</p>
+        <button
+          onClick={() => onDone(result)}
+          className="w-full mt-3 bg-sky-500 hover:bg-sky-400 text-white text-sm rounded-lg py-2"
+        >
+          Done
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-slate-700/50 rounded-xl p-4">
+      <div className="flex justify-between items-center mb-2">
+        <p className="text-slate-400 text-xs">{instrument.prompt}</p>
+        <span className="text-slate-500 text-xs ml-2 shrink-0">
+          {Math.min(index + 1, instrument.items.length)}/{instrument.items.length}
+        </span>
+      </div>
+
+      {complete ? (
+        <p className="text-white text-sm my-3">That's everything. Ready to see your result?</p>
+      ) : (
+        <>
+          <p className="text-white text-sm font-medium my-3">{instrument.items[index].text}</p>
+          <div className="space-y-2">
+            {instrument.scale.map(option => (
+              <button
+                key={option.value}
+                onClick={() => answer(option.value)}
+                className="w-full text-left bg-slate-700 hover:bg-slate-600 text-slate-200 text-sm rounded-lg px-3 py-2"
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+
+      {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
+
+      <div className="flex gap-2 justify-between mt-3">
+        <button
+          onClick={() => (index === 0 ? onCancel() : setAnswers(answers.slice(0, -1)))}
+          className="text-slate-400 text-xs px-2 py-1"
+        >
+          {index === 0 ? 'Cancel' : 'Back'}
+        </button>
+        {complete && (
+          <button
+            onClick={submit}
+            disabled={submitting}
+            className="bg-sky-500 hover:bg-sky-400 disabled:bg-slate-600 text-white text-xs rounded-lg px-3 py-1"
+          >
+            {submitting ? 'Saving...' : 'See result'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Compact score charts, for the mood screen
+export function AssessmentTrends() {
+  const [trends, setTrends] = useState([]);
+
+  useEffect(() => {
+    AssessmentAPI.getTrends()
+      .then(response => setTrends((response.trends || []).filter(t => t.points.length > 0)))
+      .catch(err => console.error('Failed to load assessment trends:', err));
+  }, []);
+
+  if (trends.length === 0) return null;
+
+  return (
+    <div className="mb-6">
+      <h2 className="text-lg font-semibold text-white mb-3">Check-in scores</h2>
+      <div className="space-y-3">
+        {trends.map(trend => (
+          <div key={trend.instrument} className="bg-slate-800 rounded-xl p-4">
+            <div className="flex justify-between items-baseline mb-2">
+              <p className="text-white text-sm font-medium">{trend.name}</p>
+              <p className="text-slate-400 text-xs">
+                {trend.latest.score} / {trend.max_score} · {formatDate(trend.latest.completed_at)}
+              </p>
+            </div>
+            <AssessmentTrendChart trend={trend} />
+            <ComparisonNote comparison={trend.comparison} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Profile card: what's due, take a questionnaire, reminders, history
+export function AssessmentsCard() {
+  const [instruments, setInstruments] = useState([]);
+  const [disclaimer, setDisclaimer] = useState('');
+  const [schedules, setSchedules] = useState([]);
+  const [trends, setTrends] = useState([]);
+  const [taking, setTaking] = useState(null);
+  const [error, setError] = useState('');
+
+  const load = async () => {
+    try {
+      const [definitions, scheduleResponse, trendResponse] = await Promise.all([
+        instruments.length > 0 ? null : AssessmentAPI.getInstruments(),
+        AssessmentAPI.getSchedules(),
+        AssessmentAPI.getTrends()
+      ]);
+      if (definitions) {
+        setInstruments(definitions.instruments || []);
+        setDisclaimer(definitions.disclaimer || '');
+      }
+      setSchedules(scheduleResponse.schedules || []);
+      setTrends(trendResponse.trends || []);
+    } catch (err) {
+      console.error('Failed to load assessments:', err);
+      setError('Could not load check-ins');
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const toggleReminders = async (entry) => {
+    setError('');
+    try {
+      const { schedule } = await AssessmentAPI.updateSchedule(entry.instrument, {
+        is_enabled: !entry.schedule?.is_enabled
+      });
+      setSchedules(prev => prev.map(s => (s.instrument === entry.instrument ? { ...s, schedule } : s)));
+    } catch (err) {
+      setError(err.message || 'Could not update reminders');
+    }
+  };
+
+  const finish = () => {
+    setTaking(null);
+    load();
+  };
+
+  const takingInstrument = instruments.find(i => i.id === taking);
+
+  return (
+    <div className="bg-slate-800 rounded-2xl p-5 mb-6">
+      <h2 className="text-white font-semibold mb-1">Check-ins</h2>
+      <p className="text-slate-400 text-xs mb-4">
+        Short standard questionnaires that show how things are changing over weeks.
+      </p>
+
+      {error && <p className="text-red-400 text-sm mb-3">{error}</p>}
+
+      {takingInstrument ? (
+        <AssessmentForm
+          instrument={takingInstrument}
+          disclaimer={disclaimer}
+          onDone={finish}
+          onCancel={() => setTaking(null)}
+        />
+      ) : (
+        <ul className="space-y-3">
+          {schedules.map(entry => {
+            const trend = trends.find(t => t.instrument === entry.instrument);
+            return (
+              <li key={entry.instrument} className="bg-slate-700/50 rounded-xl p-3">
+                <div className="flex justify-between items-start gap-2">
+                  <div>
+                    <p className="text-white text-sm font-medium">
+                      {entry.title}
+                      {entry.due && <span className="ml-2 text-xs text-amber-400">Due</span>}
+                    </p>
+                    <p className="text-slate-400 text-xs mt-0.5">
+                      {entry.last
+                        ? `Last: ${entry.last.score} on ${formatDate(entry.last.completed_at)}`
+                        : 'Not taken yet'}
+                      {entry.schedule?.is_enabled && entry.schedule.next_due_date && !entry.due
+                        && ` · next ${formatDate(`${entry.schedule.next_due_date}T12:00:00`)}`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => setTaking(entry.instrument)}
+                    disabled={instruments.length === 0}
+                    className="bg-sky-500 hover:bg-sky-400 disabled:bg-slate-600 text-white text-xs rounded-lg px-3 py-1 shrink-0"
+                  >
+                    Take
+                  </button>
+                </div>
+                {trend?.points.length > 1 && (
+                  <div className="mt-2">
+                    <AssessmentTrendChart trend={trend} />
+                    <ComparisonNote comparison={trend.comparison} />
+                  </div>
+                )}
+                <button onClick={() => toggleReminders(entry)} className="text-sky-400 text-xs mt-2">
+                  {entry.schedule?.is_enabled
+                    ? `Reminding every ${entry.schedule.interval_days} days · Turn off`
+                    : 'Remind me regularly'}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {disclaimer && !takingInstrument && <p className="text-slate-500 text-xs mt-4">{disclaimer}</p>}
+    </div>
+  );
+}
+
+export default AssessmentsCard;
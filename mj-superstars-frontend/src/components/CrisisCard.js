@@ -0,0 +1,56 @@
+// ============================================================
+// MJ's Superstars - Crisis Card
+// Support resources and the user's own safety plan, shown wherever
+// the crisis pipeline flags something: under MJ's reply in chat, or
+// after a self-assessment answer that needs follow-up.
+// ============================================================
+
+import React from 'react';
+
+const planItem = (entry) => (typeof entry === 'string'
+  ? entry
+  : [entry.name, entry.relationship && `(${entry.relationship})`, entry.phone].filter(Boolean).join(' '));
+
+function resourceHref(resource) {
+  const digits = (resource.contact || resource.phone || '').replace(/[^\d+]/g, '');
+  if (!digits) return null;
+  return resource.type === 'text' ? `sms:${digits}` : `tel:${digits}`;
+}
+
+function CrisisCard({ crisis }) {
+  const plan = crisis.safety_plan;
+
+  return (
+    <div className="mt-2 rounded-xl border border-rose-500/40 bg-rose-950/40 px-3 py-2.5">
+      <p className="text-xs font-semibold text-rose-200">You don't have to go through this alone</p>
+      <ul className="mt-1.5 space-y-1">
+        {crisis.resources.map((resource, i) => {
+          const href = resourceHref(resource);
+          return (
+            <li key={i} className="text-sm text-white">
+              {href
+                ? <a href={href} className="underline decoration-rose-400/60">{resource.name}</a>
+                : resource.name}
+              {resource.contact && <span className="text-slate-300"> · {resource.contact}</span>}
+              {resource.hours && <span className="text-slate-400 text-xs"> ({resource.hours})</span>}
+            </li>
+          );
+        })}
+      </ul>
+      {plan?.reasons_for_living?.length > 0 && (
+        <div className="mt-2">
+          <p className="text-xs font-semibold text-rose-200">Your reasons</p>
+          <p className="text-sm text-slate-200">{plan.reasons_for_living.map(planItem).join(' · ')}</p>
+        </div>
+      )}
+      {plan?.support_contacts?.length > 0 && (
+        <div className="mt-2">
+          <p className="text-xs font-semibold text-rose-200">People you can reach</p>
+          <p className="text-sm text-slate-200">{plan.support_contacts.map(planItem).join(' · ')}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CrisisCard;
@@ -0,0 +1,245 @@
+// ============================================================
+// MJ's Superstars - Feelings Wheel
+// Pick core emotions (inner ring) or the more specific feelings
+// around them (outer ring), rate how strongly each is felt, and
+// tag where it shows up in the body.
+// ============================================================
+
+import React from 'react';
+import {
+  EMOTION_WHEEL,
+  BODY_SENSATIONS,
+  MAX_EMOTIONS,
+  MAX_BODY_SENSATIONS,
+  INTENSITY_LABELS,
+  primaryEmotion,
+  feelingLabel,
+  emotionLabel
+} from '../utils/emotions';
+
+const SIZE = 300;
+const CENTER = SIZE / 2;
+const HUB_RADIUS = 34;
+const INNER_RADIUS = 92;
+const OUTER_RADIUS = 148;
+const DEFAULT_INTENSITY = 3;
+
+// Angles are radians clockwise from 12 o'clock
+const polar = (radius, angle) => [
+  CENTER + radius * Math.sin(angle),
+  CENTER - radius * Math.cos(angle)
+];
+
+const segmentPath = (r0, r1, a0, a1) => {
+  const large = a1 - a0 > Math.PI ? 1 : 0;
+  const [x0, y0] = polar(r1, a0);
+  const [x1, y1] = polar(r1, a1);
+  const [x2, y2] = polar(r0, a1);
+  const [x3, y3] = polar(r0, a0);
+  return `M ${x0} ${y0} A ${r1} ${r1} 0 ${large} 1 ${x1} ${y1} L ${x2} ${y2} A ${r0} ${r0} 0 ${large} 0 ${x3} ${y3} Z`;
+};
+
+// Outer labels run along the radius, flipped on the left so they stay upright
+const radialTextRotation = (angle) => {
+  const degrees = (angle * 180) / Math.PI;
+  return degrees > 180 ? degrees + 90 : degrees - 90;
+};
+
+const sameFeeling = (a, b) => a.primary === b.primary && (a.secondary || null) === (b.secondary || null);
+
+const onActivate = (handler) => (e) => {
+  if (e.key === 'Enter' || e.key === ' ') {
+    e.preventDefault();
+    handler();
+  }
+};
+
+function WheelSegment({ path, color, selected, dimmed, label, onSelect, children }) {
+  return (
+    <g
+      role="button"
+      tabIndex={0}
+      aria-label={label}
+      aria-pressed={selected}
+      onClick={onSelect}
+      onKeyDown={onActivate(onSelect)}
+      className="cursor-pointer outline-none"
+    >
+      <path
+        d={path}
+        fill={color}
+        fillOpacity={selected ? 0.95 : dimmed ? 0.2 : 0.45}
+        stroke="#0f172a"
+        strokeWidth={selected ? 2.5 : 1}
+      />
+      {children}
+    </g>
+  );
+}
+
+/**
+ * value: [{ primary, secondary, intensity }] (as stored on mood entries)
+ */
+export function FeelingsWheel({ value = [], onChange }) {
+  const slice = (2 * Math.PI) / EMOTION_WHEEL.length;
+  const isSelected = (feeling) => value.some(v => sameFeeling(v, feeling));
+  const atLimit = value.length >= MAX_EMOTIONS;
+
+  const toggle = (feeling) => {
+    if (isSelected(feeling)) {
+      onChange(value.filter(v => !sameFeeling(v, feeling)));
+    } else if (!atLimit) {
+      onChange([...value, { ...feeling, intensity: DEFAULT_INTENSITY }]);
+    }
+  };
+
+  const setIntensity = (feeling, intensity) => {
+    onChange(value.map(v => (sameFeeling(v, feeling) ? { ...v, intensity } : v)));
+  };
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${SIZE} ${SIZE}`}
+        className="w-full max-w-xs mx-auto block select-none"
+        role="group"
+        aria-label="Feelings wheel"
+      >
+        {EMOTION_WHEEL.map((emotion, i) => {
+          const start = i * slice;
+          const end = start + slice;
+          const step = slice / emotion.feelings.length;
+          const core = { primary: emotion.id, secondary: null };
+          const [emojiX, emojiY] = polar((HUB_RADIUS + INNER_RADIUS) / 2 - 10, start + slice / 2);
+          const [labelX, labelY] = polar((HUB_RADIUS + INNER_RADIUS) / 2 + 14, start + slice / 2);
+
+          return (
+            <g key={emotion.id}>
+              <WheelSegment
+                path={segmentPath(HUB_RADIUS, INNER_RADIUS, start, end)}
+                color={emotion.color}
+                selected={isSelected(core)}
+                dimmed={atLimit && !isSelected(core)}
+                label={emotion.label}
+                onSelect={() => toggle(core)}
+              >
+                <text x={emojiX} y={emojiY} textAnchor="middle" dominantBaseline="central" fontSize="16">
+                  {emotion.emoji}
+                </text>
+                <text x={labelX} y={labelY} textAnchor="middle" dominantBaseline="central" fontSize="9" fill="#f8fafc">
+                  {emotion.label}
+                </text>
+              </WheelSegment>
+
+              {emotion.feelings.map((feeling, j) => {
+                const a0 = start + j * step;
+                const mid = a0 + step / 2;
+                const [x, y] = polar((INNER_RADIUS + OUTER_RADIUS) / 2, mid);
+                const option = { primary: emotion.id, secondary: feeling };
+                return (
+                  <WheelSegment
+                    key={feeling}
+                    path={segmentPath(INNER_RADIUS, OUTER_RADIUS, a0, a0 + step)}
+                    color={emotion.color}
+                    selected={isSelected(option)}
+                    dimmed={atLimit && !isSelected(option)}
+                    label={`${feelingLabel(feeling)} (${emotion.label})`}
+                    onSelect={() => toggle(option)}
+                  >
+                    <text
+                      x={x}
+                      y={y}
+                      transform={`rotate(${radialTextRotation(mid)} ${x} ${y})`}
+                      textAnchor="middle"
+                      dominantBaseline="central"
+                      fontSize="8"
+                      fill="#f8fafc"
+                    >
+                      {feelingLabel(feeling)}
+                    </text>
+                  </WheelSegment>
+                );
+              })}
+            </g>
+          );
+        })}
+        <circle cx={CENTER} cy={CENTER} r={HUB_RADIUS} fill="#1e293b" />
+        <text x={CENTER} y={CENTER} textAnchor="middle" dominantBaseline="central" fontSize="10" fill="#94a3b8">
+          {value.length}/{MAX_EMOTIONS}
+        </text>
+      </svg>
+
+      {value.length > 0 && (
+        <div className="mt-4 space-y-3">
+          {value.map((feeling) => (
+            <div key={`${feeling.primary}:${feeling.secondary}`} className="bg-slate-700/50 rounded-xl px-3 py-2">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-white text-sm font-medium">
+                  {primaryEmotion(feeling.primary)?.emoji} {emotionLabel(feeling)}
+                </span>
+                <button
+                  onClick={() => toggle(feeling)}
+                  className="text-slate-400 hover:text-white text-xs"
+                  aria-label={`Remove ${emotionLabel(feeling)}`}
+                >
+                  Remove
+                </button>
+              </div>
+              <div className="flex gap-1" role="radiogroup" aria-label={`How ${emotionLabel(feeling).toLowerCase()} do you feel?`}>
+                {INTENSITY_LABELS.map((label, i) => (
+                  <button
+                    key={label}
+                    role="radio"
+                    aria-checked={feeling.intensity === i + 1}
+                    onClick={() => setIntensity(feeling, i + 1)}
+                    className={`flex-1 py-1 rounded-lg text-[10px] transition-colors ${
+                      feeling.intensity === i + 1
+                        ? 'bg-sky-600 text-white'
+                        : 'bg-slate-800 text-slate-400 hover:bg-slate-700'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * value: body sensation ids
+ */
+export function BodySensationPicker({ value = [], onChange }) {
+  const toggle = (id) => {
+    if (value.includes(id)) {
+      onChange(value.filter(v => v !== id));
+    } else if (value.length < MAX_BODY_SENSATIONS) {
+      onChange([...value, id]);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {BODY_SENSATIONS.map(({ id, label }) => (
+        <button
+          key={id}
+          onClick={() => toggle(id)}
+          aria-pressed={value.includes(id)}
+          className={`px-3 py-1 rounded-full text-xs transition-colors ${
+            value.includes(id)
+              ? 'bg-sky-600/30 text-sky-300 ring-1 ring-sky-500'
+              : 'bg-slate-700/50 text-slate-400 hover:bg-slate-700'
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default FeelingsWheel;
@@ -0,0 +1,284 @@
+// ============================================================
+// MJ's Superstars - Progress Reports
+// Build a PDF of mood, check-in scores, rituals and hand-picked
+// journal entries, then share it through a link that expires.
+// ============================================================
+
+import React, { useState, useEffect } from 'react';
+import { ReportAPI, JournalAPI } from '../services/api';
+
+const MAX_JOURNAL_ENTRIES = 10;
+const POLL_MS = 3000;
+
+const LINK_DURATIONS = [
+  { hours: 24, label: '1 day' },
+  { hours: 72, label: '3 days' },
+  { hours: 168, label: '1 week' },
+  { hours: 720, label: '30 days' }
+];
+
+const formatDate = (value) => new Date(value.length === 10 ? `${value}T12:00:00` : value)
+  .toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+// Pick the period and which journal entries (if any) to include
+function ReportForm({ onCreated, onCancel }) {
+  const [start, setStart] = useState('');
+  const [end, setEnd] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    JournalAPI.list({ limit: 30 })
+      .then(response => setEntries(response.entries || []))
+      .catch(err => console.error('Failed to load journal entries:', err));
+  }, []);
+
+  const toggle = (id) => {
+    setSelected(prev => (prev.includes(id)
+      ? prev.filter(s => s !== id)
+      : prev.length < MAX_JOURNAL_ENTRIES ? [...prev, id] : prev));
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError('');
+    try {
+      const { report } = await ReportAPI.create({
+        start: start || undefined,
+        end: end || undefined,
+        journalEntryIds: selected
+      });
+      onCreated(report);
+    } catch (err) {
+      setError(err.message || 'Could not create the report');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="bg-slate-700/50 rounded-xl p-4 space-y-3">
+      <div className="grid grid-cols-2 gap-2">
+        <label className="text-slate-400 text-xs">
+          From
+          <input
+            type="date"
+            value={start}
+            onChange={e => setStart(e.target.value)}
+            className="w-full mt-1 bg-slate-700 text-white rounded-lg px-2 py-1.5 text-sm outline-none focus:ring-2 focus:ring-sky-500"
+          />
+        </label>
+        <label className="text-slate-400 text-xs">
+          To
+          <input
+            type="date"
+            value={end}
+            onChange={e => setEnd(e.target.value)}
+            className="w-full mt-1 bg-slate-700 text-white rounded-lg px-2 py-1.5 text-sm outline-none focus:ring-2 focus:ring-sky-500"
+          />
+        </label>
+      </div>
+      <p className="text-slate-500 text-xs">Leave blank for the last 90 days.</p>
+
+      {entries.length > 0 && (
+        <div>
+          <p className="text-slate-300 text-sm mb-1">
+            Journal entries to include <span className="text-slate-500 text-xs">({selected.length}/{MAX_JOURNAL_ENTRIES})</span>
+          </p>
+          <p className="text-slate-500 text-xs mb-2">Only the ones you tick go in the report.</p>
+          <ul className="max-h-48 overflow-y-auto space-y-1">
+            {entries.map(entry => (
+              <li key={entry.id}>
+                <label className="flex items-start gap-2 text-sm text-slate-200 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(entry.id)}
+                    onChange={() => toggle(entry.id)}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="text-slate-400 text-xs mr-1">{formatDate(entry.created_at)}</span>
+                    {entry.title || entry.content.slice(0, 60)}
+                  </span>
+                </label>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+
+      <div className="flex gap-2 justify-end">
+        <button type="button" onClick={onCancel} className="text-slate-400 text-xs px-2 py-1">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={creating}
+          className="bg-sky-500 hover:bg-sky-400 disabled:bg-slate-600 text-white text-xs rounded-lg px-3 py-1"
+        >
+          {creating ? 'Creating...' : 'Create report'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// A ready report: get a link for a chosen time, copy or share it
+function ReportLink({ report }) {
+  const [hours, setHours] = useState(72);
+  const [link, setLink] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  const createLink = async () => {
+    setError('');
+    setCopied(false);
+    try {
+      setLink(await ReportAPI.createLink(report.id, hours));
+    } catch (err) {
+      setError(err.message || 'Could not create a link');
+    }
+  };
+
+  const share = async () => {
+    if (navigator.share) {
+      await navigator.share({ title: 'My progress report', url: link.url }).catch(() => {});
+      return;
+    }
+    await navigator.clipboard?.writeText(link.url);
+    setCopied(true);
+  };
+
+  return (
+    <div className="mt-2">
+      {link ? (
+        <div className="space-y-1">
+          <input
+            readOnly
+            value={link.url}
+            onFocus={e => e.target.select()}
+            className="w-full bg-slate-700 text-slate-200 rounded-lg px-2 py-1 text-xs"
+          />
+          <div className="flex justify-between items-center">
+            <span className="text-slate-500 text-xs">Works until {formatDate(link.expires_at)}</span>
+            <button onClick={share} className="text-sky-400 text-xs">
+              {copied ? 'Copied' : (navigator.share ? 'Share' : 'Copy')}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex gap-2 items-center">
+          <select
+            value={hours}
+            onChange={e => setHours(Number(e.target.value))}
+            className="bg-slate-700 text-slate-200 rounded-lg px-2 py-1 text-xs"
+          >
+            {LINK_DURATIONS.map(d => <option key={d.hours} value={d.hours}>{d.label}</option>)}
+          </select>
+          <button onClick={createLink} className="text-sky-400 text-xs">Get link to share</button>
+        </div>
+      )}
+      {error && <p className="text-red-400 text-xs mt-1">{error}</p>}
+    </div>
+  );
+}
+
+export function ProgressReportCard() {
+  const [reports, setReports] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadReports = async () => {
+    try {
+      const response = await ReportAPI.list();
+      setReports(response.reports || []);
+    } catch (err) {
+      console.error('Failed to load reports:', err);
+      setError('Could not load reports');
+    }
+  };
+
+  useEffect(() => {
+    loadReports();
+  }, []);
+
+  // Keep checking while a report is being put together
+  useEffect(() => {
+    if (!reports?.some(r => r.status === 'pending')) return undefined;
+    const timer = setTimeout(loadReports, POLL_MS);
+    return () => clearTimeout(timer);
+  }, [reports]);
+
+  const handleCreated = (report) => {
+    setShowForm(false);
+    setReports(prev => [report, ...(prev || [])]);
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this report? Links you\'ve shared will stop working.')) return;
+    setError('');
+    try {
+      await ReportAPI.delete(id);
+      setReports(prev => prev.filter(r => r.id !== id));
+    } catch (err) {
+      setError(err.message || 'Could not delete the report');
+    }
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-2xl p-5 mb-6">
+      <h2 className="text-white font-semibold mb-1">Share with your therapist</h2>
+      <p className="text-slate-400 text-xs mb-4">
+        A PDF of your mood, check-in scores and rituals, plus any journal entries you choose.
+        Links expire on their own.
+      </p>
+
+      {error && <p className="text-red-400 text-sm mb-3">{error}</p>}
+
+      {showForm ? (
+        <ReportForm onCreated={handleCreated} onCancel={() => setShowForm(false)} />
+      ) : (
+        <button
+          onClick={() => setShowForm(true)}
+          className="w-full bg-sky-500 hover:bg-sky-400 text-white text-sm rounded-xl py-2 mb-1"
+        >
+          New report
+        </button>
+      )}
+
+      {reports?.length > 0 && (
+        <ul className="space-y-2 mt-3">
+          {reports.map(report => (
+            <li key={report.id} className="bg-slate-700/50 rounded-xl p-3">
+              <div className="flex justify-between items-start gap-2">
+                <div>
+                  <p className="text-white text-sm">
+                    {formatDate(report.period_start)} – {formatDate(report.period_end)}
+                  </p>
+                  <p className="text-slate-400 text-xs mt-0.5">
+                    {report.status === 'pending' && 'Putting it together...'}
+                    {report.status === 'failed' && 'Something went wrong. Try creating it again.'}
+                    {report.status === 'ready' && (report.download_count > 0
+                      ? `Opened ${report.download_count} time${report.download_count === 1 ? '' : 's'}`
+                      : 'Not opened yet')}
+                  </p>
+                </div>
+                <button onClick={() => handleDelete(report.id)} className="text-red-400 text-xs shrink-0">
+                  Delete
+                </button>
+              </div>
+              {report.status === 'ready' && <ReportLink report={report} />}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ProgressReportCard;
@@ -5,7 +5,121 @@
 
 import React, { useState, useEffect, useRef } from 'react';
 import { ConversationAPI, GuestAPI, TokenManager } from '../../services/api';
-import { Send } from '../shared/Icons';
+import { useFeature } from '../../services/featureFlags';
+import { Send, Mic } from '../shared/Icons';
+import CrisisCard from '../CrisisCard';
+
+// Confirmation cards for actions MJ proposes via tool use
+const ACTION_COPY = {
+  create_task: {
+    icon: '📝',
+    title: 'Add a task',
+    confirm: 'Add it',
+    done: 'Added to your tasks',
+    describe: (input) => input.title
+  },
+  log_mood: {
+    icon: '💭',
+    title: 'Log your mood',
+    confirm: 'Log it',
+    done: 'Mood logged',
+    describe: (input) => `${input.mood_score}/5${input.note ? ` — ${input.note}` : ''}`
+  },
+  start_coping_exercise: {
+    icon: '🫁',
+    title: 'Try a quick exercise',
+    confirm: 'Start',
+    done: "Let's go",
+    describe: (input) => input.reason || input.tool_name || input.category
+  },
+  set_morning_intention: {
+    icon: '☀️',
+    title: "Set today's intention",
+    confirm: 'Set it',
+    done: 'Intention set',
+    describe: (input) => input.intention_text
+  }
+};
+
+function ActionCard({ action, onConfirm, onDismiss }) {
+  const copy = ACTION_COPY[action.tool_name];
+  if (!copy) return null;
+
+  const steps = action.result?.tool?.steps || [];
+  const busy = action.status === 'working';
+
+  return (
+    <div className="mt-2 rounded-xl border border-slate-600/60 bg-slate-900/60 px-3 py-2.5">
+      <div className="flex items-start gap-2">
+        <span className="text-lg leading-none">{copy.icon}</span>
+        <div className="flex-1 min-w-0">
+          <p className="text-xs font-semibold text-slate-300">{copy.title}</p>
+          <p className="text-sm text-white break-words">{copy.describe(action.input || {})}</p>
+        </div>
+      </div>
+
+      {(action.status === 'pending' || busy) && (
+        <div className="mt-2 flex gap-2">
+          <button
+            onClick={() => onConfirm(action)}
+            disabled={busy}
+            className="px-3 py-1.5 rounded-lg bg-sky-600 hover:bg-sky-500 disabled:bg-slate-700 text-white text-xs font-medium transition-colors"
+          >
+            {busy ? '...' : copy.confirm}
+          </button>
+          <button
+            onClick={() => onDismiss(action)}
+            disabled={busy}
+            className="px-3 py-1.5 rounded-lg text-slate-400 hover:text-white text-xs transition-colors"
+          >
+            Not now
+          </button>
+        </div>
+      )}
+      {action.status === 'confirmed' && (
+        <p className="mt-2 text-xs text-emerald-400">✓ {copy.done}</p>
+      )}
+      {action.status === 'dismissed' && (
+        <p className="mt-2 text-xs text-slate-500">Skipped</p>
+      )}
+      {action.status === 'failed' && (
+        <p className="mt-2 text-xs text-rose-400">Couldn't save that — try again from the app.</p>
+      )}
+      {action.status === 'confirmed' && steps.length > 0 && (
+        <ol className="mt-2 space-y-1 list-decimal list-inside text-xs text-slate-300">
+          {steps.map((step, i) => <li key={i}>{step}</li>)}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+// "‹ 2/3 ›" under a message that has regenerated or edited alternatives
+function AlternativePager({ alternatives, onStep, disabled }) {
+  const { index, count } = alternatives;
+
+  return (
+    <div className="flex items-center gap-1 text-xs text-slate-400">
+      <button
+        onClick={() => onStep(-1)}
+        disabled={disabled || index === 0}
+        className="px-1 hover:text-white disabled:opacity-30"
+        aria-label="Previous version"
+      >
+        ‹
+      </button>
+      <span>{index + 1}/{count}</span>
+      <button
+        onClick={() => onStep(1)}
+        disabled={disabled || index === count - 1}
+        className="px-1 hover:text-white disabled:opacity-30"
+        aria-label="Next version"
+      >
+        ›
+      </button>
+    </div>
+  );
+}
 
 function ChatScreen() {
   const [messages, setMessages] = useState([]);
@@ -14,6 +128,13 @@ function ChatScreen() {
   const [conversationId, setConversationId] = useState(null);
   const [isGuestMode, setIsGuestMode] = useState(false);
   const [showChatMenu, setShowChatMenu] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [recording, setRecording] = useState(false);
+  const [transcribing, setTranscribing] = useState(false);
+  // { audio_url, audio_duration } for a transcript waiting in the input
+  const [voice, setVoice] = useState(null);
+  const voiceEnabled = useFeature('ai_voice_input');
+  const recorderRef = useRef(null);
   const messagesEndRef = useRef(null);
   const chatMenuRef = useRef(null);
 
@@ -126,8 +247,130 @@ function ChatScreen() {
     initChat();
   }, []);
 
+  // Swap this conversation's messages for the branch the server now has
+  // selected. Earlier conversations and cards already shown are kept;
+  // `extras` attaches fields by id (e.g. the new reply's actions).
+  const showBranch = (path, extras = {}) => {
+    setMessages(prev => {
+      const known = new Map(prev.map(m => [m.id, m]));
+      const earlier = prev.filter(m => m.conversationId !== conversationId);
+      return [...earlier, ...path.map(m => ({
+        ...known.get(m.id),
+        id: m.id,
+        role: m.role,
+        content: m.content,
+        timestamp: m.created_at,
+        alternatives: m.alternatives,
+        conversationId,
+        saved: true,
+        ...extras[m.id]
+      }))];
+    });
+  };
+
+  const regenerate = async (msg) => {
+    if (loading) return;
+    setLoading(true);
+    try {
+      const response = await ConversationAPI.regenerate(conversationId, msg.id);
+      showBranch(response.messages, {
+        [response.mj_response.id]: { actions: response.actions || [], crisis: response.crisis || null }
+      });
+    } catch (err) {
+      console.error('Regenerate error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showAlternative = async (msg, step) => {
+    const targetId = msg.alternatives.ids[msg.alternatives.index + step];
+    if (!targetId || loading) return;
+    try {
+      const response = await ConversationAPI.selectAlternative(conversationId, targetId);
+      showBranch(response.messages);
+    } catch (err) {
+      console.error('Switch alternative error:', err);
+    }
+  };
+
+  const startEditing = (msg) => {
+    setEditingId(msg.id);
+    setInput(msg.content);
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setInput('');
+  };
+
+  const submitEdit = async () => {
+    const content = input.trim();
+    const messageId = editingId;
+    setEditingId(null);
+    setInput('');
+    setLoading(true);
+    try {
+      const response = await ConversationAPI.editMessage(conversationId, messageId, content);
+      showBranch(response.messages, {
+        [response.mj_response.id]: { actions: response.actions || [], crisis: response.crisis || null }
+      });
+    } catch (err) {
+      console.error('Edit message error:', err);
+      setEditingId(messageId);
+      setInput(content);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Record, then drop the transcript into the input so it can be fixed
+  // before sending; the audio stays attached to the message
+  const toggleRecording = async () => {
+    if (recording) {
+      recorderRef.current?.stop();
+      return;
+    }
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const recorder = new MediaRecorder(stream);
+      const chunks = [];
+      const startedAt = Date.now();
+
+      recorder.ondataavailable = (e) => chunks.push(e.data);
+      recorder.onstop = async () => {
+        stream.getTracks().forEach(track => track.stop());
+        setRecording(false);
+        setTranscribing(true);
+        try {
+          const audio = new Blob(chunks, { type: recorder.mimeType });
+          const result = await ConversationAPI.transcribeVoice(conversationId, audio, {
+            duration: (Date.now() - startedAt) / 1000
+          });
+          setInput(result.transcript);
+          setVoice({ audio_url: result.audio_url, audio_duration: result.audio_duration });
+        } catch (err) {
+          console.error('Voice message error:', err);
+        } finally {
+          setTranscribing(false);
+        }
+      };
+
+      recorderRef.current = recorder;
+      recorder.start();
+      setRecording(true);
+    } catch (err) {
+      console.error('Microphone error:', err);
+    }
+  };
+
   const sendMessage = async () => {
     if (!input.trim() || loading) return;
+    if (editingId) {
+      submitEdit();
+      return;
+    }
 
     const userMessage = {
       id: Date.now().toString(),
@@ -137,12 +380,19 @@ function ChatScreen() {
     };
 
     const currentMessages = [...messages, userMessage];
+    const attachedVoice = voice;
     setMessages(currentMessages);
     setInput('');
+    setVoice(null);
     setLoading(true);
+    // Crisis support already on screen from the stream, if any
+    let shownCrisis = null;
 
     try {
       let responseContent;
+      let responseActions = [];
+      let responseCrisis = null;
+      let savedReply = null;
 
       if (isGuestMode) {
         const chatHistory = currentMessages
@@ -176,19 +426,69 @@ function ChatScreen() {
             recentMoods,
             todayTasks,
             recentJournal
-          }
+          },
+          localStorage.getItem('mj_guest_persona')
         );
         responseContent = response.mj_response?.content || response.content || "I hear you. Tell me more about that.";
+        responseCrisis = response.crisis || null;
       } else {
-        const response = await ConversationAPI.sendMessage(conversationId, input.trim());
-        responseContent = response.mj_response?.content || response.message?.content || response.content || "I hear you. Tell me more about that.";
+        // Stream MJ's reply into a placeholder bubble as it arrives
+        const streamId = (Date.now() + 1).toString();
+        let streamed = '';
+        let opened = false;
+        const openBubble = () => {
+          if (opened) return;
+          opened = true;
+          setMessages(prev => [...prev, { id: streamId, role: 'assistant', content: '', timestamp: new Date().toISOString() }]);
+        };
+        const response = await ConversationAPI.streamMessage(conversationId, userMessage.content, {
+          voice: attachedVoice,
+          // Crisis resources arrive before the reply; show them right away
+          onCrisis: (crisis) => {
+            shownCrisis = crisis;
+            openBubble();
+            setMessages(prev => prev.map(m => (m.id === streamId ? { ...m, crisis } : m)));
+          },
+          onChunk: (text) => {
+            if (!streamed) setLoading(false);
+            openBubble();
+            streamed += text;
+            setMessages(prev => prev.map(m => (m.id === streamId ? { ...m, content: streamed } : m)));
+          }
+        });
+
+        const actions = response?.actions || [];
+        const crisis = response?.crisis || shownCrisis;
+        const truncated = !!response?.truncated;
+        savedReply = response?.mj_response || null;
+
+        // Server ids let these messages be edited and regenerated later
+        if (response?.user_message) {
+          setMessages(prev => prev.map(m => (m.id === userMessage.id
+            ? { ...m, id: response.user_message.id, conversationId, saved: true }
+            : m)));
+        }
+
+        if (opened) {
+          const finalContent = savedReply?.content || streamed || "I hear you. Tell me more about that.";
+          setMessages(prev => prev.map(m => (m.id === streamId
+            ? { ...m, id: savedReply?.id || streamId, content: finalContent, actions, crisis, truncated, conversationId, saved: !!savedReply }
+            : m)));
+          return;
+        }
+        responseContent = savedReply?.content || "I hear you. Tell me more about that.";
+        responseActions = actions;
+        responseCrisis = crisis;
       }
 
       const assistantMessage = {
-        id: (Date.now() + 1).toString(),
+        id: savedReply?.id || (Date.now() + 1).toString(),
         role: 'assistant',
         content: responseContent,
-        timestamp: new Date().toISOString()
+        actions: responseActions,
+        crisis: responseCrisis,
+        timestamp: new Date().toISOString(),
+        ...(savedReply && { conversationId, saved: true })
       };
       setMessages(prev => [...prev, assistantMessage]);
     } catch (err) {
@@ -196,7 +496,10 @@ function ChatScreen() {
       setMessages(prev => [...prev, {
         id: (Date.now() + 1).toString(),
         role: 'assistant',
-        content: "I'm having trouble connecting right now. Please try again in a moment. 💙",
+        content: err.code === 'QUOTA_EXCEEDED'
+          ? "We've hit today's chat limit — I'll be right here when it resets tomorrow. In the meantime, your coping tools and journal are always open. 💙"
+          : "I'm having trouble connecting right now. Please try again in a moment. 💙",
+        crisis: shownCrisis ? null : err.crisis || null,
         timestamp: new Date().toISOString()
       }]);
     } finally {
@@ -204,6 +507,33 @@ function ChatScreen() {
     }
   };
 
+  const updateAction = (actionId, patch) => {
+    setMessages(prev => prev.map(m => (m.actions?.some(a => a.id === actionId)
+      ? { ...m, actions: m.actions.map(a => (a.id === actionId ? { ...a, ...patch } : a)) }
+      : m)));
+  };
+
+  const confirmAction = async (action) => {
+    updateAction(action.id, { status: 'working' });
+    try {
+      const response = await ConversationAPI.confirmAction(conversationId, action.id);
+      updateAction(action.id, response.action);
+    } catch (err) {
+      console.error('Confirm action error:', err);
+      // Already handled on another device: just drop the buttons
+      updateAction(action.id, { status: err.code === 'ACTION_RESOLVED' ? 'resolved' : 'failed' });
+    }
+  };
+
+  const dismissAction = async (action) => {
+    updateAction(action.id, { status: 'dismissed' });
+    try {
+      await ConversationAPI.dismissAction(conversationId, action.id);
+    } catch (err) {
+      console.error('Dismiss action error:', err);
+    }
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -267,6 +597,46 @@ function ChatScreen() {
               }`}
             >
               <p className="text-sm leading-relaxed whitespace-pre-wrap">{msg.content}</p>
+              {msg.truncated && (
+                <p className="mt-1 text-xs italic text-slate-400">This reply was cut off. Try again for the full answer.</p>
+              )}
+              {msg.crisis && <CrisisCard crisis={msg.crisis} />}
+              {msg.actions?.map(action => (
+                <ActionCard
+                  key={action.id}
+                  action={action}
+                  onConfirm={confirmAction}
+                  onDismiss={dismissAction}
+                />
+              ))}
+              {msg.saved && !isGuestMode && (
+                <div className={`mt-1.5 flex items-center gap-3 ${msg.role === 'user' ? 'justify-end' : ''}`}>
+                  {msg.alternatives && (
+                    <AlternativePager
+                      alternatives={msg.alternatives}
+                      onStep={(step) => showAlternative(msg, step)}
+                      disabled={loading}
+                    />
+                  )}
+                  {msg.role === 'assistant' ? (
+                    <button
+                      onClick={() => regenerate(msg)}
+                      disabled={loading}
+                      className="text-xs text-slate-400 hover:text-white disabled:opacity-40"
+                    >
+                      ↻ Try again
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => startEditing(msg)}
+                      disabled={loading}
+                      className="text-xs text-sky-200/80 hover:text-white disabled:opacity-40"
+                    >
+                      Edit
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
           </div>
         ))}
@@ -285,16 +655,35 @@ function ChatScreen() {
       </div>
 
       <div className="px-4 py-3 bg-slate-800/80 backdrop-blur border-t border-slate-700/50">
+        {editingId && (
+          <div className="mb-2 flex items-center justify-between text-xs text-slate-400">
+            <span>Editing your message — MJ will answer the new version</span>
+            <button onClick={cancelEditing} className="text-slate-300 hover:text-white">Cancel</button>
+          </div>
+        )}
         <div className="flex items-center gap-2">
           <textarea
             value={input}
-            onChange={(e) => setInput(e.target.value)}
+            onChange={(e) => {
+              setInput(e.target.value);
+              if (!e.target.value) setVoice(null);
+            }}
             onKeyDown={handleKeyPress}
-            placeholder="Talk to MJ..."
+            placeholder={recording ? 'Listening… tap the mic to stop' : transcribing ? 'Transcribing…' : 'Talk to MJ...'}
             rows={1}
             className="flex-1 bg-slate-700/50 text-white rounded-xl px-4 py-3 text-sm resize-none outline-none focus:ring-2 focus:ring-sky-500/50 placeholder-slate-400"
             style={{ minHeight: '44px', maxHeight: '120px' }}
           />
+          {voiceEnabled && !isGuestMode && conversationId && !editingId && (
+            <button
+              onClick={toggleRecording}
+              disabled={loading || transcribing}
+              aria-label={recording ? 'Stop recording' : 'Record a voice message'}
+              className={`w-11 h-11 rounded-xl flex items-center justify-center transition-colors disabled:text-slate-500 ${recording ? 'bg-rose-600 text-white animate-pulse' : 'bg-slate-700/50 text-slate-300 hover:text-white'}`}
+            >
+              <Mic />
+            </button>
+          )}
           <button
             onClick={sendMessage}
             disabled={!input.trim() || loading}
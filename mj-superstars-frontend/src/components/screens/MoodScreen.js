@@ -5,10 +5,16 @@
 import React, { useState, useEffect } from 'react';
 import { MoodAPI, TokenManager } from '../../services/api';
 import { moodEmoji, moodLabel } from '../../utils/moodHelpers';
+import { primaryEmotion, emotionLabel } from '../../utils/emotions';
+import { FeelingsWheel, BodySensationPicker } from '../FeelingsWheel';
+import { AssessmentTrends } from '../Assessments';
 
 function MoodScreen() {
   const [selectedMood, setSelectedMood] = useState(null);
   const [note, setNote] = useState('');
+  const [emotions, setEmotions] = useState([]);
+  const [bodySensations, setBodySensations] = useState([]);
+  const [showWheel, setShowWheel] = useState(false);
   const [recentMoods, setRecentMoods] = useState([]);
   const [submitted, setSubmitted] = useState(false);
   const [loading, setLoading] = useState(false);
@@ -23,7 +29,7 @@ function MoodScreen() {
       }
       try {
         const response = await MoodAPI.list();
-        setRecentMoods(response.moods || response || []);
+        setRecentMoods(response.entries || response.moods || []);
       } catch (err) {
         console.error('Failed to load moods:', err);
         const stored = localStorage.getItem('mj_guest_moods');
@@ -33,15 +39,31 @@ function MoodScreen() {
     loadMoods();
   }, []);
 
+  const resetForm = () => {
+    setSubmitted(false);
+    setSelectedMood(null);
+    setNote('');
+    setEmotions([]);
+    setBodySensations([]);
+    setShowWheel(false);
+  };
+
   const submitMood = async () => {
     if (!selectedMood || loading) return;
     setLoading(true);
-    const newMood = { mood_score: selectedMood, note, created_at: new Date().toISOString() };
+    const newMood = {
+      mood_score: selectedMood,
+      note,
+      emotions,
+      body_sensations: bodySensations,
+      created_at: new Date().toISOString()
+    };
     try {
       if (!isGuest) {
-        await MoodAPI.log({
-          mood_score: selectedMood,
+        await MoodAPI.log(selectedMood, {
           note: note || undefined,
+          emotions,
+          body_sensations: bodySensations,
           source: 'manual'
         });
       }
@@ -49,18 +71,14 @@ function MoodScreen() {
       localStorage.setItem('mj_guest_moods', JSON.stringify(updated));
       setSubmitted(true);
       setRecentMoods(updated);
-      setTimeout(() => {
-        setSubmitted(false);
-        setSelectedMood(null);
-        setNote('');
-      }, 2000);
+      setTimeout(resetForm, 2000);
     } catch (err) {
       console.error('Failed to log mood:', err);
       const updated = [newMood, ...recentMoods].slice(0, 50);
       localStorage.setItem('mj_guest_moods', JSON.stringify(updated));
       setSubmitted(true);
       setRecentMoods(updated);
-      setTimeout(() => { setSubmitted(false); setSelectedMood(null); setNote(''); }, 2000);
+      setTimeout(resetForm, 2000);
     } finally {
       setLoading(false);
     }
@@ -98,6 +116,28 @@ function MoodScreen() {
               ))}
             </div>
 
+            <button
+              onClick={() => setShowWheel(!showWheel)}
+              aria-expanded={showWheel}
+              className="w-full flex items-center justify-between text-sm text-slate-300 hover:text-white py-2"
+            >
+              <span>
+                Name the feeling
+                {emotions.length > 0 && (
+                  <span className="text-slate-400"> · {emotions.map(emotionLabel).join(', ')}</span>
+                )}
+              </span>
+              <span className="text-slate-500">{showWheel ? '▲' : '▼'}</span>
+            </button>
+
+            {showWheel && (
+              <div className="mt-2 mb-4">
+                <FeelingsWheel value={emotions} onChange={setEmotions} />
+                <p className="text-slate-300 text-sm mt-5 mb-2">Where do you feel it?</p>
+                <BodySensationPicker value={bodySensations} onChange={setBodySensations} />
+              </div>
+            )}
+
             <textarea
               value={note}
               onChange={(e) => setNote(e.target.value)}
@@ -117,6 +157,8 @@ function MoodScreen() {
         </>
       )}
 
+      {!isGuest && <AssessmentTrends />}
+
       <h2 className="text-lg font-semibold text-white mb-3">Recent</h2>
       <div className="space-y-2">
         {recentMoods.slice(0, 7).map((mood, i) => (
@@ -125,6 +167,11 @@ function MoodScreen() {
               <span className="text-2xl">{moodEmoji(mood.mood_score)}</span>
               <div>
                 <p className="text-white text-sm font-medium">{moodLabel(mood.mood_score)}</p>
+                {mood.emotions?.length > 0 && (
+                  <p className="text-slate-300 text-xs">
+                    {mood.emotions.map(e => `${primaryEmotion(e.primary)?.emoji || ''} ${emotionLabel(e)}`.trim()).join(' · ')}
+                  </p>
+                )}
                 {mood.note && <p className="text-slate-400 text-xs line-clamp-1">{mood.note}</p>}
               </div>
             </div>
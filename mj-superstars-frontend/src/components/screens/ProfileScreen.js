@@ -4,8 +4,217 @@
 
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
-import { ProgressAPI, GuestAPI, TokenManager } from '../../services/api';
+import { ProgressAPI, GuestAPI, UserAPI, TokenManager } from '../../services/api';
 import { Fire, Logout } from '../shared/Icons';
+import { AssessmentsCard } from '../Assessments';
+import { ProgressReportCard } from '../ProgressReport';
+
+// What MJ remembers: edit, pin, hide ("never mention") or forget each memory
+function MemoryManager() {
+  const [groups, setGroups] = useState(null);
+  const [editing, setEditing] = useState(null); // { id, content }
+  const [error, setError] = useState('');
+
+  const loadMemories = async () => {
+    try {
+      const response = await UserAPI.getMemories();
+      setGroups(response.groups || []);
+    } catch (err) {
+      console.error('Failed to load memories:', err);
+      setError('Could not load memories');
+    }
+  };
+
+  useEffect(() => {
+    loadMemories();
+  }, []);
+
+  const replaceMemory = (memory) => {
+    setGroups(prev => prev.map(group => ({
+      ...group,
+      memories: group.memories.map(m => (m.id === memory.id ? memory : m))
+    })));
+  };
+
+  const handleUpdate = async (id, updates) => {
+    setError('');
+    try {
+      const { memory } = await UserAPI.updateMemory(id, updates);
+      replaceMemory(memory);
+      setEditing(null);
+    } catch (err) {
+      setError(err.message || 'Could not update memory');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Forget this? MJ won\'t remember it anymore.')) return;
+    setError('');
+    try {
+      await UserAPI.deleteMemory(id);
+      setGroups(prev => prev
+        .map(group => ({ ...group, memories: group.memories.filter(m => m.id !== id) }))
+        .filter(group => group.memories.length > 0));
+    } catch (err) {
+      setError(err.message || 'Could not delete memory');
+    }
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-2xl p-5 mb-6">
+      <h2 className="text-white font-semibold mb-1">What MJ remembers</h2>
+      <p className="text-slate-400 text-xs mb-4">
+        Pinned memories are always on MJ's mind. Hidden ones are never brought up.
+      </p>
+
+      {error && <p className="text-red-400 text-sm mb-3">{error}</p>}
+
+      {groups && groups.length === 0 && (
+        <p className="text-slate-500 text-sm text-center py-2">
+          Nothing yet. MJ picks things up as you chat.
+        </p>
+      )}
+
+      {groups && groups.map(group => (
+        <div key={group.type} className="mb-4 last:mb-0">
+          <h3 className="text-xs uppercase tracking-wide text-slate-400 mb-2">{group.label}</h3>
+          <ul className="space-y-2">
+            {group.memories.map(memory => (
+              <li
+                key={memory.id}
+                className={`bg-slate-700/50 rounded-xl p-3 ${memory.never_mention ? 'opacity-60' : ''}`}
+              >
+                {editing?.id === memory.id ? (
+                  <form
+                    onSubmit={e => {
+                      e.preventDefault();
+                      handleUpdate(memory.id, { content: editing.content });
+                    }}
+                    className="space-y-2"
+                  >
+                    <textarea
+                      value={editing.content}
+                      onChange={e => setEditing({ ...editing, content: e.target.value })}
+                      maxLength={1000}
+                      rows={2}
+                      className="w-full bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-sky-500"
+                    />
+                    <div className="flex gap-2 justify-end">
+                      <button type="button" onClick={() => setEditing(null)} className="text-slate-400 text-xs px-2 py-1">
+                        Cancel
+                      </button>
+                      <button
+                        type="submit"
+                        disabled={!editing.content.trim()}
+                        className="bg-sky-500 hover:bg-sky-400 disabled:bg-slate-600 text-white text-xs rounded-lg px-3 py-1"
+                      >
+                        Save
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <>
+                    <p className="text-slate-200 text-sm">
+                      {memory.is_pinned && <span className="mr-1" aria-label="Pinned">📌</span>}
+                      {memory.content}
+                    </p>
+                    <div className="flex flex-wrap gap-3 mt-2 text-xs">
+                      <button onClick={() => setEditing({ id: memory.id, content: memory.content })} className="text-sky-400">
+                        Edit
+                      </button>
+                      {!memory.never_mention && (
+                        <button onClick={() => handleUpdate(memory.id, { is_pinned: !memory.is_pinned })} className="text-sky-400">
+                          {memory.is_pinned ? 'Unpin' : 'Pin'}
+                        </button>
+                      )}
+                      <button onClick={() => handleUpdate(memory.id, { never_mention: !memory.never_mention })} className="text-slate-300">
+                        {memory.never_mention ? 'Allow mentioning' : 'Never mention'}
+                      </button>
+                      <button onClick={() => handleDelete(memory.id)} className="text-red-400">
+                        Forget
+                      </button>
+                    </div>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Which coach MJ plays. Guests keep their pick on this device.
+function CoachPersonaPicker({ isGuest }) {
+  const [personas, setPersonas] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadPersonas = async () => {
+      try {
+        if (isGuest) {
+          const response = await GuestAPI.getPersonas();
+          setPersonas(response.personas || []);
+          setSelected(localStorage.getItem('mj_guest_persona')
+            || response.personas?.find(p => p.is_default)?.id);
+        } else {
+          const response = await UserAPI.getCommunicationStyle();
+          setPersonas(response.personas || []);
+          setSelected(response.persona);
+        }
+      } catch (err) {
+        console.error('Failed to load coach personas:', err);
+      }
+    };
+    loadPersonas();
+  }, [isGuest]);
+
+  const choose = async (id) => {
+    const previous = selected;
+    setSelected(id);
+    setError('');
+    if (isGuest) {
+      localStorage.setItem('mj_guest_persona', id);
+      return;
+    }
+    try {
+      await UserAPI.updateCommunicationStyle({ persona: id });
+    } catch (err) {
+      setSelected(previous);
+      setError(err.message || 'Could not change coach');
+    }
+  };
+
+  if (personas.length === 0) return null;
+
+  return (
+    <div className="bg-slate-800 rounded-2xl p-5 mb-6">
+      <h2 className="text-white font-semibold mb-1">Your coach</h2>
+      <p className="text-slate-400 text-xs mb-4">Pick the voice MJ talks to you in.</p>
+
+      {error && <p className="text-red-400 text-sm mb-3">{error}</p>}
+
+      <div className="space-y-2">
+        {personas.map(persona => (
+          <button
+            key={persona.id}
+            onClick={() => choose(persona.id)}
+            className={`w-full text-left rounded-xl p-3 transition-colors ${
+              selected === persona.id
+                ? 'bg-sky-500/20 border border-sky-500/50'
+                : 'bg-slate-700/50 border border-transparent hover:bg-slate-700'
+            }`}
+          >
+            <p className="text-white text-sm font-medium">{persona.name}</p>
+            <p className="text-slate-400 text-xs mt-1">{persona.description}</p>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
 
 function ProfileScreen() {
   const { user, profile, logout, login } = useAuth();
@@ -198,6 +407,14 @@ function ProfileScreen() {
         </div>
       </div>
 
+      <CoachPersonaPicker isGuest={isGuest} />
+
+      {!isGuest && <AssessmentsCard />}
+
+      {!isGuest && <ProgressReportCard />}
+
+      {!isGuest && <MemoryManager />}
+
       <div className="space-y-2">
         {!isGuest && (
           <button
@@ -40,6 +40,12 @@ export const Send = () => (
   </svg>
 );
 
+export const Mic = () => (
+  <svg width="20" height="20" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+    <path strokeLinecap="round" strokeLinejoin="round" d="M19 11a7 7 0 01-7 7m0 0a7 7 0 01-7-7m7 7v4m0 0H8m4 0h4m-4-8a3 3 0 01-3-3V5a3 3 0 116 0v6a3 3 0 01-3 3z" />
+  </svg>
+);
+
 export const Plus = () => (
   <svg width="20" height="20" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
     <path strokeLinecap="round" strokeLinejoin="round" d="M12 4v16m8-8H4" />
@@ -69,7 +75,7 @@ export const Logout = () => (
 );
 
 const Icons = {
-  Chat, Mood, Tasks, Journal, Profile, Send, Plus, Check, Fire, Star, Settings, Logout
+  Chat, Mood, Tasks, Journal, Profile, Send, Mic, Plus, Check, Fire, Star, Settings, Logout
 };
 
 export default Icons;
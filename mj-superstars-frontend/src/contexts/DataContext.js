@@ -191,7 +191,9 @@ export function DataProvider({ children }) {
         const response = await TaskAPI.complete(taskId, data);
 
         // Also emit via socket for real-time updates
-        socketService.completeTask(taskId);
+        socketService.completeTask(taskId).catch(err => {
+          console.error('Socket task completion failed:', err);
+        });
 
         return response;
       } catch (err) {
@@ -287,15 +289,18 @@ export function DataProvider({ children }) {
     }
 
     if (isOnline && TokenManager.isAuthenticated()) {
+      // Use socket for real-time messaging; resolves once the server saved it
+      let pending;
       try {
-        // Use socket for real-time messaging
-        socketService.sendMessage(conversationId, content, isVoice);
-        return { message };
-      } catch (err) {
-        console.error('Failed to send message:', err);
-        // Fall back to REST API
+        pending = socketService.sendMessage(conversationId, content, isVoice);
+      } catch {
+        // Socket not connected: never sent, so REST can't write it twice
         return await ConversationAPI.sendMessage(conversationId, content, isVoice);
       }
+      // A rejected or unanswered send may still have been saved; its error
+      // (with any `code` and `crisis`) goes to the caller as-is
+      const saved = await pending;
+      return { message: saved.message || message };
     }
 
     return { message };
@@ -336,6 +341,28 @@ export function DataProvider({ children }) {
     }
   });
 
+  // Messages sent from the user's other devices
+  useSocketEvent('new_message', (data) => {
+    if (!activeConversation || data.conversation_id !== activeConversation.id) return;
+    const messages = activeConversation.messages || [];
+    if (messages.some(m => m.id === data.message.id)) return;
+    setActiveConversation({ ...activeConversation, messages: [...messages, data.message] });
+  });
+
+  // Changes made on another device: refetch what they touched
+  useSocketEvent('sync', ({ resource }) => {
+    if (resource === 'moods') getMoodTrends('7d');
+    if (resource === 'tasks') getTodayTasks();
+    if (['moods', 'tasks', 'journal', 'rituals'].includes(resource)) getProgress();
+  });
+
+  // Reconnected after missing more than the server could replay
+  useSocketEvent('resync_required', () => syncAllData());
+
+  // Quick actions over the socket reach every device of the user
+  useSocketEvent('mood_logged', () => getMoodTrends('7d'));
+  useSocketEvent('task_completed', () => getTodayTasks());
+
   // ============================================================
   // COPING TOOLS
   // ============================================================
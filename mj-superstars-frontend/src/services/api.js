@@ -47,6 +47,21 @@ export const TokenManager = {
   }
 };
 
+// ============================================================
+// DEVICE
+// ============================================================
+
+// Stable per-install id; tells this device's changes apart in `sync`
+// events and groups its connections in presence
+export function getDeviceId() {
+  let deviceId = localStorage.getItem('mj_device_id');
+  if (!deviceId) {
+    deviceId = window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    localStorage.setItem('mj_device_id', deviceId);
+  }
+  return deviceId;
+}
+
 // ============================================================
 // HTTP CLIENT
 // ============================================================
@@ -59,6 +74,7 @@ async function request(endpoint, options = {}) {
 
   const headers = {
     'Content-Type': 'application/json',
+    'X-Device-Id': getDeviceId(),
     ...options.headers
   };
 
@@ -97,7 +113,8 @@ async function request(endpoint, options = {}) {
     // Detect offline vs server errors
     if (!navigator.onLine || error.message === 'Failed to fetch' || error.name === 'TypeError') {
       // Queue mutation requests for replay when back online
-      if (isQueueable(endpoint, options.method)) {
+      // Audio uploads can't be kept in the queue; the user records again
+      if (isQueueable(endpoint, options.method) && !(options.body instanceof Blob)) {
         enqueue(endpoint, options);
       }
 
@@ -122,12 +139,86 @@ async function handleResponse(response) {
     const error = new Error(data.error || 'Request failed');
     error.code = data.code;
     error.status = response.status;
+    // A rejected chat message still carries its crisis check
+    if (data.crisis) error.crisis = data.crisis;
     throw error;
   }
 
   return data;
 }
 
+// Server-Sent Events over POST (EventSource only supports GET).
+// Calls handlers[eventName](data) for each event and resolves with the
+// payload of the final `done` event. A stream that fails after its
+// `crisis` event throws with that crisis attached, like handleResponse.
+async function streamRequest(endpoint, body, handlers = {}, signal) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Accept': 'text/event-stream',
+    'X-Device-Id': getDeviceId()
+  };
+
+  const token = TokenManager.getAccessToken();
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok || !response.body) {
+    return handleResponse(response);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+  let crisis = null;
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const frames = buffer.split('\n\n');
+    buffer = frames.pop();
+
+    for (const frame of frames) {
+      const eventLine = frame.match(/^event: (.*)$/m);
+      const dataLine = frame.match(/^data: (.*)$/m);
+      if (!eventLine || !dataLine) continue;
+
+      const event = eventLine[1];
+      const data = JSON.parse(dataLine[1]);
+
+      if (event === 'error') {
+        const error = new Error(data.error || 'Stream failed');
+        error.code = data.code;
+        if (crisis) error.crisis = crisis;
+        throw error;
+      }
+      if (event === 'crisis') crisis = data;
+      if (event === 'done') result = data;
+      handlers[event]?.(data);
+    }
+  }
+
+  return result;
+}
+
+function voiceParams({ duration, language, reply }) {
+  const params = new URLSearchParams();
+  if (duration) params.set('duration', duration.toFixed(1));
+  if (language) params.set('language', language);
+  if (reply === false) params.set('reply', 'false');
+  return params;
+}
+
 async function refreshAccessToken() {
   try {
     const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
@@ -275,6 +366,11 @@ export const UserAPI = {
     });
   },
 
+  // Style, chosen coach persona and the personas to pick from
+  async getCommunicationStyle() {
+    return request('/users/me/communication-style');
+  },
+
   async updateCommunicationStyle(style) {
     return request('/users/me/communication-style', {
       method: 'PUT',
@@ -282,6 +378,14 @@ export const UserAPI = {
     });
   },
 
+  // Persona for one conversation only; null goes back to the user's choice
+  async setConversationPersona(conversationId, persona) {
+    return request('/users/me/communication-style', {
+      method: 'PUT',
+      body: JSON.stringify({ conversation_id: conversationId, persona })
+    });
+  },
+
   async updatePersonalization(data) {
     return request('/users/me/personalization', {
       method: 'PUT',
@@ -298,6 +402,25 @@ export const UserAPI = {
 
   async exportData() {
     return request('/users/me/export');
+  },
+
+  async getUsage(days = 7) {
+    return request(`/users/me/usage?days=${days}`);
+  },
+
+  async getMemories() {
+    return request('/users/me/memories');
+  },
+
+  async updateMemory(id, updates) {
+    return request(`/users/me/memories/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates)
+    });
+  },
+
+  async deleteMemory(id) {
+    return request(`/users/me/memories/${id}`, { method: 'DELETE' });
   }
 };
 
@@ -311,6 +434,26 @@ export const ConversationAPI = {
     return request(`/conversations?${params}`);
   },
 
+  // Full-text search; filters: from, to, mood_min, mood_max, tags (array), limit, offset.
+  // Results carry highlights as [{ text, match }] segments.
+  async search(q, filters = {}) {
+    const { tags, ...rest } = filters;
+    const params = new URLSearchParams({ q, ...rest });
+    if (tags?.length) params.set('tags', tags.join(','));
+    return request(`/conversations/search?${params}`);
+  },
+
+  async getTags() {
+    return request('/conversations/tags');
+  },
+
+  async setTags(id, tags) {
+    return request(`/conversations/${id}/tags`, {
+      method: 'PUT',
+      body: JSON.stringify({ tags })
+    });
+  },
+
   async create(initialMood) {
     return request('/conversations', {
       method: 'POST',
@@ -329,6 +472,65 @@ export const ConversationAPI = {
     });
   },
 
+  // Streams MJ's reply; onChunk(text) fires per token batch and
+  // onCrisis(crisis) before the reply when the message needs support.
+  // `voice` is the { audio_url, audio_duration } from transcribeVoice.
+  async streamMessage(conversationId, content, { onChunk, onCrisis, signal, isVoice = false, voice = null } = {}) {
+    return streamRequest(
+      `/conversations/${conversationId}/messages`,
+      { content, is_voice: isVoice || !!voice, ...(voice && { audio_url: voice.audio_url, audio_duration: voice.audio_duration }) },
+      { chunk: (data) => onChunk?.(data.text), crisis: (data) => onCrisis?.(data) },
+      signal
+    );
+  },
+
+  // Upload a recording and get back { transcript, audio_url, audio_duration }
+  // without sending it, so the user can review the text first
+  async transcribeVoice(conversationId, audio, { duration, language } = {}) {
+    return request(`/conversations/${conversationId}/voice?${voiceParams({ duration, language, reply: false })}`, {
+      method: 'POST',
+      headers: { 'Content-Type': audio.type },
+      body: audio
+    });
+  },
+
+  // Another take on one of MJ's replies; the original stays as an alternative.
+  // Returns the new reply plus `messages`, the now-selected branch.
+  async regenerate(conversationId, messageId) {
+    return request(`/conversations/${conversationId}/messages/${messageId}/regenerate`, {
+      method: 'POST'
+    });
+  },
+
+  // Edit a message you sent; MJ answers the edited version on a new branch
+  async editMessage(conversationId, messageId, content) {
+    return request(`/conversations/${conversationId}/messages/${messageId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ content })
+    });
+  },
+
+  // Switch to the branch an alternative message is on
+  async selectAlternative(conversationId, messageId) {
+    return request(`/conversations/${conversationId}/messages/${messageId}/select`, {
+      method: 'POST'
+    });
+  },
+
+  // Confirm a card MJ proposed (task, mood, exercise, intention); input overrides its fields
+  async confirmAction(conversationId, actionId, input) {
+    return request(`/conversations/${conversationId}/actions/${actionId}/confirm`, {
+      method: 'POST',
+      body: JSON.stringify(input ? { input } : {})
+    });
+  },
+
+  async dismissAction(conversationId, actionId) {
+    return request(`/conversations/${conversationId}/actions/${actionId}/dismiss`, {
+      method: 'POST'
+    });
+  },
+
   async end(id, finalMood) {
     return request(`/conversations/${id}/end`, {
       method: 'POST',
@@ -725,6 +927,84 @@ export const InsightsAPI = {
 
   async getConversationThemes(days = 30) {
     return request(`/insights/conversation-themes?days=${days}`);
+  },
+
+  async getCorrelations(days = 90) {
+    return request(`/insights/correlations?days=${days}`);
+  },
+
+  async getMoodForecast(days = 3) {
+    return request(`/insights/mood-forecast?days=${days}`);
+  }
+};
+
+// ============================================================
+// ASSESSMENTS API (PHQ-9, GAD-7, WHO-5)
+// ============================================================
+
+export const AssessmentAPI = {
+  async getInstruments() {
+    return request('/assessments/instruments');
+  },
+
+  async list(instrument = null, limit = 20) {
+    const params = new URLSearchParams({ limit });
+    if (instrument) params.append('instrument', instrument);
+    return request(`/assessments?${params}`);
+  },
+
+  async getTrends(days = 180) {
+    return request(`/assessments/trends?days=${days}`);
+  },
+
+  async getSchedules() {
+    return request('/assessments/schedules');
+  },
+
+  async updateSchedule(instrument, updates) {
+    return request(`/assessments/schedules/${instrument}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates)
+    });
+  },
+
+  async submit(instrument, answers) {
+    return request(`/assessments/${instrument}`, {
+      method: 'POST',
+      body: JSON.stringify({ answers })
+    });
+  }
+};
+
+// ============================================================
+// REPORTS API (PDF progress reports to share)
+// ============================================================
+
+export const ReportAPI = {
+  async create({ start, end, journalEntryIds = [] } = {}) {
+    return request('/reports', {
+      method: 'POST',
+      body: JSON.stringify({ start, end, journal_entry_ids: journalEntryIds })
+    });
+  },
+
+  async list() {
+    return request('/reports');
+  },
+
+  async get(id) {
+    return request(`/reports/${id}`);
+  },
+
+  async createLink(id, hours = 72) {
+    return request(`/reports/${id}/link`, {
+      method: 'POST',
+      body: JSON.stringify({ hours })
+    });
+  },
+
+  async delete(id) {
+    return request(`/reports/${id}`, { method: 'DELETE' });
   }
 };
 
@@ -739,7 +1019,11 @@ export const GuestAPI = {
     });
   },
 
-  async sendMessage(content, history = [], guestName = 'Friend', sessionId = null, userContext = {}) {
+  async getPersonas() {
+    return request('/guest/personas');
+  },
+
+  async sendMessage(content, history = [], guestName = 'Friend', sessionId = null, userContext = {}, persona = null) {
     return request('/guest/chat', {
       method: 'POST',
       body: JSON.stringify({
@@ -747,7 +1031,11 @@ export const GuestAPI = {
         history,
         guest_name: guestName,
         session_id: sessionId,
-        user_context: userContext
+        user_context: userContext,
+        persona: persona || undefined,
+        // Lets the server pick crisis resources for the guest's region
+        locale: navigator.language,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
       })
     });
   },
@@ -785,5 +1073,7 @@ export default {
   CopingAPI,
   ContentAPI,
   NotificationAPI,
-  InsightsAPI
+  InsightsAPI,
+  AssessmentAPI,
+  ReportAPI
 };
@@ -16,7 +16,9 @@ export {
   CopingAPI,
   ContentAPI,
   NotificationAPI,
-  InsightsAPI
+  InsightsAPI,
+  AssessmentAPI,
+  ReportAPI
 } from './api';
 
 // Socket Service
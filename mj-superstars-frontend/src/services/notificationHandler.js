@@ -28,6 +28,18 @@ const NOTIFICATION_ACTIONS = {
     screen: 'Progress',
     params: { tab: 'achievements' }
   },
+  open_insights: {
+    screen: 'Progress',
+    params: { tab: 'insights' }
+  },
+  open_assessments: {
+    screen: 'Profile',
+    params: { section: 'assessments' }
+  },
+  open_reports: {
+    screen: 'Profile',
+    params: { section: 'reports' }
+  },
   open_tasks: {
     screen: 'Tasks',
     params: {}
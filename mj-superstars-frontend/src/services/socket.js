@@ -3,16 +3,37 @@
 // ============================================================
 
 import { io } from 'socket.io-client';
-import { TokenManager } from './api';
+import { TokenManager, getDeviceId } from './api';
 
 const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'https://mj-superstars.onrender.com';
 
+const getPlatform = () => window.Capacitor?.getPlatform?.() || 'web';
+
+// How long to wait for the server to ack a write before retrying it
+const ACK_TIMEOUT_MS = 10000;
+const ACK_RETRIES = 2;
+
+// Events the server numbers with `seq` and replays on `resume`
+const SEQUENCED_EVENTS = [
+  'message_saved', 'mj_response', 'mj_response_done', 'crisis_support', 'mood_logged',
+  'task_completed', 'new_message', 'voice_transcribed'
+];
+
+// Same key on every retry, so the server writes once
+const newIdempotencyKey = () => window.crypto?.randomUUID?.()
+  || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
 class SocketService {
   constructor() {
     this.socket = null;
     this.listeners = new Map();
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
+
+    // Highest event seq seen, persisted per user so a reload can resume
+    this.userId = null;
+    this.lastSeq = null;
+    this.seenSeqs = new Set();
   }
 
   // ============================================================
@@ -29,7 +50,7 @@ class SocketService {
     }
 
     this.socket = io(SOCKET_URL, {
-      auth: { token },
+      auth: { token, deviceId: getDeviceId(), platform: getPlatform() },
       transports: ['websocket', 'polling'],
       reconnection: true,
       reconnectionAttempts: this.maxReconnectAttempts,
@@ -46,6 +67,9 @@ class SocketService {
       this.socket = null;
     }
     this.listeners.clear();
+    this.userId = null;
+    this.lastSeq = null;
+    this.seenSeqs.clear();
   }
 
   isConnected() {
@@ -82,15 +106,108 @@ class SocketService {
       this.emit('socket_error', error);
     });
 
-    // Forward all MJ events
-    this.socket.on('connected', (data) => this.emit('connected', data));
-    this.socket.on('message_saved', (data) => this.emit('message_saved', data));
+    // Every (re)connect: pick up where this device left off
+    this.socket.on('connected', (data) => {
+      this.restoreSession(data);
+      this.emit('connected', data);
+    });
+
+    // Forward all MJ events; sequenced ones at most once
+    SEQUENCED_EVENTS.forEach(event => {
+      this.socket.on(event, (data) => {
+        if (this.trackSeq(data)) this.emit(event, data);
+      });
+    });
     this.socket.on('mj_typing', (data) => this.emit('mj_typing', data));
-    this.socket.on('mj_response', (data) => this.emit('mj_response', data));
-    this.socket.on('mood_logged', (data) => this.emit('mood_logged', data));
-    this.socket.on('task_completed', (data) => this.emit('task_completed', data));
-    this.socket.on('new_message', (data) => this.emit('new_message', data));
+    this.socket.on('mj_response_chunk', (data) => this.emit('mj_response_chunk', data));
     this.socket.on('joined_conversation', (data) => this.emit('joined_conversation', data));
+    this.socket.on('presence_changed', (data) => this.emit('presence_changed', data));
+
+    // Changes made over REST on another device; this device's own
+    // changes come back too and are dropped here
+    this.socket.on('sync', (data) => {
+      if (!this.trackSeq(data)) return;
+      if (data.device_id && data.device_id === getDeviceId()) return;
+      this.emit('sync', data);
+    });
+  }
+
+  // ============================================================
+  // RESUME
+  // ============================================================
+
+  seqStorageKey() {
+    return `mj_last_seq_${this.userId}`;
+  }
+
+  // Returns false for an event already handled (live and replayed)
+  trackSeq(data) {
+    const seq = data?.seq;
+    if (typeof seq !== 'number') return true;
+    if (this.seenSeqs.has(seq)) return false;
+
+    this.seenSeqs.add(seq);
+    if (this.seenSeqs.size > 500) {
+      this.seenSeqs.delete(this.seenSeqs.values().next().value);
+    }
+    if (this.lastSeq === null || seq > this.lastSeq) {
+      this.lastSeq = seq;
+      localStorage.setItem(this.seqStorageKey(), String(seq));
+    }
+    return true;
+  }
+
+  // First connect on this device starts from the server's latest seq;
+  // after that, ask for everything missed while disconnected
+  restoreSession({ userId, last_seq: serverSeq }) {
+    this.userId = userId;
+    const stored = localStorage.getItem(this.seqStorageKey());
+    const lastSeq = this.lastSeq ?? (stored !== null ? parseInt(stored, 10) : null);
+
+    if (lastSeq === null || Number.isNaN(lastSeq)) {
+      if (typeof serverSeq === 'number') {
+        this.lastSeq = serverSeq;
+        localStorage.setItem(this.seqStorageKey(), String(serverSeq));
+      }
+      return;
+    }
+
+    this.lastSeq = lastSeq;
+    this.socket.timeout(ACK_TIMEOUT_MS).emit('resume', { last_seq: lastSeq }, (error, response) => {
+      // Too much was missed to replay: refetch instead
+      if (error || !response?.ok || response.truncated) {
+        this.emit('resync_required', { reason: error ? 'timeout' : response?.error || 'truncated' });
+      }
+      if (response?.ok && response.last_seq > this.lastSeq) {
+        this.lastSeq = response.last_seq;
+        localStorage.setItem(this.seqStorageKey(), String(response.last_seq));
+      }
+    });
+  }
+
+  // Emit a write and resolve with the server's ack, retrying unanswered
+  // attempts; payloads carry an idempotency_key so retries write once
+  request(event, payload) {
+    return new Promise((resolve, reject) => {
+      const attempt = (retriesLeft) => {
+        this.socket.timeout(ACK_TIMEOUT_MS).emit(event, payload, (error, response) => {
+          if (error) {
+            if (retriesLeft > 0 && this.socket) attempt(retriesLeft - 1);
+            else reject(new Error(`No response to ${event}`));
+            return;
+          }
+          if (!response.ok) {
+            const failure = new Error(response.error);
+            failure.code = response.code;
+            if (response.crisis) failure.crisis = response.crisis;
+            reject(failure);
+            return;
+          }
+          resolve(response);
+        });
+      };
+      attempt(ACK_RETRIES);
+    });
   }
 
   // ============================================================
@@ -131,18 +248,27 @@ class SocketService {
   // MESSAGING
   // ============================================================
 
-  sendMessage(conversationId, content, isVoice = false) {
+  // `voice` is the { audio_url, audio_duration } from ConversationAPI.transcribeVoice.
+  // Resolves with { message } once the server has saved it; the reply
+  // follows as mj_response_* events.
+  sendMessage(conversationId, content, isVoice = false, voice = null) {
     if (!this.socket?.connected) {
       throw new Error('Socket not connected');
     }
 
-    this.socket.emit('send_message', {
+    return this.request('send_message', {
       conversation_id: conversationId,
       content,
-      is_voice: isVoice
+      is_voice: isVoice || !!voice,
+      idempotency_key: newIdempotencyKey(),
+      ...(voice && { audio_url: voice.audio_url, audio_duration: voice.audio_duration })
     });
   }
 
+  cancelResponse(conversationId) {
+    this.socket?.emit('cancel_response', { conversation_id: conversationId });
+  }
+
   // ============================================================
   // CONVERSATION
   // ============================================================
@@ -167,16 +293,37 @@ class SocketService {
     this.socket?.emit('typing_stop', { conversation_id: conversationId });
   }
 
+  // ============================================================
+  // PRESENCE
+  // ============================================================
+
+  // Resolves with the user's connected devices
+  getPresence() {
+    return new Promise((resolve, reject) => {
+      if (!this.socket?.connected) {
+        reject(new Error('Socket not connected'));
+        return;
+      }
+      this.socket.timeout(5000).emit('get_presence', (error, response) => {
+        if (error || response?.error) reject(new Error(response?.error || 'Presence request timed out'));
+        else resolve(response.devices);
+      });
+    });
+  }
+
   // ============================================================
   // QUICK ACTIONS
   // ============================================================
 
+  // Both resolve with the server's ack ({ entry } / { task })
   logQuickMood(moodScore, note) {
-    this.socket?.emit('quick_mood', { mood_score: moodScore, note });
+    if (!this.socket) return Promise.reject(new Error('Socket not connected'));
+    return this.request('quick_mood', { mood_score: moodScore, note, idempotency_key: newIdempotencyKey() });
   }
 
   completeTask(taskId) {
-    this.socket?.emit('complete_task', { task_id: taskId });
+    if (!this.socket) return Promise.reject(new Error('Socket not connected'));
+    return this.request('complete_task', { task_id: taskId, idempotency_key: newIdempotencyKey() });
   }
 }
 
@@ -211,8 +358,10 @@ export function useSocket() {
     connect: () => socketService.connect(),
     disconnect: () => socketService.disconnect(),
     sendMessage: socketService.sendMessage.bind(socketService),
+    cancelResponse: socketService.cancelResponse.bind(socketService),
     joinConversation: socketService.joinConversation.bind(socketService),
     leaveConversation: socketService.leaveConversation.bind(socketService),
+    getPresence: socketService.getPresence.bind(socketService),
     logQuickMood: socketService.logQuickMood.bind(socketService),
     completeTask: socketService.completeTask.bind(socketService)
   };
@@ -0,0 +1,70 @@
+// ============================================================
+// MJ's Superstars - Emotion Taxonomy
+// Mirrors the backend's src/services/emotions.js; ids must match
+// or POST /api/moods rejects the entry.
+// ============================================================
+
+export const EMOTION_WHEEL = [
+  {
+    id: 'happy', label: 'Happy', emoji: '😊', color: '#facc15',
+    feelings: ['content', 'proud', 'hopeful', 'grateful', 'playful', 'peaceful', 'excited', 'confident']
+  },
+  {
+    id: 'sad', label: 'Sad', emoji: '😢', color: '#60a5fa',
+    feelings: ['lonely', 'disappointed', 'hurt', 'hopeless', 'grieving', 'guilty', 'empty']
+  },
+  {
+    id: 'angry', label: 'Angry', emoji: '😠', color: '#f87171',
+    feelings: ['frustrated', 'irritated', 'resentful', 'jealous', 'betrayed', 'critical']
+  },
+  {
+    id: 'fearful', label: 'Fearful', emoji: '😰', color: '#a78bfa',
+    feelings: ['anxious', 'worried', 'overwhelmed', 'insecure', 'panicked', 'helpless']
+  },
+  {
+    id: 'surprised', label: 'Surprised', emoji: '😮', color: '#2dd4bf',
+    feelings: ['confused', 'amazed', 'startled', 'moved']
+  },
+  {
+    id: 'disgusted', label: 'Disgusted', emoji: '😖', color: '#4ade80',
+    feelings: ['ashamed', 'embarrassed', 'disapproving', 'repelled']
+  },
+  {
+    id: 'bad', label: 'Bad', emoji: '😩', color: '#94a3b8',
+    feelings: ['tired', 'stressed', 'bored', 'numb', 'restless']
+  }
+];
+
+export const BODY_SENSATIONS = [
+  { id: 'tight_chest', label: 'Tight chest' },
+  { id: 'racing_heart', label: 'Racing heart' },
+  { id: 'shallow_breathing', label: 'Shallow breathing' },
+  { id: 'butterflies', label: 'Butterflies' },
+  { id: 'nausea', label: 'Nausea' },
+  { id: 'tense_shoulders', label: 'Tense shoulders' },
+  { id: 'clenched_jaw', label: 'Clenched jaw' },
+  { id: 'headache', label: 'Headache' },
+  { id: 'heavy_limbs', label: 'Heavy limbs' },
+  { id: 'fatigue', label: 'Fatigue' },
+  { id: 'jittery', label: 'Jittery' },
+  { id: 'sweating', label: 'Sweating' },
+  { id: 'lump_in_throat', label: 'Lump in throat' },
+  { id: 'numbness', label: 'Numbness' },
+  { id: 'warmth', label: 'Warmth' },
+  { id: 'lightness', label: 'Lightness' },
+  { id: 'relaxed', label: 'Relaxed' },
+  { id: 'energized', label: 'Energized' }
+];
+
+export const MAX_EMOTIONS = 5;
+export const MAX_BODY_SENSATIONS = 10;
+export const INTENSITY_LABELS = ['A little', 'Somewhat', 'Moderately', 'Very', 'Intensely'];
+
+export const primaryEmotion = (id) => EMOTION_WHEEL.find(e => e.id === id);
+
+export const feelingLabel = (feeling) =>
+  feeling ? feeling.charAt(0).toUpperCase() + feeling.slice(1) : '';
+
+// "Anxious" for { primary: 'fearful', secondary: 'anxious' }, "Fearful" without one
+export const emotionLabel = ({ primary, secondary }) =>
+  secondary ? feelingLabel(secondary) : primaryEmotion(primary)?.label || feelingLabel(primary);